@@ -0,0 +1,400 @@
+/**
+ * Type declarations for the extract-code programmatic API
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import type { Writable } from "stream";
+
+/** Supported output formats */
+export type Format = "markdown" | "xml" | "json" | "html";
+
+/** Supported output formats, in the order shown by --help */
+export const FORMATS: readonly Format[];
+
+/** How important a file is when the plan exceeds the budget */
+export type Priority = "required" | "preferred" | "optional";
+
+/** Compaction transform applied to file content */
+export type CompactTransform =
+  | "license"
+  | "imports"
+  | "comments"
+  | "blank-lines"
+  /** Keep tool directives (eslint-disable, @ts-ignore, noqa...) when stripping comments */
+  | "keep-directives"
+  | "all";
+
+/** Compaction setting: true for all transforms, or a comma-separated string or list of them */
+export type Compact = boolean | string | CompactTransform[];
+
+/** A file entry of a config section: a file argument or an object with options */
+export type FileSpec =
+  | string
+  | {
+      /** File argument (path with optional range, symbol, diff, history or trace spec), or "cmd:<command>" */
+      path: string;
+      priority?: Priority;
+      lineNumbers?: boolean;
+      /** Levels of local imports to add to a "Dependencies" section */
+      followImports?: number;
+      /** Add the file's tests to a "Tests" section */
+      withTests?: boolean;
+      /** Compaction transforms for the file's content */
+      compact?: Compact;
+    };
+
+/** A config section listing files */
+export interface FilesSection {
+  header?: string;
+  files: FileSpec[];
+  priority?: Priority;
+  lineNumbers?: boolean;
+  followImports?: number;
+  withTests?: boolean;
+  compact?: Compact;
+}
+
+/** A config section listing every file changed versus a ref */
+export interface ChangedSection {
+  header?: string;
+  /** Base ref, range, "staged" or "worktree" */
+  changedSince: string;
+  changedMode?: "diff" | "full" | "both";
+  /** Globs of changed files to skip */
+  exclude?: string[];
+  priority?: Priority;
+  lineNumbers?: boolean;
+  followImports?: number;
+  withTests?: boolean;
+  /** Compaction of the full versions of changed files (diffs are never compacted) */
+  compact?: Compact;
+}
+
+/** A config section of inline markdown, written as is */
+export interface MarkdownSection {
+  header?: string;
+  markdown: string;
+}
+
+/** A config section holding a template file, with ${name} variables substituted */
+export interface IncludeSection {
+  header?: string;
+  /** Template path, relative to the plan file (or the current directory from the API) */
+  include: string;
+}
+
+/** Any config section; "..." inserts the sections of the extended plan */
+export type Section =
+  | FilesSection
+  | ChangedSection
+  | MarkdownSection
+  | IncludeSection
+  | "...";
+
+/** Maps source files to their tests; {dir}, {name} and {ext} come from the source path */
+export interface TestRule {
+  /** Glob of source files the rule applies to */
+  source: string;
+  /** Test paths or globs (e.g., "tests/{dir}/test_{name}.py") */
+  tests: string | string[];
+}
+
+/** Redaction settings */
+export interface RedactConfig {
+  patterns?: Array<string | { name?: string; pattern: string }>;
+  allowlist?: string[];
+}
+
+/** Plan input: the config file schema, or `files` for one section without a header */
+export interface PlanInput {
+  sections?: Section[];
+  files?: string[];
+  /** Plan file to merge this plan over */
+  extends?: string;
+  /** Values for ${name} references in strings and templates */
+  variables?: Record<string, string | number | boolean>;
+  output?: string;
+  format?: Format;
+  /** Auto-fit the plan to the budget */
+  trackSize?: boolean;
+  /** Budget in bytes or estimated tokens (e.g., 128000, "125KB", "60ktok"); also enables auto-fit */
+  budget?: string | number;
+  /** Warning thresholds in percent of the budget (e.g., [80, 92] or "80,92") */
+  warnAt?: number[] | string;
+  lineNumbers?: boolean;
+  /** Levels of local imports to follow from every file (default: 0) */
+  followImports?: number | string;
+  /** Add the tests of every file, found by naming conventions and testRules */
+  withTests?: boolean;
+  /** Project-specific test mappings, tried before the conventions */
+  testRules?: TestRule[];
+  /** Compaction transforms for every file (default: none) */
+  compact?: Compact;
+  /** Language overrides by file name ("Justfile"), glob ("scripts/*") or extension (".tpl") */
+  languages?: Record<string, string>;
+  redact?: RedactConfig;
+  strict?: boolean;
+  toc?: boolean;
+  managed?: boolean;
+  prune?: boolean;
+  /** Seconds a command may run (default: 120) */
+  commandTimeout?: number | string;
+  /** Size of a command's output block in bytes (e.g., 16384 or "16KB"; default: 16KB) */
+  commandLimit?: number | string;
+}
+
+/** A problem with one file argument */
+export interface FileError {
+  fileArg: string;
+  /** Section header, or "(no header)" */
+  section: string;
+  message: string;
+}
+
+/** Budget unit and limit */
+export interface Budget {
+  unit: "bytes" | "tokens";
+  limit: number;
+}
+
+/** Output size */
+export interface Size {
+  bytes: number;
+  tokens: number;
+}
+
+/** Output size with the share of the budget used */
+export interface Usage extends Size {
+  percent: number;
+}
+
+/** An extraction plan from buildPlan; treat as opaque */
+export interface Plan {
+  sections: Array<{ header: string | null; label: string; entries: object[] }>;
+  settings: {
+    output: string | null;
+    format: Format;
+    budgetOptions: { budget: Budget; warnAt: number[] };
+    enforceBudget: boolean;
+    redact?: RedactConfig;
+    strict: boolean;
+    toc: boolean;
+    managed: boolean;
+    prune: boolean;
+  };
+  /** Errors found while expanding globs and changed files */
+  errors: FileError[];
+}
+
+/** Progress events reported while extracting */
+export type ProgressEvent =
+  | ({ type: "existing"; output: string; managed: boolean } & Size)
+  | { type: "section"; index: number; count: number; label: string }
+  | {
+      type: "file";
+      fileArg: string;
+      label: string;
+      section: string;
+      /** Position within the section (0-based) */
+      index: number;
+      /** Files written in the section */
+      count: number;
+      /** Files written so far, this one included */
+      written: number;
+      /** Files in the plan */
+      total: number;
+      added: Size;
+      /** Transforms applied and content bytes before and after them, or null */
+      compaction: { transforms: string[]; before: number; after: number } | null;
+      usage: Usage;
+    }
+  | {
+      type: "threshold";
+      level: "exceeded" | "close" | "approaching";
+      threshold: number;
+      used: number;
+    }
+  | {
+      type: "autofit";
+      budget: Budget;
+      fits: boolean;
+      before: number;
+      after: number;
+      degradations: Array<{ message: string; saved: number }>;
+    }
+  | {
+      type: "redactions";
+      findings: Array<{
+        filePath: string;
+        detector: string;
+        placeholder: string;
+      }>;
+    }
+  | { type: "regions"; replaced: number; added: number; removed: number }
+  | ({ type: "error" } & FileError);
+
+/** Plan building options */
+export interface BuildOptions {
+  /** Run "cmd:" entries (off by default; plans can't enable this themselves) */
+  allowCommands?: boolean;
+  /** Files changed-file sections leave out besides the output (e.g., the plan file) */
+  excludeFiles?: string[];
+}
+
+/** Extraction options */
+export interface ExtractOptions {
+  /** Output file, overriding the plan's; null returns the content instead */
+  output?: string | null;
+  onProgress?: (event: ProgressEvent) => void;
+}
+
+/** Extraction result */
+export interface ExtractResult {
+  output: string | null;
+  /** Rendered document when there is no output file */
+  content: string | null;
+  /** Number of blocks written */
+  written: number;
+  /** Number of sections written; sections auto-fit emptied out are not counted */
+  sections: number;
+  /** Files that failed to render (the rest was written) */
+  errors: FileError[];
+  hasErrors: boolean;
+  usage: Usage;
+  budget: Budget;
+}
+
+/** A file of a dry-run report */
+export interface PlanReportFile extends Size {
+  /** Section label, or "(no header)" */
+  section: string;
+  fileArg: string;
+  /** File label (e.g., "src/auth.ts", "change summary", "$ npm test") */
+  file: string;
+  /** Spec of the entry (e.g., "full", "10-50", "symbol=refresh", "changed, diff") */
+  spec: string;
+  priority: Priority;
+  /** Share of the budget, in the budget's unit */
+  percent: number;
+  /** Running total in the budget's unit, this file included */
+  total: number;
+  totalPercent: number;
+}
+
+/** A cheaper spec for a file and what it saves */
+export interface PlanAlternative {
+  fileArg: string;
+  /** e.g., "diff instead of full file", "compacted (--compact)" */
+  description: string;
+  /** Sizes in the budget's unit */
+  size: number;
+  saved: number;
+}
+
+/** Dry-run report from estimatePlan */
+export interface PlanReport {
+  output: string | null;
+  format: Format;
+  budget: Budget;
+  /** Existing output that stays, or null */
+  existing: Size | null;
+  /** Room reserved for the table of contents, or null */
+  toc: Size | null;
+  files: PlanReportFile[];
+  /** The whole document before auto-fit */
+  total: Usage;
+  /** Whether the plan fits the budget (after auto-fit, when it is on) */
+  fits: boolean;
+  /** What auto-fit would do, or null when it is off */
+  autofit: {
+    fits: boolean;
+    after: number;
+    degradations: Array<{ message: string; saved: number }>;
+  } | null;
+  /** Largest files, with alternatives saving at least 10% of them */
+  largest: Array<{
+    fileArg: string;
+    section: string;
+    size: number;
+    percent: number;
+    alternatives: PlanAlternative[];
+  }>;
+  /** Entries not measured (commands) */
+  skipped: Array<{ fileArg: string; section: string; reason: string }>;
+  /** Files that would fail */
+  errors: FileError[];
+}
+
+/** Error codes of ExtractError */
+export type ExtractErrorCode =
+  | "INVALID_CONFIG"
+  | "INVALID_OPTIONS"
+  | "INVALID_OUTPUT"
+  | "VALIDATION_FAILED"
+  | "OVER_BUDGET"
+  | "SECRETS_FOUND"
+  | "NO_FILES";
+
+/**
+ * Error raised by the API; nothing is written when one is thrown, unless
+ * writing the output itself fails partway (INVALID_OUTPUT)
+ */
+export class ExtractError extends Error {
+  constructor(code: ExtractErrorCode, message: string, details?: object);
+  name: "ExtractError";
+  code: ExtractErrorCode;
+  /** VALIDATION_FAILED, NO_FILES: per-file errors */
+  errors?: FileError[];
+  /** OVER_BUDGET: budget and size of the required files */
+  budget?: Budget;
+  size?: number;
+  /** OVER_BUDGET: largest required files */
+  largest?: Array<{ fileArg: string; size: number }>;
+  /** INVALID_CONFIG: schema problems as "path: message" (e.g., "sections[2].files[0]: ...") */
+  issues?: string[];
+  /** SECRETS_FOUND: what strict mode found */
+  findings?: Array<{ filePath: string; detector: string; placeholder: string }>;
+  /** INVALID_OUTPUT: the file system error when the output can't be written */
+  cause?: unknown;
+}
+
+/** Read and validate a JSON or YAML plan file, merged over the plans it extends */
+export function loadConfig(configPath: string): Promise<PlanInput>;
+
+/** Build a plan: expands globs, directories and changed files */
+export function buildPlan(
+  input: PlanInput,
+  options?: BuildOptions
+): Promise<Plan>;
+
+/** Check every file of a plan without writing anything */
+export function validatePlan(
+  plan: Plan
+): Promise<{ valid: boolean; errors: FileError[] }>;
+
+/** Validate, render, fit and write a plan */
+export function extract(
+  plan: Plan,
+  options?: ExtractOptions
+): Promise<ExtractResult>;
+
+/** Measure a plan without writing anything (the --dry-run report) */
+export function estimatePlan(
+  plan: Plan,
+  options?: Pick<ExtractOptions, "output">
+): Promise<PlanReport>;
+
+/** Render a plan to a string instead of a file */
+export function renderToString(
+  plan: Plan,
+  options?: Pick<ExtractOptions, "onProgress">
+): Promise<string>;
+
+/** Render a plan and write it to a stream */
+export function renderToStream(
+  plan: Plan,
+  stream: Writable,
+  options?: Pick<ExtractOptions, "onProgress">
+): Promise<ExtractResult>;
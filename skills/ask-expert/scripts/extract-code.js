@@ -5,6 +5,13 @@
  * Extracts file contents, line ranges, or git diffs with automatic size tracking
  * to stay within the 125 KB limit for expert consultation documents.
  *
+ * Also importable: buildPlan, validatePlan, extract, renderToString and
+ * renderToStream never exit the process and throw ExtractError instead.
+ * Types are in extract-code.d.ts.
+ *
+ * No dependencies, here or in lib/: the extractor ships inside a plugin
+ * without node_modules.
+ *
  * @author Propstreet
  * @license MIT
  * @requires Node.js 18+
@@ -14,7 +21,54 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { parseArgs } from "util";
-import { execSync } from "child_process";
+import { execFileSync, execSync } from "child_process";
+import {
+  buildOutline,
+  buildSignatureView,
+  findComments,
+  parseSymbols,
+  resolveSymbol,
+} from "./lib/symbols.js";
+import { createRedactor } from "./lib/redact.js";
+import {
+  hasTableOfContents,
+  renderTableOfContents,
+  stripTableOfContents,
+  updateTableOfContents,
+} from "./lib/toc.js";
+import {
+  applyRegions,
+  hasRegions,
+  renderSectionRegion,
+} from "./lib/regions.js";
+import { createFormatter, FORMATS } from "./lib/formats.js";
+import { decodeContent, detectLanguage } from "./lib/content.js";
+import { compactSource, parseCompactSpec } from "./lib/compact.js";
+import { parseYaml } from "./lib/yaml.js";
+import { createFileWatcher } from "./lib/watch.js";
+import {
+  DEFAULT_COMMAND_LIMIT,
+  DEFAULT_COMMAND_TIMEOUT,
+  cleanOutput,
+  runCommand,
+  truncateOutput,
+} from "./lib/command.js";
+import { findDependencies } from "./lib/imports.js";
+import {
+  buildFrameWindows,
+  findProjectPath,
+  parseStackTrace,
+} from "./lib/stacktrace.js";
+import {
+  createFileIndex,
+  findConventionalTests,
+  isTestFile,
+} from "./lib/testmap.js";
+import {
+  CHANGED_SELECTORS,
+  getBuiltInTemplate,
+  listBuiltInTemplates,
+} from "./lib/templates.js";
 
 // ============================================================================
 // Constants
@@ -23,14 +77,178 @@ import { execSync } from "child_process";
 /** Maximum size for expert consultation documents (125 KB) */
 const MAX_SIZE_BYTES = 125 * 1024;
 
-/** Warning threshold at 100 KB */
-const WARNING_THRESHOLD_1 = 100 * 1024;
+/** Plan entry priorities, most important first */
+const PRIORITIES = ["required", "preferred", "optional"];
+
+/** How --changed-since renders each changed file */
+const CHANGED_MODES = ["diff", "full", "both"];
+
+/** Keys allowed at the top level of a config file */
+const CONFIG_KEYS = [
+  "$schema",
+  "extends",
+  "variables",
+  "output",
+  "format",
+  "trackSize",
+  "budget",
+  "warnAt",
+  "lineNumbers",
+  "followImports",
+  "withTests",
+  "testRules",
+  "compact",
+  "languages",
+  "redact",
+  "strict",
+  "toc",
+  "managed",
+  "prune",
+  "commandTimeout",
+  "commandLimit",
+  "sections",
+];
+
+/** Keys allowed in a config section, by the key that sets its kind */
+const SECTION_KEYS = {
+  files: [
+    "header",
+    "files",
+    "priority",
+    "lineNumbers",
+    "followImports",
+    "withTests",
+    "compact",
+  ],
+  changedSince: [
+    "header",
+    "changedSince",
+    "changedMode",
+    "exclude",
+    "priority",
+    "lineNumbers",
+    "followImports",
+    "withTests",
+    "compact",
+  ],
+  markdown: ["header", "markdown"],
+  include: ["header", "include"],
+};
+
+/** Keys allowed in an object entry of a section's "files" */
+const FILE_SPEC_KEYS = [
+  "path",
+  "priority",
+  "lineNumbers",
+  "followImports",
+  "withTests",
+  "compact",
+];
+
+/** Keys allowed in a "testRules" entry */
+const TEST_RULE_KEYS = ["source", "tests"];
+
+/** Config settings that must be true or false */
+const BOOLEAN_SETTINGS = [
+  "trackSize",
+  "lineNumbers",
+  "withTests",
+  "strict",
+  "toc",
+  "managed",
+  "prune",
+];
+
+/** Entry of a "sections" array that inserts the sections of the extended plan */
+const INHERITED_SECTIONS = "...";
+
+/** Regex pattern for ${name} references in plan strings ("$${" is a literal "${") */
+const VARIABLE_PATTERN = /\$\$\{|\$\{([^}]*)\}/g;
+
+/** Regex pattern for variable names (env.NAME reads the environment) */
+const VARIABLE_NAME_PATTERN = /^(?:env\.)?[A-Za-z_][\w-]*$/;
+
+/** Header of the section holding files found by following imports */
+const DEPENDENCIES_HEADER = "Dependencies";
+
+/** Header of the section holding tests found for the plan's files */
+const TESTS_HEADER = "Tests";
+
+/** Template used by `init` without --template */
+const DEFAULT_TEMPLATE = "architecture";
+
+/** Labels for git --name-status letters */
+const CHANGE_STATUS_LABELS = {
+  A: "added",
+  C: "copied",
+  D: "deleted",
+  M: "modified",
+  R: "renamed",
+  T: "type changed",
+};
+
+/** Regex pattern for language names in "languages" overrides (used as fence info strings) */
+const LANGUAGE_PATTERN = /^[\w#+.-]+$/;
+
+/** Default warning thresholds in percent of the budget (100 KB and 115 KB of 125 KB) */
+const DEFAULT_WARNING_PERCENTS = [80, 92];
+
+/** Regex pattern for parsing --budget values (e.g., "125KB", "60000tok", "60ktok") */
+const BUDGET_PATTERN =
+  /^(\d+(?:\.\d+)?)\s*(b|bytes?|kb|mb|tok|tokens?|ktok|k\s*tokens?)?$/i;
+
+/** Regex pattern splitting text into token-like chunks for estimation */
+const TOKEN_CHUNK_PATTERN =
+  /[A-Za-z]+|\d+|\n[ \t]*|[ \t]+|[\x21-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]+|[^\x00-\x7f]|\s/g;
+
+/** Regex pattern for parsing file arguments with ranges/diffs/symbols */
+const FILE_ARG_PATTERN =
+  /^(.+?):([\d,:-]+|diff(?:[=,].+)?|symbol=.+|outline(?:=.+)?|log(?:[=,].+)?|blame(?:=.+)?|trace(?:=.+)?)$/;
+
+/** Prefix of file arguments that capture the output of a shell command */
+const COMMAND_PREFIX = "cmd:";
+
+/** Regex pattern for a trailing "@ref" on a file path (last "@" not after "/") */
+const FILE_REF_PATTERN = /^(.*[^/])@([^@]+)$/;
+
+/** Characters that mark a path as a glob pattern */
+const GLOB_CHARS_PATTERN = /[*?[\]{}]/;
+
+/** Directories skipped when expanding globs and directories (dependencies, build output) */
+const DEFAULT_IGNORED_DIRS = new Set([
+  ".git",
+  "node_modules",
+  "dist",
+  "build",
+  "out",
+  "bin",
+  "obj",
+  "coverage",
+]);
+
+/** Number of commits shown by "file:log" without a count */
+const DEFAULT_LOG_COUNT = 10;
+
+/** Lines shown before and after each failing line by "file:trace" */
+const DEFAULT_TRACE_CONTEXT = 10;
+
+/** Path of a trace argument that reads the trace from stdin ("-:trace") */
+const STDIN_PATH = "-";
+
+/** Table of contents rendering: sizes in KB, paths relative to the current directory */
+const TOC_OPTIONS = { formatSize, displayPath: formatTocPath };
+
+/** Output formatting: manifest sizes in estimated tokens, page sizes in KB */
+const FORMAT_OPTIONS = { estimateTokens, formatSize };
 
-/** Warning threshold at 115 KB (very close to limit) */
-const WARNING_THRESHOLD_2 = 115 * 1024;
+/** Number of largest files a dry run suggests alternatives for */
+const REPORT_LARGEST_COUNT = 5;
 
-/** Regex pattern for parsing file arguments with ranges/diffs */
-const FILE_ARG_PATTERN = /^(.+?):([\d,:-]+|diff(?:=.+)?)$/;
+/** Share of a file an alternative must save to be suggested by a dry run */
+const REPORT_MIN_SAVING = 0.1;
+
+/** Max buffer for git commands that may list many files */
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
 
 // ============================================================================
 // Utility Functions
@@ -46,32 +264,47 @@ function formatSize(bytes) {
 }
 
 /**
- * Detect programming language from file extension
- * @param {string} filePath - Path to file
- * @returns {string} Language identifier for syntax highlighting
- */
-function detectLanguage(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const langMap = {
-    ".cs": "csharp",
-    ".js": "javascript",
-    ".ts": "typescript",
-    ".vue": "vue",
-    ".json": "json",
-    ".md": "markdown",
-    ".sql": "sql",
-    ".html": "html",
-    ".css": "css",
-    ".scss": "scss",
-    ".xml": "xml",
-    ".yaml": "yaml",
-    ".yml": "yaml",
-    ".sh": "bash",
-    ".py": "python",
-    ".jsx": "jsx",
-    ".tsx": "tsx",
-  };
-  return langMap[ext] || "text";
+ * Format an estimated token count
+ * @param {number} tokens - Estimated tokens
+ * @returns {string} Formatted count (e.g., "~6.8k tok", "~950 tok")
+ */
+function formatTokens(tokens) {
+  return tokens >= 1000
+    ? `~${(tokens / 1000).toFixed(1)}k tok`
+    : `~${tokens} tok`;
+}
+
+/**
+ * Estimate how many LLM tokens a text uses, without a tokenizer
+ * Approximates BPE behavior: common words and indentation are cheap, while
+ * long identifiers, numbers, punctuation runs and non-ASCII text cost more.
+ * Dense code and minified JSON therefore estimate higher per byte than prose.
+ *
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  let tokens = 0;
+  for (const [chunk] of text.matchAll(TOKEN_CHUNK_PATTERN)) {
+    const first = chunk.charCodeAt(0);
+    if (/^[A-Za-z]/.test(chunk)) {
+      // camelCase/PascalCase parts tokenize separately
+      for (const part of chunk.split(/(?<=[a-z])(?=[A-Z])/)) {
+        tokens += Math.ceil(part.length / 6);
+      }
+    } else if (/^\d/.test(chunk)) {
+      tokens += Math.ceil(chunk.length / 3);
+    } else if (chunk === " ") {
+      // Single spaces merge into the following word
+    } else if (chunk[0] === "\n" || first === 32 || first === 9) {
+      tokens += Math.ceil(chunk.length / 16);
+    } else if (first > 0x7f) {
+      tokens += 1;
+    } else {
+      tokens += Math.ceil(chunk.length / 3);
+    }
+  }
+  return tokens;
 }
 
 // ============================================================================
@@ -84,461 +317,6485 @@ function detectLanguage(filePath) {
  * - "path/to/file.cs" (full file)
  * - "path/to/file.cs:100-200" (line range)
  * - "path/to/file.cs:1-30,100-150" (multiple ranges)
- * - "path/to/file.cs:diff" (git diff vs master)
+ * - "path/to/file.cs:diff" (git diff vs the default branch)
  * - "path/to/file.cs:diff=master..HEAD" (git diff with range)
+ * - "path/to/file.cs:diff=staged,w" (git diff mode with options)
+ * - "path/to/file.ts:symbol=AuthService.refresh" (named declaration)
+ * - "path/to/file.ts:outline" (signatures with bodies collapsed)
+ * - "path/to/file.ts:outline=refresh" (outline with named symbols in full)
+ * - "path/to/file.ts:log=5,body" (recent commits touching the file)
+ * - "path/to/file.ts:blame=10-50" (lines annotated with commit and age)
+ * - "test-output.log:trace" (code around the frames of a stack trace)
+ * - "-:trace=5" (stack trace from stdin, 5 lines around each frame)
+ * - "path/to/file.ts@v1.2" (file as it existed at a commit, tag or branch)
+ * - "path/to/file.ts@HEAD~3:10-50" (ranges and symbols work at a ref too)
+ *
+ * A path that exists on disk with "@" in its name is never split.
  *
  * @param {string} fileArg - File argument from command line
- * @returns {{filePath: string, rangeStr: string|null}} Parsed components
+ * @returns {{filePath: string, rangeStr: string|null, ref: string|null}} Parsed components
  */
 function parseFileArgument(fileArg) {
   const rangeMatch = fileArg.match(FILE_ARG_PATTERN);
+  const pathPart = rangeMatch ? rangeMatch[1] : fileArg;
+  const rangeStr = rangeMatch ? rangeMatch[2] : null;
 
-  if (rangeMatch) {
-    return {
-      filePath: rangeMatch[1],
-      rangeStr: rangeMatch[2],
-    };
+  const refMatch = pathPart.match(FILE_REF_PATTERN);
+  if (refMatch && !fs.existsSync(path.resolve(process.cwd(), pathPart))) {
+    return { filePath: refMatch[1], rangeStr, ref: refMatch[2] };
   }
 
-  return {
-    filePath: fileArg,
-    rangeStr: null,
-  };
+  return { filePath: pathPart, rangeStr, ref: null };
+}
+
+/**
+ * Get the command of a "cmd:" argument
+ * Quotes around the whole command are dropped, so cmd:"npm test" and
+ * cmd:npm test run the same command.
+ *
+ * @param {string} fileArg - File argument from command line or config
+ * @returns {string|null} Command line (empty if none was given), or null for other arguments
+ */
+function parseCommandArg(fileArg) {
+  if (!fileArg.startsWith(COMMAND_PREFIX)) {
+    return null;
+  }
+  const command = fileArg.slice(COMMAND_PREFIX.length).trim();
+  const quoted = command.match(/^(["'])(.*)\1$/s);
+  return (quoted ? quoted[2] : command).trim();
 }
 
 // ============================================================================
-// Git Operations
+// Glob and Directory Expansion
 // ============================================================================
 
 /**
- * Check if current directory is in a git repository
- * @throws {Error} If not in a git repository
+ * Convert path separators to forward slashes for pattern matching
+ * @param {string} filePath - Path to normalize
+ * @returns {string} Path using "/" separators
  */
-function validateGitRepository() {
-  try {
-    execSync("git rev-parse --git-dir", { stdio: "pipe" });
-  } catch {
-    throw new Error("Not in a git repository");
-  }
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join("/");
 }
 
 /**
- * Split git diff range into individual refs for validation
- * @param {string} diffRange - Git range (e.g., "master", "master..HEAD", "HEAD~3")
- * @returns {string[]} Array of git refs to validate
+ * Check if a path contains glob characters
+ * @param {string} filePath - Path to check
+ * @returns {boolean} True if path is a glob pattern
  */
-function splitGitRefs(diffRange) {
-  return diffRange.includes("..")
-    ? diffRange.split("..").filter((r) => r)
-    : [diffRange];
+function isGlobPattern(filePath) {
+  return GLOB_CHARS_PATTERN.test(filePath);
 }
 
 /**
- * Validate that git references exist
- * @param {string[]} refs - Array of git refs to validate
- * @throws {Error} If any ref is invalid
+ * Convert a glob pattern into a regular expression
+ * Supports: "*", "**", "?", "[abc]", "[!abc]", "{a,b}"
+ *
+ * @param {string} pattern - Glob pattern using "/" separators
+ * @returns {RegExp} Anchored regular expression
  */
-function validateGitRefs(refs) {
-  for (const ref of refs) {
-    try {
-      execSync(`git rev-parse --verify ${ref}`, { stdio: "pipe" });
-    } catch {
-      throw new Error(`Invalid git reference: ${ref}`);
+function globToRegExp(pattern) {
+  let regex = "";
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        const atSegmentStart = i === 0 || pattern[i - 1] === "/";
+        const atSegmentEnd = i + 2 === pattern.length || pattern[i + 2] === "/";
+        if (atSegmentStart && pattern[i + 2] === "/") {
+          // "**/" matches zero or more directories
+          regex += "(?:.*/)?";
+          i += 2;
+        } else if (atSegmentStart && atSegmentEnd) {
+          regex += ".*";
+          i += 1;
+        } else {
+          regex += "[^/]*";
+          i += 1;
+        }
+      } else {
+        regex += "[^/]*";
+      }
+    } else if (char === "?") {
+      regex += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i + 1);
+      if (end === -1) {
+        regex += "\\[";
+      } else {
+        let set = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+        if (set.startsWith("!")) {
+          set = "^" + set.slice(1);
+        }
+        regex += `[${set}]`;
+        i = end;
+      }
+    } else if (char === "{") {
+      braceDepth++;
+      regex += "(?:";
+    } else if (char === "}" && braceDepth > 0) {
+      braceDepth--;
+      regex += ")";
+    } else if (char === "," && braceDepth > 0) {
+      regex += "|";
+    } else {
+      regex += char.replace(/[.+^${}()|\\/]/g, "\\$&");
     }
   }
+
+  return new RegExp(`^${regex}$`);
 }
 
 /**
- * Parse diff specification from range string
- * @param {string|null} specStr - Diff specification (e.g., "diff", "diff=master..HEAD")
- * @returns {{type: string, range: string}|null} Parsed diff spec or null
+ * Get the static directory prefix of a glob pattern (segments before the first glob)
+ * @param {string} pattern - Glob pattern using "/" separators
+ * @returns {string} Directory prefix ("" if the pattern starts with a glob)
  */
-function parseDiffSpec(specStr) {
-  if (!specStr) {
-    return null;
+function getGlobBase(pattern) {
+  const segments = pattern.split("/");
+  const staticSegments = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (isGlobPattern(segment)) {
+      break;
+    }
+    staticSegments.push(segment);
   }
+  return staticSegments.join("/");
+}
 
-  if (specStr === "diff") {
-    return { type: "diff", range: "master" };
+/**
+ * Check if a directory is inside a git work tree
+ * @param {string} dir - Absolute directory path
+ * @returns {boolean} True if inside a git work tree
+ */
+function isInsideGitWorkTree(dir) {
+  try {
+    const result = execSync("git rev-parse --is-inside-work-tree", {
+      cwd: dir,
+      encoding: "utf8",
+      stdio: "pipe",
+    });
+    return result.trim() === "true";
+  } catch {
+    return false;
   }
+}
+
+/**
+ * Check if a relative path passes through a default-ignored directory
+ * @param {string} relativePath - Path relative to the listing root ("/" separators)
+ * @returns {boolean} True if the path should be skipped
+ */
+function isInIgnoredDir(relativePath) {
+  const segments = relativePath.split("/").slice(0, -1);
+  return segments.some((segment) => DEFAULT_IGNORED_DIRS.has(segment));
+}
 
-  const match = specStr.match(/^diff=(.+)$/);
-  if (match) {
-    return { type: "diff", range: match[1] };
+/**
+ * Recursively list files in a directory, skipping default-ignored directories
+ * @param {string} dir - Absolute directory path
+ * @returns {string[]} Paths relative to dir ("/" separators)
+ */
+function walkDirectory(dir) {
+  const files = [];
+  const pending = [""];
+
+  while (pending.length > 0) {
+    const relativeDir = pending.pop();
+    const entries = fs.readdirSync(path.join(dir, relativeDir), {
+      withFileTypes: true,
+    });
+    for (const entry of entries) {
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+      if (entry.isDirectory()) {
+        if (!DEFAULT_IGNORED_DIRS.has(entry.name)) {
+          pending.push(relativePath);
+        }
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
   }
 
-  return null;
+  return files;
 }
 
 /**
- * Read git diff content for a file
- * @param {string} filePath - Absolute path to the file
- * @param {string} diffRange - Git range (e.g., "master", "master..HEAD", "HEAD~3")
- * @returns {string} Unified diff output
- * @throws {Error} If git operations fail
+ * List all files below a directory, honoring .gitignore when inside a git repository
+ * @param {string} dir - Absolute directory path
+ * @returns {string[]} Paths relative to dir ("/" separators)
  */
-function readDiffContent(filePath, diffRange) {
-  try {
-    validateGitRepository();
+function listFiles(dir) {
+  if (!isInsideGitWorkTree(dir)) {
+    return walkDirectory(dir);
+  }
 
-    // Validate all refs in the range
-    const refs = splitGitRefs(diffRange);
-    validateGitRefs(refs);
+  // Tracked plus untracked-but-not-ignored files
+  const output = execSync(
+    "git ls-files -z --cached --others --exclude-standard -- .",
+    { cwd: dir, encoding: "utf8", stdio: "pipe", maxBuffer: GIT_MAX_BUFFER }
+  );
+
+  const unique = new Set(output.split("\0").filter((f) => f));
+  return [...unique].filter(
+    (relativePath) =>
+      !isInIgnoredDir(relativePath) &&
+      fs
+        .statSync(path.join(dir, relativePath), {
+          throwIfNoEntry: false,
+        })
+        ?.isFile()
+  );
+}
 
-    // Get relative path from git root for git diff
-    const gitRoot = execSync("git rev-parse --show-toplevel", {
-      encoding: "utf8",
-    }).trim();
-    const relativePath = path.relative(gitRoot, filePath);
+/**
+ * Get the directory whose files are searched for dependencies and tests
+ * @returns {string} Git work tree root, or the current directory outside git
+ */
+function getProjectRoot() {
+  return isInsideGitWorkTree(process.cwd()) ? getGitRoot() : process.cwd();
+}
 
-    // Execute git diff
-    const diffCommand = diffRange.includes("..")
-      ? `git diff ${diffRange} -- "${relativePath}"`
-      : `git diff ${diffRange} -- "${relativePath}"`;
+/**
+ * Check whether a path names an existing directory
+ * @param {string} absolutePath - Absolute path
+ * @returns {boolean} True for a directory
+ */
+function isExistingDirectory(absolutePath) {
+  return fs.existsSync(absolutePath) && fs.statSync(absolutePath).isDirectory();
+}
 
-    return execSync(diffCommand, {
-      encoding: "utf8",
-      cwd: gitRoot,
-    });
-  } catch (error) {
-    // Re-throw with context
-    if (
-      error.message.includes("Not in a git repository") ||
-      error.message.includes("Invalid git reference")
-    ) {
-      throw error;
-    }
-    throw new Error(`Git diff failed: ${error.message}`);
+/**
+ * Resolve a pattern (glob or directory) into matching absolute file paths
+ * A directory whose name holds glob characters (e.g., "app/[id]") is read
+ * as a directory.
+ *
+ * @param {string} pattern - Glob pattern or directory path
+ * @returns {string[]} Sorted absolute file paths
+ */
+function resolvePattern(pattern) {
+  const posixPattern = toPosixPath(pattern);
+  const absolutePattern = path.isAbsolute(pattern)
+    ? posixPattern
+    : toPosixPath(path.resolve(process.cwd(), pattern));
+
+  // Plain directory: every file below it
+  if (!isGlobPattern(pattern) || isExistingDirectory(absolutePattern)) {
+    return listFiles(absolutePattern)
+      .map((f) => path.join(absolutePattern, f))
+      .sort();
   }
-}
 
-// ============================================================================
-// Line Range Operations
-// ============================================================================
+  const base = getGlobBase(absolutePattern) || "/";
+  if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) {
+    return [];
+  }
+
+  const matcher = globToRegExp(absolutePattern);
+  return listFiles(base)
+    .map((f) => toPosixPath(path.join(base, f)))
+    .filter((f) => matcher.test(f))
+    .map((f) => path.normalize(f))
+    .sort();
+}
 
 /**
- * Parse line range string into structured format
- * Supports: "10-20", "10:20", "10-20,50-60,100-150"
+ * Create a test for the paths a negated pattern removes
+ * Existing paths are taken literally, so "!app/[id]" removes that directory
+ * rather than "app/i" and "app/d"; a directory removes every file below it.
  *
- * @param {string|null} rangeStr - Line range string
- * @returns {{from: number, to: number}[]|null} Array of range objects or null
- * @throws {Error} If range format is invalid
+ * @param {string} pattern - Pattern without its "!"
+ * @returns {(absolutePath: string) => boolean} Test for absolute POSIX paths
  */
-function parseLineRanges(rangeStr) {
-  if (!rangeStr) {
-    return null;
+function createNegationMatcher(pattern) {
+  const absolutePattern = toPosixPath(path.resolve(process.cwd(), pattern));
+  if (isExistingDirectory(absolutePattern)) {
+    const prefix = absolutePattern.replace(/\/?$/, "/");
+    return (absolutePath) => absolutePath.startsWith(prefix);
+  }
+  if (fs.existsSync(absolutePattern)) {
+    return (absolutePath) => absolutePath === absolutePattern;
   }
+  const matcher = globToRegExp(absolutePattern);
+  return (absolutePath) => matcher.test(absolutePath);
+}
 
-  const ranges = rangeStr.split(",").map((r) => r.trim());
-  const parsed = [];
+/**
+ * Expand glob patterns, directories and negations into concrete file arguments
+ * Supports formats:
+ * - "src/auth/**\/*.ts" (glob, sorted matches)
+ * - "src/auth" (directory, all files recursively)
+ * - "!**\/*.spec.ts" or "!src/auth/legacy" (negation, removes earlier
+ *   matches in the same list)
+ * - "src/auth/**\/*.ts:diff" (range/diff suffix applied to every match)
+ *
+ * Literal file paths pass through unchanged so validation can report them,
+ * and so do "cmd:" arguments. A path that exists is literal even when it
+ * holds glob characters, like the "app/[id]/page.tsx" routes of Next.js.
+ *
+ * @param {string[]} fileArgs - File arguments from command line or config
+ * @returns {{entries: {fileArg: string, argIndex: number, expanded: boolean}[], errors: {fileArg: string, error: string}[]}} Expanded entries (with the index of the argument they came from) and expansion errors
+ */
+function expandFileArgs(fileArgs) {
+  const entries = [];
+  const errors = [];
+
+  for (const [argIndex, source] of fileArgs.entries()) {
+    // Commands are not paths, even when they hold glob characters
+    if (parseCommandArg(source) !== null) {
+      entries.push({ fileArg: source, argIndex, expanded: false });
+      continue;
+    }
 
-  for (const range of ranges) {
-    const match = range.match(/^(\d+)[-:](\d+)$/);
-    if (!match) {
-      throw new Error(
-        `Invalid line range format: "${range}". Use format "10-20" or "10:20"`
-      );
+    // Negated patterns remove previously collected matches
+    if (source.startsWith("!")) {
+      const matches = createNegationMatcher(source.slice(1));
+      for (let i = entries.length - 1; i >= 0; i--) {
+        if (parseCommandArg(entries[i].fileArg) !== null) {
+          continue;
+        }
+        const { filePath } = parseFileArgument(entries[i].fileArg);
+        const absolutePath = path.resolve(process.cwd(), filePath);
+        if (matches(toPosixPath(absolutePath))) {
+          entries.splice(i, 1);
+        }
+      }
+      continue;
     }
 
-    const from = parseInt(match[1], 10);
-    const to = parseInt(match[2], 10);
+    const { filePath, rangeStr, ref } = parseFileArgument(source);
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    const isDirectory = isExistingDirectory(absolutePath);
+    const isPattern =
+      isGlobPattern(filePath) && !isDirectory && !fs.existsSync(absolutePath);
+
+    // Patterns expand against the working tree, not the ref
+    if (ref && (isPattern || isDirectory)) {
+      errors.push({
+        fileArg: source,
+        error: `Globs and directories can't be read at a ref (@${ref}). List the files individually`,
+      });
+      continue;
+    }
 
-    if (from < 1) {
-      throw new Error(`Line numbers must be >= 1, got ${from}`);
+    if (!isPattern && !isDirectory) {
+      entries.push({ fileArg: source, argIndex, expanded: false });
+      continue;
     }
 
-    if (to < from) {
-      throw new Error(`End line (${to}) must be >= start line (${from})`);
+    let matches;
+    try {
+      matches = resolvePattern(filePath);
+    } catch (error) {
+      errors.push({
+        fileArg: source,
+        error: `Failed to expand pattern: ${error.message}`,
+      });
+      continue;
     }
 
-    parsed.push({ from, to });
+    if (matches.length === 0) {
+      errors.push({
+        fileArg: source,
+        error: isDirectory
+          ? `Directory contains no files (after .gitignore and default excludes): ${absolutePath}`
+          : `Pattern matched no files: ${filePath}\n  Current directory: ${process.cwd()}`,
+      });
+      continue;
+    }
+
+    const seen = new Set(entries.map((e) => e.fileArg));
+    for (const match of matches) {
+      const relativeMatch = path.isAbsolute(filePath)
+        ? match
+        : path.relative(process.cwd(), match);
+      const fileArg = rangeStr ? `${relativeMatch}:${rangeStr}` : relativeMatch;
+      if (!seen.has(fileArg)) {
+        seen.add(fileArg);
+        entries.push({ fileArg, argIndex, expanded: true });
+      }
+    }
   }
 
-  return parsed;
+  return { entries, errors };
 }
 
+// ============================================================================
+// Git Operations
+// ============================================================================
+
 /**
- * Read file content and optionally extract line ranges
- * @param {string} filePath - Absolute path to file
- * @param {{from: number, to: number}[]|null} lineRanges - Line ranges to extract
- * @returns {string} File content (full or extracted ranges)
- * @throws {Error} If line ranges exceed file length
+ * Check if current directory is in a git repository
+ * @throws {Error} If not in a git repository
  */
-function readFileContent(filePath, lineRanges) {
-  const content = fs.readFileSync(filePath, "utf8");
-
-  if (!lineRanges || lineRanges.length === 0) {
-    return content;
+function validateGitRepository() {
+  try {
+    execSync("git rev-parse --git-dir", { stdio: "pipe" });
+  } catch {
+    throw new Error("Not in a git repository");
   }
+}
 
-  const lines = content.split("\n");
-  const totalLines = lines.length;
-  const extractedSegments = [];
+/**
+ * Get the root directory of the current git work tree
+ * @returns {string} Absolute path to the repository root
+ */
+function getGitRoot() {
+  return execSync("git rev-parse --show-toplevel", {
+    encoding: "utf8",
+  }).trim();
+}
 
-  for (const range of lineRanges) {
-    if (range.from > totalLines) {
-      throw new Error(
-        `Start line ${range.from} exceeds file length (${totalLines} lines)`
-      );
-    }
+/**
+ * Get the name of the checked-out branch
+ * @returns {string} Branch name ("HEAD" when detached)
+ */
+function getCurrentBranch() {
+  return execSync("git rev-parse --abbrev-ref HEAD", {
+    encoding: "utf8",
+    stdio: "pipe",
+  }).trim();
+}
+
+/**
+ * Get the git files whose changes move diffs and change lists: HEAD, the
+ * index, and the refs of the checked-out branch
+ * @returns {string[]} Absolute paths (empty outside a git repository)
+ */
+function getGitStateFiles() {
+  let gitDir;
+  let commonDir;
+  try {
+    [gitDir, commonDir] = execSync(
+      "git rev-parse --path-format=absolute --git-dir --git-common-dir",
+      { encoding: "utf8", stdio: "pipe" }
+    )
+      .trim()
+      .split("\n");
+  } catch {
+    return [];
+  }
 
-    const endLine = Math.min(range.to, totalLines);
-    const segment = lines.slice(range.from - 1, endLine);
-    extractedSegments.push(segment.join("\n"));
+  const files = [
+    path.join(gitDir, "HEAD"),
+    path.join(gitDir, "index"),
+    path.join(commonDir, "packed-refs"),
+  ];
+  const branch = getCurrentBranch();
+  if (branch !== "HEAD") {
+    files.push(path.join(commonDir, "refs", "heads", ...branch.split("/")));
   }
+  return files;
+}
 
-  return extractedSegments.join("\n\n");
+/**
+ * Check whether a ref resolves to a commit
+ * @param {string} ref - Git ref
+ * @returns {boolean} True if the ref exists
+ */
+function refExists(ref) {
+  try {
+    execFileSync(
+      "git",
+      ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`],
+      {
+        stdio: "pipe",
+      }
+    );
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-// ============================================================================
-// Output Formatting
-// ============================================================================
+/** Default branch detected by getDefaultBranch (undefined until looked up) */
+let detectedDefaultBranch;
 
 /**
- * Format file content as markdown code block
- * @param {string} filePath - Path to file
- * @param {string} language - Language for syntax highlighting
- * @param {string} content - File content
- * @param {{from: number, to: number}[]|null} lineRanges - Line ranges (for display)
- * @returns {string} Formatted markdown code block
+ * Detect the repository's default branch
+ * Uses origin/HEAD (preferring the local branch of the same name), then
+ * falls back to main and master.
+ *
+ * @returns {string|null} Branch name, or null if none could be found
  */
-function formatCodeBlock(filePath, language, content, lineRanges) {
-  let lineRangeStr = "";
-  if (lineRanges && lineRanges.length > 0) {
-    const rangeStrings = lineRanges.map((r) => `${r.from}-${r.to}`);
-    lineRangeStr = ` (lines ${rangeStrings.join(", ")})`;
+function getDefaultBranch() {
+  if (detectedDefaultBranch !== undefined) {
+    return detectedDefaultBranch;
+  }
+
+  let branch = null;
+  try {
+    const remoteHead = execSync(
+      "git symbolic-ref --quiet refs/remotes/origin/HEAD",
+      { encoding: "utf8", stdio: "pipe" }
+    ).trim();
+    const name = remoteHead.replace(/^refs\/remotes\/origin\//, "");
+    branch = refExists(name) ? name : `origin/${name}`;
+  } catch {
+    // No origin/HEAD (no remote, or never fetched)
   }
 
-  return `# File: ${filePath}${lineRangeStr}
-\`\`\`${language}
-${content}
-\`\`\``;
+  detectedDefaultBranch =
+    branch || ["main", "master"].find((name) => refExists(name)) || null;
+  return detectedDefaultBranch;
 }
 
 /**
- * Format git diff output as markdown code block
- * @param {string} filePath - Path to file
- * @param {string} diffContent - Git diff output
- * @param {string} diffRange - Git range for display
- * @returns {string} Formatted markdown diff block
+ * Check whether a file exists at a git ref
+ * @param {string} filePath - Absolute path to the file
+ * @param {string} ref - Git ref (e.g., "main", "HEAD~3"); "" for the index
+ * @returns {boolean} True if the ref contains the file
  */
-function formatDiffBlock(filePath, diffContent, diffRange) {
-  return `# File: ${filePath} (diff=${diffRange})
-\`\`\`diff
-${diffContent}
-\`\`\``;
+function existsAtRef(filePath, ref) {
+  try {
+    const relativePath = toPosixPath(path.relative(getGitRoot(), filePath));
+    execFileSync("git", ["cat-file", "-e", `${ref}:${relativePath}`], {
+      stdio: "pipe",
+    });
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-// ============================================================================
-// File Validation
-// ============================================================================
-
 /**
- * Validate file argument without processing it
- * Checks file existence, git refs, and line ranges
- *
- * @param {string} fileArg - File argument from command line
- * @returns {{valid: boolean, fileArg?: string, error?: string}} Validation result
+ * Read a file as it exists at a git ref
+ * @param {string} filePath - Absolute path to the file
+ * @param {string} ref - Git ref (e.g., "v1.2", "HEAD~3"); "" for the index
+ * @returns {{text: string|null, binary: boolean, bytes: number}} Decoded content at the ref
+ * @throws {Error} If the ref doesn't contain the file
  */
-function validateFile(fileArg) {
-  const { filePath: parsedPath, rangeStr } = parseFileArgument(fileArg);
+function readFileAtRef(filePath, ref) {
+  const gitRoot = getGitRoot();
+  const relativePath = toPosixPath(path.relative(gitRoot, filePath));
+  return decodeContent(
+    execFileSync("git", ["show", `${ref}:${relativePath}`], {
+      cwd: gitRoot,
+      stdio: ["pipe", "pipe", "pipe"],
+      maxBuffer: GIT_MAX_BUFFER,
+    })
+  );
+}
 
-  // Resolve to absolute path
-  const filePath = path.isAbsolute(parsedPath)
-    ? parsedPath
-    : path.resolve(process.cwd(), parsedPath);
+/**
+ * Resolve a ref to the short SHA of its commit
+ * @param {string} ref - Git ref (e.g., "v1.2")
+ * @returns {string} Short commit SHA
+ */
+function resolveShortSha(ref) {
+  return execFileSync("git", ["rev-parse", "--short", `${ref}^{commit}`], {
+    encoding: "utf8",
+    stdio: ["pipe", "pipe", "pipe"],
+  }).trim();
+}
 
-  // Check if file exists
-  if (!fs.existsSync(filePath)) {
-    const cwd = process.cwd();
-    const suggestion = getSuggestion(filePath);
-    return {
-      valid: false,
-      fileArg,
-      error: `File not found: ${filePath}\n  Current directory: ${cwd}${suggestion}`,
-    };
+/**
+ * Check whether git tracks a file (it is in the index)
+ * @param {string} filePath - Absolute path to the file
+ * @returns {boolean} True if the file is tracked
+ */
+function isTracked(filePath) {
+  try {
+    execFileSync("git", ["ls-files", "--error-unmatch", "--", filePath], {
+      stdio: "pipe",
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a diff spec compares against the working tree
+ * @param {object} diffSpec - Parsed diff spec
+ * @returns {boolean} True for worktree specs and single-ref specs
+ */
+function comparesWorkingTree(diffSpec) {
+  return (
+    diffSpec.mode === "worktree" ||
+    (diffSpec.mode === "range" && !diffSpec.range.includes(".."))
+  );
+}
+
+/**
+ * Check whether a file was deleted within a diff spec
+ * @param {string} filePath - Absolute path to the file
+ * @param {object} diffSpec - Parsed diff spec
+ * @returns {boolean} True if the base side has the file and the target doesn't
+ */
+function isDeletedSince(filePath, diffSpec) {
+  if (diffSpec.mode === "staged") {
+    return existsAtRef(filePath, "HEAD") && !existsAtRef(filePath, "");
+  }
+  if (diffSpec.mode === "worktree") {
+    return existsAtRef(filePath, "") && !fs.existsSync(filePath);
+  }
+  if (!diffSpec.range) {
+    return false;
+  }
+
+  const [base, target] = diffSpec.range.split(/\.{2,3}/);
+  if (!existsAtRef(filePath, base || "HEAD")) {
+    return false;
+  }
+  return target ? !existsAtRef(filePath, target) : !fs.existsSync(filePath);
+}
+
+/**
+ * Split git diff range into individual refs for validation
+ * @param {string} diffRange - Git range (e.g., "main", "main..HEAD", "main...HEAD")
+ * @returns {string[]} Array of git refs to validate
+ */
+function splitGitRefs(diffRange) {
+  return diffRange.split(/\.{2,3}/).filter((r) => r);
+}
+
+/**
+ * Validate that git references exist
+ * @param {string[]} refs - Array of git refs to validate
+ * @throws {Error} If any ref is invalid
+ */
+function validateGitRefs(refs) {
+  for (const ref of refs) {
+    try {
+      execFileSync("git", ["rev-parse", "--verify", ref], { stdio: "pipe" });
+    } catch {
+      throw new Error(`Invalid git reference: ${ref}`);
+    }
+  }
+}
+
+/**
+ * Apply one per-spec diff option (e.g., "w", "context=10", "W")
+ * @param {string} option - Option text
+ * @param {object} options - Options object to update
+ * @throws {Error} If the option is unknown
+ */
+function applyDiffOption(option, options) {
+  const context = option.match(/^(?:U|context=)(\d+)$/);
+  if (option === "w" || option === "ignore-whitespace") {
+    options.ignoreWhitespace = true;
+  } else if (option === "b" || option === "ignore-space-change") {
+    options.ignoreSpaceChange = true;
+  } else if (option === "W" || option === "function-context") {
+    options.functionContext = true;
+  } else if (context) {
+    options.context = parseInt(context[1], 10);
+  } else {
+    throw new Error(
+      `Unknown diff option "${option}". Use w (ignore whitespace), b (ignore space changes), context=N, W (function context)`
+    );
+  }
+}
+
+/**
+ * Parse diff specification from range string
+ * Forms: "diff" (vs default branch), "diff=main", "diff=main..HEAD",
+ * "diff=main...HEAD" (since merge-base), "diff=staged", "diff=worktree",
+ * with options after commas: "diff=main,w,context=10", "diff,W".
+ *
+ * @param {string|null} specStr - Diff specification
+ * @returns {{type: string, mode: "range"|"staged"|"worktree", range: string|null, defaulted: boolean, options: object, text: string}|null} Parsed diff spec or null
+ * @throws {Error} If a diff option is unknown
+ */
+function parseDiffSpec(specStr) {
+  const match = specStr ? specStr.match(/^diff(?:([=,])(.*))?$/) : null;
+  if (!match) {
+    return null;
+  }
+
+  // After "=", the first part is the target; "diff,w" keeps the default
+  const parts = match[2] !== undefined ? match[2].split(",") : [];
+  const [target, ...optionParts] = match[1] === "=" ? parts : ["", ...parts];
+
+  const options = {};
+  for (const option of optionParts.filter((o) => o)) {
+    applyDiffOption(option, options);
+  }
+
+  const spec = { type: "diff", options, text: specStr, defaulted: false };
+  if (target === "staged" || target === "cached") {
+    return { ...spec, mode: "staged", range: null };
+  }
+  if (target === "worktree") {
+    return { ...spec, mode: "worktree", range: null };
+  }
+  if (!target) {
+    return {
+      ...spec,
+      mode: "range",
+      range: getDefaultBranch(),
+      defaulted: true,
+    };
+  }
+  return { ...spec, mode: "range", range: target };
+}
+
+/**
+ * Validate that a diff spec can run: git repository, default branch, refs
+ * @param {object} diffSpec - Parsed diff spec
+ * @throws {Error} If the spec can't be compared
+ */
+function validateDiffSpec(diffSpec) {
+  validateGitRepository();
+  if (diffSpec.mode !== "range") {
+    return;
+  }
+  if (!diffSpec.range) {
+    throw new Error(
+      "Could not detect the default branch (no origin/HEAD, main or master). Use diff=<ref>"
+    );
+  }
+  validateGitRefs(splitGitRefs(diffSpec.range));
+}
+
+/**
+ * Get git diff flags for per-spec options
+ * @param {object} options - Options from parseDiffSpec
+ * @returns {string[]} Flags (e.g., ["-w", "-U10"])
+ */
+function getDiffFlags(options) {
+  return [
+    options.ignoreWhitespace ? "-w" : "",
+    options.ignoreSpaceChange ? "-b" : "",
+    options.context !== undefined ? `-U${options.context}` : "",
+    options.functionContext ? "--function-context" : "",
+  ].filter((flag) => flag);
+}
+
+/**
+ * Describe exactly what a diff spec compares, for block headers
+ * @param {object} diffSpec - Parsed diff spec
+ * @param {string} filePath - Absolute path to the file
+ * @returns {string} Description (e.g., "diff=main...HEAD: HEAD vs merge-base with main (1a2b3c4)")
+ */
+function describeDiff(diffSpec, filePath) {
+  let description;
+  if (
+    comparesWorkingTree(diffSpec) &&
+    fs.existsSync(filePath) &&
+    !isTracked(filePath)
+  ) {
+    description = "untracked file, not yet in git";
+  } else if (diffSpec.mode === "staged") {
+    description = "staged changes, index vs HEAD";
+  } else if (diffSpec.mode === "worktree") {
+    description = "unstaged changes, working tree vs index";
+  } else if (diffSpec.range.includes("...")) {
+    const [base, target = "HEAD"] = diffSpec.range.split("...");
+    let mergeBase = "";
+    try {
+      mergeBase = execFileSync("git", ["merge-base", base || "HEAD", target], {
+        encoding: "utf8",
+        stdio: "pipe",
+      })
+        .trim()
+        .slice(0, 7);
+    } catch {
+      // Unrelated histories; git diff reports the error itself
+    }
+    description = `${target} vs merge-base with ${base || "HEAD"}${mergeBase ? ` (${mergeBase})` : ""}`;
+  } else if (diffSpec.range.includes("..")) {
+    const [base, target = "HEAD"] = diffSpec.range.split("..");
+    description = `${target} vs ${base || "HEAD"}`;
+  } else {
+    description = `working tree vs ${diffSpec.range}${diffSpec.defaulted ? " (default branch)" : ""}`;
+  }
+
+  const notes = [
+    diffSpec.options.ignoreWhitespace ? "ignoring whitespace" : "",
+    diffSpec.options.ignoreSpaceChange ? "ignoring space changes" : "",
+    diffSpec.options.context !== undefined
+      ? `${diffSpec.options.context} context lines`
+      : "",
+    diffSpec.options.functionContext ? "function context" : "",
+  ].filter((note) => note);
+
+  return [`${diffSpec.text}: ${description}`, ...notes].join("; ");
+}
+
+/**
+ * Read git diff content for a file
+ * Untracked files are diffed against nothing so new work shows up too.
+ *
+ * @param {string} filePath - Absolute path to the file
+ * @param {object} diffSpec - Parsed diff spec from parseDiffSpec
+ * @param {string|null} [oldFilePath] - Previous path of a renamed file
+ * @returns {string} Unified diff output
+ * @throws {Error} If git operations fail
+ */
+function readDiffContent(filePath, diffSpec, oldFilePath = null) {
+  try {
+    validateDiffSpec(diffSpec);
+
+    // Get relative path from git root for git diff
+    const gitRoot = getGitRoot();
+    const relativePath = path.relative(gitRoot, filePath);
+    const flags = getDiffFlags(diffSpec.options);
+
+    if (
+      comparesWorkingTree(diffSpec) &&
+      fs.existsSync(filePath) &&
+      !isTracked(filePath)
+    ) {
+      try {
+        execFileSync(
+          "git",
+          ["diff", "--no-index", ...flags, "--", "/dev/null", relativePath],
+          {
+            encoding: "utf8",
+            cwd: gitRoot,
+            stdio: "pipe",
+            maxBuffer: GIT_MAX_BUFFER,
+          }
+        );
+        return "";
+      } catch (error) {
+        // --no-index exits with 1 when the files differ
+        if (error.status === 1 && typeof error.stdout === "string") {
+          return error.stdout;
+        }
+        throw error;
+      }
+    }
+
+    // Execute git diff; renames need both paths for rename detection
+    const source =
+      diffSpec.mode === "staged"
+        ? "--cached"
+        : diffSpec.mode === "worktree"
+          ? ""
+          : diffSpec.range;
+    const paths = oldFilePath
+      ? [path.relative(gitRoot, oldFilePath), relativePath]
+      : [relativePath];
+    const diffArgs = [
+      "diff",
+      oldFilePath ? "-M" : "",
+      ...flags,
+      source,
+      "--",
+    ].filter((part) => part);
+
+    return execFileSync("git", [...diffArgs, ...paths], {
+      encoding: "utf8",
+      cwd: gitRoot,
+      maxBuffer: GIT_MAX_BUFFER,
+    });
+  } catch (error) {
+    // Re-throw with context
+    if (
+      error.message.includes("Not in a git repository") ||
+      error.message.includes("Invalid git reference") ||
+      error.message.includes("default branch")
+    ) {
+      throw error;
+    }
+    throw new Error(`Git diff failed: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// Line Range Operations
+// ============================================================================
+
+/**
+ * Parse line range string into structured format
+ * Supports: "10-20", "10:20", "10-20,50-60,100-150"
+ *
+ * @param {string|null} rangeStr - Line range string
+ * @returns {{from: number, to: number}[]|null} Array of range objects or null
+ * @throws {Error} If range format is invalid
+ */
+function parseLineRanges(rangeStr) {
+  if (!rangeStr) {
+    return null;
+  }
+
+  const ranges = rangeStr.split(",").map((r) => r.trim());
+  const parsed = [];
+
+  for (const range of ranges) {
+    const match = range.match(/^(\d+)[-:](\d+)$/);
+    if (!match) {
+      throw new Error(
+        `Invalid line range format: "${range}". Use format "10-20" or "10:20"`
+      );
+    }
+
+    const from = parseInt(match[1], 10);
+    const to = parseInt(match[2], 10);
+
+    if (from < 1) {
+      throw new Error(`Line numbers must be >= 1, got ${from}`);
+    }
+
+    if (to < from) {
+      throw new Error(`End line (${to}) must be >= start line (${from})`);
+    }
+
+    parsed.push({ from, to });
+  }
+
+  return parsed;
+}
+
+/**
+ * Format the marker shown in place of omitted lines
+ * @param {number} from - First omitted line
+ * @param {number} to - Last omitted line
+ * @returns {string} Marker (e.g., "… lines 31–85 omitted …")
+ */
+function formatOmission(from, to) {
+  return from === to
+    ? `… line ${from} omitted …`
+    : `… lines ${from}–${to} omitted …`;
+}
+
+/**
+ * Prefix a line with its original line number
+ * @param {number|string} lineNumber - Line number ("" for a line without one)
+ * @param {number} width - Width of the widest number shown
+ * @param {string} line - Line text
+ * @returns {string} Numbered line (e.g., " 42 | return token;")
+ */
+function numberLine(lineNumber, width, line) {
+  const number = String(lineNumber).padStart(width);
+  // Only the separator's padding is trimmed; the line is kept byte for byte
+  return line === "" ? `${number} |` : `${number} | ${line}`;
+}
+
+/**
+ * Read and decode a file from disk (BOMs dropped, CRLF as LF, UTF-16 decoded)
+ * @param {string} filePath - Absolute path to file
+ * @returns {{text: string|null, binary: boolean, bytes: number}} Decoded content
+ */
+function readSourceFile(filePath) {
+  return decodeContent(fs.readFileSync(filePath));
+}
+
+/**
+ * Get the text of decoded content that must not be binary
+ * @param {{text: string|null, binary: boolean}} decoded - Content from decodeContent
+ * @returns {string} Text
+ * @throws {Error} If the content is binary
+ */
+function requireText(decoded) {
+  if (decoded.binary) {
+    throw new Error(
+      "Binary file: line ranges, symbols and blame need a text file (extract the whole file for a summary)"
+    );
+  }
+  return decoded.text;
+}
+
+/**
+ * Read a text file from disk
+ * @param {string} filePath - Absolute path to file
+ * @returns {string} Decoded text
+ * @throws {Error} If the file is binary
+ */
+function readTextFile(filePath) {
+  return requireText(readSourceFile(filePath));
+}
+
+/**
+ * Read file content and optionally extract line ranges
+ * Segments are redacted before numbering, so numbers always match the
+ * original file. Lines removed by compaction are skipped; the lines kept
+ * keep their numbers.
+ *
+ * @param {string} filePath - Absolute path to file
+ * @param {{from: number, to: number}[]|null} lineRanges - Line ranges to extract
+ * @param {object} [options] - Options
+ * @param {string|null} [options.source] - Content to slice instead of reading the file (e.g., from a git ref)
+ * @param {boolean} [options.lineNumbers] - Prefix lines with their number and mark omitted lines
+ * @param {(text: string) => string} [options.redact] - Redaction applied to each segment
+ * @param {(string|null)[]|null} [options.compacted] - Lines from compactSource, by original index (null when removed)
+ * @returns {string} File content (full or extracted ranges)
+ * @throws {Error} If line ranges exceed file length
+ */
+function readFileContent(
+  filePath,
+  lineRanges,
+  {
+    source = null,
+    lineNumbers = false,
+    redact = (text) => text,
+    compacted = null,
+  } = {}
+) {
+  const content = source ?? readTextFile(filePath);
+  const lines = compacted ?? content.split("\n");
+  const keptLines = (from, to) =>
+    lines.slice(from - 1, to).filter((line) => line !== null);
+
+  if (!lineNumbers && (!lineRanges || lineRanges.length === 0)) {
+    return redact(compacted ? keptLines(1, lines.length).join("\n") : content);
+  }
+
+  const totalLines = lines.length;
+
+  if (!lineNumbers) {
+    const extractedSegments = [];
+    for (const range of lineRanges) {
+      if (range.from > totalLines) {
+        throw new Error(
+          `Start line ${range.from} exceeds file length (${totalLines} lines)`
+        );
+      }
+
+      const endLine = Math.min(range.to, totalLines);
+      extractedSegments.push(keptLines(range.from, endLine).join("\n"));
+    }
+
+    return redact(extractedSegments.join("\n\n"));
+  }
+
+  // The newline ending the file doesn't start another line
+  const lastLine =
+    content.endsWith("\n") && totalLines > 1 ? totalLines - 1 : totalLines;
+  const ranges =
+    lineRanges && lineRanges.length > 0
+      ? lineRanges
+      : [{ from: 1, to: lastLine }];
+  const width = String(
+    Math.min(Math.max(...ranges.map((r) => r.to)), lastLine)
+  ).length;
+
+  const output = [];
+  let nextLine = 1;
+  for (const range of ranges) {
+    if (range.from > lastLine) {
+      throw new Error(
+        `Start line ${range.from} exceeds file length (${lastLine} lines)`
+      );
+    }
+    if (range.from > nextLine) {
+      output.push(formatOmission(nextLine, range.from - 1));
+    }
+
+    const endLine = Math.min(range.to, lastLine);
+    const numbers = [];
+    for (let number = range.from; number <= endLine; number++) {
+      if (lines[number - 1] !== null) {
+        numbers.push(number);
+      }
+    }
+    if (numbers.length > 0) {
+      const segment = redact(
+        numbers.map((number) => lines[number - 1]).join("\n")
+      );
+      for (const [offset, line] of segment.split("\n").entries()) {
+        const number = numbers[offset] ?? numbers.at(-1) + offset;
+        output.push(numberLine(number, width, line));
+      }
+    }
+    nextLine = Math.max(nextLine, endLine + 1);
+  }
+  if (nextLine <= lastLine) {
+    output.push(formatOmission(nextLine, lastLine));
+  }
+
+  return output.join("\n");
+}
+
+/**
+ * Read file content with compaction transforms applied
+ * Sizes are measured on the rendered content, so they show what the
+ * transforms saved on this extract rather than on the whole file.
+ *
+ * @param {string} filePath - Absolute path to file
+ * @param {{from: number, to: number}[]|null} lineRanges - Line ranges to extract
+ * @param {object} options - Options of readFileContent, plus:
+ * @param {string} options.source - File content
+ * @param {object|null} [options.compact] - Spec from parseCompactSpec (no compaction if null)
+ * @returns {{content: string, compaction: {transforms: string[], before: number, after: number}|null}} Content, and what compaction did (null if nothing changed)
+ */
+function readCompactedContent(
+  filePath,
+  lineRanges,
+  { compact = null, ...options }
+) {
+  if (!compact) {
+    return {
+      content: readFileContent(filePath, lineRanges, options),
+      compaction: null,
+    };
+  }
+  const { lines, applied } = compactSource(options.source, compact, {
+    language: detectLanguage(filePath, options.source),
+    comments: findComments(options.source, filePath),
+  });
+  const content = readFileContent(filePath, lineRanges, {
+    ...options,
+    compacted: lines,
+  });
+  const before = Buffer.byteLength(
+    readFileContent(filePath, lineRanges, options),
+    "utf8"
+  );
+  const after = Buffer.byteLength(content, "utf8");
+  return {
+    content,
+    compaction:
+      applied.length > 0 && after < before
+        ? { transforms: applied, before, after }
+        : null,
+  };
+}
+
+/**
+ * Prefix diff lines with old and new line numbers
+ * The +/-/space marker stays in the first column so diff highlighting
+ * still works; file headers and hunk headers are left as they are.
+ *
+ * @param {string} diffContent - Unified diff
+ * @returns {string} Numbered diff (e.g., "+    42 | return token;")
+ */
+function numberDiffLines(diffContent) {
+  const hunkPattern = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+  let oldLine = null;
+  let newLine = null;
+
+  // First pass: line numbers per line (null outside hunks)
+  const rows = diffContent.split("\n").map((line) => {
+    const hunk = line.match(hunkPattern);
+    if (hunk) {
+      oldLine = Number(hunk[1]);
+      newLine = Number(hunk[2]);
+      return { line };
+    }
+    if (line.startsWith("diff ")) {
+      oldLine = null;
+      newLine = null;
+    }
+    // Empty lines only end the output (git writes context lines with " ")
+    if (oldLine === null || line === "" || line.startsWith("\\")) {
+      return { line };
+    }
+
+    const marker = line[0] || " ";
+    return {
+      marker,
+      text: line.slice(1),
+      oldNumber: marker === "+" ? null : oldLine++,
+      newNumber: marker === "-" ? null : newLine++,
+    };
+  });
+
+  const width = String(Math.max(oldLine || 0, newLine || 0, 1)).length;
+  const pad = (n) => (n === null ? "" : String(n)).padStart(width);
+  return rows
+    .map((row) => {
+      if (row.marker === undefined) {
+        return row.line;
+      }
+      const prefix = `${row.marker}${pad(row.oldNumber)} ${pad(row.newNumber)} |`;
+      return row.text === "" ? prefix : `${prefix} ${row.text}`;
+    })
+    .join("\n");
+}
+
+// ============================================================================
+// Symbol Operations
+// ============================================================================
+
+/**
+ * Parse symbol specification from range string
+ * Supports: "symbol=AuthService", "symbol=AuthService.refresh,TokenStore"
+ *
+ * @param {string|null} specStr - Symbol specification
+ * @returns {string[]|null} Symbol names or null
+ */
+function parseSymbolSpec(specStr) {
+  if (!specStr) {
+    return null;
+  }
+
+  const match = specStr.match(/^symbol=(.+)$/);
+  if (!match) {
+    return null;
+  }
+
+  return match[1]
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name);
+}
+
+/**
+ * Parse outline specification from range string
+ * Supports: "outline", "outline=AuthService.refresh,validate" (symbols
+ * shown in full)
+ *
+ * @param {string|null} specStr - Outline specification
+ * @returns {{expand: string[]}|null} Symbols to show in full, or null if not an outline
+ */
+function parseOutlineSpec(specStr) {
+  const match = specStr?.match(/^outline(?:=(.+))?$/);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    expand: (match[1] || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter((name) => name),
+  };
+}
+
+/**
+ * Render the outline of a file
+ * Lines copied from the file are numbered with their original number;
+ * summaries and placeholders the outline writes get a blank number column.
+ *
+ * @param {string} filePath - Absolute path to file
+ * @param {string} source - File content
+ * @param {{expand: string[]}} outlineSpec - Spec from parseOutlineSpec
+ * @param {object} [options] - Options
+ * @param {boolean} [options.lineNumbers] - Prefix lines with their number
+ * @param {(text: string) => string} [options.redact] - Redaction applied to the outline
+ * @returns {string} Outline
+ * @throws {Error} If the file type is unsupported or a symbol is not found
+ */
+function readOutlineContent(
+  filePath,
+  source,
+  outlineSpec,
+  { lineNumbers = false, redact = (text) => text } = {}
+) {
+  const outline = buildOutline(source, filePath, outlineSpec);
+  if (outline.length === 0) {
+    return "(No declarations found)";
+  }
+  const text = redact(outline.map((line) => line.text).join("\n"));
+  if (!lineNumbers) {
+    return text;
+  }
+
+  const width = String(
+    Math.max(...outline.map((line) => line.line ?? 0))
+  ).length;
+  return text
+    .split("\n")
+    .map((line, index) => numberLine(outline[index]?.line ?? "", width, line))
+    .join("\n");
+}
+
+/**
+ * Resolve symbol names to the line ranges they occupy
+ * Overloads resolve to every declaration; adjacent declarations are merged.
+ *
+ * @param {string} filePath - Absolute path to file
+ * @param {string[]} symbolNames - Symbol names (e.g., ["AuthService.refresh"])
+ * @param {string|null} [source] - Content to parse instead of reading the file (e.g., from a git ref)
+ * @returns {{from: number, to: number, symbol: string}[]} Line ranges labelled with their symbol
+ * @throws {Error} If the file type is unsupported or a symbol is not found
+ */
+function resolveSymbolRanges(filePath, symbolNames, source = null) {
+  const content = source ?? readTextFile(filePath);
+  const symbols = parseSymbols(content, filePath);
+  const ranges = [];
+
+  for (const name of symbolNames) {
+    const matches = resolveSymbol(symbols, name);
+    for (const { symbol } of matches) {
+      const previous = ranges[ranges.length - 1];
+      if (
+        previous &&
+        previous.symbol === name &&
+        symbol.startLine <= previous.to + 1
+      ) {
+        previous.to = Math.max(previous.to, symbol.endLine);
+      } else {
+        ranges.push({
+          from: symbol.startLine,
+          to: symbol.endLine,
+          symbol: name,
+        });
+      }
+    }
+  }
+
+  return ranges;
+}
+
+// ============================================================================
+// History Operations
+// ============================================================================
+
+/**
+ * Parse history specification from range string
+ * Supports: "log" (last 10 commits), "log=5", "log=5,body",
+ * "blame" (whole file), "blame=10-50", "blame=10-20,40-50"
+ *
+ * @param {string|null} specStr - History specification
+ * @returns {{type: "log", count: number, body: boolean}|{type: "blame", lineRanges: object[]|null}|null} Parsed spec or null
+ * @throws {Error} If the spec is malformed
+ */
+function parseHistorySpec(specStr) {
+  const match = specStr ? specStr.match(/^(log|blame)(?:[=,](.*))?$/) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [, type, value = ""] = match;
+  if (type === "blame") {
+    return {
+      type,
+      lineRanges: value ? parseLineRanges(value) : null,
+    };
+  }
+
+  const spec = { type, count: DEFAULT_LOG_COUNT, body: false };
+  for (const part of value.split(",").filter((p) => p)) {
+    if (part === "body") {
+      spec.body = true;
+    } else if (/^\d+$/.test(part) && parseInt(part, 10) > 0) {
+      spec.count = parseInt(part, 10);
+    } else {
+      throw new Error(
+        `Invalid log option "${part}". Use log=N (commit count) and/or body`
+      );
+    }
+  }
+  return spec;
+}
+
+/**
+ * Validate that a file has history to show
+ * @param {string} filePath - Absolute path to the file
+ * @throws {Error} If not in a git repository or the file is untracked
+ */
+function validateHistorySpec(filePath) {
+  validateGitRepository();
+  if (!isTracked(filePath)) {
+    throw new Error("File is not tracked by git, so it has no history");
+  }
+}
+
+/**
+ * Format how long ago a commit was made (e.g., "3 months ago")
+ * @param {number} timestamp - Commit time in seconds since the epoch
+ * @returns {string} Relative age
+ */
+function formatAge(timestamp) {
+  const seconds = Math.max(0, Date.now() / 1000 - timestamp);
+  const units = [
+    ["year", 365 * 24 * 3600],
+    ["month", 30 * 24 * 3600],
+    ["week", 7 * 24 * 3600],
+    ["day", 24 * 3600],
+    ["hour", 3600],
+  ];
+  for (const [unit, size] of units) {
+    const count = Math.floor(seconds / size);
+    if (count >= 1) {
+      return `${count} ${unit}${count === 1 ? "" : "s"} ago`;
+    }
+  }
+  return "just now";
+}
+
+/**
+ * Read the last commits touching a file, following renames
+ * One line per commit: short hash, date, author and subject; the body
+ * follows indented when requested.
+ *
+ * @param {string} filePath - Absolute path to the file
+ * @param {{count: number, body: boolean}} logSpec - Parsed log spec
+ * @returns {{content: string, commits: number}} Log text and commit count
+ * @throws {Error} If git log fails
+ */
+function readLogContent(filePath, logSpec) {
+  const gitRoot = getGitRoot();
+  const relativePath = path.relative(gitRoot, filePath);
+  const format = "%h%x1f%ad%x1f%an%x1f%s%x1f%b%x1e";
+  const output = execFileSync(
+    "git",
+    [
+      "log",
+      "--follow",
+      "-n",
+      String(logSpec.count),
+      "--date=short",
+      `--format=${format}`,
+      "--",
+      relativePath,
+    ],
+    { encoding: "utf8", cwd: gitRoot, maxBuffer: GIT_MAX_BUFFER }
+  );
+
+  const lines = [];
+  const records = output
+    .split("\x1e")
+    .map((record) => record.replace(/^\n/, ""))
+    .filter((record) => record);
+  for (const record of records) {
+    const [hash, date, author, subject, body] = record.split("\x1f");
+    lines.push(`${hash}  ${date}  ${author}  ${subject}`);
+    if (logSpec.body && body.trim()) {
+      lines.push(
+        ...body
+          .trimEnd()
+          .split("\n")
+          .map((line) => (line ? `    ${line}` : ""))
+      );
+    }
+  }
+
+  return { content: lines.join("\n"), commits: records.length };
+}
+
+/**
+ * Parse `git blame --porcelain` output
+ * @param {string} output - Porcelain output
+ * @returns {{lines: {hash: string, line: number, text: string}[], commits: Map<string, object>}} Blamed lines and commit details by hash
+ */
+function parseBlamePorcelain(output) {
+  const lines = [];
+  const commits = new Map();
+  let current = null;
+
+  for (const row of output.split("\n")) {
+    const header = row.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+    if (header) {
+      if (!commits.has(header[1])) {
+        commits.set(header[1], {});
+      }
+      current = { hash: header[1], line: parseInt(header[2], 10) };
+    } else if (row.startsWith("\t") && current) {
+      lines.push({ ...current, text: row.slice(1) });
+    } else if (current) {
+      const [key, ...rest] = row.split(" ");
+      commits.get(current.hash)[key] = rest.join(" ");
+    }
+  }
+
+  return { lines, commits };
+}
+
+/**
+ * Read a blame view of a file in a compact layout
+ * Lines are grouped into runs from the same commit; each run starts with a
+ * single marker line naming the commit and its age, so the code itself is
+ * not repeated or prefixed line by line. Commit details are spelled out on
+ * the first marker only.
+ *
+ * @param {string} filePath - Absolute path to the file
+ * @param {{from: number, to: number}[]|null} lineRanges - Ranges to blame (null for whole file)
+ * @param {boolean} [lineNumbers] - Prefix lines with their number
+ * @returns {{content: string, commits: number}} Annotated text and commit count
+ * @throws {Error} If git blame fails
+ */
+function readBlameContent(filePath, lineRanges, lineNumbers = false) {
+  const gitRoot = getGitRoot();
+  const relativePath = path.relative(gitRoot, filePath);
+  const rangeFlags = (lineRanges || []).flatMap((r) => [
+    "-L",
+    `${r.from},${r.to}`,
+  ]);
+  const output = execFileSync(
+    "git",
+    ["blame", "--porcelain", ...rangeFlags, "--", relativePath],
+    { encoding: "utf8", cwd: gitRoot, maxBuffer: GIT_MAX_BUFFER }
+  );
+
+  const { lines, commits } = parseBlamePorcelain(output);
+  const width = String(Math.max(0, ...lines.map((l) => l.line))).length;
+  const described = new Set();
+  const result = [];
+  let previous = null;
+
+  for (const line of lines.sort((a, b) => a.line - b.line)) {
+    const continues =
+      previous &&
+      previous.hash === line.hash &&
+      previous.line + 1 === line.line;
+    if (!continues) {
+      if (previous && previous.line + 1 !== line.line) {
+        result.push(formatOmission(previous.line + 1, line.line - 1));
+      }
+      result.push(describeBlameCommit(line.hash, commits, described));
+    }
+    result.push(
+      lineNumbers ? numberLine(line.line, width, line.text) : line.text
+    );
+    previous = line;
+  }
+
+  return { content: result.join("\n"), commits: commits.size };
+}
+
+/**
+ * Describe the commit of a blame run; details are printed once per commit
+ * @param {string} hash - Full commit hash
+ * @param {Map<string, object>} commits - Commit details from parseBlamePorcelain
+ * @param {Set<string>} described - Hashes already described (updated)
+ * @returns {string} Marker line
+ */
+function describeBlameCommit(hash, commits, described) {
+  const short = hash.slice(0, 7);
+  if (/^0+$/.test(hash)) {
+    return "── uncommitted changes";
+  }
+  if (described.has(hash)) {
+    return `── ${short}`;
+  }
+
+  described.add(hash);
+  const commit = commits.get(hash);
+  const time = parseInt(commit["author-time"], 10);
+  const date = new Date(time * 1000).toISOString().slice(0, 10);
+  return `── ${short} · ${date} (${formatAge(time)}) · ${commit.author} · ${commit.summary}`;
+}
+
+// ============================================================================
+// Output Formatting
+// ============================================================================
+
+/**
+ * Describe extracted content as an output document
+ * Documents are rendered by the formatter of the selected output format.
+ *
+ * @param {"file"|"diff"|"log"|"blame"|"note"|"summary"|"prose"} type - What the document holds
+ * @param {string|null} filePath - Path to file (null for summaries and inline prose)
+ * @param {string} content - Content (message for notes)
+ * @param {object} [fields] - Metadata: ref, sha, label, lines, language
+ * @returns {object} Document
+ */
+function createDocument(type, filePath, content, fields = {}) {
+  return {
+    type,
+    path: filePath,
+    ref: null,
+    sha: null,
+    label: null,
+    lines: null,
+    language: null,
+    content,
+    ...fields,
+  };
+}
+
+/**
+ * Format line ranges as a compact list (e.g., "10-50,80-90")
+ * @param {{from: number, to: number}[]|null} lineRanges - Line ranges
+ * @returns {string|null} Range list, or null for whole files
+ */
+function formatLineList(lineRanges) {
+  return lineRanges && lineRanges.length > 0
+    ? lineRanges.map((r) => `${r.from}-${r.to}`).join(",")
+    : null;
+}
+
+/**
+ * Describe file content as a document; files read at a ref record the ref
+ * and its short SHA
+ * @param {string} filePath - Path to file
+ * @param {string} language - Language for syntax highlighting
+ * @param {string} content - File content
+ * @param {{from: number, to: number, symbol?: string}[]|null} lineRanges - Line ranges (for display)
+ * @param {object} [options] - Options
+ * @param {string|null} [options.ref] - Git ref the file was read at
+ * @param {string|null} [options.note] - Extra header note, after the line ranges (e.g., "signatures only")
+ * @param {{transforms: string[], before: number, after: number}|null} [options.compaction] - Compaction applied to the content
+ * @returns {object} File document
+ */
+function createFileDocument(
+  filePath,
+  language,
+  content,
+  lineRanges,
+  { ref = null, note = null, compaction = null } = {}
+) {
+  let label = null;
+  if (lineRanges && lineRanges.some((r) => r.symbol)) {
+    // Group spans by symbol: "AuthService.refresh: lines 40-72"
+    const spans = new Map();
+    for (const r of lineRanges) {
+      spans.set(r.symbol, [
+        ...(spans.get(r.symbol) || []),
+        `${r.from}-${r.to}`,
+      ]);
+    }
+    const symbolStrings = [...spans].map(
+      ([symbol, lines]) => `${symbol}: lines ${lines.join(", ")}`
+    );
+    label = `symbol ${symbolStrings.join("; ")}`;
+  } else if (lineRanges && lineRanges.length > 0) {
+    const rangeStrings = lineRanges.map((r) => `${r.from}-${r.to}`);
+    label = `lines ${rangeStrings.join(", ")}`;
+  }
+  if (note) {
+    label = label ? `${label}; ${note}` : note;
+  }
+  if (compaction) {
+    const compacted = `compacted: ${compaction.transforms.join(", ")}`;
+    label = label ? `${label}; ${compacted}` : compacted;
+  }
+
+  return createDocument("file", filePath, content, {
+    ref,
+    sha: ref ? resolveShortSha(ref) : null,
+    label,
+    lines: formatLineList(lineRanges),
+    language,
+    compaction,
+  });
+}
+
+/**
+ * Describe git diff output as a document
+ * @param {string} filePath - Path to file
+ * @param {string} diffContent - Git diff output
+ * @param {string} diffLabel - What was compared, from describeDiff
+ * @returns {object} Diff document
+ */
+function createDiffDocument(filePath, diffContent, diffLabel) {
+  return createDocument("diff", filePath, diffContent, {
+    label: diffLabel,
+    language: "diff",
+  });
+}
+
+/**
+ * Describe file history (log or blame) as a document
+ * @param {string} filePath - Path to file
+ * @param {"log"|"blame"} type - History kind
+ * @param {string} label - Header label (e.g., "log: last 5 commits")
+ * @param {string} language - Language for syntax highlighting
+ * @param {string} content - Log or blame text
+ * @param {{from: number, to: number}[]|null} [lineRanges] - Blamed line ranges
+ * @returns {object} History document
+ */
+function createHistoryDocument(
+  filePath,
+  type,
+  label,
+  language,
+  content,
+  lineRanges = null
+) {
+  return createDocument(type, filePath, content, {
+    label,
+    lines: formatLineList(lineRanges),
+    language,
+  });
+}
+
+/**
+ * Describe a note shown in place of file content (e.g., for deleted files)
+ * @param {string} filePath - Path to file
+ * @param {string} label - Header label (e.g., "deleted since main")
+ * @param {string} message - Note text
+ * @returns {object} Note document
+ */
+function createNoteDocument(filePath, label, message) {
+  return createDocument("note", filePath, message, { label });
+}
+
+/**
+ * Describe a binary file as a note with its size instead of its content
+ * @param {string} filePath - Path to file
+ * @param {string} label - Header label (e.g., "binary", "added")
+ * @param {number} bytes - File size in bytes
+ * @returns {object} Note document
+ */
+function createBinaryNote(filePath, label, bytes) {
+  return createNoteDocument(
+    filePath,
+    label,
+    `Binary file not shown (${formatSize(bytes)}).`
+  );
+}
+
+/**
+ * Check the "languages" overrides of a config
+ * @param {*} languages - Overrides from the config
+ * @param {(at: string, message: string) => void} report - Problem collector
+ */
+function validateLanguages(languages, report) {
+  if (!isPlainObject(languages)) {
+    report(
+      "languages",
+      'Must map file names, extensions or globs to languages (e.g., { ".tpl": "html" })'
+    );
+    return;
+  }
+  for (const [key, language] of Object.entries(languages)) {
+    if (typeof language !== "string" || !LANGUAGE_PATTERN.test(language)) {
+      report(
+        `languages["${key}"]`,
+        'Must be a language name (e.g., "hcl" or "dockerfile")'
+      );
+    }
+  }
+}
+
+/**
+ * Compile "languages" overrides into matchers, most specific first
+ * File names ("Justfile") win over globs ("scripts/*"), and globs over
+ * extensions (".tpl"); longer extensions win over shorter ones.
+ *
+ * @param {Object<string, string>} [languages] - Overrides from the config
+ * @returns {{language: string, matches: (filePath: string) => boolean}[]} Matchers
+ */
+function compileLanguageOverrides(languages = {}) {
+  return Object.entries(languages)
+    .map(([key, language]) => {
+      if (isGlobPattern(key) || key.includes("/")) {
+        const matcher = globToRegExp(
+          toPosixPath(path.resolve(process.cwd(), key))
+        );
+        return {
+          rank: 1,
+          language,
+          matches: (filePath) => matcher.test(toPosixPath(filePath)),
+        };
+      }
+      const name = key.toLowerCase();
+      return key.startsWith(".")
+        ? {
+            rank: 2 + 1 / name.length,
+            language,
+            matches: (filePath) =>
+              path.basename(filePath).toLowerCase().endsWith(name),
+          }
+        : {
+            rank: 0,
+            language,
+            matches: (filePath) =>
+              path.basename(filePath).toLowerCase() === name,
+          };
+    })
+    .sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Apply "languages" overrides to the file and blame documents of an entry
+ * @param {object[]} documents - Rendered documents
+ * @param {{language: string, matches: Function}[]} overrides - Matchers from compileLanguageOverrides
+ * @returns {object[]} Documents with overridden languages
+ */
+function applyLanguageOverrides(documents, overrides) {
+  if (overrides.length === 0) {
+    return documents;
+  }
+  return documents.map((document) => {
+    if (document.type !== "file" && document.type !== "blame") {
+      return document;
+    }
+    const override = overrides.find((o) => o.matches(document.path));
+    return override ? { ...document, language: override.language } : document;
+  });
+}
+
+// ============================================================================
+// Size Budget
+// ============================================================================
+
+/**
+ * Parse a budget value into a unit and limit
+ * Supports: "128000" (bytes), "125KB", "1MB", "60000tok", "60ktok"
+ *
+ * @param {string|number} value - Budget value from --budget or config
+ * @returns {{unit: "bytes"|"tokens", limit: number}} Parsed budget
+ * @throws {Error} If the budget format is invalid
+ */
+function parseBudget(value) {
+  const match = String(value).trim().match(BUDGET_PATTERN);
+  if (!match || parseFloat(match[1]) <= 0) {
+    throw new Error(
+      `Invalid budget: "${value}". Use bytes ("128000", "125KB") or tokens ("60000tok", "60ktok")`
+    );
+  }
+
+  const amount = parseFloat(match[1]);
+  const suffix = (match[2] || "b").toLowerCase().replace(/\s+/g, "");
+  if (suffix === "kb") {
+    return { unit: "bytes", limit: Math.round(amount * 1024) };
+  }
+  if (suffix === "mb") {
+    return { unit: "bytes", limit: Math.round(amount * 1024 * 1024) };
+  }
+  if (suffix.startsWith("k")) {
+    return { unit: "tokens", limit: Math.round(amount * 1000) };
+  }
+  if (suffix.startsWith("tok")) {
+    return { unit: "tokens", limit: Math.round(amount) };
+  }
+  return { unit: "bytes", limit: Math.round(amount) };
+}
+
+/**
+ * Parse warning thresholds given as percentages of the budget
+ * @param {string|number[]} value - "80,92" from --warn-at or [80, 92] from config
+ * @returns {number[]} Ascending percentages
+ * @throws {Error} If any percentage is not between 0 and 100
+ */
+function parseWarningPercents(value) {
+  const parts = Array.isArray(value) ? value : String(value).split(",");
+  const percents = parts.map((p) => parseFloat(String(p).replace("%", "")));
+
+  if (
+    percents.length === 0 ||
+    percents.some((p) => Number.isNaN(p) || p <= 0 || p >= 100)
+  ) {
+    throw new Error(
+      `Invalid warning thresholds: "${value}". Use percentages between 0 and 100 (e.g., "80,92")`
+    );
+  }
+
+  return percents.sort((a, b) => a - b);
+}
+
+/**
+ * Format a budget limit for display
+ * @param {{unit: "bytes"|"tokens", limit: number}} budget - Budget
+ * @returns {string} Formatted limit (e.g., "125 KB", "60.0k tok")
+ */
+function formatBudget(budget) {
+  if (budget.unit === "tokens") {
+    return formatTokens(budget.limit).replace("~", "");
+  }
+  const kb = budget.limit / 1024;
+  return Number.isInteger(kb) ? `${kb} KB` : formatSize(budget.limit);
+}
+
+/**
+ * Format an amount in a budget's unit (e.g., "12.3 KB", "~3.1k tok")
+ * @param {number} value - Bytes or estimated tokens
+ * @param {{unit: "bytes"|"tokens", limit: number}} budget - Budget
+ * @returns {string} Formatted amount
+ */
+function formatAmount(value, budget) {
+  return budget.unit === "tokens" ? formatTokens(value) : formatSize(value);
+}
+
+/**
+ * Format output usage (e.g., "30.4 KB, ~8.1k tok / 125 KB, 24.3%")
+ * @param {{bytes: number, tokens: number, percent: number}} usage - Usage from tracker.usage()
+ * @param {{unit: "bytes"|"tokens", limit: number}} budget - Budget
+ * @returns {string} Formatted usage
+ */
+function formatUsage(usage, budget) {
+  return `${formatSize(usage.bytes)}, ${formatTokens(usage.tokens)} / ${formatBudget(budget)}, ${usage.percent.toFixed(1)}%`;
+}
+
+/**
+ * Format an added size (e.g., "+25.5 KB, ~6.8k tok")
+ * @param {{bytes: number, tokens: number}} added - Size from tracker.add()
+ * @returns {string} Formatted size
+ */
+function formatAdded(added) {
+  return `+${formatSize(added.bytes)}, ${formatTokens(added.tokens)}`;
+}
+
+/**
+ * Total the compaction of a block's documents
+ * @param {object[]} documents - Rendered documents
+ * @returns {{transforms: string[], before: number, after: number}|null} Transforms applied and sizes before and after, or null if nothing was compacted
+ */
+function sumCompaction(documents) {
+  const compacted = documents.filter((document) => document.compaction);
+  if (compacted.length === 0) {
+    return null;
+  }
+  return {
+    transforms: [
+      ...new Set(
+        compacted.flatMap((document) => document.compaction.transforms)
+      ),
+    ],
+    before: compacted.reduce((sum, d) => sum + d.compaction.before, 0),
+    after: compacted.reduce((sum, d) => sum + d.compaction.after, 0),
+  };
+}
+
+/**
+ * Resolve budget settings from a config or plan input
+ * @param {{budget?: string|number, warnAt?: string|number[]}} config - Budget values
+ * @returns {{budget: {unit: string, limit: number}, warnAt: number[]}} Budget settings
+ * @throws {Error} If a budget or threshold value is invalid
+ */
+function resolveBudgetOptions(config) {
+  return {
+    budget: config.budget
+      ? parseBudget(config.budget)
+      : { unit: "bytes", limit: MAX_SIZE_BYTES },
+    warnAt: config.warnAt
+      ? parseWarningPercents(config.warnAt)
+      : DEFAULT_WARNING_PERCENTS,
+  };
+}
+
+/**
+ * Create a tracker for output size in bytes and estimated tokens
+ * @param {{budget: {unit: string, limit: number}, warnAt: number[]}} options - Budget settings
+ * @returns {object} Size tracker
+ */
+function createSizeTracker({ budget, warnAt }) {
+  const tracker = {
+    budget,
+    warnAt,
+    bytes: 0,
+    tokens: 0,
+
+    /**
+     * Add content to the running totals
+     * @param {string} content - Content written to the document
+     * @returns {{bytes: number, tokens: number}} Size of the added content
+     */
+    add(content) {
+      const added = {
+        bytes: Buffer.byteLength(content, "utf8"),
+        tokens: estimateTokens(content),
+      };
+      tracker.bytes += added.bytes;
+      tracker.tokens += added.tokens;
+      return added;
+    },
+
+    /**
+     * Measure content in the budget's unit without adding it
+     * @param {string} content - Content to measure
+     * @returns {number} Bytes or estimated tokens
+     */
+    measure(content) {
+      return budget.unit === "tokens"
+        ? estimateTokens(content)
+        : Buffer.byteLength(content, "utf8");
+    },
+
+    /**
+     * Format an amount in the budget's unit (e.g., "12.3 KB", "~3.1k tok")
+     * @param {number} value - Bytes or estimated tokens
+     * @returns {string} Formatted amount
+     */
+    formatAmount(value) {
+      return formatAmount(value, budget);
+    },
+
+    /**
+     * Get current usage in the budget's unit
+     * @returns {number} Bytes or estimated tokens used
+     */
+    used() {
+      return budget.unit === "tokens" ? tracker.tokens : tracker.bytes;
+    },
+
+    /**
+     * Get current usage as percentage of the budget
+     * @returns {number} Percentage used
+     */
+    percent() {
+      return (tracker.used() / budget.limit) * 100;
+    },
+
+    /**
+     * Get current totals
+     * @returns {{bytes: number, tokens: number, percent: number}} Usage
+     */
+    usage() {
+      return {
+        bytes: tracker.bytes,
+        tokens: tracker.tokens,
+        percent: tracker.percent(),
+      };
+    },
+
+    /**
+     * Check the current totals against the warning thresholds
+     * @returns {{level: "exceeded"|"close"|"approaching", threshold: number, used: number}|null} Highest threshold crossed, or null
+     */
+    checkThresholds() {
+      const percent = tracker.percent();
+      const used = tracker.used();
+
+      if (percent >= 100) {
+        return { level: "exceeded", threshold: 100, used };
+      }
+
+      const crossed = warnAt.filter((p) => percent >= p);
+      if (crossed.length === 0) {
+        return null;
+      }
+      return {
+        level:
+          crossed.length === warnAt.length && warnAt.length > 1
+            ? "close"
+            : "approaching",
+        threshold: crossed[crossed.length - 1],
+        used,
+      };
+    },
+  };
+
+  return tracker;
+}
+
+// ============================================================================
+// File Validation
+// ============================================================================
+
+/**
+ * Validate file argument without processing it
+ * Checks file existence, git refs, and line ranges
+ *
+ * @param {string} fileArg - File argument from command line
+ * @returns {{valid: boolean, fileArg?: string, error?: string}} Validation result
+ */
+function validateFile(fileArg) {
+  const { filePath: parsedPath, rangeStr, ref } = parseFileArgument(fileArg);
+
+  // Validate the trace and that it names project files
+  try {
+    const traceSpec = rangeStr ? parseTraceSpec(rangeStr) : null;
+    if (traceSpec) {
+      findTraceWindows(readTraceText(parsedPath, ref), traceSpec.context);
+      return { valid: true };
+    }
+  } catch (error) {
+    return { valid: false, fileArg, error: error.message };
+  }
+
+  // Resolve to absolute path
+  const filePath = path.isAbsolute(parsedPath)
+    ? parsedPath
+    : path.resolve(process.cwd(), parsedPath);
+
+  if (ref) {
+    return validateFileAtRef(fileArg, filePath, rangeStr, ref);
+  }
+
+  let diffSpec;
+  let historySpec;
+  try {
+    diffSpec = rangeStr ? parseDiffSpec(rangeStr) : null;
+    historySpec = rangeStr ? parseHistorySpec(rangeStr) : null;
+  } catch (error) {
+    return { valid: false, fileArg, error: error.message };
+  }
+
+  // Check if file exists; deleted files are fine for diffs against a ref
+  // that still has them
+  if (!fs.existsSync(filePath)) {
+    if (diffSpec && isDeletedSince(filePath, diffSpec)) {
+      return { valid: true };
+    }
+    const cwd = process.cwd();
+    const suggestion = getSuggestion(filePath);
+    return {
+      valid: false,
+      fileArg,
+      error: `File not found: ${filePath}\n  Current directory: ${cwd}${suggestion}`,
+    };
   }
 
   // Validate range specification if present
   if (rangeStr) {
-    const diffSpec = parseDiffSpec(rangeStr);
+    const symbolNames = parseSymbolSpec(rangeStr);
+    const outlineSpec = parseOutlineSpec(rangeStr);
+
+    if (outlineSpec) {
+      // Validate the language and that every expanded symbol resolves
+      try {
+        buildOutline(readTextFile(filePath), filePath, outlineSpec);
+      } catch (error) {
+        return {
+          valid: false,
+          fileArg,
+          error: `${error.message}\n  In: ${filePath}`,
+        };
+      }
+    } else if (symbolNames) {
+      // Validate that every symbol resolves
+      try {
+        resolveSymbolRanges(filePath, symbolNames);
+      } catch (error) {
+        return {
+          valid: false,
+          fileArg,
+          error: `${error.message}\n  In: ${filePath}`,
+        };
+      }
+    } else if (diffSpec) {
+      // Validate git diff specification
+      try {
+        validateDiffSpec(diffSpec);
+      } catch (error) {
+        return {
+          valid: false,
+          fileArg,
+          error: error.message,
+        };
+      }
+    } else if (historySpec) {
+      // Validate git history and blamed line ranges
+      try {
+        validateHistorySpec(filePath);
+        if (historySpec.type === "blame") {
+          const content = readTextFile(filePath);
+          const totalLines =
+            content.split("\n").length - (content.endsWith("\n") ? 1 : 0);
+          const outside = (historySpec.lineRanges || []).find(
+            (range) => range.to > totalLines
+          );
+          if (outside) {
+            throw new Error(
+              `Line range ${outside.from}-${outside.to} exceeds file length (${totalLines} lines)`
+            );
+          }
+        }
+      } catch (error) {
+        return {
+          valid: false,
+          fileArg,
+          error: `${error.message}\n  In: ${filePath}`,
+        };
+      }
+    } else {
+      // Validate line ranges
+      let content;
+      try {
+        content = readTextFile(filePath);
+      } catch (error) {
+        return {
+          valid: false,
+          fileArg,
+          error: `${error.message}\n  In: ${filePath}`,
+        };
+      }
+      try {
+        const lineRanges = parseLineRanges(rangeStr);
+        const totalLines = content.split("\n").length;
+
+        for (const range of lineRanges) {
+          if (range.from > totalLines || range.to > totalLines) {
+            return {
+              valid: false,
+              fileArg,
+              error: `Line range ${range.from}-${range.to} exceeds file length (${totalLines} lines) in ${filePath}`,
+            };
+          }
+        }
+      } catch (error) {
+        return {
+          valid: false,
+          fileArg,
+          error: `Invalid line range format in "${fileArg}": ${error.message}`,
+        };
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate a "file@ref" argument without processing it
+ * Checks the ref, that the path exists at the ref, and line ranges or
+ * symbols against the file as it was at the ref.
+ *
+ * @param {string} fileArg - File argument from command line
+ * @param {string} filePath - Absolute path to the file
+ * @param {string|null} rangeStr - Line range, symbol or outline spec
+ * @param {string} ref - Git ref (e.g., "v1.2")
+ * @returns {{valid: boolean, fileArg?: string, error?: string}} Validation result
+ */
+function validateFileAtRef(fileArg, filePath, rangeStr, ref) {
+  try {
+    if (rangeStr && (parseDiffSpec(rangeStr) || parseHistorySpec(rangeStr))) {
+      throw new Error(
+        `@${ref} works with full files, line ranges, symbols and outlines. Use ${path.basename(filePath)}:diff=${ref} to compare`
+      );
+    }
+    validateGitRepository();
+    validateGitRefs([ref]);
+    if (!existsAtRef(filePath, ref)) {
+      throw new Error(`File not found at ${ref}: ${filePath}`);
+    }
+
+    const decoded = readFileAtRef(filePath, ref);
+    const symbolNames = parseSymbolSpec(rangeStr);
+    const outlineSpec = parseOutlineSpec(rangeStr);
+    if (outlineSpec) {
+      buildOutline(requireText(decoded), filePath, outlineSpec);
+    } else if (symbolNames) {
+      resolveSymbolRanges(filePath, symbolNames, requireText(decoded));
+    } else if (rangeStr) {
+      const totalLines = requireText(decoded).split("\n").length;
+      for (const range of parseLineRanges(rangeStr)) {
+        if (range.from > totalLines || range.to > totalLines) {
+          throw new Error(
+            `Line range ${range.from}-${range.to} exceeds file length at ${ref} (${totalLines} lines) in ${filePath}`
+          );
+        }
+      }
+    }
+  } catch (error) {
+    return { valid: false, fileArg, error: error.message };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Process a single file argument and return formatted content
+ * @param {string} fileArg - File argument (path with optional range/diff spec)
+ * @param {object|null} [redactor] - Redactor from createRedactor (no redaction if null)
+ * @param {object} [options] - Options
+ * @param {boolean} [options.lineNumbers] - Number lines (old/new numbers for diffs)
+ * @param {object|null} [options.compact] - Compaction of file content, from parseCompactSpec
+ * @returns {object} Extracted document
+ * @throws {Error} If file processing fails
+ */
+function processFile(
+  fileArg,
+  redactor = null,
+  { lineNumbers = false, compact = null } = {}
+) {
+  const { filePath: parsedPath, rangeStr, ref } = parseFileArgument(fileArg);
+
+  // Resolve to absolute path
+  const filePath = path.isAbsolute(parsedPath)
+    ? parsedPath
+    : path.resolve(process.cwd(), parsedPath);
+
+  // Stack traces are read for the files they name
+  const traceSpec = rangeStr ? parseTraceSpec(rangeStr) : null;
+  if (traceSpec) {
+    return readTraceDocuments(parsedPath, ref, traceSpec, redactor, {
+      lineNumbers,
+      compact,
+    });
+  }
+
+  // Check for diff specification
+  const diffSpec = rangeStr ? parseDiffSpec(rangeStr) : null;
+
+  // Check if file exists (files at a ref may be gone from disk)
+  if (!ref && !fs.existsSync(filePath)) {
+    if (diffSpec && isDeletedSince(filePath, diffSpec)) {
+      const diffContent = readDiffContent(filePath, diffSpec);
+      return formatDeletedNote(filePath, diffSpec, diffContent);
+    }
+    const cwd = process.cwd();
+    const suggestion = getSuggestion(filePath);
+    throw new Error(
+      `File not found: ${filePath}\n  Current directory: ${cwd}${suggestion}`
+    );
+  }
+
+  if (diffSpec) {
+    // Handle git diff mode
+    const diffContent = redactContent(
+      redactor,
+      readDiffContent(filePath, diffSpec),
+      filePath
+    );
+    const diffLabel = describeDiff(diffSpec, filePath);
+
+    // Handle empty diff
+    if (!diffContent || diffContent.trim() === "") {
+      return createDiffDocument(filePath, "(No changes)", diffLabel);
+    }
+
+    return createDiffDocument(
+      filePath,
+      lineNumbers ? numberDiffLines(diffContent) : diffContent,
+      diffLabel
+    );
+  }
+
+  // Handle git history modes
+  const historySpec = rangeStr ? parseHistorySpec(rangeStr) : null;
+  if (historySpec && historySpec.type === "log") {
+    const { content, commits } = readLogContent(filePath, historySpec);
+    return createHistoryDocument(
+      filePath,
+      "log",
+      `log: last ${commits} ${commits === 1 ? "commit" : "commits"}`,
+      "text",
+      redactContent(redactor, content || "(No commits yet)", filePath)
+    );
+  }
+  if (historySpec) {
+    const { lineRanges } = historySpec;
+    const { content, commits } = readBlameContent(
+      filePath,
+      lineRanges,
+      lineNumbers
+    );
+    const lines = lineRanges
+      ? ` lines ${lineRanges.map((r) => `${r.from}-${r.to}`).join(", ")}`
+      : "";
+    return createHistoryDocument(
+      filePath,
+      "blame",
+      `blame${lines}: ${commits} ${commits === 1 ? "commit" : "commits"}`,
+      detectLanguage(filePath),
+      redactContent(redactor, content, filePath),
+      lineRanges
+    );
+  }
+
+  // Handle symbol, line range or full file mode, from disk or a git ref;
+  // whole binary files become a note with their size
+  const decoded = ref ? readFileAtRef(filePath, ref) : readSourceFile(filePath);
+  if (decoded.binary && !rangeStr) {
+    return createBinaryNote(
+      filePath,
+      ref ? `binary @ ${ref}` : "binary",
+      decoded.bytes
+    );
+  }
+  const source = requireText(decoded);
+  const redact = (text) => redactContent(redactor, text, filePath);
+  const outlineSpec = parseOutlineSpec(rangeStr);
+  if (outlineSpec) {
+    const expanded = outlineSpec.expand.join(", ");
+    return createFileDocument(
+      filePath,
+      detectLanguage(filePath, source),
+      readOutlineContent(filePath, source, outlineSpec, {
+        lineNumbers,
+        redact,
+      }),
+      null,
+      { ref, note: expanded ? `outline; in full: ${expanded}` : "outline" }
+    );
+  }
+  const symbolNames = rangeStr ? parseSymbolSpec(rangeStr) : null;
+  const lineRanges = symbolNames
+    ? resolveSymbolRanges(filePath, symbolNames, source)
+    : rangeStr
+      ? parseLineRanges(rangeStr)
+      : null;
+  const language = detectLanguage(filePath, source);
+  const { content, compaction } = readCompactedContent(filePath, lineRanges, {
+    source,
+    lineNumbers,
+    redact,
+    compact,
+  });
+  return createFileDocument(filePath, language, content, lineRanges, {
+    ref,
+    compaction,
+  });
+}
+
+/**
+ * Mask secrets in extracted content
+ * @param {object|null} redactor - Redactor from createRedactor (no-op if null)
+ * @param {string} content - File content or diff
+ * @param {string} filePath - Absolute path of the source file
+ * @returns {string} Redacted content
+ */
+function redactContent(redactor, content, filePath) {
+  return redactor ? redactor.redact(content, filePath) : content;
+}
+
+// ============================================================================
+// Stack Trace Extraction
+// ============================================================================
+
+/** Stack trace read from stdin, kept for the render after validation */
+let stdinTrace = null;
+
+/**
+ * Parse trace specification from range string
+ * Supports: "trace", "trace=5" (lines shown around each failing line)
+ *
+ * @param {string|null} specStr - Trace specification
+ * @returns {{context: number}|null} Parsed spec, or null if not a trace
+ * @throws {Error} If the line count is invalid
+ */
+function parseTraceSpec(specStr) {
+  const match = specStr?.match(/^trace(?:=(.+))?$/);
+  if (!match) {
+    return null;
+  }
+  if (match[1] !== undefined && !/^\d+$/.test(match[1])) {
+    throw new Error(
+      `Invalid trace context "${match[1]}". Use trace=<lines>, e.g. trace=5`
+    );
+  }
+  return {
+    context: match[1] !== undefined ? Number(match[1]) : DEFAULT_TRACE_CONTEXT,
+  };
+}
+
+/**
+ * Read a stack trace from a file, or from stdin for "-"
+ * @param {string} tracePath - Path from the trace argument
+ * @param {string|null} ref - Git ref of the argument (not supported)
+ * @returns {string} Trace text with ANSI colours stripped
+ * @throws {Error} If the trace can't be read
+ */
+function readTraceText(tracePath, ref) {
+  if (ref) {
+    throw new Error(
+      `Stack traces can't be read at a ref (@${ref}). Save the trace to a file`
+    );
+  }
+  if (tracePath === STDIN_PATH) {
+    if (stdinTrace === null) {
+      if (process.stdin.isTTY) {
+        throw new Error(
+          "No stack trace on stdin. Pipe one in (e.g., npm test 2>&1 | extract-code.js -:trace)"
+        );
+      }
+      stdinTrace = cleanOutput(fs.readFileSync(0, "utf8"));
+    }
+    return stdinTrace;
+  }
+
+  const filePath = path.resolve(process.cwd(), tracePath);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(
+      `File not found: ${filePath}\n  Current directory: ${process.cwd()}${getSuggestion(filePath)}`
+    );
+  }
+  return cleanOutput(readTextFile(filePath));
+}
+
+/**
+ * Find the code windows of a stack trace
+ * Library frames, frames outside the project and frames past the end of
+ * their file (a trace older than the code) are skipped; repeated frames
+ * (recursion, rethrown errors) count once.
+ *
+ * @param {string} text - Stack trace or log
+ * @param {number} context - Lines shown before and after each failing line
+ * @returns {{path: string, from: number, to: number, frames: object[], source: string}[]} Windows with absolute paths and file content, in trace order
+ * @throws {Error} If no frame maps to a project file
+ */
+function findTraceWindows(text, context) {
+  const frames = parseStackTrace(text);
+  if (frames.length === 0) {
+    throw new Error(
+      "No stack frames found. Supported formats: .NET, Node/V8, Jest, Vitest and Python"
+    );
+  }
+
+  const root = getProjectRoot();
+  const sources = new Map();
+  const seen = new Set();
+  const resolved = [];
+  let index = null;
+  for (const frame of frames.filter((f) => !f.library)) {
+    // Paths that exist in the project are used as they are; others (CI
+    // machines, containers) are matched by their trailing segments
+    let filePath = path.resolve(process.cwd(), frame.file);
+    const inProject = !path.relative(root, filePath).startsWith("..");
+    if (!inProject || !IMPORT_HOST.isFile(filePath)) {
+      index ??= createFileIndex(listFiles(root));
+      const projectPath = findProjectPath(frame.file, index);
+      if (!projectPath) {
+        continue;
+      }
+      filePath = path.join(root, projectPath);
+    }
+
+    const key = `${filePath}:${frame.line}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    if (!sources.has(filePath)) {
+      sources.set(filePath, readSourceFile(filePath).text);
+    }
+    const source = sources.get(filePath);
+    const totalLines =
+      source === null
+        ? 0
+        : source.split("\n").length - (source.endsWith("\n") ? 1 : 0);
+    if (frame.line <= totalLines) {
+      resolved.push({ ...frame, path: filePath });
+    }
+  }
+
+  if (resolved.length === 0) {
+    const libraries = frames.filter((f) => f.library).length;
+    const example = frames.find((f) => !f.library);
+    throw new Error(
+      `None of the ${frames.length} stack frames point into the project` +
+        (libraries > 0 ? ` (${libraries} in libraries or frameworks)` : "") +
+        (example ? `\n  Unmatched: ${example.file}:${example.line}` : "") +
+        `\n  Project root: ${root}`
+    );
+  }
+
+  return buildFrameWindows(resolved, context).map((window) => {
+    const source = sources.get(window.path);
+    const totalLines =
+      source.split("\n").length - (source.endsWith("\n") ? 1 : 0);
+    return { ...window, to: Math.min(window.to, totalLines), source };
+  });
+}
+
+/**
+ * Extract the code around the frames of a stack trace
+ * Each window becomes a file document headed by the frames it shows.
+ *
+ * @param {string} tracePath - Trace file, or "-" for stdin
+ * @param {string|null} ref - Git ref of the argument (not supported)
+ * @param {{context: number}} traceSpec - Spec from parseTraceSpec
+ * @param {object|null} redactor - Redactor applied to the code
+ * @param {object} [options] - Options
+ * @param {boolean} [options.lineNumbers] - Prefix lines with their number
+ * @param {object|null} [options.compact] - Compaction of the code, from parseCompactSpec
+ * @returns {object[]} File documents, in trace order
+ * @throws {Error} If the trace can't be read or names no project file
+ */
+function readTraceDocuments(
+  tracePath,
+  ref,
+  traceSpec,
+  redactor,
+  { lineNumbers = false, compact = null } = {}
+) {
+  const windows = findTraceWindows(
+    readTraceText(tracePath, ref),
+    traceSpec.context
+  );
+  return windows.map((window) => {
+    const lineRanges = [{ from: window.from, to: window.to }];
+    const { content, compaction } = readCompactedContent(
+      window.path,
+      lineRanges,
+      {
+        source: window.source,
+        lineNumbers,
+        redact: (text) => redactContent(redactor, text, window.path),
+        compact,
+      }
+    );
+    return createFileDocument(
+      window.path,
+      detectLanguage(window.path, window.source),
+      content,
+      lineRanges,
+      {
+        note: window.frames.map((frame) => frame.text).join("; "),
+        compaction,
+      }
+    );
+  });
+}
+
+// ============================================================================
+// Changed-Since Extraction
+// ============================================================================
+
+/**
+ * Parse NUL-separated `git diff --name-status -z` or `--numstat -z` output
+ * Renames and copies carry two paths (old, then new).
+ *
+ * @param {string} output - Raw git output
+ * @param {"name-status"|"numstat"} format - Output format
+ * @returns {{key: string, paths: string[]}[]} Records with status letter or "ins\tdel"
+ */
+function parseGitZOutput(output, format) {
+  const fields = output.split("\0");
+  const records = [];
+
+  for (let i = 0; i < fields.length && fields[i] !== "";) {
+    if (format === "name-status") {
+      const key = fields[i];
+      const count = /^[RC]/.test(key) ? 2 : 1;
+      records.push({ key, paths: fields.slice(i + 1, i + 1 + count) });
+      i += 1 + count;
+    } else {
+      // "ins\tdel\tpath" or "ins\tdel\t" followed by old and new paths
+      const [insertions, deletions, filePath] = fields[i].split("\t");
+      const key = `${insertions}\t${deletions}`;
+      if (filePath) {
+        records.push({ key, paths: [filePath] });
+        i += 1;
+      } else {
+        records.push({ key, paths: fields.slice(i + 1, i + 3) });
+        i += 3;
+      }
+    }
+  }
+
+  return records;
+}
+
+/**
+ * List every file changed in a diff spec
+ * Untracked files count as changes when the working tree is compared.
+ *
+ * @param {object} diffSpec - Parsed diff spec (e.g., from "diff=main")
+ * @param {string[]} excludePatterns - Globs of changed files to skip
+ * @param {string[]} [excludeFiles] - Files to skip, taken literally (e.g., the output document)
+ * @returns {object[]} Changes with status, absolute paths and line counts
+ * @throws {Error} If not in a git repository or a ref is invalid
+ */
+function listChangedFiles(diffSpec, excludePatterns = [], excludeFiles = []) {
+  validateDiffSpec(diffSpec);
+
+  const gitRoot = getGitRoot();
+  const source =
+    diffSpec.mode === "staged"
+      ? ["--cached"]
+      : diffSpec.mode === "worktree"
+        ? []
+        : [diffSpec.range];
+  const runGit = (args) =>
+    execFileSync("git", args, {
+      encoding: "utf8",
+      cwd: gitRoot,
+      maxBuffer: GIT_MAX_BUFFER,
+    });
+  const flags = getDiffFlags(diffSpec.options);
+
+  const counts = new Map();
+  for (const { key, paths } of parseGitZOutput(
+    runGit(["diff", "-z", "-M", "--numstat", ...flags, ...source]),
+    "numstat"
+  )) {
+    counts.set(paths[paths.length - 1], key.split("\t"));
+  }
+
+  const excludeMatchers = excludePatterns.map((pattern) =>
+    globToRegExp(toPosixPath(path.resolve(process.cwd(), pattern)))
+  );
+  // git reports paths below the real root, so compare real paths too
+  const excludedFiles = new Set(
+    excludeFiles.flatMap((file) => {
+      const absolutePath = path.resolve(process.cwd(), file);
+      const realDir = fs.existsSync(path.dirname(absolutePath))
+        ? fs.realpathSync(path.dirname(absolutePath))
+        : path.dirname(absolutePath);
+      return [absolutePath, path.join(realDir, path.basename(absolutePath))];
+    })
+  );
+  const isExcluded = (absolutePath) =>
+    excludedFiles.has(absolutePath) ||
+    excludeMatchers.some((matcher) => matcher.test(toPosixPath(absolutePath)));
+
+  const changes = [];
+  for (const { key, paths } of parseGitZOutput(
+    runGit(["diff", "-z", "-M", "--name-status", ...source]),
+    "name-status"
+  )) {
+    const newPath = path.join(gitRoot, paths[paths.length - 1]);
+    const oldPath = paths.length > 1 ? path.join(gitRoot, paths[0]) : null;
+    if (isExcluded(newPath)) {
+      continue;
+    }
+
+    const [insertions, deletions] = counts.get(paths[paths.length - 1]) || [
+      "0",
+      "0",
+    ];
+    changes.push({
+      status: CHANGE_STATUS_LABELS[key[0]] || "modified",
+      filePath: newPath,
+      oldFilePath: oldPath,
+      binary: insertions === "-",
+      insertions: insertions === "-" ? 0 : parseInt(insertions, 10),
+      deletions: deletions === "-" ? 0 : parseInt(deletions, 10),
+    });
+  }
+
+  if (comparesWorkingTree(diffSpec)) {
+    const untracked = runGit([
+      "ls-files",
+      "-z",
+      "--others",
+      "--exclude-standard",
+    ])
+      .split("\0")
+      .filter((f) => f);
+    for (const relativePath of untracked) {
+      const filePath = path.join(gitRoot, relativePath);
+      if (isExcluded(filePath)) {
+        continue;
+      }
+      const { text, binary } = readSourceFile(filePath);
+      changes.push({
+        status: "untracked",
+        filePath,
+        oldFilePath: null,
+        binary,
+        insertions: binary
+          ? 0
+          : text.split("\n").length - (text.endsWith("\n") ? 1 : 0),
+        deletions: 0,
+      });
+    }
+  }
+
+  return changes.sort((a, b) => a.filePath.localeCompare(b.filePath));
+}
+
+/**
+ * Get the title for a set of changes (e.g., "Changes since main")
+ * @param {object} diffSpec - Parsed diff spec
+ * @returns {string} Title
+ */
+function getChangesTitle(diffSpec) {
+  if (diffSpec.mode === "staged") {
+    return "Staged changes";
+  }
+  if (diffSpec.mode === "worktree") {
+    return "Unstaged changes";
+  }
+  return `Changes since ${diffSpec.range}`;
+}
+
+/**
+ * Get a path relative to the current directory for tables and progress
+ * @param {string} filePath - Absolute path
+ * @returns {string} Relative POSIX path
+ */
+function toDisplayPath(filePath) {
+  return toPosixPath(path.relative(process.cwd(), filePath));
+}
+
+/**
+ * Format the change summary table shown above changed files
+ * @param {object[]} changes - Changes from listChangedFiles
+ * @param {object} diffSpec - Parsed diff spec
+ * @returns {string} Markdown table with per-file insertions and deletions
+ */
+function formatChangeTable(changes, diffSpec) {
+  const escapeCell = (text) => text.replace(/\|/g, "\\|");
+  const insertions = changes.reduce((sum, c) => sum + c.insertions, 0);
+  const deletions = changes.reduce((sum, c) => sum + c.deletions, 0);
+  const fileCount = `${changes.length} ${changes.length === 1 ? "file" : "files"}`;
+
+  const rows = changes.map((change) => {
+    const name = change.oldFilePath
+      ? `${toDisplayPath(change.oldFilePath)} → ${toDisplayPath(change.filePath)}`
+      : toDisplayPath(change.filePath);
+    const added = change.binary ? "bin" : change.insertions;
+    const removed = change.binary ? "bin" : change.deletions;
+    return `| ${escapeCell(name)} | ${change.status} | ${added} | ${removed} |`;
+  });
+
+  return [
+    `${getChangesTitle(diffSpec)}: ${fileCount}, +${insertions} −${deletions}`,
+    "",
+    "| File | Status | + | − |",
+    "| --- | --- | ---: | ---: |",
+    ...rows,
+  ].join("\n");
+}
+
+/**
+ * Format the note shown in place of a deleted file
+ * @param {string} filePath - Absolute path of the deleted file
+ * @param {object} diffSpec - Parsed diff spec
+ * @param {string} diffContent - Diff of the deletion (used to count lines)
+ * @returns {object} Note document
+ */
+function formatDeletedNote(filePath, diffSpec, diffContent) {
+  const removed = diffContent
+    .split("\n")
+    .filter((line) => line.startsWith("-") && !line.startsWith("---")).length;
+  return createNoteDocument(
+    filePath,
+    `deleted, ${describeDiff(diffSpec, filePath)}`,
+    `File was deleted (${removed} ${removed === 1 ? "line" : "lines"} removed).`
+  );
+}
+
+/**
+ * Read the new version of a changed file: the index for staged changes,
+ * the right-hand ref of a range, or the working tree
+ * @param {string} filePath - Absolute path to the file
+ * @param {object} diffSpec - Parsed diff spec
+ * @returns {{text: string|null, binary: boolean, bytes: number}} Decoded content
+ */
+function readNewVersion(filePath, diffSpec) {
+  const target =
+    diffSpec.mode === "staged"
+      ? ""
+      : diffSpec.mode === "range"
+        ? diffSpec.range.split(/\.{2,3}/)[1]
+        : undefined;
+  if (target === undefined) {
+    return readSourceFile(filePath);
+  }
+  // "main.." leaves the right side empty, which git reads as HEAD
+  return readFileAtRef(
+    filePath,
+    target || (diffSpec.mode === "range" ? "HEAD" : "")
+  );
+}
+
+/**
+ * Render one changed file as its diff, its new version, or both
+ * @param {object} change - Change from listChangedFiles
+ * @param {object} diffSpec - Parsed diff spec
+ * @param {"diff"|"full"|"both"} mode - What to render
+ * @param {object|null} redactor - Redactor applied to file content
+ * @param {object} [options] - Options
+ * @param {boolean} [options.lineNumbers] - Number lines (old/new numbers for diffs)
+ * @param {object|null} [options.compact] - Compaction of the new version, from parseCompactSpec
+ * @returns {object[]} Extracted documents
+ */
+function renderChangedFile(
+  change,
+  diffSpec,
+  mode,
+  redactor,
+  { lineNumbers = false, compact = null } = {}
+) {
+  const { filePath, oldFilePath } = change;
+
+  if (change.status === "deleted") {
+    return [
+      formatDeletedNote(
+        filePath,
+        diffSpec,
+        readDiffContent(filePath, diffSpec)
+      ),
+    ];
+  }
+
+  const documents = [];
+  if (mode !== "full") {
+    const diffContent = redactContent(
+      redactor,
+      readDiffContent(filePath, diffSpec, oldFilePath),
+      filePath
+    );
+    documents.push(
+      createDiffDocument(
+        filePath,
+        lineNumbers ? numberDiffLines(diffContent) : diffContent,
+        describeDiff(diffSpec, filePath)
+      )
+    );
+  }
+  if (mode !== "diff") {
+    // git calls UTF-16 files binary; the decoder tells them apart
+    const version = readNewVersion(filePath, diffSpec);
+    if (version.binary) {
+      documents.push(createBinaryNote(filePath, change.status, version.bytes));
+    } else {
+      const { content, compaction } = readCompactedContent(filePath, null, {
+        source: version.text,
+        lineNumbers,
+        redact: (text) => redactContent(redactor, text, filePath),
+        compact,
+      });
+      documents.push(
+        createFileDocument(
+          filePath,
+          detectLanguage(filePath, version.text),
+          content,
+          null,
+          { compaction }
+        )
+      );
+    }
+  }
+  return documents;
+}
+
+/**
+ * Build a plan section holding every changed file of a diff spec
+ * The section starts with the change summary table (always required);
+ * full-file entries can be reduced to their diff by auto-fit.
+ *
+ * @param {object} options - Section options
+ * @param {string} options.since - Base ref, range, "staged" or "worktree"
+ * @param {"diff"|"full"|"both"} options.mode - What to render per file
+ * @param {string[]} options.exclude - Globs of changed files to skip
+ * @param {string[]} [options.excludeFiles] - Files to skip, taken literally
+ * @param {string|null} options.header - Section header (default: "Changes since <ref>")
+ * @param {string} options.priority - Priority of every entry
+ * @param {boolean} [options.lineNumbers] - Number lines of every file
+ * @param {object|null} [options.compact] - Compaction of full files, from parseCompactSpec
+ * @returns {{header: string, label: string, entries: object[]}} Plan section
+ * @throws {Error} If git fails or nothing changed
+ */
+function buildChangedSection({
+  since,
+  mode,
+  exclude,
+  excludeFiles = [],
+  header,
+  priority,
+  lineNumbers = false,
+  followImports = 0,
+  withTests = false,
+  compact = null,
+}) {
+  const diffSpec = parseDiffSpec(`diff=${since}`);
+  const changes = listChangedFiles(diffSpec, exclude, excludeFiles);
+  const title = getChangesTitle(diffSpec);
+  if (changes.length === 0) {
+    throw new Error(
+      `No files changed (${title.toLowerCase()})${exclude.length > 0 ? " after --exclude filters" : ""}`
+    );
+  }
+
+  const sectionHeader = header || title;
+  const entries = [
+    {
+      fileArg: title.toLowerCase(),
+      label: "change summary",
+      spec: "summary",
+      priority: "required",
+      git: true,
+      render: () =>
+        createDocument("summary", null, formatChangeTable(changes, diffSpec), {
+          label: title,
+        }),
+    },
+  ];
+
+  for (const change of changes) {
+    const reducible = mode !== "diff" && change.status !== "deleted";
+    entries.push({
+      fileArg: toDisplayPath(change.filePath),
+      label: toDisplayPath(change.filePath),
+      spec: `changed, ${mode}`,
+      filePath: change.status === "deleted" ? null : change.filePath,
+      followImports,
+      withTests,
+      priority,
+      git: true,
+      render: (redactor) =>
+        renderChangedFile(change, diffSpec, mode, redactor, {
+          lineNumbers,
+          compact,
+        }),
+      reduce: reducible
+        ? (redactor) => ({
+            documents: renderChangedFile(change, diffSpec, "diff", redactor, {
+              lineNumbers,
+            }),
+            description: "changed hunks",
+          })
+        : null,
+    });
+  }
+
+  return { header: sectionHeader, label: sectionHeader, entries };
+}
+
+// ============================================================================
+// Import Following
+// ============================================================================
+
+/** File access for lib/imports.js */
+const IMPORT_HOST = {
+  readFile: (filePath) => {
+    // BOMs would break tsconfig.json parsing; binary files read as null
+    try {
+      return readSourceFile(filePath).text;
+    } catch {
+      return null;
+    }
+  },
+  isFile: (filePath) =>
+    Boolean(fs.statSync(filePath, { throwIfNoEntry: false })?.isFile()),
+  listFiles: (extension) => {
+    const root = getProjectRoot();
+    return listFiles(root)
+      .filter((f) => f.toLowerCase().endsWith(extension))
+      .map((f) => path.join(root, f));
+  },
+};
+
+/**
+ * Parse an import depth: how many levels of local imports to follow
+ * @param {string|number} value - Depth from --follow-imports or config "followImports"
+ * @returns {number} Depth (0 follows nothing)
+ * @throws {Error} If the depth is not a whole number
+ */
+function parseImportDepth(value) {
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new Error(
+      `Invalid import depth "${value}". Use a whole number of levels (e.g., 1 or 2)`
+    );
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Validate an optional import depth from a config file
+ * @param {*} value - Value from the config
+ * @throws {Error} If the value is not a whole number
+ */
+function validateImportDepth(value) {
+  if (value !== undefined) {
+    parseImportDepth(value);
+  }
+}
+
+/**
+ * Get the working-tree file an entry extracts from
+ * @param {object} entry - Plan entry
+ * @returns {string|null} Absolute path, or null for entries that read no file (summaries, refs, deleted files)
+ */
+function getEntryFilePath(entry) {
+  if (entry.render) {
+    return entry.filePath || null;
+  }
+  const { filePath, ref } = parseFileArgument(entry.fileArg);
+  return ref ? null : path.resolve(process.cwd(), filePath);
+}
+
+/**
+ * Build the section of files imported by the plan's files
+ * Entries with a followImports depth are followed; files the plan already
+ * holds (with any spec) are left out. Dependencies are optional, so
+ * auto-fit drops them first.
+ *
+ * @param {object[]} sections - Plan sections
+ * @param {object} options - Options
+ * @param {boolean} options.lineNumbers - Line numbering of the plan
+ * @param {object|null} options.compact - Compaction of the plan, from parseCompactSpec
+ * @returns {object|null} Dependencies section, or null if nothing was found
+ */
+function buildDependencySection(sections, { lineNumbers, compact }) {
+  const entries = sections.flatMap((section) => section.entries);
+  const roots = entries
+    .filter((entry) => entry.followImports > 0)
+    .map((entry) => ({
+      filePath: getEntryFilePath(entry),
+      depth: entry.followImports,
+    }))
+    .filter((root) => root.filePath && IMPORT_HOST.isFile(root.filePath));
+  if (roots.length === 0) {
+    return null;
+  }
+
+  const planFiles = new Set(entries.map(getEntryFilePath).filter(Boolean));
+  const dependencies = findDependencies(roots, IMPORT_HOST).filter(
+    (dependency) => !planFiles.has(dependency.filePath)
+  );
+  if (dependencies.length === 0) {
+    return null;
+  }
+
+  return {
+    header: DEPENDENCIES_HEADER,
+    label: DEPENDENCIES_HEADER,
+    entries: dependencies.map(({ filePath, importedBy }) => ({
+      fileArg: toDisplayPath(filePath),
+      label: `${toDisplayPath(filePath)} (imported by ${path.basename(importedBy)})`,
+      priority: "optional",
+      lineNumbers,
+      compact,
+    })),
+  };
+}
+
+// ============================================================================
+// Test Discovery
+// ============================================================================
+
+/**
+ * Substitute the placeholders of a test rule template
+ * @param {string} template - Template (e.g., "tests/{dir}/{name}.test.{ext}")
+ * @param {string} sourcePath - Absolute source path
+ * @returns {string} Path or glob relative to the current directory
+ */
+function expandTestTemplate(template, sourcePath) {
+  const relativePath = toDisplayPath(sourcePath);
+  const ext = path.extname(relativePath);
+  const values = {
+    dir: path.posix.dirname(relativePath),
+    name: path.basename(relativePath, ext),
+    ext: ext.slice(1),
+  };
+  return template.replace(/\{(dir|name|ext)\}/g, (match, key) => values[key]);
+}
+
+/**
+ * Find the tests of a source file with the plan's custom test rules
+ * @param {string} sourcePath - Absolute source path
+ * @param {{source: string, tests: string|string[]}[]} rules - Rules from "testRules"
+ * @returns {string[]} Absolute test paths
+ */
+function findRuleTests(sourcePath, rules) {
+  const tests = [];
+  for (const rule of rules) {
+    const matcher = globToRegExp(
+      toPosixPath(path.resolve(process.cwd(), rule.source))
+    );
+    if (!matcher.test(toPosixPath(sourcePath))) {
+      continue;
+    }
+    for (const template of [].concat(rule.tests)) {
+      const testPath = expandTestTemplate(template, sourcePath);
+      if (isGlobPattern(testPath)) {
+        try {
+          tests.push(...resolvePattern(testPath));
+        } catch {
+          // Base directory of the pattern is missing: no matches
+        }
+      } else if (IMPORT_HOST.isFile(path.resolve(process.cwd(), testPath))) {
+        tests.push(path.resolve(process.cwd(), testPath));
+      }
+    }
+  }
+  return tests;
+}
+
+/**
+ * Validate the "testRules" of a config
+ * @param {*} rules - Rules from the config
+ * @param {(at: string, message: string) => void} report - Problem collector
+ */
+function validateTestRules(rules, report) {
+  if (!Array.isArray(rules)) {
+    report("testRules", 'Must be an array of { "source", "tests" } rules');
+    return;
+  }
+  for (const [index, rule] of rules.entries()) {
+    const at = `testRules[${index}]`;
+    if (!isPlainObject(rule)) {
+      report(at, 'Must be an object with "source" and "tests"');
+      continue;
+    }
+    for (const key of Object.keys(rule)) {
+      if (!TEST_RULE_KEYS.includes(key)) {
+        report(`${at}.${key}`, describeUnknownKey(key, TEST_RULE_KEYS));
+      }
+    }
+    if (typeof rule.source !== "string" || !rule.source) {
+      report(`${at}.source`, "Must be a glob of source files");
+    }
+    const templates = [].concat(rule.tests ?? []);
+    if (
+      templates.length === 0 ||
+      templates.some((template) => typeof template !== "string" || !template)
+    ) {
+      report(
+        `${at}.tests`,
+        'Must be a path or glob, or an array of them (e.g., "tests/{dir}/test_{name}.py")'
+      );
+    }
+  }
+}
+
+/**
+ * Build the test files matched to the plan's source files
+ * Entries with withTests are mapped to their tests by the plan's
+ * testRules, then by naming conventions. Tests the plan already holds are
+ * left out. Matches are appended to the plan's "Tests" section, or to a new
+ * one, each annotated with the source file it was matched from.
+ *
+ * @param {object[]} sections - Plan sections (a "Tests" section is extended in place)
+ * @param {object} options - Options
+ * @param {object[]} options.rules - Custom rules from "testRules"
+ * @param {boolean} options.lineNumbers - Line numbering of the plan
+ * @param {object|null} options.compact - Compaction of the plan, from parseCompactSpec
+ * @returns {object|null} New Tests section, or null if none is needed
+ */
+function buildTestSection(sections, { rules, lineNumbers, compact }) {
+  const entries = sections.flatMap((section) => section.entries);
+  const sources = entries
+    .filter((entry) => entry.withTests)
+    .map(getEntryFilePath)
+    .filter((filePath) => filePath && IMPORT_HOST.isFile(filePath));
+  if (sources.length === 0) {
+    return null;
+  }
+
+  const root = getProjectRoot();
+  const index = createFileIndex(listFiles(root));
+  const planFiles = new Set(entries.map(getEntryFilePath).filter(Boolean));
+  const matches = new Map();
+  for (const sourcePath of new Set(sources)) {
+    const relativeSource = toPosixPath(path.relative(root, sourcePath));
+    const conventional = relativeSource.startsWith("../")
+      ? []
+      : findConventionalTests(relativeSource, index).map((testPath) =>
+          path.join(root, testPath)
+        );
+    for (const testPath of [
+      ...findRuleTests(sourcePath, rules),
+      ...conventional,
+    ]) {
+      if (!planFiles.has(testPath) && !matches.has(testPath)) {
+        matches.set(testPath, sourcePath);
+      }
+    }
+  }
+
+  const testEntries = [...matches].map(([testPath, sourcePath]) => ({
+    fileArg: toDisplayPath(testPath),
+    label: `${toDisplayPath(testPath)} (tests for ${path.basename(sourcePath)})`,
+    annotation: `tests for ${toDisplayPath(sourcePath)}`,
+    priority: "preferred",
+    lineNumbers,
+    compact,
+  }));
+  if (testEntries.length === 0) {
+    return null;
+  }
+
+  const existing = sections.find((section) => section.header === TESTS_HEADER);
+  if (existing) {
+    existing.entries.push(...testEntries);
+    return null;
+  }
+  return { header: TESTS_HEADER, label: TESTS_HEADER, entries: testEntries };
+}
+
+/**
+ * Add an entry's annotation to the labels of its documents
+ * @param {object[]} documents - Rendered documents
+ * @param {string|undefined} annotation - Annotation (e.g., "tests for src/auth.ts")
+ * @returns {object[]} Annotated documents
+ */
+function annotateDocuments(documents, annotation) {
+  if (!annotation) {
+    return documents;
+  }
+  return documents.map((document) => ({
+    ...document,
+    label: document.label ? `${document.label}; ${annotation}` : annotation,
+  }));
+}
+
+// ============================================================================
+// Command Output
+// ============================================================================
+
+/**
+ * Parse how long a command may run
+ * @param {number|string} value - Seconds, from config or --command-timeout
+ * @returns {number} Seconds
+ * @throws {Error} If the value is not a positive number
+ */
+function parseCommandTimeout(value) {
+  const seconds = Number(value);
+  if (
+    String(value).trim() === "" ||
+    !Number.isFinite(seconds) ||
+    seconds <= 0
+  ) {
+    throw new Error(
+      `Invalid command timeout: "${value}". Use seconds (e.g., 300)`
+    );
+  }
+  return seconds;
+}
+
+/**
+ * Parse the size limit of a command's output block
+ * @param {number|string} value - Bytes, from config or --command-limit
+ * @returns {number} Limit in bytes
+ * @throws {Error} If the value is not a byte size
+ */
+function parseCommandLimit(value) {
+  let limit = null;
+  try {
+    limit = parseBudget(value);
+  } catch {
+    // Reported below with a message about command output
+  }
+  if (!limit || limit.unit !== "bytes") {
+    throw new Error(
+      `Invalid command limit: "${value}". Use bytes ("16KB", "40000")`
+    );
+  }
+  return limit.limit;
+}
+
+/**
+ * Describe how a command run ended, for the block header
+ * @param {object} run - Result of runCommand
+ * @param {number} timeout - Timeout in seconds
+ * @param {number} omittedLines - Lines cut from the middle of the output
+ * @returns {string} Label (e.g., "exit 1, 4.2s, 310 lines omitted")
+ */
+function describeCommandRun(run, timeout, omittedLines) {
+  const status = run.timedOut
+    ? `timed out after ${timeout}s`
+    : run.signal
+      ? `killed by ${run.signal}`
+      : `exit ${run.exitCode}`;
+  const parts = [status, `${(run.duration / 1000).toFixed(1)}s`];
+  if (omittedLines > 0) {
+    parts.push(
+      `${omittedLines} ${omittedLines === 1 ? "line" : "lines"} omitted`
+    );
+  }
+  return parts.join(", ");
+}
+
+/**
+ * Run a command and describe its output as a document
+ * @param {string} command - Command line
+ * @param {object|null} redactor - Redactor applied to the output
+ * @param {object} options - Options
+ * @param {number} options.timeout - Seconds before the command is stopped
+ * @param {number} options.limit - Size limit of the output in bytes
+ * @returns {object} Command document
+ * @throws {Error} If the shell can't be started
+ */
+function renderCommand(command, redactor, { timeout, limit }) {
+  const run = runCommand(command, { timeout });
+  const { text, omittedLines } = truncateOutput(run.output, limit);
+  return createDocument(
+    "command",
+    command,
+    redactContent(
+      redactor,
+      text || "(No output)",
+      `${COMMAND_PREFIX}${command}`
+    ),
+    {
+      label: describeCommandRun(run, timeout, omittedLines),
+      language: "text",
+    }
+  );
+}
+
+/**
+ * Turn a "cmd:" plan entry into one that runs its command when rendered
+ * @param {object} entry - Plan entry with a "cmd:" file argument
+ * @param {object} options - Command settings of the plan
+ * @param {number} options.timeout - Seconds before the command is stopped
+ * @param {number} options.limit - Size limit of the output in bytes
+ * @returns {object} Plan entry
+ */
+function buildCommandEntry(entry, { timeout, limit }) {
+  const command = parseCommandArg(entry.fileArg);
+  return {
+    ...entry,
+    label: `$ ${command}`,
+    spec: "cmd",
+    render: (redactor) => renderCommand(command, redactor, { timeout, limit }),
+    reduce: null,
+  };
+}
+
+// ============================================================================
+// Plan Rendering and Auto-Fit
+// ============================================================================
+
+/**
+ * Render every entry of a plan into blocks of the output format
+ * Failures are collected instead of thrown so one bad file does not stop
+ * the rest of the plan.
+ *
+ * @param {{header: string|null, label: string, entries: object[]}[]} sections - Plan sections
+ * @param {object|null} redactor - Redactor applied to every block
+ * @param {object} formatter - Formatter from createFormatter
+ * @param {object[]} [languages] - Language overrides from compileLanguageOverrides
+ * @param {Set<object>|null} [only] - Entries to render (default: all); the rest keep their managed regions
+ * @returns {{sections: object[], errors: {entry: object, section: object, error: Error}[]}} Rendered sections
+ */
+function renderPlan(
+  sections,
+  redactor,
+  formatter,
+  languages = [],
+  only = null
+) {
+  const errors = [];
+  const rendered = sections.map((section) => {
+    const blocks = [];
+    for (const entry of section.entries) {
+      if (only && !only.has(entry)) {
+        continue;
+      }
+      try {
+        const documents = annotateDocuments(
+          applyLanguageOverrides(
+            [].concat(
+              entry.render
+                ? entry.render(redactor)
+                : processFile(entry.fileArg, redactor, {
+                    lineNumbers: entry.lineNumbers,
+                    compact: entry.compact,
+                  })
+            ),
+            languages
+          ),
+          entry.annotation
+        );
+        const content = formatter.renderBlock(documents, section.header);
+        blocks.push({ entry, header: section.header, documents, content });
+      } catch (error) {
+        errors.push({ entry, section, error });
+      }
+    }
+    return { ...section, blocks };
+  });
+  return { sections: rendered, errors };
+}
+
+/**
+ * Get the blocks of a section that survived auto-fit
+ * @param {{blocks: object[]}} section - Rendered section
+ * @returns {object[]} Blocks to write
+ */
+function getLiveBlocks(section) {
+  return section.blocks.filter((block) => !block.dropped);
+}
+
+/**
+ * Describe a rendered plan as managed regions, keyed by section header and
+ * file spec (repeated keys get a " (2)" suffix)
+ * Files that failed to render keep their old region; files dropped by
+ * auto-fit lose it.
+ *
+ * @param {object[]} sections - Rendered sections
+ * @param {object} [options] - Options
+ * @param {boolean} [options.skeleton] - Empty contents and no headers (for measuring what stays)
+ * @returns {object[]} Region plan for applyRegions
+ */
+function buildRegionPlan(sections, { skeleton = false } = {}) {
+  const uniqueKey = (key, counts) => {
+    const count = (counts.get(key) || 0) + 1;
+    counts.set(key, count);
+    return count === 1 ? key : `${key} (${count})`;
+  };
+
+  const sectionCounts = new Map();
+  return sections.map((section) => {
+    const fileCounts = new Map();
+    return {
+      section: uniqueKey(section.header || "", sectionCounts),
+      header: skeleton ? null : section.header,
+      files: section.entries.map((entry) => {
+        const block = section.blocks.find((b) => b.entry === entry);
+        return {
+          file: uniqueKey(entry.fileArg, fileCounts),
+          content: !block ? null : skeleton ? "" : block.content,
+          remove: Boolean(block && block.dropped),
+        };
+      }),
+    };
+  });
+}
+
+/**
+ * Compose the text a plan appends to the document, as writePlan writes it
+ * @param {object[]} sections - Rendered sections
+ * @returns {string} Section headers and blocks
+ */
+function composePlan(sections) {
+  let text = "";
+  for (const section of sections) {
+    const blocks = getLiveBlocks(section);
+    if (blocks.length > 0 && section.header) {
+      text += `### ${section.header}\n\n`;
+    }
+    for (const block of blocks) {
+      text += block.content + "\n\n";
+    }
+  }
+  return text;
+}
+
+/**
+ * Measure the full document a plan would produce, including existing output
+ * @param {object[]} sections - Rendered sections
+ * @param {object} tracker - Size tracker holding the existing output size
+ * @param {object} formatter - Formatter from createFormatter
+ * @returns {number} Size in the budget's unit
+ */
+function measurePlan(sections, tracker, formatter) {
+  let total = tracker.used();
+  for (const section of sections) {
+    const blocks = getLiveBlocks(section);
+    if (blocks.length > 0 && section.header) {
+      total += tracker.measure(formatter.renderSectionHeader(section.header));
+    }
+    for (const block of blocks) {
+      total += tracker.measure(block.content + "\n\n");
+    }
+  }
+  return total;
+}
+
+/**
+ * Render the cheaper versions of a file for a preferred entry: the changed
+ * hunks against the default diff base, and a signatures-only view
+ * Only whole files are reduced; entries with a range or spec are not.
+ *
+ * @param {string} fileArg - File argument (path with optional range spec)
+ * @param {object|null} redactor - Redactor applied to the reduced content
+ * @param {object} [options] - Options
+ * @param {boolean} [options.lineNumbers] - Number the changed hunks
+ * @returns {{documents: object[], description: string}[]} Reduced versions (empty if not reducible)
+ */
+function renderReducedFile(fileArg, redactor, { lineNumbers = false } = {}) {
+  const { filePath: parsedPath, rangeStr, ref } = parseFileArgument(fileArg);
+
+  // Ranges, symbols, diffs, history and trace windows already select part
+  // of the file; hunks or signatures of the whole file would show the rest
+  if (rangeStr) {
+    return [];
+  }
+
+  const filePath = path.isAbsolute(parsedPath)
+    ? parsedPath
+    : path.resolve(process.cwd(), parsedPath);
+  const reductions = [];
+
+  // Files at a ref have no changed hunks to show
+  if (!ref) {
+    try {
+      const diffSpec = parseDiffSpec("diff");
+      const diffContent = redactContent(
+        redactor,
+        readDiffContent(filePath, diffSpec),
+        filePath
+      );
+      if (diffContent.trim() !== "") {
+        reductions.push({
+          documents: [
+            createDiffDocument(
+              filePath,
+              lineNumbers ? numberDiffLines(diffContent) : diffContent,
+              describeDiff(diffSpec, filePath)
+            ),
+          ],
+          description: `changed hunks (${diffSpec.range})`,
+        });
+      }
+    } catch {
+      // Not in git or no usable base; signatures only
+    }
+  }
+
+  try {
+    const content = requireText(
+      ref ? readFileAtRef(filePath, ref) : readSourceFile(filePath)
+    );
+    const view = redactContent(
+      redactor,
+      buildSignatureView(content, filePath),
+      filePath
+    );
+    if (view && view.trim() !== "") {
+      reductions.push({
+        documents: [
+          createFileDocument(
+            filePath,
+            detectLanguage(filePath, content),
+            view,
+            null,
+            {
+              ref,
+              note: "signatures only",
+            }
+          ),
+        ],
+        description: "signatures",
+      });
+    }
+  } catch {
+    // Unsupported language or unparsable file
+  }
+
+  return reductions;
+}
+
+/**
+ * Degrade a rendered plan step by step until it fits the budget
+ * Steps, each largest file first: drop optional files, reduce preferred
+ * files to changed hunks or signatures, drop preferred files. Required
+ * files are never touched.
+ *
+ * @param {object[]} sections - Rendered sections (blocks are updated in place)
+ * @param {object} tracker - Size tracker holding the existing output size
+ * @param {object|null} redactor - Redactor applied to reduced blocks
+ * @param {object} formatter - Formatter from createFormatter
+ * @param {object[]} [languages] - Language overrides from compileLanguageOverrides
+ * @returns {{fits: boolean, before: number, after: number, degradations: {message: string, saved: number}[]}} Fit result
+ */
+function fitPlanToBudget(
+  sections,
+  tracker,
+  redactor,
+  formatter,
+  languages = []
+) {
+  const { limit } = tracker.budget;
+  const before = measurePlan(sections, tracker, formatter);
+  const degradations = [];
+
+  const blockSize = (block) => tracker.measure(block.content + "\n\n");
+  const candidates = (priority) =>
+    sections
+      .flatMap(getLiveBlocks)
+      .filter((block) => block.entry.priority === priority)
+      .sort((a, b) => blockSize(b) - blockSize(a));
+
+  const dropBlock = (block) => {
+    block.dropped = true;
+    return {
+      message: `Dropped ${block.entry.priority} file ${block.entry.fileArg}`,
+      saved: blockSize(block),
+    };
+  };
+
+  const reduceBlock = (block) => {
+    // Custom entries (e.g., --changed-since) know their own reduced form
+    const reductions = block.entry.render
+      ? [block.entry.reduce?.(redactor)].filter((reduced) => reduced)
+      : renderReducedFile(block.entry.fileArg, redactor, {
+          lineNumbers: block.entry.lineNumbers,
+        });
+
+    // Keep the smallest: the hunks of a new file are the whole file
+    let best = null;
+    for (const reduced of reductions) {
+      const documents = annotateDocuments(
+        applyLanguageOverrides(reduced.documents, languages),
+        block.entry.annotation
+      );
+      const content = formatter.renderBlock(documents, block.header);
+      const size = tracker.measure(content + "\n\n");
+      if (!best || size < best.size) {
+        best = { description: reduced.description, documents, content, size };
+      }
+    }
+    const saved = best ? blockSize(block) - best.size : 0;
+    if (saved <= 0) {
+      return null;
+    }
+    block.documents = best.documents;
+    block.content = best.content;
+    return {
+      message: `Reduced ${block.entry.priority} file ${block.entry.fileArg} to ${best.description}`,
+      saved,
+    };
+  };
+
+  const steps = [
+    { priority: "optional", apply: dropBlock },
+    { priority: "preferred", apply: reduceBlock },
+    { priority: "preferred", apply: dropBlock },
+  ];
+
+  let total = before;
+  for (const { priority, apply } of steps) {
+    for (const block of candidates(priority)) {
+      if (total < limit) {
+        break;
+      }
+      const degradation = apply(block);
+      if (degradation) {
+        degradations.push(degradation);
+        total -= degradation.saved;
+      }
+    }
+  }
+
+  // Re-measure: per-block sizes exclude headers of sections that emptied out
+  const after = measurePlan(sections, tracker, formatter);
+  return { fits: after < limit, before, after, degradations };
+}
+
+/**
+ * Write or append to the output file
+ * @param {string} outputFile - Output file
+ * @param {string} text - Text to write
+ * @param {object} [options] - Write options
+ * @param {boolean} [options.append] - Append instead of replacing the file
+ * @throws {ExtractError} INVALID_OUTPUT if the file can't be written (`cause` holds the file system error)
+ */
+function writeOutputFile(outputFile, text, { append = false } = {}) {
+  try {
+    if (append) {
+      fs.appendFileSync(outputFile, text, "utf8");
+    } else {
+      fs.writeFileSync(outputFile, text, "utf8");
+    }
+  } catch (error) {
+    throw new ExtractError(
+      "INVALID_OUTPUT",
+      `${outputFile}: ${error.message}`,
+      {
+        cause: error,
+      }
+    );
+  }
+}
+
+/**
+ * Write a rendered plan to the output file, or compose it in memory
+ * @param {object[]} sections - Rendered sections after auto-fit
+ * @param {object} options - Write options
+ * @param {string|null} options.outputFile - Output file (content is returned if unset)
+ * @param {object} options.tracker - Size tracker holding the existing output size
+ * @param {boolean} options.toc - Add or refresh the table of contents afterwards
+ * @param {boolean} options.managed - Replace managed regions instead of appending
+ * @param {boolean} options.prune - Remove managed regions not in this plan
+ * @param {object} options.formatter - Formatter from createFormatter
+ * @param {object[]} options.existingEntries - Manifest entries of the existing output (JSON and HTML)
+ * @param {(event: object) => void} options.emit - Progress event listener
+ * @returns {{written: number, content: string|null}} Number of files written, and the document if there is no output file
+ * @throws {ExtractError} INVALID_OUTPUT if the output file can't be written
+ */
+function writePlan(
+  sections,
+  { outputFile, tracker, toc, managed, prune, formatter, existingEntries, emit }
+) {
+  const results = [];
+  const entries = [];
+  const fileCount = sections.flatMap(getLiveBlocks).length;
+  let written = 0;
+
+  for (const [sectionIndex, section] of sections.entries()) {
+    const blocks = getLiveBlocks(section);
+    if (blocks.length === 0) {
+      continue;
+    }
+
+    emit({
+      type: "section",
+      index: sectionIndex,
+      count: sections.length,
+      label: section.label,
+    });
+
+    // Add section header if specified
+    let header = "";
+    if (section.header) {
+      header = formatter.renderSectionHeader(section.header);
+      tracker.add(header);
+    }
+
+    for (const [blockIndex, block] of blocks.entries()) {
+      const content = block.content + "\n\n";
+      const added = tracker.add(content);
+
+      if (!formatter.streaming) {
+        entries.push(...formatter.toEntries(block.documents, block.header));
+      } else if (outputFile && !managed) {
+        writeOutputFile(outputFile, header + content, { append: true });
+      } else if (!outputFile) {
+        results.push(header + block.content);
+      }
+      header = "";
+      written++;
+
+      emit({
+        type: "file",
+        fileArg: block.entry.fileArg,
+        label: getProgressLabel(block.entry),
+        section: section.label,
+        index: blockIndex,
+        count: blocks.length,
+        written,
+        total: fileCount,
+        added,
+        compaction: sumCompaction(block.documents),
+        usage: tracker.usage(),
+      });
+      const threshold = tracker.checkThresholds();
+      if (threshold) {
+        emit({ type: "threshold", ...threshold });
+      }
+    }
+  }
+
+  // JSON and HTML are composed as a whole, after the entries of earlier runs
+  if (!formatter.streaming && written > 0) {
+    const document = formatter.composeDocument([
+      ...existingEntries,
+      ...entries,
+    ]);
+    if (outputFile) {
+      writeOutputFile(outputFile, document + "\n");
+    } else {
+      results.push(document);
+    }
+    tracker.bytes = 0;
+    tracker.tokens = 0;
+    tracker.add(document + "\n");
+  }
+
+  // Rewrite managed regions and the table of contents now that every file
+  // is rendered; totals switch from the reserved size to the real one
+  if ((toc || managed) && written > 0) {
+    let document = !outputFile
+      ? results.join("\n\n")
+      : fs.existsSync(outputFile)
+        ? fs.readFileSync(outputFile, "utf8")
+        : "";
+    if (managed) {
+      const regions = applyRegions(document, buildRegionPlan(sections), {
+        prune,
+      });
+      document = regions.document;
+      emit({
+        type: "regions",
+        replaced: regions.replaced,
+        added: regions.added,
+        removed: regions.removed,
+      });
+    }
+    if (toc) {
+      document = updateTableOfContents(document, TOC_OPTIONS);
+    }
+    if (outputFile) {
+      writeOutputFile(outputFile, document);
+    } else {
+      results.splice(0, results.length, document);
+    }
+    tracker.bytes = 0;
+    tracker.tokens = 0;
+    tracker.add(document);
+  }
+
+  return { written, content: outputFile ? null : results.join("\n\n") };
+}
+
+/**
+ * Render a plan in memory against its output file
+ * The tracker starts with what stays of the existing output and the room
+ * reserved for a table of contents, so it measures the finished document.
+ *
+ * @param {object} plan - Validated plan from buildPlan
+ * @param {object} options - Run options
+ * @param {string|null} options.outputFile - Output file (null for none)
+ * @param {(event: object) => void} options.emit - Progress event listener
+ * @param {Set<object>|null} [options.only] - Entries to render (the rest are skipped)
+ * @returns {{rendered: object, tracker: object, redactor: object, formatter: object, languages: object[], toc: boolean, managed: boolean, existingEntries: object[], errors: object[]}} Rendered sections and the state needed to fit and write them
+ * @throws {ExtractError} If the options conflict or the existing output can't be extended
+ */
+function renderForOutput(plan, { outputFile, emit, only = null }) {
+  const { sections, settings } = plan;
+  const { budgetOptions, prune } = settings;
+  const tracker = createSizeTracker(budgetOptions);
+  const redactor = createRedactor(settings.redact);
+  const languages = compileLanguageOverrides(settings.languages);
+  const formatter = createFormatter(settings.format, FORMAT_OPTIONS);
+  const markdown = formatter.format === "markdown";
+
+  if ((settings.managed || prune) && !outputFile) {
+    throw new ExtractError(
+      "INVALID_OPTIONS",
+      "--managed and --prune require --output"
+    );
+  }
+  if ((settings.toc || settings.managed || prune) && !markdown) {
+    throw new ExtractError(
+      "INVALID_OPTIONS",
+      "--toc, --managed and --prune only work with --format=markdown"
+    );
+  }
+
+  // Read the existing output; a table of contents or managed regions from
+  // an earlier run are kept up to date even without --toc or --managed
+  let existing = "";
+  if (outputFile && fs.existsSync(outputFile)) {
+    existing = fs.readFileSync(outputFile, "utf8");
+  }
+  const toc = markdown && (settings.toc || hasTableOfContents(existing));
+  const managed =
+    markdown && (settings.managed || prune || hasRegions(existing));
+
+  // JSON and HTML outputs are rewritten with the documents they already hold
+  let existingEntries = [];
+  if (!formatter.streaming) {
+    try {
+      existingEntries = formatter.readEntries(existing);
+    } catch (error) {
+      throw new ExtractError(
+        "INVALID_OUTPUT",
+        `${outputFile}: ${error.message}`
+      );
+    }
+  }
+
+  const rendered = renderPlan(sections, redactor, formatter, languages, only);
+  const errors = rendered.errors.map(({ entry, section, error }) => ({
+    fileArg: entry.fileArg,
+    section: section.label,
+    message: error.message,
+  }));
+  for (const error of errors) {
+    emit({ type: "error", ...error });
+  }
+
+  // Measure what stays of the existing output: the table of contents is
+  // regenerated, and regions this run rewrites are emptied (their markers
+  // stay, so marker overhead is reserved too)
+  let kept = toc ? stripTableOfContents(existing) : existing;
+  if (managed) {
+    kept = applyRegions(
+      kept,
+      buildRegionPlan(rendered.sections, { skeleton: true }),
+      { prune }
+    ).document;
+  }
+  if (kept) {
+    const size = tracker.add(kept);
+    emit({ type: "existing", output: outputFile, ...size, managed });
+  }
+
+  // Reserve room for the table of contents listing every rendered file;
+  // auto-fit only shrinks it
+  if (toc) {
+    const projected = kept + composePlan(rendered.sections);
+    const tocContent = renderTableOfContents(projected, TOC_OPTIONS);
+    if (tocContent) {
+      tracker.add(tocContent + "\n\n");
+    }
+  }
+
+  return {
+    rendered,
+    tracker,
+    redactor,
+    formatter,
+    languages,
+    toc,
+    managed,
+    existingEntries,
+    errors,
+  };
+}
+
+/**
+ * Render, fit and write a plan
+ * Everything is rendered and fitted in memory before the first byte is
+ * written, so a plan that cannot fit leaves the output untouched.
+ *
+ * @param {object} plan - Validated plan from buildPlan
+ * @param {object} options - Run options
+ * @param {string|null} options.outputFile - Output file (content is returned if unset)
+ * @param {(event: object) => void} options.emit - Progress event listener
+ * @param {Set<object>|null} [options.only] - Entries to render (managed output; the rest keep their regions)
+ * @returns {object} Extraction result (see extract)
+ * @throws {ExtractError} If the options conflict, the existing output can't be extended or written, required files exceed the budget, strict mode finds secrets, or no file renders
+ */
+function runPlan(plan, { outputFile, emit, only = null }) {
+  const { sections, settings } = plan;
+  const { budgetOptions, enforceBudget, strict, prune } = settings;
+  const {
+    rendered,
+    tracker,
+    redactor,
+    formatter,
+    languages,
+    toc,
+    managed,
+    existingEntries,
+    errors,
+  } = renderForOutput(plan, { outputFile, emit, only });
+
+  if (enforceBudget) {
+    const fit = fitPlanToBudget(
+      rendered.sections,
+      tracker,
+      redactor,
+      formatter,
+      languages
+    );
+    if (fit.degradations.length > 0) {
+      emit({ type: "autofit", budget: budgetOptions.budget, ...fit });
+    }
+    if (!fit.fits) {
+      const largest = rendered.sections
+        .flatMap(getLiveBlocks)
+        .map((block) => ({
+          fileArg: block.entry.fileArg,
+          size: tracker.measure(block.content + "\n\n"),
+        }))
+        .sort((a, b) => b.size - a.size)
+        .slice(0, 5);
+      throw new ExtractError(
+        "OVER_BUDGET",
+        `Required files alone exceed the ${formatBudget(budgetOptions.budget)} budget (${tracker.formatAmount(fit.after)})`,
+        { budget: budgetOptions.budget, size: fit.after, largest }
+      );
+    }
+  }
+
+  if (redactor.findings.length > 0) {
+    if (strict) {
+      const files = new Set(redactor.findings.map((f) => f.filePath)).size;
+      throw new ExtractError(
+        "SECRETS_FOUND",
+        `Strict mode: found secrets in ${files} ${files === 1 ? "file" : "files"}`,
+        { findings: redactor.findings }
+      );
+    }
+    emit({ type: "redactions", findings: redactor.findings });
+  }
+
+  const { written, content } = writePlan(rendered.sections, {
+    outputFile,
+    tracker,
+    toc,
+    managed,
+    prune,
+    formatter,
+    existingEntries,
+    emit,
+  });
+
+  if (written === 0) {
+    throw new ExtractError("NO_FILES", "No files were successfully processed", {
+      errors,
+    });
+  }
+
+  return {
+    output: outputFile,
+    content,
+    written,
+    // Sections auto-fit emptied out are not in the document
+    sections: rendered.sections.filter(
+      (section) => getLiveBlocks(section).length > 0
+    ).length,
+    errors,
+    hasErrors: errors.length > 0,
+    usage: tracker.usage(),
+    budget: budgetOptions.budget,
+  };
+}
+
+// ============================================================================
+// Dry Run
+// ============================================================================
+
+/**
+ * Describe what a plan entry extracts, for the dry-run table
+ * @param {object} entry - Plan entry
+ * @returns {{file: string, spec: string}} File label and spec (e.g., "symbol=refresh", "full")
+ */
+function describeEntry(entry) {
+  if (entry.render) {
+    return { file: getProgressLabel(entry), spec: entry.spec || "" };
+  }
+  const { filePath, rangeStr, ref } = parseFileArgument(entry.fileArg);
+  return {
+    file: entry.label || toPosixPath(filePath),
+    spec: [ref && `@${ref}`, rangeStr].filter(Boolean).join(":") || "full",
+  };
+}
+
+/**
+ * Render cheaper versions of a plan entry and measure what each saves
+ * Full files are tried as changed hunks and as an outline; uncompacted
+ * files with compaction; entries with their own reduced form (e.g.,
+ * changed files) with that.
+ *
+ * @param {object} block - Rendered block of the entry
+ * @param {number} size - Size of the block in the budget's unit
+ * @param {object} context - Rendering context
+ * @param {object|null} context.redactor - Redactor applied to the alternatives
+ * @param {object} context.formatter - Formatter from createFormatter
+ * @param {object[]} context.languages - Language overrides from compileLanguageOverrides
+ * @param {object} context.tracker - Size tracker measuring in the budget's unit
+ * @returns {{fileArg: string, description: string, size: number, saved: number}[]} Alternatives saving at least REPORT_MIN_SAVING of the size, largest saving first
+ */
+function findAlternatives(
+  block,
+  size,
+  { redactor, formatter, languages, tracker }
+) {
+  const { entry } = block;
+  const candidates = [];
+  if (entry.render) {
+    if (entry.reduce) {
+      candidates.push({
+        fileArg: entry.fileArg,
+        describe: (reduced) => `${reduced.description} only`,
+        render: () => entry.reduce(redactor),
+      });
+    }
+  } else {
+    const { rangeStr, ref } = parseFileArgument(entry.fileArg);
+    const variant = (spec, description) => ({
+      fileArg: `${entry.fileArg}:${spec}`,
+      describe: () => description,
+      render: () => {
+        const documents = [].concat(
+          processFile(`${entry.fileArg}:${spec}`, redactor, {
+            lineNumbers: entry.lineNumbers,
+            compact: entry.compact,
+          })
+        );
+        // An unchanged file has no hunks to show instead
+        return documents.some((d) => d.content === "(No changes)")
+          ? null
+          : { documents };
+      },
+    });
+    if (!rangeStr && !ref) {
+      candidates.push(variant("diff", "diff instead of full file"));
+      candidates.push(variant("outline", "outline instead of full file"));
+    }
+    // Diffs, history and outlines are never compacted
+    const compactable =
+      !rangeStr ||
+      !(
+        parseDiffSpec(rangeStr) ||
+        parseHistorySpec(rangeStr) ||
+        parseOutlineSpec(rangeStr)
+      );
+    if (!entry.compact && compactable) {
+      candidates.push({
+        fileArg: entry.fileArg,
+        describe: () => "compacted (--compact)",
+        render: () => ({
+          documents: [].concat(
+            processFile(entry.fileArg, redactor, {
+              lineNumbers: entry.lineNumbers,
+              compact: parseCompactSpec(true),
+            })
+          ),
+        }),
+      });
+    }
+  }
+
+  const alternatives = [];
+  for (const candidate of candidates) {
+    let reduced;
+    try {
+      reduced = candidate.render();
+    } catch {
+      // Not in git, unsupported language, or nothing to reduce
+      continue;
+    }
+    if (!reduced) {
+      continue;
+    }
+    const documents = annotateDocuments(
+      applyLanguageOverrides(reduced.documents, languages),
+      entry.annotation
+    );
+    const altSize = tracker.measure(
+      formatter.renderBlock(documents, block.header) + "\n\n"
+    );
+    if (size - altSize >= size * REPORT_MIN_SAVING) {
+      alternatives.push({
+        fileArg: candidate.fileArg,
+        description: candidate.describe(reduced),
+        size: altSize,
+        saved: size - altSize,
+      });
+    }
+  }
+  return alternatives.sort((a, b) => b.saved - a.saved);
+}
+
+/**
+ * Measure a plan without writing it
+ * Files are rendered as extract would render them, against the existing
+ * output; commands are not run, and files that fail validation are
+ * reported instead of rendered.
+ *
+ * @param {object} plan - Plan from buildPlan
+ * @param {object} options - Options
+ * @param {string|null} options.outputFile - Output file measured against (null for none)
+ * @param {{fileArg: string, section: string, message: string}[]} options.invalid - Validation errors of the plan
+ * @returns {object} Plan report (see estimatePlan)
+ * @throws {ExtractError} If the options conflict or the existing output can't be extended
+ */
+function buildPlanReport(plan, { outputFile, invalid }) {
+  const { settings } = plan;
+  const { budget } = settings.budgetOptions;
+  const failed = new Set(
+    invalid.map(({ section, fileArg }) => `${section}\0${fileArg}`)
+  );
+  const skipped = [];
+  const only = new Set();
+  for (const section of plan.sections) {
+    for (const entry of section.entries) {
+      if (parseCommandArg(entry.fileArg) !== null) {
+        skipped.push({
+          fileArg: entry.fileArg,
+          section: section.label,
+          reason: "commands don't run in a dry run",
+        });
+      } else if (!failed.has(`${section.label}\0${entry.fileArg}`)) {
+        only.add(entry);
+      }
+    }
+  }
+
+  let existing = null;
+  const { rendered, tracker, redactor, formatter, languages, errors } =
+    renderForOutput(plan, {
+      outputFile,
+      emit: (event) => {
+        if (event.type === "existing") {
+          existing = { bytes: event.bytes, tokens: event.tokens };
+        }
+      },
+      only,
+    });
+  const sizeOf = (text) => ({
+    bytes: Buffer.byteLength(text, "utf8"),
+    tokens: estimateTokens(text),
+  });
+  const toUnit = (size) =>
+    budget.unit === "tokens" ? size.tokens : size.bytes;
+  const percentOf = (value) => (value / budget.limit) * 100;
+
+  // What the tracker holds beyond the existing output is the table of contents
+  const reserved = {
+    bytes: tracker.bytes - (existing?.bytes || 0),
+    tokens: tracker.tokens - (existing?.tokens || 0),
+  };
+  const totals = { bytes: tracker.bytes, tokens: tracker.tokens };
+  const files = [];
+  for (const section of rendered.sections) {
+    if (section.blocks.length > 0 && section.header) {
+      const header = sizeOf(formatter.renderSectionHeader(section.header));
+      totals.bytes += header.bytes;
+      totals.tokens += header.tokens;
+    }
+    for (const block of section.blocks) {
+      const size = sizeOf(block.content + "\n\n");
+      totals.bytes += size.bytes;
+      totals.tokens += size.tokens;
+      files.push({
+        block,
+        section: section.label,
+        fileArg: block.entry.fileArg,
+        ...describeEntry(block.entry),
+        priority: block.entry.priority,
+        ...size,
+        percent: percentOf(toUnit(size)),
+        total: toUnit(totals),
+        totalPercent: percentOf(toUnit(totals)),
+      });
+    }
+  }
+
+  const largest = [...files]
+    .sort((a, b) => toUnit(b) - toUnit(a))
+    .slice(0, REPORT_LARGEST_COUNT)
+    .map((file) => ({
+      fileArg: file.fileArg,
+      section: file.section,
+      size: toUnit(file),
+      percent: file.percent,
+      alternatives: findAlternatives(file.block, toUnit(file), {
+        redactor,
+        formatter,
+        languages,
+        tracker,
+      }),
+    }));
+
+  // Auto-fit degrades the rendered blocks, so it runs after they are measured
+  let autofit = null;
+  if (settings.enforceBudget) {
+    const fit = fitPlanToBudget(
+      rendered.sections,
+      tracker,
+      redactor,
+      formatter,
+      languages
+    );
+    autofit = {
+      fits: fit.fits,
+      after: fit.after,
+      degradations: fit.degradations,
+    };
+  }
+
+  return {
+    output: outputFile,
+    format: formatter.format,
+    budget,
+    existing,
+    toc: reserved.bytes > 0 ? reserved : null,
+    files: files.map(({ block, ...file }) => file),
+    total: { ...totals, percent: percentOf(toUnit(totals)) },
+    fits: autofit ? autofit.fits : toUnit(totals) < budget.limit,
+    autofit,
+    largest,
+    skipped,
+    errors: [...invalid, ...errors],
+  };
+}
+
+// ============================================================================
+// Config File Operations
+// ============================================================================
+
+/**
+ * Read and validate a plan file (JSON, or YAML for .yaml/.yml files)
+ * A plan that "extends" another is merged over it, recursively. Template
+ * paths in "include" sections are resolved against the plan file that
+ * declares them, so a shared base plan can ship its own templates.
+ *
+ * @param {string} configPath - Path to config file
+ * @param {string[]|null} [chain] - Absolute paths of the plans extending this one (null for the plan itself)
+ * @returns {object} Config object, without "extends"
+ * @throws {Error} If the file is missing or does not parse
+ * @throws {ExtractError} INVALID_CONFIG listing every schema problem
+ */
+function readConfigFile(configPath, chain = null) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  // Problems in an extended plan name the file they are in
+  const source = chain ? toDisplayPath(configPath) : null;
+
+  let config;
+  try {
+    config = parseConfigText(fs.readFileSync(configPath, "utf8"), configPath);
+  } catch (error) {
+    throw new Error(
+      `Failed to parse ${source || "config file"}: ${error.message}`
+    );
+  }
+
+  const issues = validateConfig(config, { partial: true });
+  if (issues.length > 0) {
+    throw createConfigError(
+      source ? issues.map((issue) => `${source}: ${issue}`) : issues
+    );
+  }
+
+  const planDir = path.dirname(path.resolve(configPath));
+  if (config.sections) {
+    config.sections = config.sections.map((section) =>
+      section.include !== undefined
+        ? { ...section, include: path.resolve(planDir, section.include) }
+        : section
+    );
+  }
+  return extendConfig(config, {
+    baseDir: planDir,
+    chain: [...(chain || []), path.resolve(configPath)],
+    source,
+  });
+}
+
+/**
+ * Parse the text of a plan file: YAML for .yaml/.yml files, JSON otherwise
+ * @param {string} content - File content
+ * @param {string} configPath - Path to the file (for its extension)
+ * @returns {*} Parsed value
+ * @throws {Error} If the content does not parse
+ */
+function parseConfigText(content, configPath) {
+  return /\.ya?ml$/i.test(configPath)
+    ? parseYaml(content)
+    : JSON.parse(content);
+}
+
+/**
+ * Merge a config over the plan file it extends, if any
+ * @param {object} config - Validated config object
+ * @param {object} options - Options
+ * @param {string} options.baseDir - Directory "extends" is relative to
+ * @param {string[]} [options.chain] - Absolute paths of the plans read so far
+ * @param {string|null} [options.source] - Plan file named in errors (null for the plan itself)
+ * @returns {object} Config object, without "extends"
+ * @throws {ExtractError} INVALID_CONFIG if the extended plan is missing, circular or invalid
+ */
+function extendConfig(config, { baseDir, chain = [], source = null }) {
+  if (config.extends === undefined) {
+    return config;
+  }
+
+  const prefix = source ? `${source}: ` : "";
+  const basePath = path.resolve(baseDir, config.extends);
+  if (!fs.existsSync(basePath)) {
+    throw createConfigError([
+      `${prefix}extends: Plan not found: ${config.extends}`,
+    ]);
+  }
+  if (chain.includes(basePath)) {
+    const cycle = [...chain, basePath].map(toDisplayPath).join(" → ");
+    throw createConfigError([`${prefix}extends: Circular extends: ${cycle}`]);
+  }
+
+  return mergeConfigs(readConfigFile(basePath, chain), config);
+}
+
+/**
+ * Merge a plan over the plan it extends
+ * Settings override the base's, variables and languages are merged, and redaction
+ * patterns and allowlists add to the base's. Sections replace the base's
+ * unless a "..." entry inserts them.
+ *
+ * @param {object} base - Extended plan
+ * @param {object} config - Extending plan
+ * @returns {object} Merged config, without "extends"
+ */
+function mergeConfigs(base, config) {
+  const merged = { ...base, ...config };
+  delete merged.extends;
+
+  if (base.variables && config.variables) {
+    merged.variables = { ...base.variables, ...config.variables };
+  }
+  if (base.languages && config.languages) {
+    merged.languages = { ...base.languages, ...config.languages };
+  }
+  if (base.redact && config.redact) {
+    merged.redact = {
+      patterns: [
+        ...(base.redact.patterns || []),
+        ...(config.redact.patterns || []),
+      ],
+      allowlist: [
+        ...(base.redact.allowlist || []),
+        ...(config.redact.allowlist || []),
+      ],
+    };
+  }
+  if (config.sections) {
+    merged.sections = config.sections.flatMap((section) =>
+      section === INHERITED_SECTIONS ? base.sections || [] : [section]
+    );
+  }
+  return merged;
+}
+
+/**
+ * Create the error thrown for schema problems
+ * @param {string[]} issues - Problems as "path: message"
+ * @returns {ExtractError} INVALID_CONFIG error listing every problem
+ */
+function createConfigError(issues) {
+  const message =
+    issues.length === 1
+      ? issues[0]
+      : `${issues.length} problems:\n  • ${issues.join("\n  • ")}`;
+  return new ExtractError("INVALID_CONFIG", message, { issues });
+}
+
+/**
+ * Check a config object (from a plan file or the programmatic API)
+ * Every problem is reported with its path (e.g., "sections[2].files[0]"),
+ * not just the first one.
+ *
+ * @param {*} config - Config object
+ * @param {object} [options] - Options
+ * @param {boolean} [options.partial] - Allow "sections" to be missing or empty (plan files, before merging extended plans)
+ * @returns {string[]} Problems as "path: message" (empty if valid)
+ */
+function validateConfig(config, { partial = false } = {}) {
+  if (!isPlainObject(config)) {
+    return ["Config must be an object"];
+  }
+
+  const issues = [];
+  const report = (at, message) => issues.push(`${at}: ${message}`);
+
+  for (const key of Object.keys(config)) {
+    if (key === "allowCommands") {
+      report(
+        key,
+        "Plans can't allow commands. Pass --allow-commands (or the allowCommands option of buildPlan)"
+      );
+    } else if (!CONFIG_KEYS.includes(key)) {
+      report(key, describeUnknownKey(key, CONFIG_KEYS));
+    }
+  }
+
+  if (
+    config.extends !== undefined &&
+    (typeof config.extends !== "string" || config.extends === "")
+  ) {
+    report("extends", "Must be the path of a plan file");
+  }
+  if (config.variables !== undefined) {
+    validateVariables(config.variables, report);
+  }
+  if (config.output !== undefined && typeof config.output !== "string") {
+    report("output", "Must be a file path");
+  }
+  for (const key of BOOLEAN_SETTINGS) {
+    collectIssue(key, () => validateBoolean(config[key]), report);
+  }
+  if (config.format !== undefined) {
+    collectIssue("format", () => validateFormat(config.format), report);
+  }
+  if (config.budget !== undefined) {
+    collectIssue("budget", () => parseBudget(config.budget), report);
+  }
+  if (config.warnAt !== undefined) {
+    collectIssue("warnAt", () => parseWarningPercents(config.warnAt), report);
+  }
+  collectIssue(
+    "followImports",
+    () => validateImportDepth(config.followImports),
+    report
+  );
+  if (config.testRules !== undefined) {
+    validateTestRules(config.testRules, report);
+  }
+  collectIssue("compact", () => parseCompactSpec(config.compact), report);
+  if (config.commandTimeout !== undefined) {
+    collectIssue(
+      "commandTimeout",
+      () => parseCommandTimeout(config.commandTimeout),
+      report
+    );
+  }
+  if (config.commandLimit !== undefined) {
+    collectIssue(
+      "commandLimit",
+      () => parseCommandLimit(config.commandLimit),
+      report
+    );
+  }
+  if (config.languages !== undefined) {
+    validateLanguages(config.languages, report);
+  }
+
+  // Custom redaction patterns and allowlist (errors carry their own path)
+  if (config.redact !== undefined) {
+    if (!isPlainObject(config.redact)) {
+      report(
+        "redact",
+        'Must be an object with "patterns" and/or "allowlist" arrays'
+      );
+    } else {
+      for (const key of Object.keys(config.redact)) {
+        if (key !== "patterns" && key !== "allowlist") {
+          report(
+            `redact.${key}`,
+            describeUnknownKey(key, ["patterns", "allowlist"])
+          );
+        }
+      }
+      try {
+        createRedactor(config.redact);
+      } catch (error) {
+        issues.push(error.message);
+      }
+    }
+  }
+
+  const { sections } = config;
+  if (sections === undefined) {
+    if (!partial) {
+      report("sections", "Required. See example config for format.");
+    }
+  } else if (!Array.isArray(sections)) {
+    report("sections", "Must be an array of sections");
+  } else if (sections.length === 0 && !partial) {
+    report("sections", "Must have at least one section");
+  } else {
+    for (const [index, section] of sections.entries()) {
+      validateSection(section, `sections[${index}]`, {
+        inherits: config.extends !== undefined,
+        report,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check one config section
+ * @param {*} section - Section from the config
+ * @param {string} at - Path of the section (e.g., "sections[2]")
+ * @param {object} options - Options
+ * @param {boolean} options.inherits - The plan extends another ("..." is allowed)
+ * @param {(at: string, message: string) => void} options.report - Problem collector
+ */
+function validateSection(section, at, { inherits, report }) {
+  if (section === INHERITED_SECTIONS) {
+    if (!inherits) {
+      report(
+        at,
+        `"${INHERITED_SECTIONS}" inserts the sections of the extended plan, but this plan has no "extends"`
+      );
+    }
+    return;
+  }
+  if (!isPlainObject(section)) {
+    report(at, "Must be a section object");
+    return;
+  }
+
+  const knownKeys = [...new Set(Object.values(SECTION_KEYS).flat())];
+  for (const key of Object.keys(section)) {
+    if (!knownKeys.includes(key)) {
+      report(`${at}.${key}`, describeUnknownKey(key, knownKeys));
+    }
+  }
+
+  // The key that sets the kind of section decides which others apply
+  const kinds = Object.keys(SECTION_KEYS).filter(
+    (kind) => section[kind] !== undefined
+  );
+  if (kinds.length === 0) {
+    report(at, 'Needs "files", "changedSince", "markdown" or "include"');
+    return;
+  }
+  if (kinds.length > 1) {
+    report(at, `Can't have both "${kinds[0]}" and "${kinds[1]}"`);
+    return;
+  }
+  const [kind] = kinds;
+  for (const key of Object.keys(section)) {
+    if (knownKeys.includes(key) && !SECTION_KEYS[kind].includes(key)) {
+      const owners = Object.keys(SECTION_KEYS)
+        .filter((other) => SECTION_KEYS[other].includes(key))
+        .map((other) => `"${other}"`);
+      report(`${at}.${key}`, `Only applies to ${owners.join(" or ")} sections`);
+    }
+  }
+
+  if (section.header !== undefined && typeof section.header !== "string") {
+    report(`${at}.header`, "Must be a string");
+  }
+  collectIssue(
+    `${at}.priority`,
+    () => validatePriority(section.priority),
+    report
+  );
+  collectIssue(
+    `${at}.lineNumbers`,
+    () => validateBoolean(section.lineNumbers),
+    report
+  );
+  collectIssue(
+    `${at}.followImports`,
+    () => validateImportDepth(section.followImports),
+    report
+  );
+  collectIssue(
+    `${at}.withTests`,
+    () => validateBoolean(section.withTests),
+    report
+  );
+  collectIssue(
+    `${at}.compact`,
+    () => parseCompactSpec(section.compact),
+    report
+  );
+
+  switch (kind) {
+    case "changedSince":
+      if (typeof section.changedSince !== "string" || !section.changedSince) {
+        report(`${at}.changedSince`, "Must be a git ref");
+      }
+      if (section.changedMode !== undefined) {
+        collectIssue(
+          `${at}.changedMode`,
+          () => validateChangedMode(section.changedMode),
+          report
+        );
+      }
+      if (
+        section.exclude !== undefined &&
+        (!Array.isArray(section.exclude) ||
+          section.exclude.some((pattern) => typeof pattern !== "string"))
+      ) {
+        report(`${at}.exclude`, "Must be an array of globs");
+      }
+      break;
+    case "markdown":
+      if (typeof section.markdown !== "string") {
+        report(`${at}.markdown`, "Must be a string of markdown");
+      }
+      break;
+    case "include":
+      if (typeof section.include !== "string" || !section.include) {
+        report(`${at}.include`, "Must be the path of a template file");
+      }
+      break;
+    default:
+      validateSectionFiles(section.files, `${at}.files`, report);
+  }
+}
+
+/**
+ * Check the "files" of a config section
+ * @param {*} files - Files from the section
+ * @param {string} at - Path of the files (e.g., "sections[2].files")
+ * @param {(at: string, message: string) => void} report - Problem collector
+ */
+function validateSectionFiles(files, at, report) {
+  if (!Array.isArray(files)) {
+    report(at, "Must be an array of files");
+    return;
+  }
+  if (files.length === 0) {
+    report(at, "Must have at least one file");
+    return;
+  }
+
+  for (const [index, fileSpec] of files.entries()) {
+    const fileAt = `${at}[${index}]`;
+    if (typeof fileSpec === "string") {
+      continue;
+    }
+    if (!isPlainObject(fileSpec) || typeof fileSpec.path !== "string") {
+      report(fileAt, 'Must be a string or an object with a "path"');
+      continue;
+    }
+    for (const key of Object.keys(fileSpec)) {
+      if (!FILE_SPEC_KEYS.includes(key)) {
+        report(`${fileAt}.${key}`, describeUnknownKey(key, FILE_SPEC_KEYS));
+      }
+    }
+    collectIssue(
+      `${fileAt}.priority`,
+      () => validatePriority(fileSpec.priority),
+      report
+    );
+    collectIssue(
+      `${fileAt}.lineNumbers`,
+      () => validateBoolean(fileSpec.lineNumbers),
+      report
+    );
+    collectIssue(
+      `${fileAt}.followImports`,
+      () => validateImportDepth(fileSpec.followImports),
+      report
+    );
+    collectIssue(
+      `${fileAt}.withTests`,
+      () => validateBoolean(fileSpec.withTests),
+      report
+    );
+    collectIssue(
+      `${fileAt}.compact`,
+      () => parseCompactSpec(fileSpec.compact),
+      report
+    );
+  }
+}
+
+/**
+ * Check the "variables" of a config
+ * @param {*} variables - Variables from the config
+ * @param {(at: string, message: string) => void} report - Problem collector
+ */
+function validateVariables(variables, report) {
+  if (!isPlainObject(variables)) {
+    report("variables", "Must be an object of names and values");
+    return;
+  }
+  for (const [name, value] of Object.entries(variables)) {
+    if (!VARIABLE_NAME_PATTERN.test(name) || name.startsWith("env.")) {
+      report(
+        `variables.${name}`,
+        "Invalid name. Use letters, digits, _ and -, starting with a letter or _"
+      );
+    } else if (!["string", "number", "boolean"].includes(typeof value)) {
+      report(`variables.${name}`, "Must be a string, number or boolean");
+    }
+  }
+}
+
+/**
+ * Run a validator, reporting its error as a problem at a path
+ * @param {string} at - Path of the checked value
+ * @param {() => void} validate - Validator that throws on invalid values
+ * @param {(at: string, message: string) => void} report - Problem collector
+ */
+function collectIssue(at, validate, report) {
+  try {
+    validate();
+  } catch (error) {
+    report(at, error.message);
+  }
+}
+
+/**
+ * Describe a key that is not part of the schema, suggesting a close match
+ * (e.g., "fiels" → "files")
+ * @param {string} key - Unknown key
+ * @param {string[]} knownKeys - Keys allowed where it appeared
+ * @returns {string} Problem message
+ */
+function describeUnknownKey(key, knownKeys) {
+  const maxDistance = key.length > 3 ? 2 : 1;
+  const match = knownKeys
+    .map((known) => ({
+      known,
+      distance: getEditDistance(key.toLowerCase(), known.toLowerCase()),
+    }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)[0];
+  return match ? `Unknown key. Did you mean "${match.known}"?` : "Unknown key";
+}
+
+/**
+ * Count the single-character edits that turn one string into another
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function getEditDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Validate a --changed-since rendering mode
+ * @param {string} mode - Mode from --changed-mode or config "changedMode"
+ * @throws {Error} If the mode is not one of CHANGED_MODES
+ */
+function validateChangedMode(mode) {
+  if (!CHANGED_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid changed mode "${mode}". Use one of: ${CHANGED_MODES.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Validate an output format
+ * @param {string} format - Format from --format or config "format"
+ * @throws {Error} If the format is not one of FORMATS
+ */
+function validateFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(
+      `Invalid format "${format}". Use one of: ${FORMATS.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Validate an optional true/false setting from a config file
+ * @param {*} value - Value from the config
+ * @throws {Error} If the value is not a boolean
+ */
+function validateBoolean(value) {
+  if (value !== undefined && typeof value !== "boolean") {
+    throw new Error(
+      `Invalid value ${JSON.stringify(value)}. Use true or false`
+    );
+  }
+}
+
+/**
+ * Validate an optional priority value from a config file
+ * @param {string|undefined} priority - Priority value
+ * @throws {Error} If the priority is not one of PRIORITIES
+ */
+function validatePriority(priority) {
+  if (priority !== undefined && !PRIORITIES.includes(priority)) {
+    throw new Error(
+      `Invalid priority "${priority}". Use one of: ${PRIORITIES.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Get the file argument of a config file entry
+ * @param {string|{path: string, priority?: string}} fileSpec - Config file entry
+ * @returns {string} File argument (path with optional range/diff spec)
+ */
+function getConfigFileArg(fileSpec) {
+  return typeof fileSpec === "string" ? fileSpec : fileSpec.path;
+}
+
+// ============================================================================
+// Plan Variables and Prose
+// ============================================================================
+
+/**
+ * Create the variable lookup for a plan
+ * Plan and --var variables come first, then the built-ins: branch (checked
+ * out git branch), commit (short HEAD SHA) and date (YYYY-MM-DD). env.NAME
+ * reads an environment variable.
+ *
+ * @param {object} [variables] - Variables from the plan and --var
+ * @returns {(name: string) => string} Lookup that throws for unknown names
+ */
+function createVariableLookup(variables = {}) {
+  const builtins = {
+    branch: getCurrentBranch,
+    commit: () => resolveShortSha("HEAD"),
+    date: () => {
+      const now = new Date();
+      const pad = (value) => String(value).padStart(2, "0");
+      return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    },
+  };
+  const resolved = new Map();
+
+  return (name) => {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) {
+      return String(variables[name]);
+    }
+    if (name.startsWith("env.")) {
+      const value = process.env[name.slice(4)];
+      if (value === undefined) {
+        throw new Error(`Environment variable ${name.slice(4)} is not set`);
+      }
+      return value;
+    }
+    if (!Object.prototype.hasOwnProperty.call(builtins, name)) {
+      throw new Error(
+        `Unknown variable \${${name}}. Define it in "variables" or with --var ${name}=value (write $\${ for a literal \${)`
+      );
+    }
+    if (!resolved.has(name)) {
+      try {
+        resolved.set(name, builtins[name]());
+      } catch {
+        throw new Error(`\${${name}} needs a git repository with commits`);
+      }
+    }
+    return resolved.get(name);
+  };
+}
+
+/**
+ * Replace ${name} references in a string
+ * @param {string} text - Text with references
+ * @param {(name: string) => string} lookup - Lookup from createVariableLookup
+ * @returns {string} Text with values substituted
+ * @throws {Error} If a reference is malformed or unknown
+ */
+function substituteString(text, lookup) {
+  return text.replace(VARIABLE_PATTERN, (match, name) => {
+    if (name === undefined) {
+      return "${";
+    }
+    if (!VARIABLE_NAME_PATTERN.test(name.trim())) {
+      throw new Error(`Invalid variable reference "${match}"`);
+    }
+    return lookup(name.trim());
+  });
+}
+
+/**
+ * Replace ${name} references in every string of a config value
+ * @param {*} value - Config value
+ * @param {(name: string) => string} lookup - Lookup from createVariableLookup
+ * @param {string} at - Path of the value (e.g., "sections[0].markdown")
+ * @param {(at: string, message: string) => void} report - Problem collector
+ * @returns {*} Value with variables substituted
+ */
+function substituteVariables(value, lookup, at, report) {
+  if (typeof value === "string") {
+    try {
+      return substituteString(value, lookup);
+    } catch (error) {
+      report(at, error.message);
+      return value;
+    }
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) =>
+      substituteVariables(item, lookup, `${at}[${index}]`, report)
+    );
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        substituteVariables(item, lookup, at ? `${at}.${key}` : key, report),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Build a plan section of prose: inline markdown, or a template file read
+ * with its ${name} variables substituted
+ * @param {{header?: string, markdown?: string, include?: string}} section - Config section
+ * @param {(name: string) => string} lookup - Lookup from createVariableLookup
+ * @returns {{header: string|null, label: string, entries: object[]}} Plan section
+ * @throws {Error} If the template is missing or uses an unknown variable
+ */
+function buildProseSection({ header = null, markdown, include }, lookup) {
+  let content = markdown;
+  let source = null;
+  if (include !== undefined) {
+    if (!fs.existsSync(include) || fs.statSync(include).isDirectory()) {
+      throw new Error(`Template not found: ${include}`);
+    }
+    source = toDisplayPath(path.resolve(include));
+    content = substituteString(fs.readFileSync(include, "utf8"), lookup);
+  }
+
+  return {
+    header,
+    label: header || "(no header)",
+    entries: [
+      {
+        fileArg: source ? `include:${source}` : "markdown",
+        label: source || "markdown",
+        spec: source ? "include" : "markdown",
+        filePath: source ? path.resolve(include) : null,
+        priority: "required",
+        render: (redactor) =>
+          createDocument(
+            "prose",
+            source,
+            redactContent(redactor, content.trimEnd(), source || "markdown")
+          ),
+      },
+    ],
+  };
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Provide helpful error suggestions when file is not found
+ * @param {string} filePath - Path that was not found
+ * @returns {string} Suggestion text (empty if none applicable)
+ */
+function getSuggestion(filePath) {
+  // Provide helpful suggestion for relative path issues
+  if (!path.isAbsolute(filePath) && filePath.includes(path.sep)) {
+    return `\n  💡 Tip: Verify you're in the correct directory:\n     pwd  # Check current directory\n     ls ${path.dirname(filePath)}  # Check parent directory exists`;
+  }
+
+  // Check if file exists with different casing
+  const dir = path.dirname(filePath);
+  const filename = path.basename(filePath);
+  if (fs.existsSync(dir)) {
+    try {
+      const files = fs.readdirSync(dir);
+      const match = files.find(
+        (f) => f.toLowerCase() === filename.toLowerCase()
+      );
+      if (match && match !== filename) {
+        return `\n  💡 Tip: File exists with different casing: ${match}`;
+      }
+    } catch {
+      // Ignore directory read errors
+    }
+  }
+
+  return "";
+}
+
+/**
+ * Shorten an absolute heading path for the table of contents
+ * Paths inside the current directory become relative; others stay absolute.
+ *
+ * @param {string} filePath - Path from a "# File:" heading
+ * @returns {string} Display path
+ */
+function formatTocPath(filePath) {
+  if (!path.isAbsolute(filePath)) {
+    return filePath;
+  }
+  const relativePath = toDisplayPath(filePath);
+  return relativePath.startsWith("..") ? toPosixPath(filePath) : relativePath;
+}
+
+/**
+ * Get the file label shown in size tracking progress lines
+ * Expanded files show their relative path so matches from different
+ * directories stay distinguishable.
+ *
+ * @param {{fileArg: string, expanded: boolean}} entry - Expanded file entry
+ * @returns {string} Progress label
+ */
+function getProgressLabel(entry) {
+  if (entry.label) {
+    return entry.label;
+  }
+  const { filePath } = parseFileArgument(entry.fileArg);
+  return entry.expanded ? toPosixPath(filePath) : path.basename(filePath);
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Error raised by the programmatic API
+ * Codes: INVALID_CONFIG, INVALID_OPTIONS, INVALID_OUTPUT, VALIDATION_FAILED,
+ * OVER_BUDGET, SECRETS_FOUND, NO_FILES. Nothing is written when one is
+ * thrown, unless writing the output itself fails partway (INVALID_OUTPUT).
+ */
+export class ExtractError extends Error {
+  /**
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @param {object} [details] - Structured details copied onto the error (errors, largest, findings...)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "ExtractError";
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Read and validate a plan file (JSON or YAML), merged over the plans it
+ * extends
+ * @param {string} configPath - Path to config file
+ * @returns {Promise<object>} Config object, ready for buildPlan
+ * @throws {ExtractError} INVALID_CONFIG if the file is missing or invalid (`issues` lists schema problems by path)
+ */
+export async function loadConfig(configPath) {
+  try {
+    return readConfigFile(configPath);
+  } catch (error) {
+    throw error instanceof ExtractError
+      ? error
+      : new ExtractError("INVALID_CONFIG", error.message);
+  }
+}
+
+/**
+ * Build an extraction plan from a config object
+ * Accepts the config file schema; `files` is a shorthand for one section
+ * without a header, and "extends" is relative to the current directory.
+ * ${name} variables are substituted, templates are read, and globs,
+ * directories and changed-file sections are expanded here; files are
+ * checked by validatePlan. Commands run only when the caller allows them;
+ * a plan can't allow them itself, so a shared plan never runs commands
+ * unasked.
+ *
+ * @param {object} input - Config object (sections or files, output, format, budget...)
+ * @param {object} [options] - Build options
+ * @param {boolean} [options.allowCommands] - Allow "cmd:" entries
+ * @param {string[]} [options.excludeFiles] - Files changed-file sections leave out besides the output (e.g., the plan file)
+ * @returns {Promise<{sections: object[], settings: object, errors: {fileArg: string, section: string, message: string}[]}>} Plan
+ * @throws {ExtractError} INVALID_CONFIG if the input does not match the schema (`issues` lists problems by path)
+ */
+export async function buildPlan(
+  input,
+  { allowCommands = false, excludeFiles = [] } = {}
+) {
+  let config = input;
+  if (isPlainObject(input) && input.files !== undefined && !input.sections) {
+    const { files, ...settings } = input;
+    config = { ...settings, sections: [{ files }] };
+  }
+
+  let issues = validateConfig(config, {
+    partial: config?.extends !== undefined,
+  });
+  if (issues.length === 0) {
+    config = extendConfig(config, { baseDir: process.cwd() });
+    issues = validateConfig(config);
+  }
+
+  // Variables apply to every string except the variables and redaction
+  // patterns themselves
+  const { variables, redact, ...settings } = isPlainObject(config)
+    ? config
+    : {};
+  const lookup = createVariableLookup(variables);
+  if (issues.length === 0) {
+    config = {
+      ...substituteVariables(settings, lookup, "", (at, message) =>
+        issues.push(`${at}: ${message}`)
+      ),
+      redact,
+    };
+  }
+  if (issues.length > 0) {
+    throw createConfigError(issues);
+  }
+  const budgetOptions = resolveBudgetOptions(config);
+
+  // Expand globs and directories per section; matches inherit the priority,
+  // line numbering, import depth, test discovery and compaction of the file
+  // entry they came from, then of the section, then of the config
+  const errors = [];
+  const defaultLineNumbers = Boolean(config.lineNumbers);
+  const defaultFollowImports = parseImportDepth(config.followImports ?? 0);
+  const defaultWithTests = Boolean(config.withTests);
+  const defaultCompact = config.compact ?? null;
+  // The document and its plan are never changes to show, even untracked
+  const ownFiles = [config.output, ...excludeFiles].filter((file) => file);
+  const commandOptions = {
+    timeout: parseCommandTimeout(
+      config.commandTimeout ?? DEFAULT_COMMAND_TIMEOUT
+    ),
+    limit: parseCommandLimit(config.commandLimit ?? DEFAULT_COMMAND_LIMIT),
+  };
+  const sections = config.sections.map((section) => {
+    const label = section.header || "(no header)";
+    const sectionLineNumbers = section.lineNumbers ?? defaultLineNumbers;
+    const sectionFollowImports = parseImportDepth(
+      section.followImports ?? defaultFollowImports
+    );
+    const sectionWithTests = section.withTests ?? defaultWithTests;
+    const sectionCompact = section.compact ?? defaultCompact;
+
+    if (section.markdown !== undefined || section.include !== undefined) {
+      try {
+        return buildProseSection(section, lookup);
+      } catch (error) {
+        errors.push({
+          fileArg: `include: ${toDisplayPath(path.resolve(section.include))}`,
+          section: label,
+          message: error.message,
+        });
+        return { header: section.header || null, label, entries: [] };
+      }
+    }
+
+    if (section.changedSince) {
+      try {
+        return buildChangedSection({
+          since: section.changedSince,
+          mode: section.changedMode || "diff",
+          exclude: section.exclude || [],
+          excludeFiles: ownFiles,
+          header: section.header || null,
+          priority: section.priority || "required",
+          lineNumbers: sectionLineNumbers,
+          followImports: sectionFollowImports,
+          withTests: sectionWithTests,
+          compact: parseCompactSpec(sectionCompact),
+        });
+      } catch (error) {
+        errors.push({
+          fileArg: `changedSince: ${section.changedSince}`,
+          section: label,
+          message: error.message,
+        });
+        return { header: section.header || null, label, entries: [] };
+      }
+    }
+
+    const expansion = expandFileArgs(section.files.map(getConfigFileArg));
+    for (const { fileArg, error } of expansion.errors) {
+      errors.push({ fileArg, section: label, message: error });
+    }
+
+    // Commands run only when the caller opts in; rejected ones never enter it
+    const rejectCommand = ({ fileArg }) => {
+      const command = parseCommandArg(fileArg);
+      let message = null;
+      if (command !== null && !allowCommands) {
+        message = "Commands are not allowed. Pass --allow-commands to run them";
+      } else if (command === "") {
+        message = 'Empty command. Use cmd:"<command line>"';
+      }
+      if (message) {
+        errors.push({ fileArg, section: label, message });
+      }
+      return message !== null;
+    };
+
+    return {
+      header: section.header || null,
+      label,
+      entries: expansion.entries
+        .filter((entry) => !rejectCommand(entry))
+        .map((entry) => ({
+          ...entry,
+          priority:
+            section.files[entry.argIndex].priority ||
+            section.priority ||
+            "required",
+          lineNumbers:
+            section.files[entry.argIndex].lineNumbers ?? sectionLineNumbers,
+          followImports: parseImportDepth(
+            section.files[entry.argIndex].followImports ?? sectionFollowImports
+          ),
+          withTests:
+            section.files[entry.argIndex].withTests ?? sectionWithTests,
+          compact: parseCompactSpec(
+            section.files[entry.argIndex].compact ?? sectionCompact
+          ),
+        }))
+        .map((entry) =>
+          parseCommandArg(entry.fileArg) === null
+            ? entry
+            : buildCommandEntry(entry, commandOptions)
+        ),
+    };
+  });
+
+  const tests = buildTestSection(sections, {
+    rules: config.testRules || [],
+    lineNumbers: defaultLineNumbers,
+    compact: parseCompactSpec(defaultCompact),
+  });
+  if (tests) {
+    sections.push(tests);
+  }
+
+  // Files imported by the plan's files go last, so they are cut first
+  const dependencies = buildDependencySection(sections, {
+    lineNumbers: defaultLineNumbers,
+    compact: parseCompactSpec(defaultCompact),
+  });
+  if (dependencies) {
+    sections.push(dependencies);
+  }
+
+  return {
+    sections,
+    settings: {
+      output: config.output || null,
+      format: config.format || "markdown",
+      budgetOptions,
+      enforceBudget: Boolean(config.trackSize || config.budget),
+      redact: config.redact,
+      languages: config.languages || {},
+      strict: Boolean(config.strict),
+      toc: Boolean(config.toc),
+      managed: Boolean(config.managed),
+      prune: Boolean(config.prune),
+    },
+    errors,
+  };
+}
+
+/**
+ * Check every file of a plan without writing anything
+ * Reports missing files, bad ranges, unknown symbols and git refs, plus
+ * errors found while building the plan.
+ *
+ * @param {object} plan - Plan from buildPlan
+ * @returns {Promise<{valid: boolean, errors: {fileArg: string, section: string, message: string}[]}>} Validation result
+ */
+export async function validatePlan(plan) {
+  const errors = [...plan.errors];
+  for (const section of plan.sections) {
+    for (const { fileArg, render } of section.entries) {
+      if (render) {
+        continue;
+      }
+      const validation = validateFile(fileArg);
+      if (!validation.valid) {
+        errors.push({
+          fileArg: validation.fileArg,
+          section: section.label,
+          message: validation.error,
+        });
+      }
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate, render, fit and write a plan
+ * Progress is reported through `onProgress` events: "existing" (size of the
+ * output before this run), "section", "file" (size added and running
+ * totals), "threshold", "autofit", "redactions", "regions" and "error"
+ * (a file that failed to render; the rest of the plan is still written).
+ *
+ * @param {object} plan - Plan from buildPlan
+ * @param {object} [options] - Options
+ * @param {string|null} [options.output] - Output file, overriding the plan's (null returns the content instead)
+ * @param {(event: object) => void} [options.onProgress] - Progress event listener
+ * @returns {Promise<object>} Result: output, content (without an output file), written, sections, errors, hasErrors, usage, budget
+ * @throws {ExtractError} If validation fails or nothing can be written
+ */
+export async function extract(plan, options = {}) {
+  const { output = plan.settings.output, onProgress = () => {} } = options;
+
+  const validation = await validatePlan(plan);
+  if (!validation.valid) {
+    throw new ExtractError(
+      "VALIDATION_FAILED",
+      `Validation failed for ${validation.errors.length} file(s)`,
+      { errors: validation.errors }
+    );
+  }
+
+  return runPlan(plan, { outputFile: output || null, emit: onProgress });
+}
+
+/**
+ * Render a plan to a string instead of a file
+ * @param {object} plan - Plan from buildPlan
+ * @param {object} [options] - Options (onProgress, see extract)
+ * @returns {Promise<string>} Rendered document
+ * @throws {ExtractError} If validation fails or nothing can be rendered
+ */
+export async function renderToString(plan, options = {}) {
+  const { content } = await extract(plan, { ...options, output: null });
+  return content;
+}
+
+/**
+ * Render a plan and write it to a stream (e.g., process.stdout)
+ * @param {object} plan - Plan from buildPlan
+ * @param {import("stream").Writable} stream - Destination stream
+ * @param {object} [options] - Options (onProgress, see extract)
+ * @returns {Promise<object>} Result (see extract)
+ * @throws {ExtractError} If validation fails or nothing can be rendered
+ */
+export async function renderToStream(plan, stream, options = {}) {
+  const result = await extract(plan, { ...options, output: null });
+  await new Promise((resolve, reject) => {
+    stream.write(result.content + "\n", (error) =>
+      error ? reject(error) : resolve()
+    );
+  });
+  return result;
+}
+
+/**
+ * Measure a plan without writing anything (a dry run)
+ * Every file is rendered in memory against the existing output, so sizes
+ * match what extract would write. Validation errors are reported instead
+ * of thrown, and commands are listed as skipped rather than run.
+ *
+ * @param {object} plan - Plan from buildPlan
+ * @param {object} [options] - Options
+ * @param {string|null} [options.output] - Output file to measure against, overriding the plan's
+ * @returns {Promise<object>} Report: output, format, budget, existing, toc, files (section, fileArg, file, spec, priority, bytes, tokens, percent, total, totalPercent), total, fits, autofit, largest (with alternatives), skipped, errors
+ * @throws {ExtractError} If the options conflict or the existing output can't be extended
+ */
+export async function estimatePlan(plan, options = {}) {
+  const { output = plan.settings.output } = options;
+  const validation = await validatePlan(plan);
+  return buildPlanReport(plan, {
+    outputFile: output || null,
+    invalid: validation.errors,
+  });
+}
+
+export { FORMATS };
+
+// ============================================================================
+// CLI Reporting
+// ============================================================================
+
+/**
+ * Create a progress listener that prints events to stderr
+ * Size progress is only shown with --track-size; render errors, auto-fit
+ * and redaction reports always are.
+ *
+ * @param {object} options - Reporting options
+ * @param {boolean} options.trackSize - Show progress and threshold warnings
+ * @param {boolean} options.grouped - Config mode (section progress and messages)
+ * @param {{unit: string, limit: number}} options.budget - Budget for formatting amounts
+ * @returns {(event: object) => void} Progress listener
+ */
+function createProgressReporter({ trackSize, grouped, budget }) {
+  const limitLabel = formatBudget(budget);
 
-    if (diffSpec) {
-      // Validate git diff specification
-      try {
-        validateGitRepository();
-        const refs = splitGitRefs(diffSpec.range);
-        validateGitRefs(refs);
-      } catch (error) {
-        return {
-          valid: false,
-          fileArg,
-          error: error.message,
-        };
+  return (event) => {
+    switch (event.type) {
+      case "error": {
+        const where = grouped ? ` in section "${event.section}"` : "";
+        console.error(
+          `❌ Error processing "${event.fileArg}"${where}: ${event.message}`
+        );
+        break;
       }
+      case "autofit":
+        reportAutoFit(event);
+        break;
+      case "redactions":
+        reportRedactions(event.findings, false);
+        break;
+      default:
+        if (trackSize) {
+          reportProgress(event, { grouped, budget, limitLabel });
+        }
+    }
+  };
+}
+
+/**
+ * Print a size tracking event (--track-size)
+ * @param {object} event - Event from extract
+ * @param {object} context - Formatting context
+ * @param {boolean} context.grouped - Config mode
+ * @param {{unit: string, limit: number}} context.budget - Budget
+ * @param {string} context.limitLabel - Formatted budget limit
+ */
+function reportProgress(event, { grouped, budget, limitLabel }) {
+  if (event.type === "existing") {
+    const note = event.managed
+      ? "existing, outside rebuilt regions"
+      : "existing";
+    console.error(
+      `📄 ${event.output}: ${formatSize(event.bytes)}, ${formatTokens(event.tokens)} (${note})`
+    );
+  } else if (event.type === "section" && grouped) {
+    console.error(`[Section ${event.index + 1}/${event.count}] ${event.label}`);
+  } else if (event.type === "file") {
+    const counter = grouped
+      ? `  [${event.index + 1}/${event.count}]`
+      : `[${event.written}/${event.total}]`;
+    const compacted = event.compaction
+      ? `, compacted ${formatSize(event.compaction.before)} → ${formatSize(event.compaction.after)}`
+      : "";
+    console.error(
+      `${counter} ${event.label} → ${formatAdded(event.added)}${compacted} (${formatUsage(event.usage, budget)})`
+    );
+  } else if (event.type === "threshold") {
+    if (event.level === "exceeded") {
+      console.error(
+        `❌ Error: Exceeded ${limitLabel} limit (${formatAmount(event.used, budget)})`
+      );
+    } else if (event.level === "close") {
+      console.error(`⚠️  Very close to ${limitLabel} limit!`);
     } else {
-      // Validate line ranges
-      try {
-        const lineRanges = parseLineRanges(rangeStr);
-        const content = fs.readFileSync(filePath, "utf8");
-        const totalLines = content.split("\n").length;
+      const value = (budget.limit * event.threshold) / 100;
+      const label =
+        budget.unit === "tokens"
+          ? formatTokens(value).replace("~", "")
+          : formatBudget({ unit: "bytes", limit: value });
+      console.error(`⚠️  Approaching ${label}`);
+    }
+  } else if (event.type === "regions") {
+    console.error(
+      `🔁 Managed regions: ${event.replaced} replaced, ${event.added} added, ${event.removed} removed`
+    );
+  }
+}
 
-        for (const range of lineRanges) {
-          if (range.from > totalLines || range.to > totalLines) {
-            return {
-              valid: false,
-              fileArg,
-              error: `Line range ${range.from}-${range.to} exceeds file length (${totalLines} lines) in ${filePath}`,
-            };
-          }
-        }
-      } catch (error) {
-        return {
-          valid: false,
-          fileArg,
-          error: `Invalid line range format in "${fileArg}": ${error.message}`,
-        };
+/**
+ * Print the auto-fit report
+ * @param {{budget: object, fits: boolean, before: number, after: number, degradations: {message: string, saved: number}[]}} fit - Auto-fit event
+ */
+function reportAutoFit({ budget, fits, before, after, degradations }) {
+  const limitLabel = formatBudget(budget);
+  console.error(
+    `📉 Auto-fit: plan is ${formatAmount(before, budget)}, over the ${limitLabel} budget`
+  );
+  for (const { message, saved } of degradations) {
+    console.error(`   • ${message} (−${formatAmount(saved, budget)})`);
+  }
+  if (fits) {
+    console.error(`   Result: ${formatAmount(after, budget)} / ${limitLabel}`);
+  }
+}
+
+/**
+ * Print what redaction masked, grouped by file
+ * Repeated values in one file are counted once.
+ *
+ * @param {{filePath: string, detector: string, placeholder: string}[]} findings - Redactor findings
+ * @param {boolean} strict - Strict mode (report as an error)
+ */
+function reportRedactions(findings, strict) {
+  const byFile = new Map();
+  for (const { filePath, detector, placeholder } of findings) {
+    const label = toPosixPath(path.relative(process.cwd(), filePath));
+    if (!byFile.has(label)) {
+      byFile.set(label, new Map());
+    }
+    byFile.get(label).set(placeholder, detector);
+  }
+
+  const total = [...byFile.values()].reduce((sum, m) => sum + m.size, 0);
+  const noun = total === 1 ? "secret" : "secrets";
+  console.error(
+    strict
+      ? `❌ Strict mode: found ${total} ${noun} in ${byFile.size} ${byFile.size === 1 ? "file" : "files"}`
+      : `🔒 Redacted ${total} ${noun} in ${byFile.size} ${byFile.size === 1 ? "file" : "files"}:`
+  );
+  for (const [label, placeholders] of byFile) {
+    const counts = new Map();
+    for (const detector of placeholders.values()) {
+      counts.set(detector, (counts.get(detector) || 0) + 1);
+    }
+    const detectors = [...counts]
+      .map(([detector, count]) =>
+        count > 1 ? `${detector} ×${count}` : detector
+      )
+      .join(", ");
+    console.error(`   • ${label}: ${detectors}`);
+  }
+  if (strict) {
+    console.error(
+      '   💡 Tip: Remove the secrets, or allowlist known-safe values under "redact.allowlist" in a config file'
+    );
+  }
+}
+
+/**
+ * Print a dry-run report as a table with the largest files and cheaper
+ * alternatives for them
+ * @param {object} report - Report from estimatePlan
+ */
+function printPlanReport(report) {
+  const { budget } = report;
+  const amount = (value) => formatAmount(value, budget);
+  const percent = (value) => `${value.toFixed(1)}%`;
+  const target = report.output || "stdout";
+  console.log(
+    `📋 Dry run: ${target} (${report.format}, ${formatBudget(budget)} budget)\n`
+  );
+
+  const rows = [
+    ["Section", "File", "Spec", "Size", "Tokens", "Budget", "Total"],
+  ];
+  let running = 0;
+  for (const [label, size] of [
+    ["(existing output)", report.existing],
+    ["(table of contents)", report.toc],
+  ]) {
+    if (size) {
+      const value = budget.unit === "tokens" ? size.tokens : size.bytes;
+      running += value;
+      rows.push([
+        "",
+        label,
+        "",
+        formatSize(size.bytes),
+        formatTokens(size.tokens),
+        percent((value / budget.limit) * 100),
+        `${amount(running)} (${percent((running / budget.limit) * 100)})`,
+      ]);
+    }
+  }
+  for (const file of report.files) {
+    rows.push([
+      file.section,
+      file.file,
+      file.spec,
+      formatSize(file.bytes),
+      formatTokens(file.tokens),
+      percent(file.percent),
+      `${amount(file.total)} (${percent(file.totalPercent)})`,
+    ]);
+  }
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  for (const row of rows) {
+    const cells = row.map((cell, column) =>
+      // Sizes line up on the right
+      column >= 3 ? cell.padStart(widths[column]) : cell.padEnd(widths[column])
+    );
+    console.log(cells.join("  ").trimEnd());
+  }
+
+  console.log("");
+  console.log(
+    report.total.percent < 100
+      ? `✅ Total: ${formatUsage(report.total, budget)}`
+      : `❌ Total: ${formatUsage(report.total, budget)}, over the budget by ${amount(
+          (budget.unit === "tokens"
+            ? report.total.tokens
+            : report.total.bytes) - budget.limit
+        )}`
+  );
+  if (report.autofit && report.autofit.degradations.length > 0) {
+    console.log(
+      report.autofit.fits
+        ? `📉 Auto-fit would bring it to ${amount(report.autofit.after)}:`
+        : `📉 Auto-fit can't fit it (required files alone are ${amount(report.autofit.after)}):`
+    );
+    for (const { message, saved } of report.autofit.degradations) {
+      console.log(`   • ${message} (−${amount(saved)})`);
+    }
+  } else if (report.autofit && !report.autofit.fits) {
+    console.log(
+      '📉 Auto-fit can\'t help: every file is required (mark some "preferred" or "optional" in a config file)'
+    );
+  }
+
+  if (report.largest.length > 0) {
+    // Name sections only when there is more than one to tell apart
+    const sections = new Set(report.files.map((file) => file.section));
+    console.log("\n🔎 Largest files:");
+    for (const file of report.largest) {
+      const where = sections.size > 1 ? `${file.section}, ` : "";
+      console.log(
+        `   • ${file.fileArg} (${where}${amount(file.size)}, ${percent(file.percent)})`
+      );
+      for (const alternative of file.alternatives) {
+        console.log(
+          `     → ${alternative.description} saves ${amount(alternative.saved)} (${alternative.fileArg})`
+        );
       }
     }
   }
 
-  return { valid: true };
+  if (report.skipped.length > 0) {
+    console.log("\n⏭️  Not measured:");
+    for (const { fileArg, reason } of report.skipped) {
+      console.log(`   • ${fileArg}: ${reason}`);
+    }
+  }
+
+  if (report.errors.length > 0) {
+    console.log(`\n❌ ${report.errors.length} file(s) would fail:`);
+    for (const { fileArg, message } of report.errors) {
+      console.log(`   • "${fileArg}": ${message.replace(/\n/g, "\n     ")}`);
+    }
+  }
 }
 
 /**
- * Process a single file argument and return formatted content
- * @param {string} fileArg - File argument (path with optional range/diff spec)
- * @returns {string} Formatted markdown output
- * @throws {Error} If file processing fails
+ * Print an API error the way the CLI reports it
+ * @param {Error} error - Error from the API
+ * @param {boolean} grouped - Config mode (section names in validation errors)
+ */
+function reportError(error, grouped) {
+  const nothingWritten = "⚠️  No files were written to avoid partial output.";
+
+  switch (error.code) {
+    case "VALIDATION_FAILED":
+      console.error(`❌ ${error.message}:\n`);
+      for (const { fileArg, section, message } of error.errors) {
+        const where = grouped ? ` in section "${section}"` : "";
+        console.error(`  • "${fileArg}"${where}:`);
+        console.error(`    ${message.replace(/\n/g, "\n    ")}`);
+        console.error("");
+      }
+      console.error(nothingWritten);
+      break;
+    case "OVER_BUDGET":
+      console.error(`❌ ${error.message}`);
+      console.error("   Largest required files:");
+      for (const { fileArg, size } of error.largest) {
+        console.error(
+          `     • ${fileArg} (${formatAmount(size, error.budget)})`
+        );
+      }
+      console.error(
+        '   💡 Tip: Narrow them with line ranges, symbol=, outline or diff specs, or mark some "preferred"/"optional" in a config file'
+      );
+      console.error(nothingWritten);
+      break;
+    case "SECRETS_FOUND":
+      reportRedactions(error.findings, true);
+      console.error(nothingWritten);
+      break;
+    case "NO_FILES":
+      console.error(`\n❌ ${error.message}`);
+      break;
+    case "INVALID_CONFIG":
+      console.error(
+        grouped
+          ? `❌ Error processing config file: ${error.message}`
+          : `❌ ${error.message}`
+      );
+      break;
+    default:
+      console.error(`❌ Error: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// Init Command
+// ============================================================================
+
+/**
+ * Turn a topic into a file name slug (e.g., "Auth Bug" → "auth-bug")
+ * @param {string} topic - Topic from the command line
+ * @returns {string} Slug ("" if the topic has no letters or digits)
  */
-function processFile(fileArg) {
-  const { filePath: parsedPath, rangeStr } = parseFileArgument(fileArg);
+function slugifyTopic(topic) {
+  return topic
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
 
-  // Resolve to absolute path
-  const filePath = path.isAbsolute(parsedPath)
-    ? parsedPath
-    : path.resolve(process.cwd(), parsedPath);
+/**
+ * Find the user-supplied templates of a directory
+ * A template is <name>.md (the document) with an optional <name>.plan.json,
+ * .plan.yaml or .plan.yml next to it (plan settings and sections).
+ *
+ * @param {string} dir - Templates directory
+ * @returns {{name: string, documentPath: string, planPath: string|null}[]} Templates, by name
+ * @throws {Error} If the directory does not exist
+ */
+function listTemplateDirectory(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Templates directory not found: ${dir}`);
+  }
 
-  // Check if file exists
-  if (!fs.existsSync(filePath)) {
-    const cwd = process.cwd();
-    const suggestion = getSuggestion(filePath);
+  const names = fs.readdirSync(dir);
+  return names
+    .filter((name) => name.endsWith(".md"))
+    .sort()
+    .map((name) => {
+      const base = name.slice(0, -".md".length);
+      const planName = [".plan.json", ".plan.yaml", ".plan.yml"]
+        .map((suffix) => base + suffix)
+        .find((candidate) => names.includes(candidate));
+      return {
+        name: base,
+        documentPath: path.join(dir, name),
+        planPath: planName ? path.join(dir, planName) : null,
+      };
+    });
+}
+
+/**
+ * Find a template by name: template directories first (in order), then
+ * the built-in templates
+ * @param {string} name - Template name
+ * @param {string[]} templateDirs - User template directories
+ * @returns {{name: string, title: string, document: string, plan: object}} Template
+ * @throws {Error} If there is no such template or its plan is invalid
+ */
+function findTemplate(name, templateDirs) {
+  for (const dir of templateDirs) {
+    const found = listTemplateDirectory(dir).find((t) => t.name === name);
+    if (!found) {
+      continue;
+    }
+
+    let plan = { sections: [] };
+    if (found.planPath) {
+      plan = parseConfigText(
+        fs.readFileSync(found.planPath, "utf8"),
+        found.planPath
+      );
+      const issues = validateTemplatePlan(plan);
+      if (issues.length > 0) {
+        throw new Error(
+          `Invalid template plan ${toDisplayPath(found.planPath)}:\n  • ${issues.join("\n  • ")}`
+        );
+      }
+    }
+    return {
+      name,
+      title: name,
+      document: fs.readFileSync(found.documentPath, "utf8"),
+      plan,
+    };
+  }
+
+  const builtIn = getBuiltInTemplate(name);
+  if (!builtIn) {
+    const available = [
+      ...templateDirs.flatMap((dir) =>
+        listTemplateDirectory(dir).map((t) => t.name)
+      ),
+      ...listBuiltInTemplates().map((t) => t.name),
+    ];
     throw new Error(
-      `File not found: ${filePath}\n  Current directory: ${cwd}${suggestion}`
+      `Unknown template "${name}". Use one of: ${[...new Set(available)].join(", ")}`
     );
   }
+  return builtIn;
+}
 
-  // Check for diff specification
-  const diffSpec = rangeStr ? parseDiffSpec(rangeStr) : null;
+/**
+ * Check a template plan: a plan whose sections may use `changed`
+ * ("diff", "source" or "tests") instead of files
+ * @param {*} plan - Parsed template plan
+ * @returns {string[]} Problems as "path: message" (empty if valid)
+ */
+function validateTemplatePlan(plan) {
+  if (!isPlainObject(plan)) {
+    return ["Template plan must be an object"];
+  }
 
-  if (diffSpec) {
-    // Handle git diff mode
-    const diffContent = readDiffContent(filePath, diffSpec.range);
+  const { sections = [], ...settings } = plan;
+  const issues = validateConfig(settings, { partial: true });
+  const report = (at, message) => issues.push(`${at}: ${message}`);
+  if (!Array.isArray(sections)) {
+    report("sections", "Must be an array of sections");
+    return issues;
+  }
 
-    // Handle empty diff
-    if (!diffContent || diffContent.trim() === "") {
-      return formatDiffBlock(
-        filePath,
-        `(No changes between ${diffSpec.range})`,
-        diffSpec.range
+  for (const [index, section] of sections.entries()) {
+    const at = `sections[${index}]`;
+    if (!isPlainObject(section) || section.changed === undefined) {
+      validateSection(section, at, { inherits: false, report });
+      continue;
+    }
+    const { changed, ...rest } = section;
+    if (!CHANGED_SELECTORS.includes(changed)) {
+      report(
+        `${at}.changed`,
+        `Invalid selector "${changed}". Use one of: ${CHANGED_SELECTORS.join(", ")}`
       );
     }
+    if (typeof rest.header !== "string" || !rest.header) {
+      report(`${at}.header`, "Required for changed-file sections");
+    }
+    for (const key of Object.keys(rest)) {
+      if (key !== "header" && key !== "priority") {
+        report(
+          `${at}.${key}`,
+          describeUnknownKey(key, ["header", "priority", "changed"])
+        );
+      }
+    }
+    collectIssue(
+      `${at}.priority`,
+      () => validatePriority(rest.priority),
+      report
+    );
+  }
+  return issues;
+}
+
+/**
+ * Collect what the repository can tell about the work being consulted on
+ * Outside a git repository everything but the date is left empty.
+ *
+ * @param {string|undefined} baseRef - Base ref from --base (default: the default branch)
+ * @param {string[]} exclude - Files left out of the changes (the scaffold itself)
+ * @returns {{branch: string|null, commit: string|null, base: string|null, diffSpec: object|null, changes: object[], commits: string[]}} Repository facts
+ * @throws {Error} If --base does not resolve to a commit
+ */
+function gatherRepositoryFacts(baseRef, exclude) {
+  const facts = {
+    branch: null,
+    commit: null,
+    base: null,
+    diffSpec: null,
+    changes: [],
+    commits: [],
+  };
+  try {
+    validateGitRepository();
+    facts.branch = getCurrentBranch();
+    facts.commit = resolveShortSha("HEAD");
+  } catch {
+    if (baseRef) {
+      throw new Error(`--base needs a git repository with commits`);
+    }
+    return facts;
+  }
 
-    return formatDiffBlock(filePath, diffContent, diffSpec.range);
+  facts.base = baseRef || getDefaultBranch();
+  if (!facts.base) {
+    return facts;
+  }
+  if (!refExists(facts.base)) {
+    throw new Error(`Base ref not found: ${facts.base}`);
   }
 
-  // Handle line range or full file mode
-  const lineRanges = rangeStr ? parseLineRanges(rangeStr) : null;
-  const language = detectLanguage(filePath);
-  const content = readFileContent(filePath, lineRanges);
+  facts.diffSpec = parseDiffSpec(`diff=${facts.base}`);
+  facts.changes = listChangedFiles(facts.diffSpec, exclude);
+  facts.commits = execFileSync(
+    "git",
+    ["log", "--format=%h %s", "-n", "20", `${facts.base}..HEAD`],
+    { encoding: "utf8", stdio: "pipe" }
+  )
+    .split("\n")
+    .filter((line) => line);
+  return facts;
+}
+
+/**
+ * Resolve template plan sections against the changed files
+ * `changed: "diff"` becomes a changedSince section; "source" and "tests"
+ * list the changed files (deleted and binary files aside). Sections that
+ * select nothing are left out, unless nothing is selected at all: then
+ * "source" and "tests" sections are kept with empty file lists to fill in.
+ *
+ * @param {object[]} sections - Template plan sections
+ * @param {object} facts - Facts from gatherRepositoryFacts
+ * @param {string[]} exclude - Files the diff section leaves out (the scaffold itself)
+ * @returns {object[]} Plan sections
+ */
+function resolveTemplateSections(sections, facts, exclude) {
+  const readable = facts.changes.filter(
+    (change) => change.status !== "deleted" && !change.binary
+  );
+  const select = {
+    source: readable.filter((c) => !isTestFile(toPosixPath(c.filePath))),
+    tests: readable.filter((c) => isTestFile(toPosixPath(c.filePath))),
+  };
+
+  const resolve = (keepEmpty) =>
+    sections.flatMap(({ changed, ...section }) => {
+      if (changed === undefined) {
+        return [section];
+      }
+      const priority = section.priority ? { priority: section.priority } : {};
+      if (changed === "diff") {
+        return facts.changes.length > 0
+          ? [
+              {
+                header: section.header,
+                changedSince: facts.base,
+                exclude,
+                ...priority,
+              },
+            ]
+          : [];
+      }
+      const files = select[changed].map((c) => toDisplayPath(c.filePath));
+      return files.length > 0 || keepEmpty
+        ? [{ header: section.header, ...priority, files }]
+        : [];
+    });
 
-  return formatCodeBlock(filePath, language, content, lineRanges);
+  const resolved = resolve(false);
+  return resolved.length > 0 ? resolved : resolve(true);
 }
 
-// ============================================================================
-// Config File Operations
-// ============================================================================
+/**
+ * Format the commit list written into a scaffold
+ * @param {object} facts - Facts from gatherRepositoryFacts
+ * @returns {string} Markdown list
+ */
+function formatCommitList(facts) {
+  if (facts.commits.length === 0) {
+    return "- [No commits yet]";
+  }
+  return facts.commits.map((line) => `- ${line}`).join("\n");
+}
 
 /**
- * Read and validate JSON config file
- * @param {string} configPath - Path to config file
- * @returns {object} Validated config object
- * @throws {Error} If config is invalid
+ * Scaffold a consultation document and its extraction plan
+ * The plan is managed, so running it fills the empty section regions the
+ * document holds between Part 1 and Part 3, and later runs refresh them.
+ *
+ * @param {string} topic - Consultation topic (e.g., "auth-bug")
+ * @param {object} options - Options
+ * @param {string} options.template - Template name
+ * @param {string[]} options.templateDirs - User template directories
+ * @param {string} [options.base] - Base ref (default: the default branch)
+ * @param {boolean} [options.force] - Overwrite existing files
+ * @returns {{documentPath: string, planPath: string, facts: object, sections: object[]}} What was written
+ * @throws {Error} If the topic, template or base is invalid, or a file exists
  */
-function readConfigFile(configPath) {
-  if (!fs.existsSync(configPath)) {
-    throw new Error(`Config file not found: ${configPath}`);
+function scaffoldConsultation(topic, { template, templateDirs, base, force }) {
+  const slug = slugifyTopic(topic);
+  if (!slug) {
+    throw new Error(`Invalid topic "${topic}". Use letters, digits and dashes`);
+  }
+  const documentPath = `${slug}-consultation.md`;
+  const planPath = `${slug}-plan.json`;
+  if (!force) {
+    const existing = [documentPath, planPath].find((f) => fs.existsSync(f));
+    if (existing) {
+      throw new Error(`${existing} already exists. Use --force to overwrite`);
+    }
   }
 
-  let config;
+  const {
+    document,
+    plan: { sections: templateSections = [], ...settings },
+  } = findTemplate(template, templateDirs);
+  const facts = gatherRepositoryFacts(base, [documentPath, planPath]);
+  const sections = resolveTemplateSections(templateSections, facts, [
+    documentPath,
+    planPath,
+  ]);
+
+  const title = topic
+    .trim()
+    .replace(/[-_]+/g, " ")
+    .replace(/^./, (c) => c.toUpperCase());
+  const lookup = createVariableLookup({
+    title,
+    topic: slug,
+    template,
+    plan: planPath,
+    output: documentPath,
+    branch: facts.branch || "[branch]",
+    commit: facts.commit || "[commit]",
+    base: facts.base || "[base]",
+    commits: formatCommitList(facts),
+    changedFiles: facts.diffSpec
+      ? facts.changes.length > 0
+        ? formatChangeTable(facts.changes, facts.diffSpec)
+        : `No files changed versus ${facts.base}.`
+      : "[Changed files]",
+    code: sections
+      .filter((section) => section.header)
+      .map((section) => renderSectionRegion(section.header, section.header))
+      .join("\n\n"),
+  });
+  const content = substituteString(document, lookup);
+
+  const planContent = {
+    output: documentPath,
+    managed: true,
+    trackSize: true,
+    ...settings,
+    sections,
+  };
+
+  fs.writeFileSync(documentPath, content);
+  fs.writeFileSync(planPath, JSON.stringify(planContent, null, 2) + "\n");
+  return { documentPath, planPath, facts, sections };
+}
+
+/**
+ * Run `extract-code init`
+ * @param {string[]} argv - Arguments after "init"
+ */
+function runInit(argv) {
+  let args;
   try {
-    const content = fs.readFileSync(configPath, "utf8");
-    config = JSON.parse(content);
+    const parsed = parseArgs({
+      args: argv,
+      options: {
+        help: { type: "boolean", short: "h" },
+        list: { type: "boolean" },
+        template: { type: "string", short: "t" },
+        "templates-dir": { type: "string", multiple: true },
+        base: { type: "string" },
+        force: { type: "boolean" },
+      },
+      allowPositionals: true,
+    });
+    args = parsed.values;
+    args.positionals = parsed.positionals;
   } catch (error) {
-    throw new Error(`Failed to parse config file: ${error.message}`);
+    console.error(`❌ ${error.message}`);
+    showHelp();
+    process.exit(1);
   }
 
-  // Validate schema
-  if (!config.sections || !Array.isArray(config.sections)) {
-    throw new Error(
-      'Config must have "sections" array. See example config for format.'
+  if (args.help) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const templateDirs = args["templates-dir"] || [];
+  if (args.list) {
+    try {
+      for (const dir of templateDirs) {
+        for (const { name, planPath } of listTemplateDirectory(dir)) {
+          const plan = planPath ? ` (+ ${path.basename(planPath)})` : "";
+          console.log(`  ${name.padEnd(14)} ${toDisplayPath(dir)}${plan}`);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    for (const { name, title, description } of listBuiltInTemplates()) {
+      console.log(`  ${name.padEnd(14)} ${title}: ${description}`);
+    }
+    process.exit(0);
+  }
+
+  if (args.positionals.length !== 1) {
+    console.error(
+      args.positionals.length === 0
+        ? "❌ No topic specified. Usage: extract-code init <topic> [--template=<name>]"
+        : `❌ Expected one topic, got ${args.positionals.length}. Quote topics with spaces`
+    );
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = scaffoldConsultation(args.positionals[0], {
+      template: args.template || DEFAULT_TEMPLATE,
+      templateDirs,
+      base: args.base,
+      force: Boolean(args.force),
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const { documentPath, planPath, facts, sections } = result;
+  const changes = facts.base
+    ? `, ${facts.changes.length} changed ${facts.changes.length === 1 ? "file" : "files"} versus ${facts.base}`
+    : "";
+  console.error(
+    `✅ Created ${documentPath} (${args.template || DEFAULT_TEMPLATE} template${changes})`
+  );
+  console.error(
+    `✅ Created ${planPath} (${sections.length} ${sections.length === 1 ? "section" : "sections"})`
+  );
+  if (sections.some((section) => section.files && section.files.length === 0)) {
+    console.error(
+      `⚠️  No changed files to pre-fill: list the files to extract in ${planPath}`
+    );
+  }
+  console.error(
+    `📄 Next: replace the [bracketed] prompts, then run: extract-code --config=${planPath}`
+  );
+  process.exit(0);
+}
+
+// ============================================================================
+// Watch Mode
+// ============================================================================
+
+/**
+ * Check whether an entry changes with git state (commits, staging,
+ * checkouts) and not only with its file
+ * @param {object} entry - Plan entry
+ * @returns {boolean} True for changed-file sections, refs, diffs and history
+ */
+function dependsOnGit(entry) {
+  if (entry.render) {
+    return Boolean(entry.git);
+  }
+  try {
+    const { rangeStr, ref } = parseFileArgument(entry.fileArg);
+    return Boolean(
+      ref ||
+      (rangeStr && (parseDiffSpec(rangeStr) || parseHistorySpec(rangeStr)))
     );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Describe which entries a plan holds, to notice when a change adds or
+ * removes some (a glob match, a newly changed file, a followed import)
+ * @param {object} plan - Plan from buildPlan
+ * @returns {string} Section headers and file specs
+ */
+function describePlanShape(plan) {
+  return JSON.stringify(
+    plan.sections.map((section) => [
+      section.header,
+      section.entries.map((entry) => entry.fileArg),
+    ])
+  );
+}
+
+/**
+ * List the files a watched plan reads
+ * Git state is always watched, so a changed-files section that is empty
+ * now still picks up the next commit or staged file.
+ *
+ * @param {object} plan - Plan from buildPlan
+ * @param {string} configPath - Config file
+ * @returns {string[]} Absolute paths (never the output file)
+ */
+function getWatchedFiles(plan, configPath) {
+  const files = new Set([path.resolve(configPath), ...getGitStateFiles()]);
+  for (const section of plan.sections) {
+    for (const entry of section.entries) {
+      const filePath = getEntryFilePath(entry);
+      if (filePath) {
+        files.add(filePath);
+      }
+    }
   }
-
-  if (config.sections.length === 0) {
-    throw new Error("Config must have at least one section");
+  if (plan.settings.output) {
+    files.delete(path.resolve(plan.settings.output));
   }
+  return [...files];
+}
 
-  for (const [index, section] of config.sections.entries()) {
-    if (!section.files || !Array.isArray(section.files)) {
-      throw new Error(
-        `Section ${index + 1} must have "files" array. Header: ${section.header || "(no header)"}`
+/**
+ * Find the entries a batch of changes affects
+ * Changed-file sections are refreshed as a whole, since their summary
+ * table covers every file in them.
+ *
+ * @param {object[]} sections - Plan sections
+ * @param {Set<string>} changed - Absolute paths of changed files
+ * @param {boolean} gitChanged - Whether git state changed
+ * @returns {Set<object>} Affected entries
+ */
+function findAffectedEntries(sections, changed, gitChanged) {
+  const affected = new Set();
+  for (const section of sections) {
+    const hits = section.entries.filter((entry) => {
+      const filePath = getEntryFilePath(entry);
+      return (
+        (filePath && changed.has(filePath)) ||
+        (gitChanged && dependsOnGit(entry))
       );
+    });
+    const whole = hits.some((entry) => entry.git);
+    for (const entry of whole ? section.entries : hits) {
+      affected.add(entry);
     }
+  }
+  return affected;
+}
 
-    if (section.files.length === 0) {
-      throw new Error(
-        `Section ${index + 1} must have at least one file. Header: ${section.header || "(no header)"}`
-      );
+/**
+ * Validate and render some entries of a plan into its managed output
+ * Entries that fail validation are reported and keep their regions, so a
+ * bad edit leaves the last good version of a file in the document.
+ *
+ * @param {object} plan - Plan from buildPlan
+ * @param {Set<object>} entries - Entries to render
+ * @param {(event: object) => void} emit - Progress event listener
+ * @returns {object|null} Result (see extract), or null if no entry was valid
+ * @throws {ExtractError} If the options conflict, required files exceed the budget, strict mode finds secrets, or no file renders
+ */
+function refreshPlan(plan, entries, emit) {
+  const only = new Set();
+  for (const section of plan.sections) {
+    for (const entry of section.entries) {
+      if (!entries.has(entry)) {
+        continue;
+      }
+      const validation = entry.render
+        ? { valid: true }
+        : validateFile(entry.fileArg);
+      if (validation.valid) {
+        only.add(entry);
+      } else {
+        emit({
+          type: "error",
+          fileArg: validation.fileArg,
+          section: section.label,
+          message: validation.error,
+        });
+      }
     }
   }
-
-  return config;
+  if (only.size === 0) {
+    return null;
+  }
+  return runPlan(plan, { outputFile: plan.settings.output, emit, only });
 }
 
-// ============================================================================
-// Helper Functions
-// ============================================================================
-
 /**
- * Provide helpful error suggestions when file is not found
- * @param {string} filePath - Path that was not found
- * @returns {string} Suggestion text (empty if none applicable)
+ * Keep the managed output of a plan in sync with the files it reads
+ * The first run renders the whole plan. After that, each batch of changes
+ * rebuilds the plan and renders only the entries it affects; editing the
+ * config, a change that adds or removes entries, or a failed run renders
+ * the whole plan again. Errors are reported and watching goes on.
+ *
+ * @param {string} configPath - Config file
+ * @param {object} options - Watch options
+ * @param {() => Promise<object>} options.load - Reads the plan input (config with command-line overrides)
+ * @param {boolean} [options.allowCommands] - Allow "cmd:" entries
  */
-function getSuggestion(filePath) {
-  // Provide helpful suggestion for relative path issues
-  if (!path.isAbsolute(filePath) && filePath.includes(path.sep)) {
-    return `\n  💡 Tip: Verify you're in the correct directory:\n     pwd  # Check current directory\n     ls ${path.dirname(filePath)}  # Check parent directory exists`;
-  }
+async function runWatch(configPath, { load, allowCommands = false }) {
+  const configFile = path.resolve(configPath);
+  let input = null;
+  let plan = null;
+  let complete = false;
+  let watched = 1;
+  let pending = null;
+  let running = false;
+
+  // Returns whether anything was rendered
+  const update = async (changed) => {
+    const configChanged = changed.has(configFile);
+    const announce = () => {
+      const files = [...changed].map(toDisplayPath).join(", ");
+      console.error(`\n🔄 Changed: ${files}`);
+    };
+    if (configChanged) {
+      announce();
+    }
+    if (!input || configChanged) {
+      input = null;
+      input = await load();
+    }
+    const previous = plan;
+    plan = await buildPlan(input, {
+      allowCommands,
+      excludeFiles: [configFile],
+    });
+    const files = getWatchedFiles(plan, configPath);
+    watcher.watch(files);
+    watched = files.length;
+
+    const full =
+      !complete ||
+      configChanged ||
+      describePlanShape(plan) !== describePlanShape(previous);
+    const gitState = new Set(getGitStateFiles());
+    const entries = full
+      ? new Set(plan.sections.flatMap((section) => section.entries))
+      : findAffectedEntries(
+          plan.sections,
+          changed,
+          [...changed].some((file) => gitState.has(file))
+        );
+    if (!full && entries.size === 0) {
+      return false;
+    }
 
-  // Check if file exists with different casing
-  const dir = path.dirname(filePath);
-  const filename = path.basename(filePath);
-  if (fs.existsSync(dir)) {
-    try {
-      const files = fs.readdirSync(dir);
-      const match = files.find(
-        (f) => f.toLowerCase() === filename.toLowerCase()
+    if (changed.size > 0 && !configChanged) {
+      announce();
+    }
+    const onProgress = createProgressReporter({
+      trackSize: Boolean(input.trackSize),
+      grouped: true,
+      budget: plan.settings.budgetOptions.budget,
+    });
+    if (full) {
+      for (const error of plan.errors) {
+        onProgress({ type: "error", ...error });
+      }
+    }
+
+    const result = refreshPlan(plan, entries, onProgress);
+    complete = complete || full;
+    if (result) {
+      const status = result.hasErrors
+        ? "⚠️  Updated with errors"
+        : "✅ Updated";
+      console.error(
+        `${status}: ${result.written} ${result.written === 1 ? "file" : "files"} in ${result.output} (${formatUsage(result.usage, result.budget)})`
       );
-      if (match && match !== filename) {
-        return `\n  💡 Tip: File exists with different casing: ${match}`;
+    }
+    return true;
+  };
+
+  // Batches are handled one at a time; changes arriving meanwhile are
+  // merged into the next batch
+  const schedule = async (changed) => {
+    pending = new Set([...(pending || []), ...changed]);
+    if (running) {
+      return;
+    }
+    running = true;
+    let updated = false;
+    while (pending) {
+      const batch = pending;
+      pending = null;
+      try {
+        updated = (await update(batch)) || updated;
+      } catch (error) {
+        updated = true;
+        complete = false;
+        if (error instanceof ExtractError) {
+          reportError(error, true);
+        } else {
+          console.error(`❌ Error: ${error.message}`);
+        }
       }
-    } catch {
-      // Ignore directory read errors
     }
-  }
+    running = false;
+    if (updated) {
+      console.error(`👀 Watching ${watched} files (Ctrl+C to stop)`);
+    }
+  };
 
-  return "";
+  const watcher = createFileWatcher((changed) => schedule(changed));
+  watcher.watch([configFile]);
+  process.on("SIGINT", () => {
+    watcher.close();
+    process.exit(0);
+  });
+  await schedule([]);
 }
 
 // ============================================================================
@@ -554,6 +6811,7 @@ function showHelp() {
 
 Usage:
   extract-code [options] <file1> [file2] [file3] ...
+  extract-code init <topic> [--template <name>] [--templates-dir <dir>]
   extract-code --help
 
 Arguments:
@@ -564,11 +6822,35 @@ Arguments:
             /path/to/file.cs:10:50              (extract lines 10-50, alternative)
             /path/to/file.cs:10-50,100-150      (multiple ranges, comma-separated)
             /path/to/file.cs:1-30,86-213,500-600  (multiple ranges)
-            /path/to/file.cs:diff               (git diff vs master)
+            /path/to/file.cs:diff               (working tree vs default branch)
             /path/to/file.cs:diff=master..HEAD  (git diff with explicit range)
+            /path/to/file.cs:diff=main...HEAD   (HEAD vs merge-base with main)
             /path/to/file.cs:diff=HEAD~3        (git diff vs 3 commits ago)
+            /path/to/file.cs:diff=staged        (staged changes, index vs HEAD)
+            /path/to/file.cs:diff=worktree      (unstaged changes)
+            /path/to/file.cs:diff=main,w,context=10
+                                                (options: w, b, W, context=N)
             relative/path/file.cs               (resolved to absolute path)
             relative/path/file.cs:5-15          (with line range)
+            "src/auth/**/*.ts"                  (glob, expands to sorted matches)
+            src/auth                            (directory, all files recursively)
+            "!**/*.spec.ts"                     (negation, drops earlier matches)
+            "src/auth/**/*.ts:diff"             (spec applied to every match)
+            src/auth.ts:symbol=AuthService      (named class/function/interface)
+            src/auth.ts:symbol=AuthService.refresh  (method inside a class)
+            src/auth.ts:symbol=login,logout     (multiple symbols)
+            src/auth.ts:outline                 (signatures, bodies collapsed)
+            src/auth.ts:outline=refresh         (outline with refresh in full)
+            src/auth.ts:log=5                   (last 5 commits touching file)
+            src/auth.ts:log=5,body              (with commit message bodies)
+            src/auth.ts:blame=10-50             (lines 10-50 with commit and age)
+            src/auth.ts@v1.2                    (file at a commit, tag or branch)
+            src/auth.ts@HEAD~3:10-50            (lines or symbols at a ref)
+            test-output.log:trace               (code around each stack frame)
+            -:trace=5                           (trace from stdin, 5 lines around)
+            'cmd:"dotnet test --filter AuthFlow"'
+                                                (command output and exit
+                                                 status; needs --allow-commands)
 
 Options:
   --help, -h           Show this help message
@@ -576,8 +6858,58 @@ Options:
   --track-size         Show size tracking and progress (requires --output)
   --section <header>   Add markdown section header before next file
                        Can be used multiple times for different files
-  --config <file>      Use JSON config file for batch extraction
+  --config <file>      Use a JSON or YAML plan file for batch extraction
                        See example-config.json for format
+  --var <name=value>   Set a plan variable used as \${name} (repeatable)
+  --budget <size>      Size budget in bytes or estimated tokens (default: 125KB)
+                       Examples: 128000, 125KB, 60000tok, 60ktok
+  --warn-at <pcts>     Warning thresholds in percent of budget (default: 80,92)
+  --strict             Refuse to write anything if a secret is detected
+  --toc                Keep a table of contents at the top of the output
+                       (sections, files, specs, sizes, anchor links)
+  --managed            Wrap output in marker comments keyed by section and
+                       file spec; reruns replace them in place
+  --prune              Also remove managed regions no longer in the plan
+  --watch              Keep running and refresh the regions of changed files
+                       (config mode, markdown; implies --managed)
+  --dry-run, --plan    Measure the plan without writing: a table of every
+                       file's size, share of the budget and running total,
+                       with cheaper alternatives for the largest files
+  --json               Print the --dry-run report as JSON
+  --line-numbers       Prefix lines with their original line numbers; gaps
+                       between ranges show "… lines 31–85 omitted …"
+  --format <fmt>       Output format: markdown (default), xml (<document>
+                       tags), json (manifest) or html (standalone page)
+  --changed-since <ref>
+                       Add every file changed versus a ref or range (added,
+                       modified, renamed, deleted) with a change table
+  --changed-mode <m>   Render changed files as diff (default), full or both
+  --exclude <glob>     Skip changed files matching glob (repeatable)
+  --follow-imports <depth>
+                       Add the local files each file imports, <depth> levels
+                       deep, in a "Dependencies" section
+  --with-tests         Add the tests of each file, found by naming
+                       conventions, to a "Tests" section
+  --compact <list>     Shrink file content: license, imports, comments,
+                       blank-lines, keep-directives, or all
+  --allow-commands     Run cmd: entries (off by default: plans can't run
+                       commands unless you opt in)
+  --command-timeout <s>
+                       Seconds a command may run (default: 120)
+  --command-limit <size>
+                       Size of a command's output block (default: 16KB)
+
+Init Options (extract-code init <topic>):
+  --template, -t <name>
+                       Template: bug, architecture (default), performance,
+                       security, or one from --templates-dir
+  --templates-dir <dir>
+                       Directory of <name>.md templates, each with an
+                       optional <name>.plan.json or .plan.yaml (repeatable)
+  --base <ref>         Ref to list changed files against (default: the
+                       default branch)
+  --force              Overwrite an existing document and plan
+  --list               List available templates
 
 Output:
   Prints markdown-formatted code blocks with file paths and line ranges.
@@ -596,9 +6928,12 @@ Examples:
   # Mix full files and ranges
   extract-code src/Models/User.cs src/Service.cs:100-150
 
-  # Show git diff vs master (default)
+  # Show git diff vs the default branch (origin/HEAD, main or master)
   extract-code src/Service.cs:diff
 
+  # Review staged changes before committing, ignoring whitespace
+  extract-code src/Service.cs:diff=staged,w
+
   # Show git diff with explicit range
   extract-code src/Service.cs:diff=master..feature-branch
   extract-code src/Service.cs:diff=HEAD~3..HEAD
@@ -609,6 +6944,63 @@ Examples:
   # Combine diffs with regular files
   extract-code src/Service.cs:diff src/Tests.cs:100-200
 
+  # Extract a method by name (survives edits, unlike line ranges)
+  extract-code src/auth.ts:symbol=AuthService.refresh
+  extract-code Services/AuthService.cs:symbol=AuthService.RefreshAsync
+
+  # The shape of a large service, with the method in question in full
+  extract-code Services/AuthService.cs:outline=RefreshAsync
+
+  # Show the old and new implementation side by side
+  extract-code src/auth.ts@v1.2:symbol=refresh src/auth.ts:symbol=refresh
+
+  # Explain why code looks the way it does
+  extract-code src/auth.ts:log=5,body src/auth.ts:blame=40-72
+
+  # Capture the failing test run next to the code under test
+  extract-code --allow-commands -o doc.md 'cmd:"npm test -- auth"' src/auth.ts
+
+  # Extract the code at every frame of a failing test's stack trace
+  npm test 2>&1 | extract-code -o doc.md -:trace
+
+  # Extract a whole feature folder, skipping specs (quote globs for the shell)
+  extract-code "src/auth/**/*.ts" "!**/*.spec.ts"
+
+  # Document a whole feature branch, skipping generated code
+  extract-code --changed-since=main --changed-mode=both \\
+               --exclude="**/*.generated.ts" -o doc.md
+
+  # Diff every file in a directory
+  extract-code "src/auth:diff"
+
+  # Rebuild a document after code changes, keeping hand-written prose
+  extract-code --config=plan.json --managed --prune
+
+  # Keep the document in sync while you edit code and the plan
+  extract-code --config=plan.json --watch --track-size
+
+  # Check what a plan would weigh before writing anything
+  extract-code --config=plan.json --dry-run
+
+  # Number lines so the expert can cite them; diffs get old/new numbers
+  extract-code --line-numbers src/Service.cs:10-30,85-100 src/Service.cs:diff
+
+  # XML document tags for long-context prompts; an HTML page for reviewers
+  extract-code --format=xml -o context.xml src/Service.cs src/Service.cs:diff
+  extract-code --format=html --config=plan.json -o review.html
+
+  # Pull in what a service imports, and what those files import
+  extract-code --follow-imports=2 --track-size -o doc.md src/services/UserService.ts
+
+  # Bring the tests along: UserService.test.ts, __tests__/, tests/ trees
+  extract-code --with-tests --track-size -o doc.md src/services/UserService.ts
+
+  # Fit more code: strip comments (keeping eslint/ts directives) and blank runs
+  extract-code --compact=comments,keep-directives,blank-lines --track-size -o doc.md src/
+
+  # Keep a table of contents at the top (refreshed by later appends)
+  extract-code --toc --track-size -o doc.md --section="Core" src/Service.cs
+
   # Save to file with size tracking (appends to existing file)
   extract-code --track-size --output=consultation.md src/Service.cs
 
@@ -637,10 +7029,23 @@ Examples:
   extract-code src/Service.cs > expert-consultation.md
   extract-code src/Tests.cs >> expert-consultation.md  # Append
 
+  # Budget in estimated tokens instead of bytes
+  extract-code --track-size --budget=60000tok --warn-at=75,90 -o doc.md src/
+
+  # Fail instead of redacting when a file contains credentials
+  extract-code --strict -o doc.md src/config.ts appsettings.json
+
   # Use config file for complex extractions
   extract-code --config=extraction-plan.json
   extract-code --config=extraction-plan.json --track-size  # Override trackSize
 
+  # Build the whole consultation (prose, templates and code) from one plan
+  extract-code --config=consultation.yaml --var ticket=PROP-123
+
+  # Scaffold auth-bug-consultation.md and auth-bug-plan.json, then fill it
+  extract-code init auth-bug --template=bug --base=main
+  extract-code --config=auth-bug-plan.json
+
 Notes:
   • Automatically detects language from file extension
   • Line numbers are 1-indexed (first line is line 1)
@@ -649,17 +7054,142 @@ Notes:
   • Supports 20+ file types (cs, js, ts, vue, py, etc.)
   • Error messages go to stderr, formatted output to stdout
   • --output mode always appends (matches >> behavior)
-  • Size tracking shows warnings at 100KB, 115KB, errors at 125KB
+  • Size tracking shows warnings at 80% and 92% of the budget (100KB and
+    115KB by default)
+  • Token counts are offline estimates (no tokenizer); they err on the high
+    side and count dense code and minified JSON as more tokens per byte
+  • Config files can set "budget" and "warnAt" (e.g., [80, 92]); command-line
+    options override them
+  • Config sections and files can set "priority" (required, preferred or
+    optional); files can be { "path": "...", "priority": "optional" }
+  • Plans are measured before writing. Over budget, optional files are
+    dropped, then preferred files are reduced to changed hunks or signatures
+    (then dropped); nothing is written if required files alone don't fit
   • Section headers apply to the immediately following file only
   • Diff mode requires git repository and valid refs
   • Diff output uses unified diff format (standard git diff)
+  • Untracked files diff as entirely added; --changed-since includes them
+    unless it compares two commits
+  • Diff options: w ignores whitespace, b ignores space changes, W shows
+    whole functions, context=N sets context lines
+  • log and blame follow the same validation as diffs: the file must be
+    tracked by git and blamed lines must exist; "log" alone shows 10 commits
+  • Blame groups lines into runs per commit; each run starts with one
+    "── <hash>" marker line, with date, age, author and subject on first use
+  • file@ref reads the file from git, so it also works for files deleted
+    from the working tree; the header shows the ref and its short SHA
+  • cmd: entries run through the shell in the current directory with
+    NO_COLOR=1, stdout and stderr interleaved. ANSI colours are stripped,
+    and output over --command-limit keeps its head and tail around an
+    "… N lines omitted …" marker. A non-zero exit is shown, not an error.
+    Config files accept "commandTimeout" and "commandLimit", but only
+    --allow-commands lets commands run
+  • :trace reads .NET, Node/V8, Jest, Vitest and Python frames from a log
+    (or stdin for "-") and extracts 10 lines around each failing line
+    (trace=N to change). Frames in node_modules, site-packages and framework
+    code are skipped; paths from other machines are matched to project
+    files by their trailing segments. Overlapping windows in a file merge,
+    headed by the frames they show
+  • --toc keeps an index between <!-- extract-code:toc --> markers; runs
+    that append to a file with an index refresh it instead of adding one
+  • Managed regions: new files are added at the end of their section and
+    new sections at the end of the document; text outside regions is never
+    touched. Files that fail to render keep their previous region. Output
+    with regions stays managed on later runs, even without --managed
+  • --watch watches every file of the plan, the config and git state (HEAD,
+    index, branch ref). Changes are batched; only the affected regions are
+    rebuilt, and diff, log, blame, @ref and changed-files entries also follow
+    commits and staging. A file that stops validating keeps its last good
+    region; editing the config or adding files to the plan rebuilds it all
+  • --dry-run renders every file in memory against the existing output,
+    so sizes match a real run, and shows what auto-fit would drop. The 5
+    largest files get alternatives (diff, outline, --compact, changed
+    hunks) that save at least 10% of them. Files that would fail are
+    listed instead of stopping the report; commands are not run. Exits 1
+    when a file would fail or the plan is over budget
+  • --line-numbers applies to ranges, symbols, whole files, blame and
+    diffs (old and new number columns); config files accept "lineNumbers"
+    at the top level, per section or per file. Numbers count toward size
+  • Plan sections can hold prose instead of files: "markdown" (inline) or
+    "include" (a template file, relative to the plan), written in order
+  • Plans substitute \${name} in strings and templates from "variables",
+    --var, \${branch}, \${commit}, \${date} and \${env.NAME}; write $\${ for
+    a literal \${
+  • "extends" merges a plan over a base plan; a "..." entry in "sections"
+    inserts the base's sections, otherwise they are replaced
+  • Plan problems are all reported at once with their path, such as
+    sections[2].files[0]; unknown keys are errors, with a suggestion
+  • init writes {topic}-consultation.md (the ten-part skeleton, with the
+    branch, commits and changed files filled in) and {topic}-plan.json
+    (managed sections for the changed source, tests and diff). It refuses
+    to overwrite either file without --force
+  • Template plans can use "changed": "diff", "source" or "tests" instead
+    of "files"; user template documents take \${title}, \${branch},
+    \${base}, \${commits}, \${changedFiles}, \${code} and the other variables
+  • Importable from Node: buildPlan, validatePlan, extract, renderToString
+    and renderToStream (types in extract-code.d.ts)
+  • xml and markdown append block by block; json and html are rewritten
+    with the documents already in the file, so appending works the same.
+    Config files accept "format". --toc and --managed are markdown-only
+  • --follow-imports resolves relative and tsconfig/jsconfig "paths"
+    imports (JS/TS/Vue), relative imports (Python) and types from the file's
+    namespace and usings (C#); packages and file@ref are not followed
+  • Dependencies skip files already in the plan, count toward the budget
+    and are optional, so auto-fit drops them first. Config files accept
+    "followImports" at the top level, per section or per file
+  • --with-tests finds Foo.test.ts/Foo.spec.ts (next to the file, in
+    __tests__ or a mirrored test/tests/spec tree), test_foo.py and
+    foo_test.py, and FooTests.cs/FooShould.cs in test projects. Config
+    files accept "withTests" at the top level, per section or per file
+  • "testRules" adds project-specific mappings, tried before conventions:
+    [{ "source": "src/**/*.ts", "tests": ["tests/{dir}/{name}.check.{ext}"] }]
+    ({dir}, {name} and {ext} come from the source path; globs allowed)
+  • Tests are preferred, labeled "tests for <file>" and skip files already
+    in the plan; an existing "Tests" section receives them
+  • --compact drops license banners, the leading import block, comments
+    and runs of blank lines from file content (not diffs). Comments are
+    found by the language's scanner, so strings are never touched, and
+    kept lines keep their line numbers. Config files accept "compact" (true,
+    "comments,blank-lines" or a list) at the top level, per section or file
+  • Compacted files say so in their header ("compacted: comments"), and
+    --track-size shows their size before and after
+  • file:outline lists classes, methods, properties, functions and types
+    with their signatures and doc summaries; bodies collapse to
+    "{ … } // lines 40-72" (JS/TS, Vue, C#, Python). Enums and type
+    aliases stay whole; outline=name1,name2 keeps those symbols in full
+  • Deleted files render as a note instead of failing (--changed-since and
+    file:diff=<ref> when the ref still has the file)
+  • Binary files render as a note with their size; line ranges and symbols
+    need text. UTF-16 is decoded, BOMs are dropped and CRLF becomes LF
+  • Code fences grow past the longest backtick run in the content, so
+    markdown files and snippets with fences can't break the document
+  • Languages come from file names (Dockerfile, Makefile), extensions and
+    shebangs; config "languages" overrides them by file name, glob or
+    extension: { ".tpl": "html", "Justfile": "makefile" }
+  • Globs and directories honor .gitignore and skip node_modules, dist,
+    build, out, bin, obj and coverage
+  • Negated patterns (!pattern) remove matches collected earlier in the
+    same argument list or config section
+  • Secrets (AWS/GCP/Azure keys, JWTs, private keys, passwords, high-entropy
+    strings) are replaced with placeholders like [REDACTED:jwt#1] and
+    summarized on stderr; config "redact" adds "patterns" and "allowlist"
+  • Symbols work for JS/TS/JSX/TSX, Vue <script> blocks, C# and Python;
+    leading doc comments and decorators/attributes are included
+  • Symbol names match on suffix ("refresh" finds "AuthService.refresh"
+    when unique); overloads are extracted together
 `);
 }
 
 /**
- * Main entry point
+ * Main entry point: a thin wrapper over the programmatic API
+ * @returns {Promise<void>}
  */
-function main() {
+async function main() {
+  if (process.argv[2] === "init") {
+    runInit(process.argv.slice(3));
+    return;
+  }
+
   const options = {
     help: {
       type: "boolean",
@@ -679,13 +7209,89 @@ function main() {
     config: {
       type: "string",
     },
+    budget: {
+      type: "string",
+    },
+    "warn-at": {
+      type: "string",
+    },
+    strict: {
+      type: "boolean",
+    },
+    toc: {
+      type: "boolean",
+    },
+    "line-numbers": {
+      type: "boolean",
+    },
+    format: {
+      type: "string",
+    },
+    managed: {
+      type: "boolean",
+    },
+    prune: {
+      type: "boolean",
+    },
+    "changed-since": {
+      type: "string",
+    },
+    "changed-mode": {
+      type: "string",
+    },
+    exclude: {
+      type: "string",
+      multiple: true,
+    },
+    "follow-imports": {
+      type: "string",
+    },
+    "with-tests": {
+      type: "boolean",
+    },
+    compact: {
+      type: "string",
+    },
+    watch: {
+      type: "boolean",
+    },
+    "allow-commands": {
+      type: "boolean",
+    },
+    "command-timeout": {
+      type: "string",
+    },
+    "command-limit": {
+      type: "string",
+    },
+    "dry-run": {
+      type: "boolean",
+    },
+    plan: {
+      type: "boolean",
+    },
+    json: {
+      type: "boolean",
+    },
+    var: {
+      type: "string",
+      multiple: true,
+    },
   };
 
+  // "-:trace" reads stdin, but parseArgs would take it for an option: hide
+  // its dash while parsing
+  const argv = process.argv
+    .slice(2)
+    .map((arg) => (arg.startsWith(`${STDIN_PATH}:`) ? `\0${arg}` : arg));
+
   let args;
   try {
-    const parsed = parseArgs({ options, allowPositionals: true });
+    const parsed = parseArgs({ args: argv, options, allowPositionals: true });
     args = parsed.values;
-    args.positionals = parsed.positionals;
+    args.positionals = parsed.positionals.map((arg) =>
+      arg.startsWith("\0") ? arg.slice(1) : arg
+    );
   } catch (error) {
     console.error(`❌ ${error.message}`);
     showHelp();
@@ -697,289 +7303,209 @@ function main() {
     process.exit(0);
   }
 
-  // Handle config file mode
-  if (args.config) {
-    try {
-      const config = readConfigFile(args.config);
-      processConfigFile(config, args);
-      return;
-    } catch (error) {
-      console.error(`❌ Error processing config file: ${error.message}`);
-      process.exit(1);
-    }
+  if (args.watch && !args.config) {
+    console.error("❌ --watch needs a config file (--config)");
+    process.exit(1);
   }
 
-  if (!args.positionals || args.positionals.length === 0) {
-    console.error("❌ No files specified");
-    showHelp();
+  // --plan is an alias of --dry-run
+  const dryRun = Boolean(args["dry-run"] || args.plan);
+  if (dryRun && args.watch) {
+    console.error("❌ --dry-run can't be combined with --watch");
     process.exit(1);
   }
-
-  // Filter out empty arguments
-  const fileArgs = args.positionals.filter((arg) => arg && arg.trim() !== "");
-
-  // VALIDATE ALL FILES FIRST - before writing anything
-  const validationErrors = [];
-  for (const fileArg of fileArgs) {
-    const validation = validateFile(fileArg);
-    if (!validation.valid) {
-      validationErrors.push({
-        fileArg: validation.fileArg,
-        error: validation.error,
-      });
-    }
+  if (args.json && !dryRun) {
+    console.error("❌ --json only works with --dry-run");
+    process.exit(1);
   }
 
-  // If any validation errors, report them all and exit without modifying output
-  if (validationErrors.length > 0) {
-    console.error(
-      `❌ Validation failed for ${validationErrors.length} file(s):\n`
-    );
-    for (const { fileArg, error } of validationErrors) {
-      console.error(`  • "${fileArg}":`);
-      console.error(`    ${error.replace(/\n/g, "\n    ")}`);
-      console.error("");
+  // Config mode groups progress and messages by section
+  const grouped = Boolean(args.config);
+
+  // Command-line settings override the config file
+  const overrides = Object.fromEntries(
+    Object.entries({
+      output: args.output,
+      trackSize: args["track-size"],
+      budget: args.budget,
+      warnAt: args["warn-at"],
+      strict: args.strict,
+      toc: args.toc,
+      lineNumbers: args["line-numbers"],
+      followImports: args["follow-imports"],
+      withTests: args["with-tests"],
+      compact: args.compact,
+      format: args.format,
+      managed: args.managed,
+      prune: args.prune,
+      commandTimeout: args["command-timeout"],
+      commandLimit: args["command-limit"],
+    }).filter(([, value]) => value !== undefined)
+  );
+
+  // --var name=value sets plan variables, overriding the plan's own
+  const variables = {};
+  for (const assignment of args.var || []) {
+    const match = assignment.match(/^([^=]+)=(.*)$/s);
+    if (!match) {
+      console.error(`❌ Invalid --var "${assignment}". Use --var name=value`);
+      process.exit(1);
     }
-    console.error("⚠️  No files were written to avoid partial output.");
-    process.exit(1);
+    variables[match[1].trim()] = match[2];
   }
 
-  const results = [];
-  let hasErrors = false;
-  let totalBytes = 0;
-  let sectionIndex = 0;
-
-  // Read existing file size if output file specified
-  if (args.output && fs.existsSync(args.output)) {
-    const stats = fs.statSync(args.output);
-    totalBytes = stats.size;
-    if (args["track-size"]) {
-      console.error(`📄 ${args.output}: ${formatSize(totalBytes)} (existing)`);
+  // Watch mode reads the config again whenever it changes
+  const loadInput = async () => {
+    const config = await loadConfig(args.config);
+    const loaded = { ...config, ...overrides };
+    if (args.var) {
+      loaded.variables = { ...config.variables, ...variables };
     }
-  }
+    return loaded;
+  };
 
-  // Process each file
-  for (const [index, fileArg] of fileArgs.entries()) {
+  let input;
+  if (args.config) {
     try {
-      // Add section header if specified
-      let output = "";
-      if (args.section && sectionIndex < args.section.length) {
-        const sectionHeader = args.section[sectionIndex];
-        if (sectionHeader) {
-          output = `### ${sectionHeader}\n\n`;
-        }
-        sectionIndex++;
-      }
-
-      const result = processFile(fileArg);
-      output += result;
-      results.push(output);
-
-      // Calculate size
-      const contentSize = Buffer.byteLength(output + "\n\n", "utf8");
-      totalBytes += contentSize;
-
-      // Write to file or collect for stdout
-      if (args.output) {
-        fs.appendFileSync(args.output, output + "\n\n", "utf8");
+      input = await loadInput();
+    } catch (error) {
+      reportError(error, grouped);
+      process.exit(1);
+    }
+    if (!input.output && !dryRun) {
+      console.error(
+        "❌ Config mode requires output file. Specify in config file or use --output flag"
+      );
+      process.exit(1);
+    }
+    if (args.watch) {
+      if ((input.format || "markdown") !== "markdown") {
+        console.error("❌ --watch only works with --format=markdown");
+        process.exit(1);
       }
+      // Only managed regions can be rewritten one file at a time
+      await runWatch(args.config, {
+        load: async () => ({ ...(await loadInput()), managed: true }),
+        allowCommands: args["allow-commands"],
+      });
+      return;
+    }
+  } else {
+    // Filter out empty arguments
+    const rawArgs = args.positionals.filter((arg) => arg && arg.trim() !== "");
+    if (rawArgs.length === 0 && !args["changed-since"]) {
+      console.error("❌ No files specified");
+      showHelp();
+      process.exit(1);
+    }
 
-      // Show progress if tracking size
-      if (args["track-size"]) {
-        const percent = ((totalBytes / MAX_SIZE_BYTES) * 100).toFixed(1);
-        const filename = path.basename(fileArg.split(":")[0]);
-        console.error(
-          `[${index + 1}/${fileArgs.length}] ${filename} → +${formatSize(contentSize)} (${formatSize(totalBytes)} / 125 KB, ${percent}%)`
-        );
-
-        // Check thresholds
-        if (totalBytes >= MAX_SIZE_BYTES) {
-          console.error(
-            `❌ Error: Exceeded 125 KB limit (${formatSize(totalBytes)})`
-          );
-          console.error(
-            `   Stop processing to stay within expert consultation limits`
-          );
-          process.exit(1);
-        } else if (totalBytes >= WARNING_THRESHOLD_2) {
-          console.error(`⚠️  Very close to 125 KB limit!`);
-        } else if (totalBytes >= WARNING_THRESHOLD_1) {
-          console.error(`⚠️  Approaching 100 KB`);
+    // Changed files come first, in their own section; each --section header
+    // starts a new section at the file argument it was given for
+    const sections = args["changed-since"]
+      ? [
+          {
+            changedSince: args["changed-since"],
+            changedMode: args["changed-mode"],
+            exclude: args.exclude,
+          },
+        ]
+      : [];
+    let current = { files: [] };
+    for (const [index, fileArg] of rawArgs.entries()) {
+      const header = args.section?.[index];
+      if (header) {
+        if (current.files.length > 0) {
+          sections.push(current);
         }
+        current = { header, files: [] };
       }
-    } catch (error) {
-      console.error(`❌ Error processing "${fileArg}": ${error.message}`);
-      hasErrors = true;
+      current.files.push(fileArg);
     }
-  }
-
-  if (results.length === 0) {
-    console.error("\n❌ No files were successfully processed");
-    process.exit(1);
-  }
-
-  // Output results to stdout if no output file specified
-  if (!args.output) {
-    console.log(results.join("\n\n"));
-  } else if (args["track-size"]) {
-    const status = hasErrors ? "⚠️  Completed with errors" : "✅ Saved";
-    const fileCount = `${results.length} ${results.length === 1 ? "file" : "files"}`;
-    console.error(
-      `${status}: ${fileCount} to ${args.output} (${formatSize(totalBytes)} / 125 KB)`
-    );
-  }
-
-  process.exit(hasErrors ? 1 : 0);
-}
-
-/**
- * Process files from config file
- * @param {object} config - Validated config object
- * @param {object} args - Parsed command-line arguments
- */
-function processConfigFile(config, args) {
-  let totalBytes = 0;
-  let totalFilesProcessed = 0;
-  let hasErrors = false;
-
-  // Use output from config or args
-  const outputFile = args.output || config.output;
-  const trackSize = args["track-size"] || config.trackSize || false;
-
-  if (!outputFile) {
-    console.error(
-      "❌ Config mode requires output file. Specify in config file or use --output flag"
-    );
-    process.exit(1);
-  }
-
-  // Read existing file size if output file exists
-  if (fs.existsSync(outputFile)) {
-    const stats = fs.statSync(outputFile);
-    totalBytes = stats.size;
-    if (trackSize) {
-      console.error(`📄 ${outputFile}: ${formatSize(totalBytes)} (existing)`);
+    if (current.files.length > 0) {
+      sections.push(current);
     }
-  }
-
-  // VALIDATE ALL FILES FIRST - before writing anything
-  const validationErrors = [];
-  for (const section of config.sections) {
-    for (const fileArg of section.files) {
-      const validation = validateFile(fileArg);
-      if (!validation.valid) {
-        validationErrors.push({
-          fileArg: validation.fileArg,
-          error: validation.error,
-          section: section.header || "(no header)",
-        });
-      }
+    input = { ...overrides, sections };
+    if (args.var) {
+      input.variables = variables;
     }
   }
 
-  // If any validation errors, report them all and exit without modifying output
-  if (validationErrors.length > 0) {
-    console.error(
-      `❌ Validation failed for ${validationErrors.length} file(s):\n`
-    );
-    for (const { fileArg, error, section } of validationErrors) {
-      console.error(`  • "${fileArg}" in section "${section}":`);
-      console.error(`    ${error.replace(/\n/g, "\n    ")}`);
-      console.error("");
-    }
-    console.error("⚠️  No files were written to avoid partial output.");
+  let plan;
+  try {
+    plan = await buildPlan(input, {
+      allowCommands: args["allow-commands"],
+      excludeFiles: args.config ? [args.config] : [],
+    });
+  } catch (error) {
+    reportError(error, grouped);
     process.exit(1);
   }
 
-  // Process each section
-  for (const [sectionIndex, section] of config.sections.entries()) {
-    if (trackSize) {
-      console.error(
-        `[Section ${sectionIndex + 1}/${config.sections.length}] ${section.header || "(no header)"}`
-      );
+  if (dryRun) {
+    let report;
+    try {
+      report = await estimatePlan(plan);
+    } catch (error) {
+      if (!(error instanceof ExtractError)) {
+        throw error;
+      }
+      reportError(error, grouped);
+      process.exit(1);
     }
-
-    // Add section header if specified
-    if (section.header) {
-      const headerContent = `### ${section.header}\n\n`;
-      fs.appendFileSync(outputFile, headerContent, "utf8");
-      totalBytes += Buffer.byteLength(headerContent, "utf8");
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printPlanReport(report);
     }
+    process.exit(report.errors.length > 0 || !report.fits ? 1 : 0);
+  }
 
-    // Process each file in section
-    for (const [fileIndex, fileArg] of section.files.entries()) {
-      try {
-        const result = processFile(fileArg);
-        const content = result + "\n\n";
-        const contentSize = Buffer.byteLength(content, "utf8");
-        totalBytes += contentSize;
-
-        // Write to file
-        fs.appendFileSync(outputFile, content, "utf8");
-        totalFilesProcessed++;
-
-        // Show progress if tracking size
-        if (trackSize) {
-          const percent = ((totalBytes / MAX_SIZE_BYTES) * 100).toFixed(1);
-          const filename = path.basename(fileArg.split(":")[0]);
-          console.error(
-            `  [${fileIndex + 1}/${section.files.length}] ${filename} → +${formatSize(contentSize)} (${formatSize(totalBytes)} / 125 KB, ${percent}%)`
-          );
+  const trackSize = Boolean(input.trackSize);
+  const onProgress = createProgressReporter({
+    trackSize,
+    grouped,
+    budget: plan.settings.budgetOptions.budget,
+  });
 
-          // Check thresholds
-          if (totalBytes >= MAX_SIZE_BYTES) {
-            console.error(
-              `❌ Error: Exceeded 125 KB limit (${formatSize(totalBytes)})`
-            );
-            console.error(
-              `   Stop processing to stay within expert consultation limits`
-            );
-            process.exit(1);
-          } else if (totalBytes >= WARNING_THRESHOLD_2) {
-            console.error(`⚠️  Very close to 125 KB limit!`);
-          } else if (totalBytes >= WARNING_THRESHOLD_1) {
-            console.error(`⚠️  Approaching 100 KB`);
-          }
-        }
-      } catch (error) {
-        console.error(
-          `❌ Error processing "${fileArg}" in section "${section.header || "(no header)"}": ${error.message}`
-        );
-        hasErrors = true;
-      }
+  let result;
+  try {
+    result = await extract(plan, { onProgress });
+  } catch (error) {
+    if (!(error instanceof ExtractError)) {
+      throw error;
     }
+    reportError(error, grouped);
+    process.exit(1);
   }
 
-  if (trackSize) {
-    const status = hasErrors ? "⚠️  Completed with errors" : "✅ Saved";
-    const fileCount = `${totalFilesProcessed} ${totalFilesProcessed === 1 ? "file" : "files"}`;
-    const sectionCount = `${config.sections.length} ${config.sections.length === 1 ? "section" : "sections"}`;
+  if (!result.output) {
+    // Output results to stdout if no output file specified
+    console.log(result.content);
+  } else if (trackSize) {
+    const status = result.hasErrors ? "⚠️  Completed with errors" : "✅ Saved";
+    const fileCount = `${result.written} ${result.written === 1 ? "file" : "files"}`;
+    const sectionCount = grouped
+      ? `, ${result.sections} ${result.sections === 1 ? "section" : "sections"}`
+      : "";
     console.error(
-      `${status}: ${fileCount}, ${sectionCount} to ${outputFile} (${formatSize(totalBytes)} / 125 KB)`
+      `${status}: ${fileCount}${sectionCount} to ${result.output} (${formatUsage(result.usage, result.budget)})`
     );
   }
 
-  process.exit(hasErrors ? 1 : 0);
+  process.exit(result.hasErrors ? 1 : 0);
 }
 
 // ============================================================================
 // Entry Point
 // ============================================================================
 
-// Handle unhandled errors
-process.on("unhandledRejection", (err) => {
-  console.error("❌ Error:", err.message);
-  process.exit(1);
-});
-
 // Run the script only if executed directly (not imported)
-const scriptPath = path.normalize(process.argv[1]);
+// (no script path when imported from "node -e" or the REPL)
+const scriptPath = process.argv[1] ? path.normalize(process.argv[1]) : null;
 const modulePath = path.normalize(fileURLToPath(import.meta.url));
 if (modulePath === scriptPath) {
-  try {
-    main();
-  } catch (err) {
+  main().catch((err) => {
     console.error("❌ Error:", err.message);
     process.exit(1);
-  }
+  });
 }
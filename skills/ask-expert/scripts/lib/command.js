@@ -0,0 +1,244 @@
+/**
+ * Command Output Capture
+ *
+ * Runs a shell command and turns what it printed into text an expert can
+ * read: failing test runs, compiler errors, logs.
+ *
+ * - stdout and stderr go to one temporary file, so they interleave in the
+ *   order the command wrote them and large outputs never sit in a pipe
+ * - The command runs in its own process group, and a timeout stops the
+ *   whole group: test runners and servers it started don't outlive it
+ * - ANSI colours and cursor sequences are stripped; carriage-return
+ *   progress lines keep only what was last drawn
+ * - Long output keeps its head (the first error) and its tail (the
+ *   summary), with the omitted middle marked
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Default time a command may run, in seconds */
+export const DEFAULT_COMMAND_TIMEOUT = 120;
+
+/** Default size of a command's output block, in bytes */
+export const DEFAULT_COMMAND_LIMIT = 16 * 1024;
+
+/** Share of the output limit given to the head; the tail gets the rest */
+const HEAD_SHARE = 1 / 3;
+
+/** Room reserved for the line marking omitted output */
+const MARKER_BYTES = 40;
+
+/** Time a timed-out command gets to exit after SIGTERM before SIGKILL */
+const KILL_GRACE_MS = 2 * 1000;
+
+/** Time the supervisor gets beyond the command's timeout to stop it and report */
+const SUPERVISOR_GRACE_MS = 10 * 1000;
+
+/**
+ * Supervisor run by a separate Node process (argv: command, output file,
+ * timeout and kill grace in ms). spawnSync can only stop the shell it
+ * starts, so the supervisor starts the command detached, as the leader of a
+ * new process group, and on timeout or interrupt signals the whole group.
+ * A group that ignores SIGTERM gets SIGKILL once the grace period is over.
+ * It prints how the command ended as JSON.
+ */
+const SUPERVISOR_SCRIPT = `
+const { spawn } = require("child_process");
+const fs = require("fs");
+const [command, outputFile, timeout, killGrace] = process.argv.slice(1);
+const fd = fs.openSync(outputFile, "w");
+const started = Date.now();
+const child = spawn(command, {
+  shell: true,
+  detached: process.platform !== "win32",
+  stdio: ["ignore", fd, fd],
+  windowsHide: true,
+});
+const stop = (signal) => {
+  try {
+    if (process.platform === "win32") {
+      child.kill(signal);
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch {
+    // Already gone
+  }
+};
+let timedOut = false;
+const timer = setTimeout(() => {
+  timedOut = true;
+  stop("SIGTERM");
+  // Not cleared on exit: processes left in the group are killed too
+  setTimeout(() => stop("SIGKILL"), Number(killGrace));
+}, Number(timeout));
+for (const signal of ["SIGINT", "SIGTERM", "SIGHUP"]) {
+  process.on(signal, () => {
+    stop(signal);
+    process.exit(1);
+  });
+}
+child.on("error", (error) => {
+  clearTimeout(timer);
+  process.stdout.write(JSON.stringify({ error: error.message }));
+});
+child.on("exit", (exitCode, signal) => {
+  clearTimeout(timer);
+  const duration = Date.now() - started;
+  process.stdout.write(JSON.stringify({ exitCode, signal, timedOut, duration }));
+});
+`;
+
+/** ANSI escape sequences: CSI (colours, cursor), OSC (titles, links) and single-character escapes */
+const ANSI_PATTERN =
+  /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+// ============================================================================
+// Output Cleanup
+// ============================================================================
+
+/**
+ * Strip ANSI escape sequences and resolve carriage-return redraws
+ * @param {string} text - Raw command output
+ * @returns {string} Plain text with LF line endings
+ */
+export function cleanOutput(text) {
+  return text
+    .replace(ANSI_PATTERN, "")
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .map((line) => {
+      // Progress bars redraw the line after "\r": keep the last drawing
+      const drawings = line.split("\r").filter((part) => part !== "");
+      return drawings.length > 0 ? drawings[drawings.length - 1] : "";
+    })
+    .join("\n");
+}
+
+/**
+ * Take whole lines from the start or end of a list within a byte budget
+ * @param {string[]} lines - Lines to take from
+ * @param {number} budget - Bytes available (each line counts its newline)
+ * @param {boolean} fromEnd - Take from the end instead of the start
+ * @returns {string[]} Lines taken, in their original order
+ */
+function takeLines(lines, budget, fromEnd) {
+  const taken = [];
+  let used = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[fromEnd ? lines.length - 1 - i : i];
+    const size = Buffer.byteLength(line, "utf8") + 1;
+    if (used + size > budget) {
+      break;
+    }
+    taken.push(line);
+    used += size;
+  }
+  return fromEnd ? taken.reverse() : taken;
+}
+
+/**
+ * Shorten output to a byte limit, keeping whole lines from its head and tail
+ * @param {string} text - Cleaned output
+ * @param {number} limit - Maximum size in bytes
+ * @returns {{text: string, omittedLines: number, omittedBytes: number}} Output with a marker line where the middle was cut
+ */
+export function truncateOutput(text, limit) {
+  const bytes = Buffer.byteLength(text, "utf8");
+  if (bytes <= limit) {
+    return { text, omittedLines: 0, omittedBytes: 0 };
+  }
+
+  const lines = text.split("\n");
+  const head = takeLines(lines, Math.floor(limit * HEAD_SHARE), false);
+  const tail = takeLines(
+    lines.slice(head.length),
+    limit - Buffer.byteLength(head.join("\n"), "utf8") - MARKER_BYTES,
+    true
+  );
+  const omitted = lines.slice(head.length, lines.length - tail.length);
+  const omittedBytes = Buffer.byteLength(omitted.join("\n"), "utf8");
+  return {
+    text: [
+      ...head,
+      `… ${omitted.length} ${omitted.length === 1 ? "line" : "lines"} omitted …`,
+      ...tail,
+    ].join("\n"),
+    omittedLines: omitted.length,
+    omittedBytes,
+  };
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Run a shell command and capture its output
+ * A non-zero exit code is a result, not an error: failing tests are what
+ * the output is wanted for.
+ *
+ * @param {string} command - Command line, run by the system shell
+ * @param {object} [options] - Options
+ * @param {number} [options.timeout] - Seconds before the command is stopped
+ * @param {string} [options.cwd] - Working directory
+ * @returns {{output: string, exitCode: number|null, signal: string|null, timedOut: boolean, duration: number}} Cleaned output, exit status and run time in milliseconds
+ * @throws {Error} If the shell can't be started
+ */
+export function runCommand(
+  command,
+  { timeout = DEFAULT_COMMAND_TIMEOUT, cwd = process.cwd() } = {}
+) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "extract-code-"));
+  const outputFile = path.join(directory, "output");
+  try {
+    const result = spawnSync(
+      process.execPath,
+      [
+        "-e",
+        SUPERVISOR_SCRIPT,
+        command,
+        outputFile,
+        String(timeout * 1000),
+        String(KILL_GRACE_MS),
+      ],
+      {
+        cwd,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "pipe"],
+        timeout: timeout * 1000 + SUPERVISOR_GRACE_MS,
+        windowsHide: true,
+        env: { ...process.env, NO_COLOR: "1" },
+      }
+    );
+    let run = null;
+    try {
+      run = JSON.parse(result.stdout);
+    } catch {
+      // No report: the supervisor itself failed
+    }
+    if (!run || run.error) {
+      const reason = run?.error || result.error?.message || result.stderr;
+      throw new Error(`Failed to run command: ${String(reason).trim()}`);
+    }
+    return {
+      output: cleanOutput(fs.readFileSync(outputFile, "utf8")).trimEnd(),
+      exitCode: run.exitCode,
+      signal: run.signal,
+      timedOut: run.timedOut,
+      duration: run.duration,
+    };
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,390 @@
+/**
+ * Compaction Transforms for Code Extraction
+ *
+ * Shrinks extracted files so more code fits the budget, without changing
+ * what the code does:
+ *
+ * - license: drops the license or copyright banner at the top of the file
+ * - imports: drops the leading import block (JS/TS imports and requires,
+ *   C# usings, Python imports, Java/Kotlin/Scala and Go imports)
+ * - comments: strips comments, doc comments included; "keep-directives"
+ *   keeps tool directives (eslint-disable, @ts-ignore, noqa, ...)
+ * - blank-lines: collapses runs of blank lines into one
+ *
+ * Comments are located by the caller with a real scanner for the language,
+ * so comment markers inside strings are never touched. Transforms remove
+ * or shorten lines but never merge them: every kept line still has its
+ * original line number.
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Transforms, in the order they are applied */
+export const COMPACT_TRANSFORMS = [
+  "license",
+  "imports",
+  "comments",
+  "blank-lines",
+];
+
+/** Option that strips comments but keeps tool directives */
+const KEEP_DIRECTIVES = "keep-directives";
+
+/** Regex pattern for license and copyright banners */
+const LICENSE_PATTERN =
+  /copyright|\blicen[cs]ed?\b|spdx-license-identifier|all rights reserved|\(c\)\s*\d{4}/i;
+
+/** Regex pattern for comments that tools read (linters, compilers, coverage, bundlers) */
+const DIRECTIVE_PATTERN =
+  /^(?:\/\/\/?|\/\*+!?|#)\s*(?:eslint[- ]|@ts-|prettier-ignore|istanbul\s|c8\s|biome-ignore|stylelint-|tslint:|jshint|global\s|@jsx|@vite-ignore|webpack[A-Z]|[@#]__PURE__|<reference\b|<auto-generated|resharper\s|noqa|type:|pylint:|mypy:|pyright:|fmt:|isort:|nosec|pragma\b|-\*-|(?:vim?:\s*)?(?:file)?encoding[:=]|coding[:=])/i;
+
+/** Regex patterns for the first line of an import statement, by language */
+const IMPORT_PATTERNS = {
+  javascript:
+    /^(?:import\b(?!\s*[(.])|(?:const|let|var)\s+[\w${}\s,:]+=\s*require\s*\()/,
+  csharp:
+    /^(?:(?:global\s+)?using\s+(?:static\s+)?[\w.]+(?:\s*=\s*[^;]+)?;|extern\s+alias\s)/,
+  python: /^(?:import|from)\s+[\w.]/,
+  java: /^import\s/,
+  go: /^import\b/,
+};
+
+/** Languages (from detectLanguage) that share import syntax */
+const IMPORT_LANGUAGES = {
+  javascript: "javascript",
+  typescript: "javascript",
+  jsx: "javascript",
+  tsx: "javascript",
+  csharp: "csharp",
+  python: "python",
+  java: "java",
+  kotlin: "java",
+  scala: "java",
+  groovy: "java",
+  go: "go",
+};
+
+/** Regex pattern for lines allowed before the import block (directives, package clauses) */
+const PREAMBLE_PATTERN =
+  /^(?:#!|["']use \w+["'];?$|package\s|#nullable\b|#pragma\b|namespace\s+[\w.]+;$)/;
+
+// ============================================================================
+// Options
+// ============================================================================
+
+/**
+ * Parse a compaction setting
+ * Accepts true or "all" (every transform), a comma-separated list or an
+ * array of transform names, and false, "none" or an empty list (nothing).
+ * "keep-directives" implies "comments".
+ *
+ * @param {boolean|string|string[]} value - Setting from --compact or config "compact"
+ * @returns {{transforms: string[], keepDirectives: boolean}|null} Transforms in application order, or null for none
+ * @throws {Error} If a name is unknown
+ */
+export function parseCompactSpec(value) {
+  if (value === true) {
+    return { transforms: [...COMPACT_TRANSFORMS], keepDirectives: false };
+  }
+  if (value === false || value === undefined || value === null) {
+    return null;
+  }
+
+  const names = (Array.isArray(value) ? value : String(value).split(","))
+    .map((name) => String(name).trim())
+    .filter((name) => name && name !== "none");
+  const options = [...COMPACT_TRANSFORMS, KEEP_DIRECTIVES, "all"];
+  for (const name of names) {
+    if (!options.includes(name)) {
+      throw new Error(
+        `Unknown compaction "${name}". Use one or more of: ${options.join(", ")}`
+      );
+    }
+  }
+
+  const keepDirectives = names.includes(KEEP_DIRECTIVES);
+  const transforms = COMPACT_TRANSFORMS.filter(
+    (transform) =>
+      names.includes("all") ||
+      names.includes(transform) ||
+      (transform === "comments" && keepDirectives)
+  );
+  return transforms.length > 0 ? { transforms, keepDirectives } : null;
+}
+
+// ============================================================================
+// Line Analysis
+// ============================================================================
+
+/**
+ * Remove comment spans from content, keeping line breaks
+ * @param {string} content - File content
+ * @param {{start: number, end: number}[]} comments - Spans to remove
+ * @returns {string[]} Lines without the comments (same count as the content's)
+ */
+function removeComments(content, comments) {
+  let result = "";
+  let last = 0;
+  for (const { start, end } of comments) {
+    result += content.slice(last, start);
+    result += content.slice(start, end).replace(/[^\n]/g, "");
+    last = end;
+  }
+  return (result + content.slice(last)).split("\n");
+}
+
+/**
+ * Check whether a comment is a tool directive
+ * @param {string} text - Comment text, markers included
+ * @returns {boolean} True for directives such as "// eslint-disable-next-line"
+ */
+function isDirective(text) {
+  return DIRECTIVE_PATTERN.test(text.trim());
+}
+
+/**
+ * Check whether a statement's lines are complete: brackets are balanced
+ * and the last line doesn't continue
+ * @param {string} text - Statement so far
+ * @returns {boolean} True if the statement ends here
+ */
+function isCompleteStatement(text) {
+  let depth = 0;
+  for (const char of text) {
+    if ("([{".includes(char)) {
+      depth++;
+    } else if (")]}".includes(char)) {
+      depth--;
+    }
+  }
+  return depth <= 0 && !/(?:[,\\]|\bfrom)\s*$/.test(text);
+}
+
+// ============================================================================
+// Transforms
+// ============================================================================
+
+/**
+ * Find the first non-blank line, past a shebang
+ * @param {(string|null)[]} lines - Current lines (null for removed ones)
+ * @returns {number} Index of the line
+ */
+function findFirstContentLine(lines) {
+  let i = 0;
+  while (
+    i < lines.length &&
+    (lines[i] === null || lines[i].trim() === "" || lines[i].startsWith("#!"))
+  ) {
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Drop the license banner: the first run of comment lines, if it mentions
+ * a license or copyright (directives inside it are kept)
+ * @param {(string|null)[]} lines - Current lines (updated in place)
+ * @param {boolean[]} commentOnly - Lines holding nothing but comments
+ * @returns {boolean} True if a banner was removed
+ */
+function dropLicense(lines, commentOnly) {
+  const start = findFirstContentLine(lines);
+  let end = start;
+  while (end < lines.length && commentOnly[end]) {
+    end++;
+  }
+  const banner = lines.slice(start, end);
+  if (banner.length === 0 || !LICENSE_PATTERN.test(banner.join("\n"))) {
+    return false;
+  }
+
+  for (let i = start; i < end; i++) {
+    if (!isDirective(lines[i])) {
+      lines[i] = null;
+    }
+  }
+  for (let i = end; i < lines.length - 1 && lines[i]?.trim() === ""; i++) {
+    lines[i] = null;
+  }
+  return true;
+}
+
+/**
+ * Drop the import block at the top of the file
+ * Blank and comment lines between imports go with them; comments right
+ * after the last import stay.
+ *
+ * @param {(string|null)[]} lines - Current lines (updated in place)
+ * @param {boolean[]} commentOnly - Lines holding nothing but comments
+ * @param {string} language - Language from detectLanguage
+ * @returns {boolean|null} True if imports were removed, null if the language is unsupported
+ */
+function dropImports(lines, commentOnly, language) {
+  const pattern = IMPORT_PATTERNS[IMPORT_LANGUAGES[language]];
+  if (!pattern) {
+    return null;
+  }
+
+  // Skip what may precede imports: blank lines, comments, directives,
+  // package clauses and a Python module docstring
+  let i = 0;
+  while (i < lines.length) {
+    const text = lines[i]?.trim() ?? "";
+    if (lines[i] === null || text === "" || commentOnly[i]) {
+      i++;
+    } else if (PREAMBLE_PATTERN.test(text)) {
+      i++;
+    } else if (language === "python" && /^[rRuU]?("""|''')/.test(text)) {
+      const quote = /("""|''')/.exec(text)[1];
+      let rest = text.slice(text.indexOf(quote) + 3);
+      while (!rest.includes(quote) && i + 1 < lines.length) {
+        i++;
+        rest = lines[i] ?? "";
+      }
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  let removed = false;
+  let pending = [];
+  while (i < lines.length) {
+    const text = lines[i]?.trim() ?? "";
+    if (lines[i] === null || text === "" || commentOnly[i]) {
+      pending.push(i);
+      i++;
+      continue;
+    }
+    if (!pattern.test(text)) {
+      break;
+    }
+
+    // Consume the whole statement ("import {\n  a,\n} from ...")
+    const statement = [i];
+    let joined = text;
+    while (!isCompleteStatement(joined) && i + 1 < lines.length) {
+      i++;
+      statement.push(i);
+      joined += `\n${lines[i] ?? ""}`;
+    }
+    for (const index of [...(removed ? pending : []), ...statement]) {
+      lines[index] = null;
+    }
+    removed = true;
+    pending = [];
+    i++;
+  }
+  return removed;
+}
+
+/**
+ * Strip comments, dropping lines that held nothing else
+ * @param {(string|null)[]} lines - Current lines (updated in place)
+ * @param {string[]} stripped - Lines with the comments removed
+ * @returns {boolean} True if anything changed
+ */
+function dropComments(lines, stripped) {
+  let changed = false;
+  for (const [i, line] of lines.entries()) {
+    if (line === null || stripped[i] === line) {
+      continue;
+    }
+    lines[i] = stripped[i].trim() === "" ? null : stripped[i].trimEnd();
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Collapse runs of blank lines into one; blank lines at the start and end
+ * of the file go entirely (the final line break is kept)
+ * @param {(string|null)[]} lines - Current lines (updated in place)
+ * @returns {boolean} True if anything changed
+ */
+function collapseBlankLines(lines) {
+  // A file ending in a line break has an empty last "line": keep it
+  const last = lines[lines.length - 1] === "" ? lines.length - 1 : lines.length;
+  let changed = false;
+  let previousBlank = true;
+  let run = [];
+  for (let i = 0; i < last; i++) {
+    if (lines[i] === null) {
+      continue;
+    }
+    const blank = lines[i].trim() === "";
+    if (blank && previousBlank) {
+      lines[i] = null;
+      changed = true;
+    } else if (blank) {
+      run = [i];
+    } else {
+      run = [];
+    }
+    previousBlank = blank;
+  }
+  // Trailing blank line before the end of the file
+  for (const i of run) {
+    lines[i] = null;
+    changed = true;
+  }
+  return changed;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Compact file content
+ * Transforms that need comments are skipped when the language has no
+ * comment scanner (comments is null), and "imports" when its import
+ * syntax is unknown.
+ *
+ * @param {string} content - File content (LF line endings)
+ * @param {{transforms: string[], keepDirectives: boolean}} spec - Spec from parseCompactSpec
+ * @param {object} source - What the caller knows about the file
+ * @param {string} source.language - Language from detectLanguage
+ * @param {{start: number, end: number}[]|null} source.comments - Comment spans, or null if unknown
+ * @returns {{lines: (string|null)[], applied: string[]}} Lines by original index (null when removed) and the transforms that changed something
+ */
+export function compactSource(content, spec, { language, comments }) {
+  // A shebang is never a comment to strip
+  const spans =
+    comments?.filter(
+      ({ start }) => !(start === 0 && content.startsWith("#!"))
+    ) ?? null;
+  const lines = content.split("\n");
+  const applied = [];
+  const allLines = removeComments(content, spans || []);
+  const commentOnly = lines.map(
+    (line, i) => line.trim() !== "" && allLines[i].trim() === ""
+  );
+
+  for (const transform of spec.transforms) {
+    let changed = false;
+    if (transform === "license" && spans) {
+      changed = dropLicense(lines, commentOnly);
+    } else if (transform === "imports") {
+      changed = dropImports(lines, commentOnly, language);
+    } else if (transform === "comments" && spans) {
+      const strippable = spec.keepDirectives
+        ? spans.filter(
+            ({ start, end }) => !isDirective(content.slice(start, end))
+          )
+        : spans;
+      changed = dropComments(lines, removeComments(content, strippable));
+    } else if (transform === "blank-lines") {
+      changed = collapseBlankLines(lines);
+    }
+    if (changed) {
+      applied.push(transform);
+    }
+  }
+  return { lines, applied };
+}
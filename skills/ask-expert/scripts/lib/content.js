@@ -0,0 +1,359 @@
+/**
+ * File Content Decoding and Language Detection
+ *
+ * Turns raw file bytes into the text an expert reads, and names the
+ * language of a file for syntax highlighting.
+ *
+ * - UTF-8 (with or without BOM), UTF-16 LE/BE (BOM or detected from the
+ *   NUL pattern) and Latin-1 for bytes that are not valid UTF-8
+ * - BOMs are dropped and CRLF line endings become LF, so line numbers and
+ *   ranges work the same on files checked out on Windows
+ * - Binary files are detected like git does (a NUL byte in the first
+ *   8000 bytes) and carry no text
+ * - Languages come from well-known file names (Dockerfile, Makefile),
+ *   extensions, and the shebang of extensionless scripts
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import path from "path";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Bytes inspected for binary and UTF-16 detection (git uses the same window) */
+const SNIFF_BYTES = 8000;
+
+/** Languages by file name, for files whose extension says nothing */
+const FILE_NAME_LANGUAGES = {
+  dockerfile: "dockerfile",
+  containerfile: "dockerfile",
+  makefile: "makefile",
+  gnumakefile: "makefile",
+  "cmakelists.txt": "cmake",
+  gemfile: "ruby",
+  rakefile: "ruby",
+  podfile: "ruby",
+  vagrantfile: "ruby",
+  brewfile: "ruby",
+  jenkinsfile: "groovy",
+  ".gitignore": "gitignore",
+  ".dockerignore": "gitignore",
+  ".npmignore": "gitignore",
+  ".gitattributes": "gitattributes",
+  ".editorconfig": "ini",
+  ".npmrc": "ini",
+  ".env": "dotenv",
+  ".bashrc": "bash",
+  ".bash_profile": "bash",
+  ".profile": "bash",
+  ".zshrc": "zsh",
+  "nginx.conf": "nginx",
+};
+
+/** Languages by file name prefix (Dockerfile.dev, .env.local) */
+const FILE_PREFIX_LANGUAGES = {
+  "dockerfile.": "dockerfile",
+  "makefile.": "makefile",
+  ".env.": "dotenv",
+};
+
+/** Languages by extension */
+const EXTENSION_LANGUAGES = {
+  // .NET
+  ".cs": "csharp",
+  ".csx": "csharp",
+  ".razor": "razor",
+  ".cshtml": "razor",
+  ".vb": "vbnet",
+  ".fs": "fsharp",
+  ".fsx": "fsharp",
+  ".csproj": "xml",
+  ".fsproj": "xml",
+  ".vbproj": "xml",
+  ".props": "xml",
+  ".targets": "xml",
+  ".resx": "xml",
+  ".xaml": "xml",
+  ".axaml": "xml",
+  ".config": "xml",
+  ".nuspec": "xml",
+  // JavaScript family
+  ".js": "javascript",
+  ".mjs": "javascript",
+  ".cjs": "javascript",
+  ".jsx": "jsx",
+  ".ts": "typescript",
+  ".mts": "typescript",
+  ".cts": "typescript",
+  ".tsx": "tsx",
+  ".vue": "vue",
+  ".svelte": "svelte",
+  ".astro": "astro",
+  // JVM
+  ".java": "java",
+  ".kt": "kotlin",
+  ".kts": "kotlin",
+  ".scala": "scala",
+  ".groovy": "groovy",
+  ".gradle": "groovy",
+  ".clj": "clojure",
+  // Systems
+  ".go": "go",
+  ".rs": "rust",
+  ".c": "c",
+  ".h": "c",
+  ".cpp": "cpp",
+  ".cc": "cpp",
+  ".cxx": "cpp",
+  ".hpp": "cpp",
+  ".hh": "cpp",
+  ".hxx": "cpp",
+  ".m": "objectivec",
+  ".mm": "objectivec",
+  ".swift": "swift",
+  ".zig": "zig",
+  // Scripting
+  ".py": "python",
+  ".pyi": "python",
+  ".rb": "ruby",
+  ".gemspec": "ruby",
+  ".rake": "ruby",
+  ".php": "php",
+  ".pl": "perl",
+  ".pm": "perl",
+  ".lua": "lua",
+  ".r": "r",
+  ".jl": "julia",
+  ".ex": "elixir",
+  ".exs": "elixir",
+  ".erl": "erlang",
+  ".hs": "haskell",
+  ".ml": "ocaml",
+  ".dart": "dart",
+  ".sh": "bash",
+  ".bash": "bash",
+  ".zsh": "zsh",
+  ".fish": "fish",
+  ".ps1": "powershell",
+  ".psm1": "powershell",
+  ".psd1": "powershell",
+  ".bat": "batch",
+  ".cmd": "batch",
+  // Web and markup
+  ".html": "html",
+  ".htm": "html",
+  ".css": "css",
+  ".scss": "scss",
+  ".sass": "sass",
+  ".less": "less",
+  ".xml": "xml",
+  ".svg": "xml",
+  ".xsd": "xml",
+  ".xsl": "xml",
+  ".md": "markdown",
+  ".mdx": "mdx",
+  ".rst": "rst",
+  ".tex": "latex",
+  // Data and configuration
+  ".json": "json",
+  ".jsonc": "json",
+  ".json5": "json5",
+  ".yaml": "yaml",
+  ".yml": "yaml",
+  ".toml": "toml",
+  ".ini": "ini",
+  ".cfg": "ini",
+  ".properties": "properties",
+  ".csv": "csv",
+  ".sql": "sql",
+  ".graphql": "graphql",
+  ".gql": "graphql",
+  ".proto": "protobuf",
+  ".prisma": "prisma",
+  // Infrastructure
+  ".tf": "hcl",
+  ".tfvars": "hcl",
+  ".hcl": "hcl",
+  ".bicep": "bicep",
+  ".dockerfile": "dockerfile",
+  ".mk": "makefile",
+  ".cmake": "cmake",
+  ".diff": "diff",
+  ".patch": "diff",
+};
+
+/** Languages by shebang interpreter (#!/usr/bin/env node) */
+const INTERPRETER_LANGUAGES = {
+  node: "javascript",
+  nodejs: "javascript",
+  bun: "javascript",
+  deno: "typescript",
+  "ts-node": "typescript",
+  tsx: "typescript",
+  python: "python",
+  sh: "bash",
+  bash: "bash",
+  dash: "bash",
+  ksh: "bash",
+  zsh: "zsh",
+  fish: "fish",
+  ruby: "ruby",
+  perl: "perl",
+  php: "php",
+  lua: "lua",
+  pwsh: "powershell",
+  powershell: "powershell",
+  rscript: "r",
+};
+
+// ============================================================================
+// Decoding
+// ============================================================================
+
+/**
+ * Guess the byte order of BOM-less UTF-16 from where its NULs fall
+ * ASCII-range text in UTF-16 has a NUL in every other byte; binary data
+ * has NULs scattered over both positions.
+ *
+ * @param {Buffer} sample - First bytes of the file
+ * @returns {"utf-16le"|"utf-16be"|null} Encoding, or null if not UTF-16
+ */
+function sniffUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 2) {
+    return null;
+  }
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    evenNuls += sample[i] === 0 ? 1 : 0;
+    oddNuls += sample[i + 1] === 0 ? 1 : 0;
+  }
+  if (oddNuls >= pairs * 0.4 && evenNuls === 0) {
+    return "utf-16le";
+  }
+  if (evenNuls >= pairs * 0.4 && oddNuls === 0) {
+    return "utf-16be";
+  }
+  return null;
+}
+
+/**
+ * Decode UTF-16 bytes
+ * @param {Buffer} bytes - Content without BOM
+ * @param {"utf-16le"|"utf-16be"} encoding - Byte order
+ * @returns {string} Text
+ */
+function decodeUtf16(bytes, encoding) {
+  const even = bytes.subarray(0, bytes.length - (bytes.length % 2));
+  if (encoding === "utf-16le") {
+    return even.toString("utf16le");
+  }
+  // Buffer has no big-endian decoder: swap a copy
+  return Buffer.from(even).swap16().toString("utf16le");
+}
+
+/**
+ * Decode UTF-8, falling back to Latin-1 for bytes that are not UTF-8
+ * @param {Buffer} bytes - Content without BOM
+ * @returns {string} Text
+ */
+function decodeUtf8(bytes) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return bytes.toString("latin1");
+  }
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Decode file bytes into text
+ * BOMs are dropped and CRLF line endings become LF. Binary content has no
+ * text.
+ *
+ * @param {Buffer} bytes - Raw file content
+ * @returns {{text: string|null, binary: boolean, bytes: number}} Decoded content and its size in bytes
+ */
+export function decodeContent(bytes) {
+  let text;
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    text = decodeUtf8(bytes.subarray(3));
+  } else if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    text = decodeUtf16(bytes.subarray(2), "utf-16le");
+  } else if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    text = decodeUtf16(bytes.subarray(2), "utf-16be");
+  } else {
+    const sample = bytes.subarray(0, SNIFF_BYTES);
+    const utf16 = sniffUtf16(sample);
+    if (utf16) {
+      text = decodeUtf16(bytes, utf16);
+    } else if (sample.includes(0)) {
+      return { text: null, binary: true, bytes: bytes.length };
+    } else {
+      text = decodeUtf8(bytes);
+    }
+  }
+  return {
+    text: text.replace(/\r\n/g, "\n"),
+    binary: false,
+    bytes: bytes.length,
+  };
+}
+
+/**
+ * Get the language a shebang line names
+ * @param {string} content - File content
+ * @returns {string|null} Language, or null without a known interpreter
+ */
+function detectShebangLanguage(content) {
+  const match = content.match(/^#!\s*(\S+)(.*)/);
+  if (!match) {
+    return null;
+  }
+  // "#!/usr/bin/env -S deno run" names the interpreter after env's options
+  let interpreter = path.posix.basename(match[1]);
+  if (interpreter === "env") {
+    interpreter =
+      match[2]
+        .trim()
+        .split(/\s+/)
+        .find((word) => word && !word.startsWith("-") && !word.includes("=")) ||
+      "";
+  }
+  const name = interpreter.toLowerCase().replace(/[\d.]+$/, "");
+  return INTERPRETER_LANGUAGES[name] || null;
+}
+
+/**
+ * Detect the language of a file for syntax highlighting
+ * Well-known file names win over extensions; extensionless scripts are
+ * recognized by their shebang.
+ *
+ * @param {string} filePath - Path to file
+ * @param {string|null} [content] - File content, for shebang detection
+ * @returns {string} Language identifier ("text" if unknown)
+ */
+export function detectLanguage(filePath, content = null) {
+  const name = path.basename(filePath).toLowerCase();
+  if (FILE_NAME_LANGUAGES[name]) {
+    return FILE_NAME_LANGUAGES[name];
+  }
+  const prefix = Object.keys(FILE_PREFIX_LANGUAGES).find((p) =>
+    name.startsWith(p)
+  );
+  if (prefix) {
+    return FILE_PREFIX_LANGUAGES[prefix];
+  }
+  const language = EXTENSION_LANGUAGES[path.extname(name)];
+  if (language) {
+    return language;
+  }
+  return (content && detectShebangLanguage(content)) || "text";
+}
@@ -0,0 +1,630 @@
+/**
+ * Output Formats for Consultation Documents
+ *
+ * Renders extracted documents (files, diffs, history, command output,
+ * notes, change summaries and prose from plan files) in one of four
+ * formats:
+ *
+ * - markdown: `# File:` headings and fenced code blocks (default); fences
+ *   are longer than any backtick run in the content
+ * - xml: `<document path="..." lines="...">` wrappers for long-context
+ *   prompting; content reads exactly like the source, except that a
+ *   closing `</document` in it is escaped so it can't end the wrapper
+ * - json: a manifest with the content and metadata of every document
+ * - html: a self-contained page with syntax highlighting and collapsible
+ *   sections for human reviewers
+ *
+ * Markdown and XML are appended block by block. JSON and HTML are rewritten
+ * as a whole: the manifest (embedded in the HTML page) is read back, so
+ * appending to an existing output adds documents instead of replacing them.
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Supported output formats */
+export const FORMATS = ["markdown", "xml", "json", "html"];
+
+/** Manifest version, bumped on incompatible changes */
+const MANIFEST_VERSION = 1;
+
+/** Element holding the manifest inside an HTML page */
+const MANIFEST_SCRIPT_PATTERN =
+  /<script type="application\/json" id="extract-code-manifest">([\s\S]*?)<\/script>/;
+
+/** Keywords of C-family languages (C#, Java, JavaScript, TypeScript, Go, Rust...) */
+const C_KEYWORDS =
+  "abstract|as|async|await|break|case|catch|class|const|continue|default|delete|do|else|enum|export|extends|false|final|finally|fn|for|foreach|from|func|function|get|if|impl|implements|import|in|instanceof|interface|internal|let|match|namespace|new|null|override|package|private|protected|pub|public|readonly|record|return|sealed|set|static|struct|super|switch|this|throw|throws|trait|true|try|type|typeof|undefined|use|using|var|virtual|void|while|yield";
+
+/** Keywords of Python and shell scripts */
+const HASH_KEYWORDS =
+  "and|as|assert|async|await|break|case|class|continue|def|del|do|done|elif|else|esac|except|export|False|fi|finally|for|from|function|global|if|import|in|is|lambda|local|None|nonlocal|not|or|pass|raise|return|then|True|try|while|with|yield";
+
+/** Keywords of SQL (matched case-insensitively) */
+const SQL_KEYWORDS =
+  "add|alter|and|as|asc|begin|between|by|case|commit|create|delete|desc|distinct|drop|else|end|exists|from|group|having|in|index|inner|insert|into|is|join|left|like|limit|not|null|on|or|order|outer|primary|references|right|select|set|table|then|union|update|values|when|where|with";
+
+/** Token patterns shared by most languages */
+const DOUBLE_QUOTED = String.raw`"(?:[^"\\\n]|\\.)*"`;
+const SINGLE_QUOTED = String.raw`'(?:[^'\\\n]|\\.)*'`;
+const NUMBER = String.raw`\b\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?\b`;
+
+/**
+ * Highlighting rules per language family: comment and string patterns,
+ * keywords, and the languages (from detectLanguage) that use them
+ */
+const SYNTAX_FAMILIES = [
+  {
+    languages: [
+      "csharp",
+      "javascript",
+      "typescript",
+      "jsx",
+      "tsx",
+      "vue",
+      "json",
+      "css",
+      "scss",
+      "less",
+      "svelte",
+      "astro",
+      "razor",
+      "fsharp",
+      "java",
+      "kotlin",
+      "scala",
+      "groovy",
+      "go",
+      "rust",
+      "c",
+      "cpp",
+      "objectivec",
+      "swift",
+      "dart",
+      "php",
+      "zig",
+      "json5",
+      "protobuf",
+      "prisma",
+      "bicep",
+      "hcl",
+    ],
+    comment: String.raw`\/\/.*|\/\*[\s\S]*?\*\/`,
+    string: [
+      DOUBLE_QUOTED,
+      SINGLE_QUOTED,
+      String.raw`\x60(?:[^\x60\\]|\\.)*\x60`,
+    ],
+    keywords: C_KEYWORDS,
+    flags: "g",
+  },
+  {
+    languages: [
+      "python",
+      "bash",
+      "zsh",
+      "fish",
+      "powershell",
+      "ruby",
+      "perl",
+      "r",
+      "julia",
+      "elixir",
+      "yaml",
+      "toml",
+      "dockerfile",
+      "makefile",
+      "cmake",
+      "graphql",
+      "dotenv",
+      "gitignore",
+      "nginx",
+    ],
+    comment: "#.*",
+    string: [
+      String.raw`"""[\s\S]*?"""`,
+      String.raw`'''[\s\S]*?'''`,
+      DOUBLE_QUOTED,
+      SINGLE_QUOTED,
+    ],
+    keywords: HASH_KEYWORDS,
+    flags: "g",
+  },
+  {
+    languages: ["sql"],
+    comment: String.raw`--.*|\/\*[\s\S]*?\*\/`,
+    string: [SINGLE_QUOTED],
+    keywords: SQL_KEYWORDS,
+    flags: "gi",
+  },
+];
+
+/** Page styles: light and dark themes follow the reader's system setting */
+const HTML_STYLES = `
+:root { color-scheme: light dark; --bg: #fff; --fg: #1f2328; --muted: #59636e; --border: #d1d9e0; --code-bg: #f6f8fa; --kw: #cf222e; --str: #0a3069; --num: #0550ae; --com: #59636e; --ins: #dafbe1; --del: #ffebe9; --hunk: #ddf4ff; }
+@media (prefers-color-scheme: dark) { :root { --bg: #0d1117; --fg: #e6edf3; --muted: #9198a1; --border: #3d444d; --code-bg: #151b23; --kw: #ff7b72; --str: #a5d6ff; --num: #79c0ff; --com: #9198a1; --ins: #12261e; --del: #25171c; --hunk: #0c2d6b; } }
+body { margin: 0 auto; max-width: 1200px; padding: 24px; background: var(--bg); color: var(--fg); font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; }
+header { display: flex; align-items: baseline; gap: 16px; flex-wrap: wrap; border-bottom: 1px solid var(--border); margin-bottom: 16px; }
+header h1 { font-size: 20px; margin: 8px 0; }
+header p { color: var(--muted); margin: 0; flex: 1; }
+button { font: inherit; padding: 2px 10px; border: 1px solid var(--border); border-radius: 6px; background: var(--code-bg); color: var(--fg); cursor: pointer; }
+details { margin: 8px 0; }
+details.section > summary { font-size: 16px; font-weight: 600; }
+details.section > .documents { margin-left: 16px; }
+details.document { border: 1px solid var(--border); border-radius: 6px; }
+details.document > summary { padding: 6px 12px; background: var(--code-bg); border-radius: 6px; cursor: pointer; }
+summary .path { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-weight: 600; }
+summary .label, summary .size { color: var(--muted); }
+pre { margin: 0; padding: 12px; overflow-x: auto; font: 12px/1.45 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+p.note { margin: 0; padding: 12px; color: var(--muted); }
+div.prose { margin: 8px 0; white-space: pre-wrap; }
+.kw { color: var(--kw); } .str { color: var(--str); } .num { color: var(--num); } .com { color: var(--com); font-style: italic; }
+.ins { display: block; background: var(--ins); } .del { display: block; background: var(--del); } .hunk { display: block; background: var(--hunk); color: var(--muted); } .meta { color: var(--muted); font-weight: 600; }
+`;
+
+/** Expand/collapse buttons */
+const HTML_SCRIPT = `
+document.querySelectorAll("button[data-open]").forEach((button) => {
+  button.addEventListener("click", () => {
+    const open = button.dataset.open === "true";
+    document.querySelectorAll("details").forEach((d) => { d.open = open; });
+  });
+});
+`;
+
+// ============================================================================
+// Documents
+// ============================================================================
+
+/**
+ * Get the path shown in headings; files read at a ref show the ref and its
+ * short SHA (e.g., "src/auth.ts @ v1.2 (a1b2c3d)")
+ * @param {object} document - Extracted document
+ * @returns {string} Heading path
+ */
+function formatHeadingPath(document) {
+  return document.ref
+    ? `${document.path} @ ${document.ref} (${document.sha})`
+    : document.path;
+}
+
+/**
+ * Build a code fence longer than any backtick run in the content, so
+ * embedded fences (markdown files, tests with snippets) can't close it
+ * @param {string} content - Fenced content
+ * @returns {string} Fence of at least three backticks
+ */
+function createFence(content) {
+  let longest = 0;
+  for (const [run] of content.matchAll(/`+/g)) {
+    longest = Math.max(longest, run.length);
+  }
+  return "`".repeat(Math.max(3, longest + 1));
+}
+
+/**
+ * Render a document as markdown: a `# File:` (or `# Command:`) heading
+ * with a fenced code block, a quoted note, or summary and prose text as is
+ * @param {object} document - Extracted document
+ * @returns {string} Markdown block
+ */
+function renderMarkdownDocument(document) {
+  if (document.type === "summary" || document.type === "prose") {
+    return document.content;
+  }
+
+  const label = document.label ? ` (${document.label})` : "";
+  const kind = document.type === "command" ? "Command" : "File";
+  const heading = `# ${kind}: ${formatHeadingPath(document)}${label}`;
+  if (document.type === "note") {
+    return `${heading}\n> ${document.content}`;
+  }
+  const fence = createFence(document.content);
+  return `${heading}\n${fence}${document.language}\n${document.content}\n${fence}`;
+}
+
+/**
+ * Escape a value for an XML or HTML attribute
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Render a document as an XML-style `<document>` element
+ * Plain file contents carry no type attribute; everything else says what
+ * it holds (diff, log, blame, command, note, summary). Commands name their
+ * command line instead of a path. Prose is written as is, between the
+ * documents it introduces. Content is left alone except for `</document`
+ * (in XML output read back, or in code that builds such wrappers), which
+ * becomes `&lt;/document` so the element ends where it should.
+ *
+ * @param {object} document - Extracted document
+ * @param {string|null} section - Section header the document belongs to
+ * @returns {string} Document element
+ */
+function renderXmlDocument(document, section) {
+  if (document.type === "prose") {
+    return document.content;
+  }
+
+  const attributes = [
+    ["section", section],
+    ["type", document.type === "file" ? null : document.type],
+    [document.type === "command" ? "command" : "path", document.path],
+    ["ref", document.ref],
+    ["sha", document.sha],
+    ["lines", document.lines],
+    ["label", document.label],
+    ["language", document.language],
+  ]
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join("");
+  const content = document.content.replace(/<\/document/g, "&lt;/document");
+  return `<document${attributes}>\n${content}\n</document>`;
+}
+
+// ============================================================================
+// Manifest
+// ============================================================================
+
+/**
+ * Convert documents to manifest entries with their section and size
+ * @param {object[]} documents - Extracted documents
+ * @param {string|null} section - Section header the documents belong to
+ * @param {(text: string) => number} estimateTokens - Token estimator
+ * @returns {object[]} Manifest entries
+ */
+function toManifestEntries(documents, section, estimateTokens) {
+  return documents.map((document) => ({
+    section,
+    type: document.type,
+    path: document.path,
+    ref: document.ref,
+    sha: document.sha,
+    label: document.label,
+    lines: document.lines,
+    language: document.language,
+    content: document.content,
+    bytes: Buffer.byteLength(document.content, "utf8"),
+    tokens: estimateTokens(document.content),
+  }));
+}
+
+/**
+ * Build a manifest from its entries, with totals
+ * @param {object[]} entries - Manifest entries
+ * @returns {object} Manifest
+ */
+function buildManifest(entries) {
+  return {
+    generator: "extract-code",
+    version: MANIFEST_VERSION,
+    totals: {
+      documents: entries.length,
+      bytes: entries.reduce((sum, e) => sum + e.bytes, 0),
+      tokens: entries.reduce((sum, e) => sum + e.tokens, 0),
+    },
+    documents: entries,
+  };
+}
+
+/**
+ * Read the manifest entries of an earlier JSON or HTML output
+ * @param {string} text - Existing output ("" for a new file)
+ * @param {"json"|"html"} format - Output format
+ * @returns {object[]} Manifest entries
+ * @throws {Error} If the output holds something other than a manifest
+ */
+function readManifestEntries(text, format) {
+  if (text.trim() === "") {
+    return [];
+  }
+
+  let manifest = null;
+  try {
+    if (format === "json") {
+      manifest = JSON.parse(text);
+    } else {
+      const match = text.match(MANIFEST_SCRIPT_PATTERN);
+      manifest = match ? JSON.parse(match[1]) : null;
+    }
+  } catch {
+    // Reported below
+  }
+
+  if (
+    !manifest ||
+    manifest.generator !== "extract-code" ||
+    !Array.isArray(manifest.documents)
+  ) {
+    throw new Error(
+      `Existing output is not an extract-code ${format.toUpperCase()} document. Use a new output file or --format=markdown`
+    );
+  }
+  if (manifest.version > MANIFEST_VERSION) {
+    throw new Error(
+      `Existing output uses manifest version ${manifest.version}; this extractor writes version ${MANIFEST_VERSION}`
+    );
+  }
+  return manifest.documents;
+}
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+/**
+ * Escape text for HTML content
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Highlight a diff line by line (additions, deletions, hunk headers)
+ * @param {string} content - Diff text
+ * @returns {string} HTML
+ */
+function highlightDiff(content) {
+  return content
+    .split("\n")
+    .map((line) => {
+      const escaped = escapeHtml(line);
+      if (/^(?:diff |index |--- |\+\+\+ )/.test(line)) {
+        return `<span class="meta">${escaped}</span>\n`;
+      }
+      // Block-level spans already end the line
+      if (line.startsWith("@@")) {
+        return `<span class="hunk">${escaped}</span>`;
+      }
+      if (line.startsWith("+")) {
+        return `<span class="ins">${escaped}</span>`;
+      }
+      if (line.startsWith("-")) {
+        return `<span class="del">${escaped}</span>`;
+      }
+      return `${escaped}\n`;
+    })
+    .join("")
+    .replace(/\n$/, "");
+}
+
+/**
+ * Highlight comments, strings, numbers and keywords of source code
+ * Languages without rules are only escaped.
+ *
+ * @param {string} content - Source code
+ * @param {string} language - Language from detectLanguage
+ * @returns {string} HTML
+ */
+function highlight(content, language) {
+  if (language === "diff") {
+    return highlightDiff(content);
+  }
+  const family = SYNTAX_FAMILIES.find((f) => f.languages.includes(language));
+  if (!family) {
+    return escapeHtml(content);
+  }
+
+  const pattern = new RegExp(
+    [
+      family.comment,
+      family.string.join("|"),
+      NUMBER,
+      String.raw`\b(?:${family.keywords})\b`,
+    ]
+      .map((source) => `(${source})`)
+      .join("|"),
+    family.flags
+  );
+  const classes = ["com", "str", "num", "kw"];
+
+  let html = "";
+  let last = 0;
+  for (const match of content.matchAll(pattern)) {
+    const group = match.slice(1, 5).findIndex((text) => text !== undefined);
+    html += escapeHtml(content.slice(last, match.index));
+    html += `<span class="${classes[group]}">${escapeHtml(match[0])}</span>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(content.slice(last));
+}
+
+/**
+ * Render one manifest entry as a collapsible block (prose as plain text)
+ * @param {object} entry - Manifest entry
+ * @param {(bytes: number) => string} formatSize - Size formatter
+ * @returns {string} HTML
+ */
+function renderHtmlEntry(entry, formatSize) {
+  if (entry.type === "prose") {
+    return `<div class="prose">${escapeHtml(entry.content)}</div>`;
+  }
+
+  const title =
+    entry.type === "summary"
+      ? `<span class="path">${escapeHtml(entry.label || "Summary")}</span>`
+      : `<span class="path">${escapeHtml(formatHeadingPath(entry))}</span>` +
+        (entry.label
+          ? ` <span class="label">(${escapeHtml(entry.label)})</span>`
+          : "");
+  const body =
+    entry.type === "note"
+      ? `<p class="note">${escapeHtml(entry.content)}</p>`
+      : `<pre><code class="language-${escapeAttribute(entry.language || "text")}">${highlight(entry.content, entry.language)}</code></pre>`;
+
+  return `<details class="document" open><summary>${title} <span class="size">${formatSize(entry.bytes)}</span></summary>\n${body}\n</details>`;
+}
+
+/**
+ * Render manifest entries, grouping consecutive entries of a section into
+ * a collapsible section block
+ * @param {object[]} entries - Manifest entries
+ * @param {(bytes: number) => string} formatSize - Size formatter
+ * @returns {string} HTML
+ */
+function renderHtmlEntries(entries, formatSize) {
+  const groups = [];
+  for (const entry of entries) {
+    const group = groups[groups.length - 1];
+    if (group && group.section === entry.section) {
+      group.entries.push(entry);
+    } else {
+      groups.push({ section: entry.section, entries: [entry] });
+    }
+  }
+
+  return groups
+    .map(({ section, entries: sectionEntries }) => {
+      const blocks = sectionEntries
+        .map((entry) => renderHtmlEntry(entry, formatSize))
+        .join("\n");
+      return section === null
+        ? blocks
+        : `<details class="section" open><summary>${escapeHtml(section)}</summary>\n<div class="documents">\n${blocks}\n</div>\n</details>`;
+    })
+    .join("\n");
+}
+
+/**
+ * Render a standalone HTML page with the manifest embedded for later appends
+ * @param {object} manifest - Manifest from buildManifest
+ * @param {(bytes: number) => string} formatSize - Size formatter
+ * @returns {string} HTML page
+ */
+function renderHtmlPage(manifest, formatSize) {
+  const { documents, totals } = manifest;
+  const files = documents.filter(
+    (e) => e.type !== "summary" && e.type !== "prose"
+  ).length;
+  const summary = `${files} ${files === 1 ? "file" : "files"}, ${formatSize(totals.bytes)}`;
+  // "<" is escaped so file content can't close the script element
+  const data = JSON.stringify(manifest).replace(/</g, "\\u003c");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Code context - ${summary}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>Code context</h1>
+<p>${summary}</p>
+<button type="button" data-open="true">Expand all</button>
+<button type="button" data-open="false">Collapse all</button>
+</header>
+<main>
+${renderHtmlEntries(documents, formatSize)}
+</main>
+<script type="application/json" id="extract-code-manifest">${data}</script>
+<script>${HTML_SCRIPT}</script>
+</body>
+</html>`;
+}
+
+// ============================================================================
+// Formatter
+// ============================================================================
+
+/**
+ * Create a formatter for an output format
+ * Streaming formats (markdown, xml) append rendered blocks to the output.
+ * The others collect manifest entries and compose the whole document at
+ * the end; their rendered blocks are only used to measure size.
+ *
+ * @param {string} format - One of FORMATS
+ * @param {object} options - Formatting options
+ * @param {(text: string) => number} options.estimateTokens - Token estimator for manifest sizes
+ * @param {(bytes: number) => string} options.formatSize - Size formatter (e.g., "4.2 KB")
+ * @returns {object} Formatter
+ * @throws {Error} If the format is unknown
+ */
+export function createFormatter(format, { estimateTokens, formatSize }) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(
+      `Invalid format "${format}". Use one of: ${FORMATS.join(", ")}`
+    );
+  }
+  const toEntries = (documents, section) =>
+    toManifestEntries(documents, section, estimateTokens);
+
+  return {
+    format,
+    streaming: format === "markdown" || format === "xml",
+
+    /**
+     * Render the heading written before the first block of a section
+     * (XML and manifests record the section on each document instead)
+     * @param {string} header - Section header
+     * @returns {string} Heading text, or "" if the format has none
+     */
+    renderSectionHeader(header) {
+      return format === "markdown" ? `### ${header}\n\n` : "";
+    },
+
+    /**
+     * Render the documents of one plan entry
+     * @param {object[]} documents - Extracted documents
+     * @param {string|null} section - Section header
+     * @returns {string} Rendered block
+     */
+    renderBlock(documents, section) {
+      if (format === "markdown") {
+        return documents.map(renderMarkdownDocument).join("\n\n");
+      }
+      if (format === "xml") {
+        return documents
+          .map((document) => renderXmlDocument(document, section))
+          .join("\n\n");
+      }
+      const entries = toEntries(documents, section);
+      return format === "json"
+        ? JSON.stringify(entries, null, 2)
+        : renderHtmlEntries(entries, formatSize);
+    },
+
+    toEntries,
+
+    /**
+     * Read the manifest entries of an existing output (non-streaming formats)
+     * @param {string} text - Existing output ("" for a new file)
+     * @returns {object[]} Manifest entries
+     * @throws {Error} If the output is not a manifest of this format
+     */
+    readEntries(text) {
+      return readManifestEntries(text, format);
+    },
+
+    /**
+     * Compose the whole document (non-streaming formats)
+     * @param {object[]} entries - Manifest entries, earlier runs first
+     * @returns {string} JSON manifest or HTML page, without a final newline
+     */
+    composeDocument(entries) {
+      const manifest = buildManifest(entries);
+      return format === "json"
+        ? JSON.stringify(manifest, null, 2)
+        : renderHtmlPage(manifest, formatSize);
+    },
+  };
+}
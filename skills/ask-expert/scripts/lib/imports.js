@@ -0,0 +1,590 @@
+/**
+ * Import Following for Code Extraction
+ *
+ * Finds the local files a source file depends on, so a plan can pull in
+ * dependencies without listing them by hand. Package imports are ignored.
+ *
+ * - JS/TS/JSX/TSX/Vue: relative imports, require() and import(), plus
+ *   tsconfig.json/jsconfig.json "paths" and "baseUrl" (following "extends")
+ * - Python: relative imports ("from .models import User")
+ * - C#: types referenced from the file's own namespace and its `using`
+ *   namespaces, mapped to the files that declare them
+ *
+ * File access goes through a host object, so this module never touches the
+ * file system itself:
+ *
+ * - readFile(filePath): file content, or null if unreadable
+ * - isFile(filePath): true if a regular file exists
+ * - listFiles(extension): absolute paths of project files with an extension
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import path from "path";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** File extensions whose imports can be followed, by scanner */
+const IMPORT_LANGUAGES = {
+  ".js": "js",
+  ".mjs": "js",
+  ".cjs": "js",
+  ".jsx": "js",
+  ".ts": "js",
+  ".mts": "js",
+  ".cts": "js",
+  ".tsx": "js",
+  ".vue": "vue",
+  ".py": "python",
+  ".cs": "csharp",
+};
+
+/** Extensions tried, in order, for JS/TS import specifiers without one */
+const JS_EXTENSIONS = [
+  ".ts",
+  ".tsx",
+  ".mts",
+  ".cts",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+  ".vue",
+  ".json",
+];
+
+/** Compiled-output extensions that TS sources are imported by ("./user.js" → user.ts) */
+const JS_OUTPUT_EXTENSIONS = {
+  ".js": [".ts", ".tsx"],
+  ".jsx": [".tsx"],
+  ".mjs": [".mts"],
+  ".cjs": [".cts"],
+};
+
+/** Config files holding "paths" and "baseUrl", nearest first */
+const JS_CONFIG_NAMES = ["tsconfig.json", "jsconfig.json"];
+
+/** JS/TS import forms: static imports and re-exports, side-effect imports, require() and import() */
+const JS_IMPORT_PATTERNS = [
+  /\b(?:import|export)\s+(?:type\s+)?[^'"`;]*?\bfrom\s*(['"])([^'"\n]+)\1/g,
+  /\bimport\s*(['"])([^'"\n]+)\1/g,
+  /\b(?:require|import)\s*\(\s*(['"])([^'"\n]+)\1\s*\)/g,
+];
+
+/** Python relative import: "from .module import a, b" or "from .. import a" */
+const PYTHON_IMPORT_PATTERN =
+  /^[ \t]*from[ \t]+(\.+)([\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n]+)/gm;
+
+/** C# using directive (aliases and "using static" name a type, so they are skipped) */
+const CSHARP_USING_PATTERN =
+  /^[ \t]*(?:global[ \t]+)?using[ \t]+(?!static\b)([A-Za-z_][\w.]*)[ \t]*;/gm;
+
+/** C# namespace declaration (block or file-scoped) */
+const CSHARP_NAMESPACE_PATTERN = /\bnamespace\s+([A-Za-z_][\w.]*)/g;
+
+/** C# type declaration */
+const CSHARP_TYPE_PATTERN =
+  /\b(?:class|interface|struct|enum|record(?:\s+(?:class|struct))?|delegate\s+[\w<>,.?[\]\s]+?)\s+([A-Za-z_]\w*)/g;
+
+// ============================================================================
+// Source Scanning
+// ============================================================================
+
+/**
+ * Remove comments from source code, keeping strings intact
+ * @param {string} content - Source code
+ * @param {"c"|"python"} style - "c" for // and block comments, "python" for #
+ * @returns {string} Source without comments (line breaks kept)
+ */
+function stripComments(content, style) {
+  let result = "";
+  let i = 0;
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (
+      style === "python" &&
+      (char === '"' || char === "'") &&
+      content.startsWith(char.repeat(3), i)
+    ) {
+      // Docstrings and other triple-quoted strings span lines
+      const end = content.indexOf(char.repeat(3), i + 3);
+      const closed = end === -1 ? content.length : end + 3;
+      result += content.slice(i, closed);
+      i = closed;
+    } else if (
+      char === '"' ||
+      char === "'" ||
+      (char === "`" && style === "c")
+    ) {
+      const end = findStringEnd(content, i, char);
+      result += content.slice(i, end);
+      i = end;
+    } else if (
+      (style === "c" && char === "/" && next === "/") ||
+      (style === "python" && char === "#")
+    ) {
+      while (i < content.length && content[i] !== "\n") {
+        i++;
+      }
+    } else if (style === "c" && char === "/" && next === "*") {
+      const end = content.indexOf("*/", i + 2);
+      const comment = content.slice(i, end === -1 ? content.length : end + 2);
+      result += comment.replace(/[^\n]/g, "");
+      i += comment.length;
+    } else {
+      result += char;
+      i++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Find the end of a string literal (single-line strings stop at a line break)
+ * @param {string} content - Source code
+ * @param {number} start - Index of the opening quote
+ * @param {string} quote - Quote character
+ * @returns {number} Index just past the closing quote
+ */
+function findStringEnd(content, start, quote) {
+  let i = start + 1;
+  while (i < content.length) {
+    const char = content[i];
+    if (char === "\\") {
+      i += 2;
+      continue;
+    }
+    if (char === quote) {
+      return i + 1;
+    }
+    if (char === "\n" && quote !== "`") {
+      return i;
+    }
+    i++;
+  }
+  return content.length;
+}
+
+/**
+ * Find the import specifiers of JS/TS source
+ * @param {string} content - Source code
+ * @returns {string[]} Specifiers in source order (e.g., "./user", "@/api")
+ */
+function findJsImports(content) {
+  const source = stripComments(content, "c");
+  const found = [];
+  for (const pattern of JS_IMPORT_PATTERNS) {
+    for (const match of source.matchAll(pattern)) {
+      found.push({ index: match.index, specifier: match[2] });
+    }
+  }
+  return [
+    ...new Set(found.sort((a, b) => a.index - b.index).map((f) => f.specifier)),
+  ];
+}
+
+/**
+ * Get the script blocks of a Vue single-file component
+ * @param {string} content - Component source
+ * @returns {string} Script block contents, joined
+ */
+function getVueScripts(content) {
+  const scripts = [];
+  for (const match of content.matchAll(
+    /<script\b[^>]*>([\s\S]*?)<\/script>/g
+  )) {
+    scripts.push(match[1]);
+  }
+  return scripts.join("\n");
+}
+
+/**
+ * Find the relative imports of Python source
+ * @param {string} content - Source code
+ * @returns {{level: number, module: string, names: string[]}[]} Imports (level 1 is ".", 2 is "..")
+ */
+function findPythonImports(content) {
+  const source = stripComments(content, "python");
+  const imports = [];
+  for (const match of source.matchAll(PYTHON_IMPORT_PATTERN)) {
+    const names = match[3]
+      .replace(/[()\\]/g, " ")
+      .split(",")
+      .map((name) => name.trim().split(/\s+as\s+/)[0])
+      .filter((name) => /^\w+$/.test(name));
+    imports.push({ level: match[1].length, module: match[2], names });
+  }
+  return imports;
+}
+
+/**
+ * Read the namespaces, types, usings and referenced names of C# source
+ * @param {string} content - Source code
+ * @returns {{namespaces: string[], types: string[], usings: string[], references: Set<string>}} Declarations and references
+ */
+function scanCSharp(content) {
+  const source = stripComments(content, "c");
+  const matchAll = (pattern) =>
+    [...source.matchAll(pattern)].map((match) => match[1]);
+  const code = source.replace(
+    /@?"(?:[^"\\\n]|\\.|"")*"|'(?:[^'\\\n]|\\.)*'/g,
+    '""'
+  );
+  return {
+    namespaces: matchAll(CSHARP_NAMESPACE_PATTERN),
+    types: matchAll(CSHARP_TYPE_PATTERN),
+    usings: matchAll(CSHARP_USING_PATTERN),
+    references: new Set(code.match(/\b[A-Z]\w*/g) || []),
+  };
+}
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+/**
+ * Parse a tsconfig-style file: JSON with comments and trailing commas
+ * @param {string} content - File content
+ * @returns {object|null} Parsed config, or null if it does not parse
+ */
+function parseJsonWithComments(content) {
+  try {
+    return JSON.parse(
+      stripComments(content, "c").replace(/,(\s*[}\]])/g, "$1")
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a path passes through node_modules
+ * @param {string} filePath - Absolute path
+ * @returns {boolean} True for installed packages
+ */
+function isPackagePath(filePath) {
+  return filePath.split(path.sep).includes("node_modules");
+}
+
+/**
+ * Create the resolver shared by one findDependencies call
+ * Caches config lookups and the C# type index.
+ *
+ * @param {object} host - File access (readFile, isFile, listFiles)
+ * @returns {(filePath: string, content: string) => string[]} Resolver of a file's local imports
+ */
+function createResolver(host) {
+  const configsByDir = new Map();
+  let csharpIndex = null;
+
+  const isSourceFile = (filePath) =>
+    !isPackagePath(filePath) && host.isFile(filePath);
+
+  /**
+   * Load a tsconfig/jsconfig and the configs it extends
+   * @param {string} configPath - Config file path
+   * @param {string[]} chain - Configs already being loaded (cycle guard)
+   * @returns {{baseUrl: string|null, paths: object|null, pathsBase: string}} Path mapping settings
+   */
+  const loadJsConfig = (configPath, chain = []) => {
+    const config = parseJsonWithComments(host.readFile(configPath) || "");
+    const dir = path.dirname(configPath);
+    let settings = { baseUrl: null, paths: null, pathsBase: dir };
+
+    const base = typeof config?.extends === "string" ? config.extends : null;
+    if (base && base.startsWith(".")) {
+      const basePath = path.resolve(
+        dir,
+        base.endsWith(".json") ? base : `${base}.json`
+      );
+      if (!chain.includes(basePath) && host.isFile(basePath)) {
+        settings = loadJsConfig(basePath, [...chain, configPath]);
+      }
+    }
+
+    const options = config?.compilerOptions || {};
+    if (typeof options.baseUrl === "string") {
+      settings.baseUrl = path.resolve(dir, options.baseUrl);
+      settings.pathsBase = settings.baseUrl;
+    }
+    if (options.paths && typeof options.paths === "object") {
+      settings.paths = options.paths;
+      if (typeof options.baseUrl !== "string") {
+        settings.pathsBase = settings.baseUrl || dir;
+      }
+    }
+    return settings;
+  };
+
+  /**
+   * Find the path mapping settings that apply to a directory
+   * @param {string} dir - Absolute directory
+   * @returns {object|null} Settings from the nearest config, or null
+   */
+  const findJsConfig = (dir) => {
+    if (!configsByDir.has(dir)) {
+      const configPath = JS_CONFIG_NAMES.map((name) =>
+        path.join(dir, name)
+      ).find((candidate) => host.isFile(candidate));
+      const parent = path.dirname(dir);
+      configsByDir.set(
+        dir,
+        configPath
+          ? loadJsConfig(configPath)
+          : parent !== dir && !isPackagePath(dir)
+            ? findJsConfig(parent)
+            : null
+      );
+    }
+    return configsByDir.get(dir);
+  };
+
+  /**
+   * Resolve a JS/TS module path to a file, trying extensions and index files
+   * @param {string} basePath - Absolute path without resolution
+   * @returns {string|null} File path, or null
+   */
+  const resolveJsFile = (basePath) => {
+    const ext = path.extname(basePath);
+    const candidates = [
+      basePath,
+      ...(JS_OUTPUT_EXTENSIONS[ext] || []).map(
+        (sourceExt) => basePath.slice(0, -ext.length) + sourceExt
+      ),
+      ...JS_EXTENSIONS.map((candidateExt) => basePath + candidateExt),
+      ...JS_EXTENSIONS.map((candidateExt) =>
+        path.join(basePath, `index${candidateExt}`)
+      ),
+    ];
+    return (
+      candidates.find(
+        (candidate) =>
+          JS_EXTENSIONS.includes(path.extname(candidate)) &&
+          isSourceFile(candidate)
+      ) || null
+    );
+  };
+
+  /**
+   * Resolve a JS/TS import specifier
+   * @param {string} specifier - Import specifier
+   * @param {string} fromDir - Directory of the importing file
+   * @returns {string|null} File path, or null for packages and unresolved imports
+   */
+  const resolveJsImport = (specifier, fromDir) => {
+    if (specifier.startsWith("./") || specifier.startsWith("../")) {
+      return resolveJsFile(path.resolve(fromDir, specifier));
+    }
+    if (specifier === "." || specifier === "..") {
+      return resolveJsFile(path.resolve(fromDir, specifier));
+    }
+
+    const config = findJsConfig(fromDir);
+    if (!config) {
+      return null;
+    }
+    for (const [pattern, targets] of Object.entries(config.paths || {})) {
+      const star = pattern.indexOf("*");
+      const prefix = star === -1 ? pattern : pattern.slice(0, star);
+      const suffix = star === -1 ? "" : pattern.slice(star + 1);
+      const matches =
+        star === -1
+          ? specifier === pattern
+          : specifier.startsWith(prefix) &&
+            specifier.endsWith(suffix) &&
+            specifier.length >= prefix.length + suffix.length;
+      if (!matches || !Array.isArray(targets)) {
+        continue;
+      }
+      const wildcard =
+        star === -1
+          ? ""
+          : specifier.slice(prefix.length, specifier.length - suffix.length);
+      for (const target of targets) {
+        const resolved = resolveJsFile(
+          path.resolve(config.pathsBase, String(target).replace("*", wildcard))
+        );
+        if (resolved) {
+          return resolved;
+        }
+      }
+    }
+    return config.baseUrl
+      ? resolveJsFile(path.resolve(config.baseUrl, specifier))
+      : null;
+  };
+
+  /**
+   * Resolve a Python module path to a file (module.py or package/__init__.py)
+   * @param {string} basePath - Absolute path without extension
+   * @returns {string|null} File path, or null
+   */
+  const resolvePythonModule = (basePath) =>
+    [`${basePath}.py`, path.join(basePath, "__init__.py")].find((candidate) =>
+      isSourceFile(candidate)
+    ) || null;
+
+  /**
+   * Resolve the relative imports of a Python file
+   * "from .pkg import name" also picks up pkg/name.py when name is a submodule.
+   *
+   * @param {string} content - Source code
+   * @param {string} fromDir - Directory of the importing file
+   * @returns {string[]} File paths
+   */
+  const resolvePythonImports = (content, fromDir) => {
+    const resolved = [];
+    for (const { level, module, names } of findPythonImports(content)) {
+      let packageDir = fromDir;
+      for (let i = 1; i < level; i++) {
+        packageDir = path.dirname(packageDir);
+      }
+      const moduleDir = module
+        ? path.join(packageDir, ...module.split("."))
+        : packageDir;
+      const moduleFile = module ? resolvePythonModule(moduleDir) : null;
+      const submodules = names
+        .map((name) => resolvePythonModule(path.join(moduleDir, name)))
+        .filter(Boolean);
+      resolved.push(...(moduleFile ? [moduleFile] : []), ...submodules);
+      if (!module && submodules.length < names.length) {
+        // Names defined in the package itself
+        const init = resolvePythonModule(packageDir);
+        if (init) {
+          resolved.push(init);
+        }
+      }
+    }
+    return resolved;
+  };
+
+  /**
+   * Resolve the C# files declaring types a file references
+   * Types are visible from the file's namespace (and its parents) and from
+   * its `using` namespaces.
+   *
+   * @param {string} content - Source code
+   * @param {string} filePath - Path of the importing file
+   * @returns {string[]} File paths
+   */
+  const resolveCSharpImports = (content, filePath) => {
+    if (!csharpIndex) {
+      csharpIndex = host
+        .listFiles(".cs")
+        .filter((candidate) => !isPackagePath(candidate))
+        .map((candidate) => ({
+          filePath: candidate,
+          ...scanCSharp(host.readFile(candidate) || ""),
+        }));
+    }
+
+    const { namespaces, usings, references } = scanCSharp(content);
+    const visible = new Set([...usings, ""]);
+    for (const namespace of namespaces) {
+      const parts = namespace.split(".");
+      for (let i = parts.length; i > 0; i--) {
+        visible.add(parts.slice(0, i).join("."));
+      }
+    }
+
+    return csharpIndex
+      .filter(
+        (candidate) =>
+          candidate.filePath !== filePath &&
+          candidate.types.some((type) => references.has(type)) &&
+          (candidate.namespaces.length === 0
+            ? visible.has("")
+            : candidate.namespaces.some((namespace) => visible.has(namespace)))
+      )
+      .map((candidate) => candidate.filePath);
+  };
+
+  return (filePath, content) => {
+    const fromDir = path.dirname(filePath);
+    switch (getImportLanguage(filePath)) {
+      case "js":
+        return findJsImports(content)
+          .map((specifier) => resolveJsImport(specifier, fromDir))
+          .filter(Boolean);
+      case "vue":
+        return findJsImports(getVueScripts(content))
+          .map((specifier) => resolveJsImport(specifier, fromDir))
+          .filter(Boolean);
+      case "python":
+        return resolvePythonImports(content, fromDir);
+      case "csharp":
+        return resolveCSharpImports(content, filePath);
+      default:
+        return [];
+    }
+  };
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Get the import scanner for a file, or null if imports can't be followed
+ * @param {string} filePath - Path to file
+ * @returns {string|null} Scanner ("js", "vue", "python" or "csharp")
+ */
+export function getImportLanguage(filePath) {
+  return IMPORT_LANGUAGES[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Follow the local imports of files, breadth first
+ * Each root carries its own depth: 1 adds the files it imports, 2 also
+ * the files those import, and so on. A file reached from several roots is
+ * followed as deep as the deepest of them allows.
+ *
+ * @param {{filePath: string, depth: number}[]} roots - Absolute file paths and import depths
+ * @param {object} host - File access (readFile, isFile, listFiles)
+ * @returns {{filePath: string, importedBy: string, depth: number}[]} Discovered files (roots excluded), nearest first
+ */
+export function findDependencies(roots, host) {
+  const resolve = createResolver(host);
+  const rootPaths = new Set(roots.map((root) => root.filePath));
+  const remaining = new Map();
+  const discovered = new Map();
+
+  const queue = roots
+    .filter((root) => root.depth > 0)
+    .map((root) => ({ ...root, level: 0 }));
+  while (queue.length > 0) {
+    const { filePath, depth, level } = queue.shift();
+    if ((remaining.get(filePath) ?? -1) >= depth) {
+      continue;
+    }
+    remaining.set(filePath, depth);
+
+    const content = host.readFile(filePath);
+    if (content === null) {
+      continue;
+    }
+    for (const dependency of resolve(filePath, content)) {
+      if (!rootPaths.has(dependency) && !discovered.has(dependency)) {
+        discovered.set(dependency, {
+          filePath: dependency,
+          importedBy: filePath,
+          depth: level + 1,
+        });
+      }
+      if (depth > 1) {
+        queue.push({
+          filePath: dependency,
+          depth: depth - 1,
+          level: level + 1,
+        });
+      }
+    }
+  }
+
+  return [...discovered.values()];
+}
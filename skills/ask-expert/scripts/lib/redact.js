@@ -0,0 +1,402 @@
+/**
+ * Secret Redaction for Code Extraction
+ *
+ * Masks credentials in extracted content before it reaches a consultation
+ * document, which is pasted into external tools.
+ *
+ * - Built-in detectors: AWS, GCP and Azure keys, JWTs, PEM private keys,
+ *   connection-string and URL passwords, password-like assignments and
+ *   high-entropy strings
+ * - Custom detectors from config regexes; an allowlist for known-safe values
+ * - Stable placeholders: the same secret gets the same placeholder in every
+ *   block of a run, so readers can still tell values apart
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Key names that hold secrets (matched at the end of the key) */
+const SECRET_KEYWORDS =
+  "(?:password|passwd|pwd|passphrase|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|client[_-]?secret|credentials?)";
+
+/** Config-style files where unquoted `KEY=value` assignments are common */
+const ENV_FILE_PATTERN =
+  /(?:^|[\\/])\.env(?:\.[^\\/]*)?$|\.(?:ini|cfg|conf|properties|ya?ml|toml)$/i;
+
+/** Values that are references or templates rather than secrets */
+const PLACEHOLDER_VALUE_PATTERN =
+  /^(?:\$\{.*\}?|\$\(.*\)?|\$[A-Z_][A-Z0-9_]*|\{\{.*|<[^>]*>|%[^%]+%|#\{.*\}|\[REDACTED:.*|\*+|x+|\.+|null|none|nil|true|false|undefined|changeme|example|(?:your|my)[-_].*)$/i;
+
+/** Minimum Shannon entropy (bits per character) for high-entropy strings */
+const MIN_ENTROPY = 4;
+
+/**
+ * Built-in detectors, most specific first
+ * Each detector redacts capture group `group` of `pattern`; `files` limits a
+ * detector to matching paths and `validate` rejects false positives.
+ */
+const BUILTIN_DETECTORS = [
+  {
+    name: "private-key",
+    pattern:
+      /(-----BEGIN ((?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?)-----\s*)([\s\S]*?)(\s*-----END \2-----)/g,
+    group: 3,
+  },
+  {
+    name: "aws-access-key",
+    pattern: /\b((?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16})\b/g,
+  },
+  {
+    name: "aws-secret-key",
+    pattern:
+      /aws_?(?:secret_?access_?key|secret_?key)["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+  },
+  {
+    name: "gcp-api-key",
+    pattern: /\b(AIza[0-9A-Za-z_-]{35})(?![0-9A-Za-z_-])/g,
+  },
+  {
+    name: "gcp-oauth-token",
+    pattern: /\b(ya29\.[0-9A-Za-z_-]{20,})/g,
+  },
+  {
+    name: "azure-storage-key",
+    pattern: /\b(?:AccountKey|SharedAccessKey)\s*=\s*([A-Za-z0-9+/=]{20,})/gi,
+  },
+  {
+    name: "azure-sas-signature",
+    pattern: /[?&]sig=([A-Za-z0-9%+/=]{20,})/g,
+  },
+  {
+    name: "azure-client-secret",
+    pattern:
+      /(?<![A-Za-z0-9_~.-])([A-Za-z0-9_~.-]{3}\dQ~[A-Za-z0-9_~.-]{31,34})(?![A-Za-z0-9_~.-])/g,
+  },
+  {
+    name: "jwt",
+    pattern:
+      /\b(eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,})/g,
+  },
+  {
+    name: "connection-string-password",
+    pattern: /[;"']\s*(?<key>password|pwd)\s*=\s*([^;"'\r\n]+)/gi,
+    group: 2,
+    validate: isSecretValue,
+  },
+  {
+    name: "url-password",
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/"'`]+:([^\s@/"'`]+)@/gi,
+    validate: isSecretValue,
+  },
+  {
+    name: "password-assignment",
+    pattern: new RegExp(
+      `(?<key>[A-Za-z0-9_.-]*${SECRET_KEYWORDS})["']?\\s*(?::|=(?![=>]))\\s*(["'\`])((?:(?!\\2)[^\\\\\\r\\n]|\\\\.){4,}?)\\2`,
+      "gi"
+    ),
+    group: 3,
+    validate: isSecretValue,
+  },
+  {
+    name: "password-assignment",
+    pattern: new RegExp(
+      `^[ \\t+-]?[ \\t]*(?:export[ \\t]+)?[A-Za-z0-9_.-]*${SECRET_KEYWORDS}[ \\t]*[:=][ \\t]*([^\\s"'#]{4,})`,
+      "gim"
+    ),
+    files: ENV_FILE_PATTERN,
+    validate: isSecretValue,
+  },
+  {
+    name: "high-entropy-string",
+    pattern: /(["'`])([A-Za-z0-9+/=_-]{24,})\1/g,
+    group: 2,
+    validate: isHighEntropy,
+  },
+  {
+    name: "high-entropy-string",
+    pattern:
+      /^[ \t+-]?[ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_.-]*[ \t]*[:=][ \t]*["']?([A-Za-z0-9+/=_-]{24,})/gm,
+    files: ENV_FILE_PATTERN,
+    validate: isHighEntropy,
+  },
+];
+
+// ============================================================================
+// Value Checks
+// ============================================================================
+
+/**
+ * Reduce a key or value to lowercase letters and digits for comparison
+ * @param {string} name - Key name or value (e.g., "this.db_password")
+ * @returns {string} Normalized name (e.g., "dbpassword")
+ */
+function normalizeName(name) {
+  return name
+    .split(".")
+    .pop()
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Check whether an assigned value looks like a real secret
+ * Rejects templates and references everywhere. In code, also rejects UI
+ * text: prose ("Enter your password") and labels that repeat their key
+ * (`password: "Password"`). Env and config files hold no UI text, so every
+ * other value there is treated as a secret.
+ *
+ * @param {string} value - Candidate value
+ * @param {string} key - Key the value is assigned to ("" if unknown)
+ * @param {string} filePath - Source path
+ * @returns {boolean} True if the value should be redacted
+ */
+function isSecretValue(value, key, filePath) {
+  const trimmed = value.trim();
+  if (trimmed.length < 4 || PLACEHOLDER_VALUE_PATTERN.test(trimmed)) {
+    return false;
+  }
+  if (ENV_FILE_PATTERN.test(filePath)) {
+    return true;
+  }
+  return !/\s/.test(trimmed) && normalizeName(trimmed) !== normalizeName(key);
+}
+
+/**
+ * Calculate Shannon entropy of a string
+ * @param {string} value - String to measure
+ * @returns {number} Entropy in bits per character
+ */
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Check whether a token looks like a random key rather than an identifier,
+ * hash or path
+ * @param {string} value - Candidate token
+ * @returns {boolean} True if the token should be redacted
+ */
+function isHighEntropy(value) {
+  // Package integrity hashes are public
+  if (/^sha\d+-/.test(value)) {
+    return false;
+  }
+  // Random keys mix cases and digits; identifiers and hex hashes don't
+  if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/\d/.test(value)) {
+    return false;
+  }
+  return shannonEntropy(value) >= MIN_ENTROPY;
+}
+
+// ============================================================================
+// Config Parsing
+// ============================================================================
+
+/**
+ * Parse a regex given as "/source/flags" or as a plain source string
+ * @param {string} value - Regex text
+ * @param {string} extraFlags - Flags that must be present
+ * @returns {RegExp} Compiled regex
+ * @throws {Error} If the regex is invalid
+ */
+function parseRegex(value, extraFlags) {
+  const literal = value.match(/^\/(.+)\/([a-z]*)$/s);
+  const source = literal ? literal[1] : value;
+  const flags = new Set([...(literal ? literal[2] : ""), ...extraFlags]);
+  return new RegExp(source, [...flags].join(""));
+}
+
+/**
+ * Compile custom detectors from config
+ * Each entry is a regex string or { "name": "...", "pattern": "..." }. The
+ * first capture group is redacted when present, otherwise the whole match.
+ *
+ * @param {(string|{name?: string, pattern: string})[]} patterns - Config patterns
+ * @returns {object[]} Detectors
+ * @throws {Error} If a pattern is malformed
+ */
+function compileCustomPatterns(patterns) {
+  if (!Array.isArray(patterns)) {
+    throw new Error("redact.patterns: Must be an array");
+  }
+
+  return patterns.map((entry, index) => {
+    const spec = typeof entry === "string" ? { pattern: entry } : entry;
+    if (!spec || typeof spec.pattern !== "string") {
+      throw new Error(
+        `redact.patterns[${index}]: Must be a regex string or an object with a "pattern"`
+      );
+    }
+
+    let pattern;
+    try {
+      pattern = parseRegex(spec.pattern, "g");
+    } catch (error) {
+      throw new Error(
+        `redact.patterns[${index}]: Invalid regex "${spec.pattern}": ${error.message}`
+      );
+    }
+
+    const groupCount =
+      new RegExp(`${pattern.source}|`, pattern.flags.replace("g", "")).exec("")
+        .length - 1;
+    return {
+      name: spec.name || "custom",
+      pattern,
+      group: groupCount > 0 ? 1 : 0,
+    };
+  });
+}
+
+/**
+ * Compile allowlist entries: "/regex/flags" or an exact value
+ * @param {string[]} entries - Config allowlist
+ * @returns {((value: string) => boolean)[]} Matchers
+ * @throws {Error} If an entry is malformed
+ */
+function compileAllowlist(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error("redact.allowlist: Must be an array");
+  }
+
+  return entries.map((entry, index) => {
+    if (typeof entry !== "string" || entry === "") {
+      throw new Error(`redact.allowlist[${index}]: Must be a non-empty string`);
+    }
+    if (/^\/.+\/[a-z]*$/s.test(entry)) {
+      let regex;
+      try {
+        // Drop g and y: they make test() resume from the previous match
+        const { source, flags } = parseRegex(entry, "");
+        regex = new RegExp(source, flags.replace(/[gy]/g, ""));
+      } catch (error) {
+        throw new Error(
+          `redact.allowlist[${index}]: Invalid regex "${entry}": ${error.message}`
+        );
+      }
+      return (value) => regex.test(value);
+    }
+    return (value) => value === entry;
+  });
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Create a redactor shared by every block of one run
+ * @param {object} [options] - Redaction settings (the config "redact" object)
+ * @param {(string|{name?: string, pattern: string})[]} [options.patterns] - Custom regexes
+ * @param {string[]} [options.allowlist] - Values or "/regex/" never redacted
+ * @returns {{redact: (content: string, filePath: string) => string, findings: {filePath: string, detector: string, placeholder: string}[]}} Redactor
+ * @throws {Error} If a custom pattern or allowlist entry is invalid
+ */
+export function createRedactor({ patterns = [], allowlist = [] } = {}) {
+  const detectors = [...compileCustomPatterns(patterns), ...BUILTIN_DETECTORS];
+  const allowed = compileAllowlist(allowlist);
+  const placeholders = new Map();
+  const findings = [];
+
+  /**
+   * Get the placeholder for a secret, reusing it for repeated values
+   * @param {string} value - Secret value
+   * @param {string} detector - Detector name
+   * @returns {string} Placeholder (e.g., "[REDACTED:aws-access-key#1]")
+   */
+  const placeholderFor = (value, detector) => {
+    if (!placeholders.has(value)) {
+      placeholders.set(
+        value,
+        `[REDACTED:${detector}#${placeholders.size + 1}]`
+      );
+    }
+    return placeholders.get(value);
+  };
+
+  return {
+    findings,
+
+    /**
+     * Replace secrets in extracted content with placeholders
+     * @param {string} content - File content or diff
+     * @param {string} filePath - Source path (selects file-specific detectors)
+     * @returns {string} Redacted content
+     */
+    redact(content, filePath) {
+      const spans = [];
+
+      for (const detector of detectors) {
+        if (detector.files && !detector.files.test(filePath)) {
+          continue;
+        }
+
+        const { source, flags } = detector.pattern;
+        const regex = new RegExp(
+          source,
+          flags.includes("d") ? flags : flags + "d"
+        );
+        const group = detector.group ?? 1;
+
+        for (const match of content.matchAll(regex)) {
+          const value = match[group];
+          if (!value) {
+            continue;
+          }
+          const [start, end] = match.indices[group];
+          if (spans.some((span) => start < span.end && end > span.start)) {
+            continue;
+          }
+          if (
+            detector.validate &&
+            !detector.validate(value, match.groups?.key ?? "", filePath)
+          ) {
+            continue;
+          }
+          if (allowed.some((isAllowed) => isAllowed(value))) {
+            continue;
+          }
+          spans.push({ start, end, value, detector: detector.name });
+        }
+      }
+
+      // Number placeholders in reading order, then replace from the end so
+      // earlier offsets stay valid
+      spans.sort((a, b) => a.start - b.start);
+      for (const span of spans) {
+        span.placeholder = placeholderFor(span.value, span.detector);
+        findings.push({
+          filePath,
+          detector: span.detector,
+          placeholder: span.placeholder,
+        });
+      }
+
+      // Multi-line secrets (private keys) keep their line breaks, so line
+      // numbers after a redacted block stay accurate
+      let redacted = content;
+      for (const span of [...spans].reverse()) {
+        const lineBreaks = span.value.split("\n").length - 1;
+        redacted =
+          redacted.slice(0, span.start) +
+          span.placeholder +
+          "\n".repeat(lineBreaks) +
+          redacted.slice(span.end);
+      }
+      return redacted;
+    },
+  };
+}
@@ -0,0 +1,298 @@
+/**
+ * Managed Regions for Rebuildable Consultation Documents
+ *
+ * Wraps generated content in marker comments so an extraction plan can be
+ * rerun against the same output file without duplicating blocks:
+ *
+ *   <!-- extract-code:begin section="Core" -->
+ *   ### Core
+ *
+ *   <!-- extract-code:begin section="Core" file="src/auth.ts:10-50" -->
+ *   # File: ...
+ *   <!-- extract-code:end -->
+ *
+ *   <!-- extract-code:end -->
+ *
+ * - Section regions are keyed by section header, file regions by section
+ *   and file spec; a rerun replaces matching regions in place
+ * - Regions new to the document are appended (files at the end of their
+ *   section, sections at the end of the document)
+ * - Hand-written text outside regions is never touched
+ * - Prune mode removes regions whose key is no longer in the plan
+ * - Markers inside fenced code blocks are ignored
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Region start marker: attributes follow "begin" */
+const BEGIN_PATTERN = /^<!-- extract-code:begin((?: \w+="[^"]*")*) -->$/;
+
+/** Region end marker */
+const END_MARKER = "<!-- extract-code:end -->";
+
+/** Attribute inside a start marker */
+const ATTRIBUTE_PATTERN = / (\w+)="([^"]*)"/g;
+
+/** Opening or closing code fence */
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+// ============================================================================
+// Markers
+// ============================================================================
+
+/**
+ * Encode an attribute value so it can't end the comment or the attribute
+ * @param {string} value - Raw value (section header or file spec)
+ * @returns {string} Encoded value
+ */
+function encodeValue(value) {
+  return value
+    .replace(/%/g, "%25")
+    .replace(/"/g, "%22")
+    .replace(/-(?=-)/g, "%2D")
+    .replace(/>/g, "%3E");
+}
+
+/**
+ * Build a region start marker
+ * @param {string} section - Section key
+ * @param {string|null} [file] - File key (null for a section region)
+ * @returns {string} Marker line
+ */
+function formatBeginMarker(section, file = null) {
+  const fileAttribute = file === null ? "" : ` file="${encodeValue(file)}"`;
+  return `<!-- extract-code:begin section="${encodeValue(section)}"${fileAttribute} -->`;
+}
+
+/**
+ * Parse the attributes of a region start marker
+ * @param {string} attributes - Attribute text from BEGIN_PATTERN
+ * @returns {{section: string, file: string|null}} Region key
+ */
+function parseMarkerKey(attributes) {
+  const values = {};
+  for (const [, name, value] of attributes.matchAll(ATTRIBUTE_PATTERN)) {
+    values[name] = decodeURIComponent(value);
+  }
+  return { section: values.section ?? "", file: values.file ?? null };
+}
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Parse a document into text lines and (nested) regions
+ * Unbalanced markers are kept as plain text, so a damaged document is
+ * never rewritten beyond what can be matched.
+ *
+ * @param {string} document - Document text
+ * @returns {object[]} Nodes: strings (lines) and {key, begin, children} regions
+ */
+function parseDocument(document) {
+  const root = { children: [] };
+  const stack = [root];
+  let fence = null;
+
+  for (const line of document.split("\n")) {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) {
+        fence = marker;
+      } else if (marker[0] === fence[0] && marker.length >= fence.length) {
+        fence = null;
+      }
+    }
+    const parent = stack[stack.length - 1];
+
+    const beginMatch = !fence && line.match(BEGIN_PATTERN);
+    if (beginMatch) {
+      const region = {
+        key: parseMarkerKey(beginMatch[1]),
+        begin: line,
+        children: [],
+      };
+      parent.children.push(region);
+      stack.push(region);
+    } else if (!fence && line === END_MARKER && stack.length > 1) {
+      stack.pop();
+    } else {
+      parent.children.push(line);
+    }
+  }
+
+  // Unclosed regions fall back to text
+  while (stack.length > 1) {
+    const region = stack.pop();
+    const parent = stack[stack.length - 1];
+    parent.children.splice(
+      parent.children.indexOf(region),
+      1,
+      region.begin,
+      ...region.children
+    );
+  }
+
+  return root.children;
+}
+
+/**
+ * Serialize parsed nodes back to lines
+ * @param {object[]} nodes - Nodes from parseDocument
+ * @returns {string[]} Lines
+ */
+function serializeNodes(nodes) {
+  return nodes.flatMap((node) =>
+    typeof node === "string"
+      ? [node]
+      : [node.begin, ...serializeNodes(node.children), END_MARKER]
+  );
+}
+
+/**
+ * Render an empty section region, so a document can place a section before
+ * its files are extracted (the first managed run fills it in place)
+ * @param {string} section - Section key (the section header)
+ * @param {string|null} header - Header written inside the region
+ * @returns {string} Region text
+ */
+export function renderSectionRegion(section, header) {
+  const headerLines = header ? [`### ${header}`, ""] : [];
+  return [formatBeginMarker(section), ...headerLines, END_MARKER].join("\n");
+}
+
+/**
+ * Check whether a document holds managed regions
+ * @param {string} document - Document text
+ * @returns {boolean} True if at least one region is present
+ */
+export function hasRegions(document) {
+  return parseDocument(document).some((node) => typeof node !== "string");
+}
+
+// ============================================================================
+// Applying a Plan
+// ============================================================================
+
+/**
+ * Remove a region node and the blank line after it
+ * @param {object[]} nodes - Sibling nodes
+ * @param {number} index - Index of the region
+ */
+function removeNode(nodes, index) {
+  nodes.splice(index, nodes[index + 1] === "" ? 2 : 1);
+}
+
+/**
+ * Append a region node followed by a blank line, keeping one blank line
+ * between it and the content before it
+ * @param {object[]} nodes - Sibling nodes
+ * @param {object} region - Region node to append
+ * @returns {number} Index of the appended region
+ */
+function appendNode(nodes, region) {
+  // Drop trailing blank lines; a document ending in "\n" keeps its last one
+  let end = nodes.length;
+  while (end > 0 && nodes[end - 1] === "") {
+    end--;
+  }
+  const trailing = nodes.length - end;
+  nodes.splice(end, trailing);
+  if (end > 0) {
+    nodes.push("");
+  }
+  const index = nodes.push(region) - 1;
+  nodes.push("");
+  if (trailing > 1) {
+    nodes.push("");
+  }
+  return index;
+}
+
+/**
+ * Replace, add and (optionally) prune managed regions
+ * Files whose content is null keep their existing region (e.g., the file
+ * failed to render this time); files marked `remove` lose theirs.
+ *
+ * @param {string} document - Existing document text ("" for a new file)
+ * @param {{section: string, header: string|null, files: {file: string, content: string|null, remove?: boolean}[]}[]} plan - Regions to write, in plan order
+ * @param {object} [options] - Options
+ * @param {boolean} [options.prune] - Remove regions that are not in the plan
+ * @returns {{document: string, replaced: number, added: number, removed: number}} Updated document and counts of file regions
+ */
+export function applyRegions(document, plan, { prune = false } = {}) {
+  const nodes = parseDocument(document);
+  const counts = { replaced: 0, added: 0, removed: 0 };
+  const isRegion = (node) => typeof node !== "string";
+  const findRegion = (siblings, predicate) =>
+    siblings.findIndex((node) => isRegion(node) && predicate(node.key));
+
+  for (const { section, header, files } of plan) {
+    let sectionIndex = findRegion(
+      nodes,
+      (key) => key.file === null && key.section === section
+    );
+    if (sectionIndex === -1) {
+      if (files.every((f) => f.content === null || f.remove)) {
+        continue;
+      }
+      const headerLines = header ? [`### ${header}`, ""] : [];
+      sectionIndex = appendNode(nodes, {
+        key: { section, file: null },
+        begin: formatBeginMarker(section),
+        children: headerLines,
+      });
+    }
+    const children = nodes[sectionIndex].children;
+
+    for (const { file, content, remove } of files) {
+      const index = findRegion(children, (key) => key.file === file);
+      if (remove) {
+        if (index !== -1) {
+          removeNode(children, index);
+          counts.removed++;
+        }
+      } else if (content === null) {
+        continue;
+      } else if (index !== -1) {
+        children[index].children = content.split("\n");
+        counts.replaced++;
+      } else {
+        appendNode(children, {
+          key: { section, file },
+          begin: formatBeginMarker(section, file),
+          children: content.split("\n"),
+        });
+        counts.added++;
+      }
+    }
+
+    if (prune) {
+      const planned = new Set(files.map((f) => f.file));
+      for (let i = children.length - 1; i >= 0; i--) {
+        if (isRegion(children[i]) && !planned.has(children[i].key.file)) {
+          removeNode(children, i);
+          counts.removed++;
+        }
+      }
+    }
+  }
+
+  if (prune) {
+    const planned = new Set(plan.map((s) => s.section));
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      if (isRegion(nodes[i]) && !planned.has(nodes[i].key.section)) {
+        counts.removed += nodes[i].children.filter(isRegion).length;
+        removeNode(nodes, i);
+      }
+    }
+  }
+
+  return { document: serializeNodes(nodes).join("\n"), ...counts };
+}
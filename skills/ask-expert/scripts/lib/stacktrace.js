@@ -0,0 +1,184 @@
+/**
+ * Stack Trace Parsing
+ *
+ * Finds the frames of a stack trace or log and maps them to files of the
+ * project, so the code around each failing line can be extracted.
+ *
+ * - .NET: "at Acme.Auth.TokenService.Refresh() in /src/Auth/TokenService.cs:line 42"
+ * - Node/V8 and Jest: "at AuthService.refresh (/app/src/auth.ts:42:13)"
+ * - Python: 'File "/app/auth/service.py", line 42, in refresh'
+ * - Vitest: "❯ src/auth.test.ts:12:5"
+ *
+ * Frames in dependencies, runtimes and test frameworks are marked as
+ * library frames. Paths are matched against an index of the project's
+ * files by their trailing segments, so traces from CI machines and
+ * containers map to the local checkout; this module never touches the file
+ * system itself.
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import path from "path";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** .NET frame: method, then "in path:line N" (only present with debug symbols) */
+const DOTNET_FRAME_PATTERN = /^\s*at (.+?) in (.+):line (\d+)\s*$/;
+
+/** V8 frame: "at name (path:line:column)" or "at path:line:column" */
+const V8_FRAME_PATTERN =
+  /^\s*at (?:(.+?) \((.+):(\d+):(\d+)\)|(.+):(\d+):(\d+))\s*$/;
+
+/** Python frame: 'File "path", line N, in name' */
+const PYTHON_FRAME_PATTERN = /^\s*File "(.+)", line (\d+)(?:, in (.+?))?\s*$/;
+
+/** Vitest frame: "❯ path:line:column", optionally after the function name */
+const VITEST_FRAME_PATTERN = /^\s*❯ (?:(.+?) )?(\S+):(\d+):(\d+)\s*$/;
+
+/** Paths of dependencies and runtime code */
+const LIBRARY_PATH_PATTERN =
+  /(?:^|\/)(?:node_modules|site-packages|dist-packages)\/|^node:|^internal\/|^<|\/lib\/python\d[\d.]*\/|^\/_\//;
+
+/** Functions of runtimes and test frameworks, for frames without a library path */
+const LIBRARY_NAME_PATTERN = /^(?:System|Microsoft|Xunit|NUnit|Castle)\./;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Parse one line of a trace as a frame
+ * @param {string} line - Line of the trace
+ * @returns {{file: string, line: number, name: string|null}|null} Frame location, or null if the line is not a frame
+ */
+function parseFrameLine(line) {
+  let match = line.match(DOTNET_FRAME_PATTERN);
+  if (match) {
+    return { file: match[2], line: Number(match[3]), name: match[1] };
+  }
+  match = line.match(V8_FRAME_PATTERN);
+  if (match) {
+    return match[2]
+      ? { file: match[2], line: Number(match[3]), name: match[1] }
+      : { file: match[5], line: Number(match[6]), name: null };
+  }
+  match = line.match(PYTHON_FRAME_PATTERN);
+  if (match) {
+    return { file: match[1], line: Number(match[2]), name: match[3] || null };
+  }
+  match = line.match(VITEST_FRAME_PATTERN);
+  if (match) {
+    return { file: match[2], line: Number(match[3]), name: match[1] || null };
+  }
+  return null;
+}
+
+/**
+ * Normalize a frame path for matching: "/" separators, no file:// prefix
+ * @param {string} file - Path as written in the trace
+ * @returns {string} Normalized path
+ */
+function normalizeFramePath(file) {
+  let normalized = file.replace(/\\/g, "/");
+  if (normalized.startsWith("file://")) {
+    normalized = decodeURIComponent(normalized.slice("file://".length));
+    // file:///C:/app/x.js names a drive, not a directory called "C:"
+    normalized = normalized.replace(/^\/([A-Za-z]:\/)/, "$1");
+  }
+  return normalized;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Find the frames of a stack trace or log
+ * Lines that are not frames (messages, code excerpts, summaries) are
+ * skipped, so a whole test log can be passed in.
+ *
+ * @param {string} text - Stack trace or log
+ * @returns {{file: string, line: number, name: string|null, text: string, library: boolean}[]} Frames in trace order, with normalized paths and the trimmed frame line
+ */
+export function parseStackTrace(text) {
+  const frames = [];
+  for (const line of text.split(/\r?\n/)) {
+    const frame = parseFrameLine(line);
+    if (!frame || frame.line < 1) {
+      continue;
+    }
+    const file = normalizeFramePath(frame.file);
+    frames.push({
+      ...frame,
+      file,
+      text: line.trim(),
+      library:
+        LIBRARY_PATH_PATTERN.test(file) ||
+        LIBRARY_NAME_PATTERN.test(frame.name || ""),
+    });
+  }
+  return frames;
+}
+
+/**
+ * Find the project file a frame path refers to
+ * The frame path must end with the project path, segment by segment; the
+ * longest match wins, so "src/auth/index.ts" beats "auth/index.ts".
+ *
+ * @param {string} file - Normalized frame path
+ * @param {{byName: Map<string, string[]>}} index - Index of project paths from createFileIndex
+ * @returns {string|null} Path relative to the project root, or null if no file matches
+ */
+export function findProjectPath(file, index) {
+  const candidates = index.byName.get(path.posix.basename(file)) || [];
+  let best = null;
+  for (const candidate of candidates) {
+    const matches = file === candidate || file.endsWith(`/${candidate}`);
+    if (matches && (!best || candidate.length > best.length)) {
+      best = candidate;
+    }
+  }
+  return best;
+}
+
+/**
+ * Build the line windows around frames, merging windows that overlap or
+ * touch in the same file
+ * @param {{path: string, line: number, text: string}[]} frames - Frames resolved to files, in trace order
+ * @param {number} context - Lines shown before and after each failing line
+ * @returns {{path: string, from: number, to: number, frames: object[]}[]} Windows in order of their first frame
+ */
+export function buildFrameWindows(frames, context) {
+  const windows = [];
+  for (const frame of frames) {
+    const window = {
+      path: frame.path,
+      from: Math.max(1, frame.line - context),
+      to: frame.line + context,
+      frames: [frame],
+    };
+    // Absorb every earlier window this one reaches, taking the first one's place
+    let slot = windows.length;
+    for (let i = 0; i < windows.length;) {
+      const other = windows[i];
+      if (
+        other.path === window.path &&
+        other.from <= window.to + 1 &&
+        window.from <= other.to + 1
+      ) {
+        window.from = Math.min(other.from, window.from);
+        window.to = Math.max(other.to, window.to);
+        window.frames = [...other.frames, ...window.frames];
+        windows.splice(i, 1);
+        slot = Math.min(slot, i);
+      } else {
+        i++;
+      }
+    }
+    windows.splice(slot, 0, window);
+  }
+  return windows;
+}
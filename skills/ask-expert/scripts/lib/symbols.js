@@ -0,0 +1,2613 @@
+/**
+ * Symbol Parser for Code Extraction
+ *
+ * Locates named classes, functions, methods, interfaces and other declarations
+ * so code can be extracted by name instead of by line range. Line ranges go
+ * stale as soon as a file is edited; symbol names survive most edits.
+ *
+ * - JS/TS/JSX/TSX: lexer (strings, templates, regex, JSX) + declaration parser
+ * - C#: brace scanner aware of verbatim, interpolated and raw strings
+ * - Python: indentation scanner
+ * - Vue: <script> blocks parsed as JS/TS
+ *
+ * The same scanners report comment spans, so compaction can strip comments
+ * without touching strings. Outlines render the parsed declarations as
+ * signatures and doc summaries with their bodies collapsed.
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import path from "path";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** File extensions handled by each parser */
+const SYMBOL_LANGUAGES = {
+  ".js": "js",
+  ".mjs": "js",
+  ".cjs": "js",
+  ".jsx": "jsx",
+  ".ts": "ts",
+  ".mts": "ts",
+  ".cts": "ts",
+  ".tsx": "tsx",
+  ".vue": "vue",
+  ".cs": "csharp",
+  ".py": "python",
+};
+
+/** Multi-character JS/TS punctuators, longest first */
+const JS_PUNCTUATORS = [
+  ">>>=",
+  "...",
+  "===",
+  "!==",
+  "**=",
+  "<<=",
+  ">>=",
+  ">>>",
+  "&&=",
+  "||=",
+  "??=",
+  "=>",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "??",
+  "?.",
+  "++",
+  "--",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "&=",
+  "|=",
+  "^=",
+  "**",
+  "<<",
+  ">>",
+];
+
+/** Multi-character C# punctuators, longest first ("<" and ">" stay single for generics) */
+const CS_PUNCTUATORS = [
+  "??=",
+  "=>",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "??",
+  "?.",
+  "::",
+  "++",
+  "--",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "&=",
+  "|=",
+  "^=",
+];
+
+/** Keywords after which "/" starts a regex literal and "<" starts JSX */
+const JS_EXPRESSION_KEYWORDS = new Set([
+  "return",
+  "typeof",
+  "case",
+  "do",
+  "else",
+  "in",
+  "instanceof",
+  "new",
+  "delete",
+  "void",
+  "throw",
+  "yield",
+  "await",
+  "of",
+]);
+
+/** Tokens that, ending a line, mean the statement continues on the next line */
+const CONTINUATION_END = new Set([
+  "=",
+  "=>",
+  "|",
+  "&",
+  ",",
+  ".",
+  "?.",
+  "?",
+  ":",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "&&",
+  "||",
+  "??",
+  "<",
+  "extends",
+  "implements",
+  "in",
+  "of",
+  "new",
+  "typeof",
+  "keyof",
+  "as",
+  "satisfies",
+  "instanceof",
+]);
+
+/** Tokens that, starting a line, mean the previous statement continues */
+const CONTINUATION_START = new Set([
+  ".",
+  "?.",
+  "|",
+  "&",
+  "?",
+  ":",
+  "=>",
+  "*",
+  "/",
+  "&&",
+  "||",
+  "??",
+  "=",
+  ",",
+  ")",
+  "]",
+  "as",
+  "satisfies",
+  "extends",
+  "implements",
+]);
+
+/** Tokens after which "{" opens an object type rather than a body */
+const TYPE_CONTEXT_TOKENS = new Set([
+  ":",
+  "|",
+  "&",
+  "<",
+  ",",
+  "(",
+  "=>",
+  "=",
+  "?",
+  "keyof",
+  "typeof",
+  "extends",
+]);
+
+/** Class member modifiers in JS/TS */
+const JS_MEMBER_MODIFIERS = new Set([
+  "static",
+  "public",
+  "private",
+  "protected",
+  "readonly",
+  "abstract",
+  "async",
+  "override",
+  "declare",
+  "accessor",
+  "get",
+  "set",
+]);
+
+/** Declaration modifiers in C# */
+const CS_MODIFIERS = new Set([
+  "public",
+  "private",
+  "protected",
+  "internal",
+  "static",
+  "readonly",
+  "sealed",
+  "abstract",
+  "virtual",
+  "override",
+  "async",
+  "partial",
+  "unsafe",
+  "extern",
+  "new",
+  "const",
+  "volatile",
+  "required",
+  "file",
+  "ref",
+  "event",
+  "implicit",
+  "explicit",
+]);
+
+/** C# keywords that introduce type declarations */
+const CS_TYPE_KEYWORDS = new Set([
+  "class",
+  "struct",
+  "interface",
+  "record",
+  "enum",
+]);
+
+/** Symbol kinds outlines show in full: their bodies are declarations, not logic */
+const OUTLINE_FULL_KINDS = new Set(["enum", "type", "delegate"]);
+
+/** Declarations up to this many lines are shown in full by outlines */
+const OUTLINE_SHORT_LINES = 3;
+
+/** Regex pattern for doc comment tags that never start a summary (C# XML docs) */
+const DOC_DETAIL_TAG_PATTERN =
+  /^<(?:param|typeparam|returns|exception|remarks|example|seealso|inheritdoc)\b/;
+
+/** Regex pattern for a Python class attribute ("name: str = ''", "count = 0") */
+const PYTHON_FIELD_PATTERN = /^[A-Za-z_]\w*\s*(?::|=(?!=))/;
+
+// ============================================================================
+// Shared Helpers
+// ============================================================================
+
+/**
+ * Build an index of line start offsets
+ * @param {string} source - Source text
+ * @returns {number[]} Offset of the first character of each line
+ */
+function buildLineStarts(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "\n") {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Convert a character offset to a 1-indexed line number
+ * @param {number[]} lineStarts - Line start offsets from buildLineStarts
+ * @param {number} offset - Character offset
+ * @returns {number} Line number
+ */
+function lineAt(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low + 1;
+}
+
+/**
+ * Pair every opening bracket token with its closing token
+ * @param {{value: string, type: string}[]} tokens - Token list
+ * @returns {number[]} Index of the matching token (or tokens.length if unmatched)
+ */
+function matchBrackets(tokens) {
+  const pairs = { "(": ")", "[": "]", "{": "}" };
+  const match = new Array(tokens.length).fill(-1);
+  const stack = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { type, value } = tokens[i];
+    if (type !== "punct") {
+      continue;
+    }
+    if (pairs[value]) {
+      stack.push(i);
+    } else if (value === ")" || value === "]" || value === "}") {
+      // Pop until we find the matching opener (tolerates stray brackets)
+      for (let s = stack.length - 1; s >= 0; s--) {
+        if (pairs[tokens[stack[s]].value] === value) {
+          match[stack[s]] = i;
+          match[i] = stack[s];
+          stack.length = s;
+          break;
+        }
+      }
+    }
+  }
+
+  for (const open of stack) {
+    match[open] = tokens.length;
+  }
+  return match;
+}
+
+/**
+ * Move a declaration start back over directly preceding comments
+ * Only comments on their own lines, separated by at most one line break, count.
+ *
+ * @param {string} source - Source text
+ * @param {{start: number, end: number}[]} comments - Comment spans in order
+ * @param {number} start - Offset of the declaration's first token
+ * @returns {number} Offset of the first leading comment (or start)
+ */
+function extendWithLeadingComments(source, comments, start) {
+  let current = start;
+  let index = comments.length - 1;
+  while (index >= 0 && comments[index].start >= current) {
+    index--;
+  }
+
+  for (; index >= 0; index--) {
+    const comment = comments[index];
+    const gap = source.slice(comment.end, current);
+    if (!/^\s*$/.test(gap) || (gap.match(/\n/g) || []).length > 1) {
+      break;
+    }
+    const lineStart = source.lastIndexOf("\n", comment.start - 1) + 1;
+    if (!/^\s*$/.test(source.slice(lineStart, comment.start))) {
+      break;
+    }
+    current = comment.start;
+  }
+
+  return current;
+}
+
+/**
+ * Create a symbol node
+ * @param {object} fields - Node fields
+ * @returns {{name: string, kind: string, start: number, declStart: number, end: number, bodyStart: number|null, bodyEnd: number|null, children: object[]}} Symbol node (offsets)
+ */
+function createNode({
+  name,
+  kind,
+  start,
+  declStart = start,
+  end,
+  bodyStart = null,
+  bodyEnd = null,
+  children = [],
+}) {
+  return { name, kind, start, declStart, end, bodyStart, bodyEnd, children };
+}
+
+/**
+ * Convert offset-based nodes into line-based symbols
+ * @param {object[]} nodes - Nodes with character offsets
+ * @param {string} source - Source text the offsets refer to
+ * @param {{start: number, end: number}[]} comments - Comment spans
+ * @param {number} lineOffset - Lines to add (for embedded <script> blocks)
+ * @returns {object[]} Symbols with startLine/declLine/endLine/bodyStartLine/bodyEndLine
+ */
+function toLineSymbols(nodes, source, comments, lineOffset = 0) {
+  const lineStarts = buildLineStarts(source);
+  const convert = (node) => {
+    const start = extendWithLeadingComments(source, comments, node.start);
+    return {
+      name: node.name,
+      kind: node.kind,
+      startLine: lineAt(lineStarts, start) + lineOffset,
+      declLine: lineAt(lineStarts, node.declStart) + lineOffset,
+      endLine:
+        lineAt(lineStarts, Math.max(node.end - 1, node.start)) + lineOffset,
+      bodyStartLine:
+        node.bodyStart === null
+          ? null
+          : lineAt(lineStarts, node.bodyStart) + lineOffset,
+      bodyEndLine:
+        node.bodyEnd === null
+          ? null
+          : lineAt(lineStarts, node.bodyEnd) + lineOffset,
+      children: node.children.map(convert),
+    };
+  };
+  return nodes.map(convert);
+}
+
+// ============================================================================
+// JS/TS Lexer
+// ============================================================================
+
+/**
+ * Tokenize JavaScript/TypeScript source
+ * JSX elements become single opaque "jsx" tokens so their text content
+ * (apostrophes, braces) cannot unbalance the surrounding code.
+ *
+ * @param {string} source - Source text
+ * @param {{jsx: boolean}} options - Enable JSX detection
+ * @returns {{tokens: object[], comments: {start: number, end: number}[]}} Tokens and comment spans
+ */
+function tokenizeJs(source, { jsx }) {
+  const length = source.length;
+
+  const isIdentStart = (c) => /[A-Za-z_$\u0080-\uffff]/.test(c);
+  const isIdentPart = (c) => /[\w$\u0080-\uffff]/.test(c);
+
+  /**
+   * Check if "/" or "<" at this point starts an expression (regex or JSX)
+   * @param {object|undefined} prev - Previous significant token
+   * @returns {boolean} True if an expression may start here
+   */
+  function expressionAllowed(prev) {
+    if (!prev) {
+      return true;
+    }
+    if (prev.type === "ident") {
+      return JS_EXPRESSION_KEYWORDS.has(prev.value);
+    }
+    if (prev.type === "punct") {
+      return prev.value !== ")" && prev.value !== "]";
+    }
+    return false;
+  }
+
+  /**
+   * Scan a quoted string starting at pos
+   * @param {number} pos - Offset of the opening quote
+   * @returns {number} Offset after the closing quote
+   */
+  function scanString(pos) {
+    const quote = source[pos];
+    let i = pos + 1;
+    while (i < length && source[i] !== quote) {
+      if (source[i] === "\\") {
+        i++;
+      } else if (source[i] === "\n") {
+        return i;
+      }
+      i++;
+    }
+    return i + 1;
+  }
+
+  /**
+   * Scan template literal text until its end or the next "${"
+   * @param {number} pos - Offset just inside the template (after ` or })
+   * @returns {{end: number, hole: boolean}} End offset and whether a hole opened
+   */
+  function scanTemplate(pos) {
+    let i = pos;
+    while (i < length) {
+      if (source[i] === "\\") {
+        i += 2;
+        continue;
+      }
+      if (source[i] === "`") {
+        return { end: i + 1, hole: false };
+      }
+      if (source[i] === "$" && source[i + 1] === "{") {
+        return { end: i + 2, hole: true };
+      }
+      i++;
+    }
+    return { end: length, hole: false };
+  }
+
+  /**
+   * Scan a regex literal starting at pos
+   * @param {number} pos - Offset of the opening "/"
+   * @returns {number} Offset after the flags (or -1 if not a valid regex)
+   */
+  function scanRegex(pos) {
+    let i = pos + 1;
+    let inClass = false;
+    while (i < length) {
+      const c = source[i];
+      if (c === "\n") {
+        return -1;
+      }
+      if (c === "\\") {
+        i += 2;
+        continue;
+      }
+      if (c === "[") {
+        inClass = true;
+      } else if (c === "]") {
+        inClass = false;
+      } else if (c === "/" && !inClass) {
+        i++;
+        while (i < length && isIdentPart(source[i])) {
+          i++;
+        }
+        return i;
+      }
+      i++;
+    }
+    return -1;
+  }
+
+  /**
+   * Skip a JSX element starting at pos
+   * @param {number} pos - Offset of "<"
+   * @returns {number} Offset after the element (or -1 if not JSX)
+   */
+  function scanJsxElement(pos) {
+    let i = pos + 1;
+    while (/\s/.test(source[i] || "")) {
+      i++;
+    }
+    if (source[i] === ">") {
+      return scanJsxChildren(i + 1);
+    }
+    const nameMatch = /^[A-Za-z_$][\w$.:-]*/.exec(source.slice(i, i + 256));
+    if (!nameMatch) {
+      return -1;
+    }
+    i += nameMatch[0].length;
+
+    // "<T,>" and "<T extends X>" are generic arrow functions, not JSX
+    const genericPattern = /\s*(?:,|extends\b)/y;
+    genericPattern.lastIndex = i;
+    if (genericPattern.test(source)) {
+      return -1;
+    }
+
+    while (i < length) {
+      const c = source[i];
+      if (/\s/.test(c) || /[\w$:.\-=]/.test(c)) {
+        i++;
+      } else if (c === "/" && source[i + 1] === ">") {
+        return i + 2;
+      } else if (c === ">") {
+        return scanJsxChildren(i + 1);
+      } else if (c === "{") {
+        i = skipBraces(i);
+        if (i < 0) {
+          return -1;
+        }
+      } else if (c === '"' || c === "'") {
+        const end = source.indexOf(c, i + 1);
+        if (end < 0) {
+          return -1;
+        }
+        i = end + 1;
+      } else {
+        return -1;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Skip JSX children up to and including the closing tag
+   * @param {number} pos - Offset after the opening tag
+   * @returns {number} Offset after the closing tag (or -1 on failure)
+   */
+  function scanJsxChildren(pos) {
+    let i = pos;
+    while (i < length) {
+      const c = source[i];
+      if (c === "{") {
+        i = skipBraces(i);
+        if (i < 0) {
+          return -1;
+        }
+      } else if (c === "<") {
+        if (source[i + 1] === "/") {
+          const end = source.indexOf(">", i);
+          return end < 0 ? -1 : end + 1;
+        }
+        i = scanJsxElement(i);
+        if (i < 0) {
+          return -1;
+        }
+      } else {
+        i++;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Skip a balanced "{...}" JS expression (used inside JSX)
+   * @param {number} pos - Offset of "{"
+   * @returns {number} Offset after the matching "}" (or -1)
+   */
+  function skipBraces(pos) {
+    const result = lex(pos + 1, true);
+    return result.closed ? result.end : -1;
+  }
+
+  /**
+   * Core lexer loop
+   * @param {number} start - Offset to start at
+   * @param {boolean} stopAtClose - Stop at the first unmatched "}"
+   * @returns {{tokens: object[], comments: object[], end: number, closed: boolean}} Lexer result
+   */
+  function lex(start, stopAtClose) {
+    const tokens = [];
+    const comments = [];
+    const braceStack = [];
+    let i = start;
+    let newline = false;
+
+    const push = (type, value, tokenStart, tokenEnd) => {
+      tokens.push({ type, value, start: tokenStart, end: tokenEnd, newline });
+      newline = false;
+    };
+
+    while (i < length) {
+      const c = source[i];
+
+      if (c === "\n") {
+        newline = true;
+        i++;
+      } else if (/\s/.test(c)) {
+        i++;
+      } else if (c === "/" && source[i + 1] === "/") {
+        const end = source.indexOf("\n", i);
+        const commentEnd = end < 0 ? length : end;
+        comments.push({ start: i, end: commentEnd });
+        i = commentEnd;
+      } else if (c === "/" && source[i + 1] === "*") {
+        const end = source.indexOf("*/", i + 2);
+        const commentEnd = end < 0 ? length : end + 2;
+        comments.push({ start: i, end: commentEnd });
+        if (source.slice(i, commentEnd).includes("\n")) {
+          newline = true;
+        }
+        i = commentEnd;
+      } else if (c === '"' || c === "'") {
+        const end = scanString(i);
+        push("string", source.slice(i, end), i, end);
+        i = end;
+      } else if (c === "`") {
+        const { end, hole } = scanTemplate(i + 1);
+        push("template", source.slice(i, end), i, end);
+        if (hole) {
+          braceStack.push("template");
+        }
+        i = end;
+      } else if (
+        isIdentStart(c) ||
+        (c === "#" && isIdentStart(source[i + 1] || ""))
+      ) {
+        let end = i + 1;
+        while (end < length && isIdentPart(source[end])) {
+          end++;
+        }
+        push("ident", source.slice(i, end), i, end);
+        i = end;
+      } else if (
+        /\d/.test(c) ||
+        (c === "." && /\d/.test(source[i + 1] || ""))
+      ) {
+        let end = i + 1;
+        while (end < length && /[\w.]/.test(source[end])) {
+          end++;
+        }
+        push("number", source.slice(i, end), i, end);
+        i = end;
+      } else if (c === "/" && expressionAllowed(tokens[tokens.length - 1])) {
+        const end = scanRegex(i);
+        if (end > 0) {
+          push("regex", source.slice(i, end), i, end);
+          i = end;
+        } else {
+          push("punct", "/", i, i + 1);
+          i++;
+        }
+      } else if (
+        c === "<" &&
+        jsx &&
+        expressionAllowed(tokens[tokens.length - 1]) &&
+        /[A-Za-z_$>]/.test(source[i + 1] || "")
+      ) {
+        const end = scanJsxElement(i);
+        if (end > 0) {
+          push("jsx", "<jsx>", i, end);
+          i = end;
+        } else {
+          push("punct", "<", i, i + 1);
+          i++;
+        }
+      } else if (c === "{") {
+        braceStack.push("brace");
+        push("punct", "{", i, i + 1);
+        i++;
+      } else if (c === "}") {
+        const opener = braceStack.pop();
+        if (opener === "template") {
+          const { end, hole } = scanTemplate(i + 1);
+          if (hole) {
+            braceStack.push("template");
+          }
+          i = end;
+        } else if (opener === undefined && stopAtClose) {
+          return { tokens, comments, end: i + 1, closed: true };
+        } else {
+          push("punct", "}", i, i + 1);
+          i++;
+        }
+      } else {
+        const op =
+          JS_PUNCTUATORS.find((p) => source.startsWith(p, i)) || source[i];
+        push("punct", op, i, i + op.length);
+        i += op.length;
+      }
+    }
+
+    return { tokens, comments, end: length, closed: false };
+  }
+
+  const { tokens, comments } = lex(0, false);
+  return { tokens, comments };
+}
+
+// ============================================================================
+// JS/TS Declaration Parser
+// ============================================================================
+
+/**
+ * Parse JS/TS declarations from source
+ * @param {string} source - Source text
+ * @param {{jsx: boolean}} options - Parser options
+ * @returns {{nodes: object[], comments: object[]}} Offset-based nodes and comments
+ */
+function parseJsDeclarations(source, { jsx }) {
+  const { tokens, comments } = tokenizeJs(source, { jsx });
+  const match = matchBrackets(tokens);
+  const at = (i) =>
+    tokens[i] || {
+      type: "eof",
+      value: "",
+      start: source.length,
+      end: source.length,
+    };
+  const is = (i, value) => at(i).value === value && at(i).type !== "string";
+  const isIdent = (i) => at(i).type === "ident";
+
+  /**
+   * Advance past a token, jumping over bracket groups
+   * @param {number} i - Token index
+   * @returns {number} Next token index
+   */
+  function next(i) {
+    const token = at(i);
+    if (
+      token.type === "punct" &&
+      (token.value === "(" || token.value === "[" || token.value === "{")
+    ) {
+      return match[i] + 1;
+    }
+    return i + 1;
+  }
+
+  /**
+   * Find the last token of a statement (";" or ASI line break)
+   * @param {number} i - First token of the statement
+   * @param {number} to - Exclusive upper bound
+   * @param {string[]} terminators - Extra terminators (e.g. "," in interfaces)
+   * @returns {number} Index of the statement's last token
+   */
+  function findStatementEnd(i, to, terminators = []) {
+    let last = i;
+    let j = i;
+    while (j < to) {
+      const token = at(j);
+      if (
+        j > i &&
+        token.type === "punct" &&
+        (token.value === ";" || terminators.includes(token.value))
+      ) {
+        return token.value === ";" ? j : last;
+      }
+      if (
+        j > i &&
+        token.newline &&
+        !CONTINUATION_END.has(at(last).value) &&
+        !CONTINUATION_START.has(token.value)
+      ) {
+        return last;
+      }
+      last =
+        match[j] >= 0 && match[j] > j && token.type === "punct"
+          ? Math.min(match[j], to - 1)
+          : j;
+      j = next(j);
+    }
+    return Math.min(last, to - 1);
+  }
+
+  /**
+   * Find a function/method body "{" or the end of a bodiless signature
+   * @param {number} i - Token index after the parameter list
+   * @param {number} to - Exclusive upper bound
+   * @returns {{body: number|null, end: number}} Body token index (or null) and last token index
+   */
+  function findBodyOrEnd(i, to) {
+    let j = i;
+    while (j < to) {
+      const token = at(j);
+      if (
+        token.type === "punct" &&
+        token.value === "{" &&
+        !TYPE_CONTEXT_TOKENS.has(at(j - 1).value)
+      ) {
+        return { body: j, end: Math.min(match[j], to - 1) };
+      }
+      if (token.type === "punct" && token.value === ";") {
+        return { body: null, end: j };
+      }
+      if (
+        j > i &&
+        token.newline &&
+        !CONTINUATION_END.has(at(j - 1).value) &&
+        !CONTINUATION_START.has(token.value) &&
+        token.value !== "{"
+      ) {
+        return { body: null, end: j - 1 };
+      }
+      j = next(j);
+    }
+    return { body: null, end: to - 1 };
+  }
+
+  /**
+   * Skip decorators ("@Name", "@a.b(...)")
+   * @param {number} i - Token index
+   * @returns {number} Index after the decorators
+   */
+  function skipDecorators(i) {
+    while (is(i, "@") && isIdent(i + 1)) {
+      i += 2;
+      while (is(i, ".") && isIdent(i + 1)) {
+        i += 2;
+      }
+      if (is(i, "(")) {
+        i = match[i] + 1;
+      }
+    }
+    return i;
+  }
+
+  /**
+   * Find the body "{" of a class/interface/enum header
+   * @param {number} i - Token index after the name
+   * @param {number} to - Exclusive upper bound
+   * @returns {number} Index of "{" (or -1)
+   */
+  function findHeaderBody(i, to) {
+    let j = i;
+    while (j < to) {
+      if (is(j, "{") && !TYPE_CONTEXT_TOKENS.has(at(j - 1).value)) {
+        return j;
+      }
+      if (is(j, ";")) {
+        return -1;
+      }
+      j = next(j);
+    }
+    return -1;
+  }
+
+  /**
+   * Build a node for a block declaration (class, interface, enum, namespace)
+   * @param {string} name - Declaration name
+   * @param {string} kind - Declaration kind
+   * @param {number} start - First token index (decorators/modifiers)
+   * @param {number} declStart - First non-decorator token index
+   * @param {number} body - Index of "{"
+   * @param {Function|null} parseChildren - Body parser
+   * @returns {{node: object, next: number}} Node and next token index
+   */
+  function blockNode(name, kind, start, declStart, body, parseChildren) {
+    const close = Math.min(match[body], tokens.length - 1);
+    return {
+      node: createNode({
+        name,
+        kind,
+        start: at(start).start,
+        declStart: at(declStart).start,
+        end: at(close).end,
+        bodyStart: at(body).start,
+        bodyEnd: at(close).start,
+        children: parseChildren ? parseChildren(body + 1, close) : [],
+      }),
+      next: close + 1,
+    };
+  }
+
+  /**
+   * Try to parse a module-level declaration at token i
+   * @param {number} i - Token index
+   * @param {number} to - Exclusive upper bound
+   * @returns {{node: object, next: number}|null} Parsed declaration or null
+   */
+  function parseModuleDeclaration(i, to) {
+    const start = i;
+    i = skipDecorators(i);
+    const declStart = i;
+    let isDefault = false;
+
+    while (
+      isIdent(i) &&
+      ["export", "declare", "abstract", "default"].includes(at(i).value)
+    ) {
+      if (at(i).value === "default") {
+        isDefault = true;
+      }
+      if (
+        at(i).value === "export" &&
+        (is(i + 1, "{") || is(i + 1, "*") || is(i + 1, "="))
+      ) {
+        return null;
+      }
+      i++;
+    }
+    if (is(i, "async") && is(i + 1, "function")) {
+      i++;
+    }
+    if (is(i, "const") && is(i + 1, "enum")) {
+      i++;
+    }
+
+    const keyword = isIdent(i) ? at(i).value : null;
+
+    if (keyword === "class" || keyword === "interface" || keyword === "enum") {
+      const hasName =
+        isIdent(i + 1) && !["extends", "implements"].includes(at(i + 1).value);
+      const name = hasName ? at(i + 1).value : "default";
+      const body = findHeaderBody(i + 1, to);
+      if (body < 0 || (!hasName && !isDefault)) {
+        return null;
+      }
+      const parser =
+        keyword === "class"
+          ? parseClassBody
+          : keyword === "interface"
+            ? parseInterfaceBody
+            : null;
+      return blockNode(name, keyword, start, declStart, body, parser);
+    }
+
+    if (
+      (keyword === "namespace" || keyword === "module") &&
+      (isIdent(i + 1) || at(i + 1).type === "string")
+    ) {
+      let j = i + 1;
+      let name = at(j).value.replace(/^["']|["']$/g, "");
+      while (is(j + 1, ".") && isIdent(j + 2)) {
+        name += "." + at(j + 2).value;
+        j += 2;
+      }
+      if (!is(j + 1, "{")) {
+        return null;
+      }
+      return blockNode(
+        name,
+        "namespace",
+        start,
+        declStart,
+        j + 1,
+        parseModuleBody
+      );
+    }
+
+    if (keyword === "function") {
+      let j = i + 1;
+      if (is(j, "*")) {
+        j++;
+      }
+      const name = isIdent(j) ? at(j).value : isDefault ? "default" : null;
+      if (!name) {
+        return null;
+      }
+      if (isIdent(j)) {
+        j++;
+      }
+      while (j < to && !is(j, "(")) {
+        j++;
+      }
+      if (j >= to) {
+        return null;
+      }
+      const { body, end } = findBodyOrEnd(match[j] + 1, to);
+      return {
+        node: createNode({
+          name,
+          kind: "function",
+          start: at(start).start,
+          declStart: at(declStart).start,
+          end: at(end).end,
+          bodyStart: body === null ? null : at(body).start,
+          bodyEnd: body === null ? null : at(end).start,
+        }),
+        next: end + 1,
+      };
+    }
+
+    if (
+      (keyword === "const" || keyword === "let" || keyword === "var") &&
+      isIdent(i + 1)
+    ) {
+      const end = findStatementEnd(i, to);
+      let init = i + 2;
+      while (init <= end && !is(init, "=")) {
+        init = next(init);
+      }
+      return {
+        node: variableNode(at(i + 1).value, start, declStart, init + 1, end),
+        next: end + 1,
+      };
+    }
+
+    if (
+      keyword === "type" &&
+      isIdent(i + 1) &&
+      (is(i + 2, "=") || is(i + 2, "<"))
+    ) {
+      const end = findStatementEnd(i, to);
+      return {
+        node: createNode({
+          name: at(i + 1).value,
+          kind: "type",
+          start: at(start).start,
+          declStart: at(declStart).start,
+          end: at(end).end,
+        }),
+        next: end + 1,
+      };
+    }
+
+    if (isDefault && i < to) {
+      // export default { ... } / export default defineComponent({ ... })
+      const end = findStatementEnd(i, to);
+      return {
+        node: variableNode("default", start, declStart, i, end),
+        next: end + 1,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a node for a variable declaration, detecting functions and objects
+   * @param {string} name - Variable name
+   * @param {number} start - First token index
+   * @param {number} declStart - First non-decorator token index
+   * @param {number} init - First token index of the initializer
+   * @param {number} end - Last token index of the statement
+   * @returns {object} Symbol node
+   */
+  function variableNode(name, start, declStart, init, end) {
+    let kind = "variable";
+    let children = [];
+    let bodyStart = null;
+    let bodyEnd = null;
+
+    if (is(init, "async")) {
+      init++;
+    }
+    if (is(init, "<")) {
+      // Generic arrow function: <T,>(value: T) => value
+      while (init <= end && !is(init, "(")) {
+        init++;
+      }
+    }
+    if (
+      is(init, "function") ||
+      (is(init, "(") && is(match[init] + 1, "=>")) ||
+      (isIdent(init) && is(init + 1, "=>")) ||
+      (is(init, "(") && is(match[init] + 1, ":"))
+    ) {
+      kind = "function";
+      for (let k = init; k <= end; k = next(k)) {
+        if (
+          (is(k, "{") && !TYPE_CONTEXT_TOKENS.has(at(k - 1).value)) ||
+          (is(k, "=>") && is(k + 1, "{"))
+        ) {
+          const body = is(k, "{") ? k : k + 1;
+          bodyStart = at(body).start;
+          bodyEnd = at(match[body]).start;
+          break;
+        }
+      }
+    } else if (is(init, "class")) {
+      kind = "class";
+      const body = findHeaderBody(init + 1, end + 1);
+      if (body >= 0) {
+        children = parseClassBody(body + 1, match[body]);
+        bodyStart = at(body).start;
+        bodyEnd = at(match[body]).start;
+      }
+    } else {
+      // Object literal, possibly wrapped: defineComponent({ ... })
+      let object = -1;
+      if (is(init, "{")) {
+        object = init;
+      } else if (isIdent(init) && is(init + 1, "(") && is(init + 2, "{")) {
+        object = init + 2;
+      } else if (isIdent(init) && is(init + 1, "<")) {
+        const open = tokens.findIndex(
+          (t, k) => k > init && k <= end && t.value === "("
+        );
+        if (open > 0 && is(open + 1, "{")) {
+          object = open + 1;
+        }
+      }
+      if (object >= 0) {
+        kind = "object";
+        children = parseObjectBody(object + 1, match[object]);
+        bodyStart = at(object).start;
+        bodyEnd = at(match[object]).start;
+      }
+    }
+
+    return createNode({
+      name,
+      kind,
+      start: at(start).start,
+      declStart: at(declStart).start,
+      end: at(end).end,
+      bodyStart,
+      bodyEnd,
+      children,
+    });
+  }
+
+  /**
+   * Parse declarations in a module or namespace body
+   * @param {number} from - First token index
+   * @param {number} to - Exclusive upper bound
+   * @returns {object[]} Symbol nodes
+   */
+  function parseModuleBody(from, to) {
+    const nodes = [];
+    let i = from;
+    while (i < to) {
+      const parsed = parseModuleDeclaration(i, to);
+      if (parsed) {
+        nodes.push(parsed.node);
+        i = Math.max(parsed.next, i + 1);
+      } else {
+        i = next(i);
+      }
+    }
+    return nodes;
+  }
+
+  /**
+   * Read a member name (identifier, string, number, #private or [computed])
+   * @param {number} i - Token index
+   * @returns {{name: string, next: number}|null} Name and next index
+   */
+  function readMemberName(i) {
+    const token = at(i);
+    if (
+      token.type === "ident" ||
+      token.type === "string" ||
+      token.type === "number"
+    ) {
+      return { name: token.value.replace(/^["']|["']$/g, ""), next: i + 1 };
+    }
+    if (is(i, "[")) {
+      const close = match[i];
+      return {
+        name: source.slice(token.start, at(close).end),
+        next: close + 1,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Parse members of a class body
+   * @param {number} from - First token index inside "{"
+   * @param {number} to - Index of the closing "}"
+   * @returns {object[]} Member nodes
+   */
+  function parseClassBody(from, to) {
+    const nodes = [];
+    let i = from;
+
+    while (i < to) {
+      if (is(i, ";")) {
+        i++;
+        continue;
+      }
+      const start = i;
+      i = skipDecorators(i);
+      const declStart = i;
+
+      if (is(i, "static") && is(i + 1, "{")) {
+        i = match[i + 1] + 1;
+        continue;
+      }
+
+      let accessor = null;
+      while (isIdent(i) && JS_MEMBER_MODIFIERS.has(at(i).value)) {
+        const following = at(i + 1).value;
+        if (["(", "<", ":", "=", ";", "?", "!", "}"].includes(following)) {
+          break;
+        }
+        if (at(i).value === "get" || at(i).value === "set") {
+          accessor = at(i).value;
+        }
+        i++;
+      }
+      if (is(i, "*")) {
+        i++;
+      }
+
+      const member = readMemberName(i);
+      if (!member) {
+        i = next(i);
+        continue;
+      }
+      let j = member.next;
+      if (is(j, "?") || is(j, "!")) {
+        j++;
+      }
+
+      if (is(j, "(") || is(j, "<")) {
+        while (j < to && !is(j, "(")) {
+          j++;
+        }
+        if (j >= to) {
+          break;
+        }
+        const { body, end } = findBodyOrEnd(match[j] + 1, to);
+        nodes.push(
+          createNode({
+            name: member.name,
+            kind:
+              member.name === "constructor"
+                ? "constructor"
+                : accessor
+                  ? accessor === "get"
+                    ? "getter"
+                    : "setter"
+                  : "method",
+            start: at(start).start,
+            declStart: at(declStart).start,
+            end: at(end).end,
+            bodyStart: body === null ? null : at(body).start,
+            bodyEnd: body === null ? null : at(end).start,
+          })
+        );
+        i = end + 1;
+      } else {
+        const end = findStatementEnd(j, to);
+        const arrow = tokens
+          .slice(j, end + 1)
+          .findIndex((t) => t.value === "=>");
+        let bodyStart = null;
+        let bodyEnd = null;
+        if (arrow >= 0 && is(j + arrow + 1, "{")) {
+          bodyStart = at(j + arrow + 1).start;
+          bodyEnd = at(match[j + arrow + 1]).start;
+        }
+        nodes.push(
+          createNode({
+            name: member.name,
+            kind: arrow >= 0 ? "method" : "property",
+            start: at(start).start,
+            declStart: at(declStart).start,
+            end: at(Math.max(end, member.next - 1)).end,
+            bodyStart,
+            bodyEnd,
+          })
+        );
+        i = Math.max(end, member.next - 1) + 1;
+      }
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Parse members of an interface (or object type) body
+   * @param {number} from - First token index inside "{"
+   * @param {number} to - Index of the closing "}"
+   * @returns {object[]} Member nodes
+   */
+  function parseInterfaceBody(from, to) {
+    const nodes = [];
+    let i = from;
+
+    while (i < to) {
+      if (is(i, ";") || is(i, ",")) {
+        i++;
+        continue;
+      }
+      const start = i;
+      while (is(i, "readonly") && !is(i + 1, ":") && !is(i + 1, "?")) {
+        i++;
+      }
+      const member = is(i, "[") ? null : readMemberName(i);
+      const end = findStatementEnd(i, to, [","]);
+      if (member) {
+        let j = member.next;
+        if (is(j, "?")) {
+          j++;
+        }
+        nodes.push(
+          createNode({
+            name: member.name,
+            kind: is(j, "(") || is(j, "<") ? "method" : "property",
+            start: at(start).start,
+            end: at(end).end,
+          })
+        );
+      }
+      i = Math.max(end + 1, i + 1);
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Parse members of an object literal (Vue options API, exported objects)
+   * @param {number} from - First token index inside "{"
+   * @param {number} to - Index of the closing "}"
+   * @returns {object[]} Member nodes
+   */
+  function parseObjectBody(from, to) {
+    const nodes = [];
+    let i = from;
+
+    while (i < to) {
+      if (is(i, ",")) {
+        i++;
+        continue;
+      }
+      if (is(i, "...")) {
+        while (i < to && !is(i, ",")) {
+          i = next(i);
+        }
+        continue;
+      }
+
+      const start = i;
+      while (
+        isIdent(i) &&
+        ["async", "get", "set"].includes(at(i).value) &&
+        !["(", ":", ","].includes(at(i + 1).value)
+      ) {
+        i++;
+      }
+      if (is(i, "*")) {
+        i++;
+      }
+      const member = readMemberName(i);
+      let end = i;
+      while (end < to && !is(end, ",")) {
+        end = next(end);
+      }
+      const last = Math.min(end, to) - 1;
+
+      if (member) {
+        const j = member.next;
+        let kind = "property";
+        let children = [];
+        let bodyStart = null;
+        let bodyEnd = null;
+
+        if (is(j, "(")) {
+          kind = "method";
+          const { body } = findBodyOrEnd(match[j] + 1, to);
+          if (body !== null) {
+            bodyStart = at(body).start;
+            bodyEnd = at(match[body]).start;
+          }
+        } else if (is(j, ":")) {
+          const value = j + 1;
+          if (is(value, "{")) {
+            kind = "object";
+            children = parseObjectBody(value + 1, match[value]);
+            bodyStart = at(value).start;
+            bodyEnd = at(match[value]).start;
+          } else if (
+            is(value, "function") ||
+            is(value, "async") ||
+            (isIdent(value) && is(value + 1, "=>")) ||
+            (is(value, "(") && is(match[value] + 1, "=>"))
+          ) {
+            kind = "method";
+          }
+        }
+
+        nodes.push(
+          createNode({
+            name: member.name,
+            kind,
+            start: at(start).start,
+            end: at(last).end,
+            bodyStart,
+            bodyEnd,
+            children,
+          })
+        );
+      }
+      i = end;
+    }
+
+    return nodes;
+  }
+
+  return { nodes: parseModuleBody(0, tokens.length), comments };
+}
+
+// ============================================================================
+// C# Scanner
+// ============================================================================
+
+/**
+ * Tokenize C# source
+ * @param {string} source - Source text
+ * @returns {{tokens: object[], comments: {start: number, end: number}[]}} Tokens and comment spans
+ */
+function tokenizeCSharp(source) {
+  const length = source.length;
+  const tokens = [];
+  const comments = [];
+  let newline = false;
+  let i = 0;
+
+  /**
+   * Skip an interpolation hole "{...}" inside an interpolated string
+   * @param {number} pos - Offset of "{"
+   * @returns {number} Offset after the matching "}"
+   */
+  function skipHole(pos) {
+    let depth = 0;
+    let j = pos;
+    while (j < length) {
+      const c = source[j];
+      if (c === "{") {
+        depth++;
+      } else if (c === "}") {
+        depth--;
+        if (depth === 0) {
+          return j + 1;
+        }
+      } else if (c === '"' || c === "@" || c === "$") {
+        const end = scanStringAt(j);
+        if (end > j) {
+          j = end;
+          continue;
+        }
+      } else if (c === "'") {
+        j = scanChar(j);
+        continue;
+      }
+      j++;
+    }
+    return length;
+  }
+
+  /**
+   * Scan a character literal
+   * @param {number} pos - Offset of the opening quote
+   * @returns {number} Offset after the closing quote
+   */
+  function scanChar(pos) {
+    let j = pos + 1;
+    while (j < length && source[j] !== "'" && source[j] !== "\n") {
+      if (source[j] === "\\") {
+        j++;
+      }
+      j++;
+    }
+    return j + 1;
+  }
+
+  /**
+   * Scan any string literal form starting at pos
+   * Handles "...", @"...", $"...", $@"...", @$"..." and raw """...""" strings.
+   *
+   * @param {number} pos - Offset of the prefix or opening quote
+   * @returns {number} Offset after the literal (or pos if not a string)
+   */
+  function scanStringAt(pos) {
+    const prefix = /^[$@]*/.exec(source.slice(pos, pos + 8))[0];
+    const quoteStart = pos + prefix.length;
+    if (source[quoteStart] !== '"') {
+      return pos;
+    }
+    const interpolated = prefix.includes("$");
+    const verbatim = prefix.includes("@");
+
+    // Raw string literal: three or more quotes
+    const quotes = /^"+/.exec(source.slice(quoteStart))[0].length;
+    if (quotes >= 3) {
+      const closing = '"'.repeat(quotes);
+      const end = source.indexOf(closing, quoteStart + quotes);
+      return end < 0 ? length : end + quotes;
+    }
+
+    let j = quoteStart + 1;
+    while (j < length) {
+      const c = source[j];
+      if (verbatim && c === '"' && source[j + 1] === '"') {
+        j += 2;
+      } else if (c === '"') {
+        return j + 1;
+      } else if (!verbatim && c === "\\") {
+        j += 2;
+      } else if (!verbatim && c === "\n") {
+        return j;
+      } else if (interpolated && c === "{") {
+        if (source[j + 1] === "{") {
+          j += 2;
+        } else {
+          j = skipHole(j);
+        }
+      } else {
+        j++;
+      }
+    }
+    return length;
+  }
+
+  const push = (type, value, start, end) => {
+    tokens.push({ type, value, start, end, newline });
+    newline = false;
+  };
+
+  while (i < length) {
+    const c = source[i];
+
+    if (c === "\n") {
+      newline = true;
+      i++;
+    } else if (/\s/.test(c)) {
+      i++;
+    } else if (c === "/" && source[i + 1] === "/") {
+      const end = source.indexOf("\n", i);
+      const commentEnd = end < 0 ? length : end;
+      comments.push({ start: i, end: commentEnd });
+      i = commentEnd;
+    } else if (c === "/" && source[i + 1] === "*") {
+      const end = source.indexOf("*/", i + 2);
+      const commentEnd = end < 0 ? length : end + 2;
+      comments.push({ start: i, end: commentEnd });
+      i = commentEnd;
+    } else if (
+      c === "#" &&
+      /^[ \t]*$/.test(source.slice(source.lastIndexOf("\n", i - 1) + 1, i))
+    ) {
+      // Preprocessor directive (#region, #if, ...) - treated as a comment
+      const end = source.indexOf("\n", i);
+      const directiveEnd = end < 0 ? length : end;
+      comments.push({ start: i, end: directiveEnd });
+      i = directiveEnd;
+    } else if (
+      c === '"' ||
+      ((c === "@" || c === "$") && /^[$@]*"/.test(source.slice(i, i + 4)))
+    ) {
+      const end = scanStringAt(i);
+      push("string", source.slice(i, end), i, end);
+      i = end;
+    } else if (c === "'") {
+      const end = scanChar(i);
+      push("char", source.slice(i, end), i, end);
+      i = end;
+    } else if (/[A-Za-z_@\u0080-\uffff]/.test(c)) {
+      let end = i + 1;
+      while (end < length && /[\w\u0080-\uffff]/.test(source[end])) {
+        end++;
+      }
+      push("ident", source.slice(i, end).replace(/^@/, ""), i, end);
+      i = end;
+    } else if (/\d/.test(c)) {
+      let end = i + 1;
+      while (end < length && /[\w.]/.test(source[end])) {
+        end++;
+      }
+      push("number", source.slice(i, end), i, end);
+      i = end;
+    } else {
+      const op = CS_PUNCTUATORS.find((p) => source.startsWith(p, i)) || c;
+      push("punct", op, i, i + op.length);
+      i += op.length;
+    }
+  }
+
+  return { tokens, comments };
+}
+
+/**
+ * Parse C# declarations from source
+ * @param {string} source - Source text
+ * @returns {{nodes: object[], comments: object[]}} Offset-based nodes and comments
+ */
+function parseCSharpDeclarations(source) {
+  const { tokens, comments } = tokenizeCSharp(source);
+  const match = matchBrackets(tokens);
+  const at = (i) =>
+    tokens[i] || {
+      type: "eof",
+      value: "",
+      start: source.length,
+      end: source.length,
+    };
+  const is = (i, value) =>
+    (at(i).type === "punct" && at(i).value === value) ||
+    (at(i).type === "ident" && at(i).value === value);
+  const isIdent = (i) => at(i).type === "ident";
+
+  const next = (i) =>
+    is(i, "(") || is(i, "[") || is(i, "{") ? match[i] + 1 : i + 1;
+
+  /**
+   * Find the ";" ending a statement, jumping over bracket groups
+   * @param {number} i - Token index
+   * @param {number} to - Exclusive upper bound
+   * @returns {number} Index of ";" (or last token before to)
+   */
+  function findSemicolon(i, to) {
+    let j = i;
+    while (j < to) {
+      if (is(j, ";")) {
+        return j;
+      }
+      j = next(j);
+    }
+    return to - 1;
+  }
+
+  /**
+   * Get the declared name before "(" (skipping generic parameters)
+   * @param {number} paren - Index of "("
+   * @returns {string|null} Method name
+   */
+  function nameBeforeParen(paren) {
+    let j = paren - 1;
+    if (is(j, ">")) {
+      let depth = 0;
+      for (; j >= 0; j--) {
+        if (is(j, ">")) {
+          depth++;
+        } else if (is(j, "<")) {
+          depth--;
+          if (depth === 0) {
+            j--;
+            break;
+          }
+        }
+      }
+    }
+    if (isIdent(j) && is(j - 1, "operator")) {
+      return `operator ${at(j).value}`;
+    }
+    if (at(j).type === "punct" && is(j - 1, "operator")) {
+      return `operator ${at(j).value}`;
+    }
+    return isIdent(j) ? at(j).value : null;
+  }
+
+  /**
+   * Parse declarations in a namespace or type body
+   * @param {number} from - First token index
+   * @param {number} to - Exclusive upper bound
+   * @param {boolean} inType - True inside a class/struct/interface/record body
+   * @returns {object[]} Symbol nodes
+   */
+  function parseBlock(from, to, inType) {
+    const nodes = [];
+    let i = from;
+
+    while (i < to) {
+      if (is(i, ";") || is(i, "}")) {
+        i++;
+        continue;
+      }
+
+      const start = i;
+      // Attributes: [Fact], [HttpGet("x")]
+      while (is(i, "[")) {
+        i = match[i] + 1;
+      }
+      const declStart = i;
+      while (isIdent(i) && CS_MODIFIERS.has(at(i).value)) {
+        i++;
+      }
+
+      if (is(i, "using") || is(i, "global") || is(i, "extern")) {
+        i = findSemicolon(i, to) + 1;
+        continue;
+      }
+
+      if (is(i, "namespace")) {
+        let j = i + 1;
+        let name = "";
+        while (j < to && (isIdent(j) || is(j, "."))) {
+          name += at(j).value;
+          j++;
+        }
+        if (is(j, ";")) {
+          // File-scoped namespace: the rest of the block belongs to it
+          const children = parseBlock(j + 1, to, false);
+          nodes.push(
+            createNode({
+              name,
+              kind: "namespace",
+              start: at(start).start,
+              declStart: at(declStart).start,
+              end: at(to - 1).end,
+              children,
+            })
+          );
+          return nodes;
+        }
+        if (is(j, "{")) {
+          const close = Math.min(match[j], to);
+          nodes.push(
+            createNode({
+              name,
+              kind: "namespace",
+              start: at(start).start,
+              declStart: at(declStart).start,
+              end: at(close).end,
+              bodyStart: at(j).start,
+              bodyEnd: at(close).start,
+              children: parseBlock(j + 1, close, false),
+            })
+          );
+          i = close + 1;
+          continue;
+        }
+      }
+
+      if (isIdent(i) && CS_TYPE_KEYWORDS.has(at(i).value)) {
+        let kind = at(i).value;
+        let j = i + 1;
+        if (kind === "record" && (is(j, "struct") || is(j, "class"))) {
+          j++;
+        }
+        if (isIdent(j)) {
+          const name = at(j).value;
+          let k = j + 1;
+          while (k < to && !is(k, "{") && !is(k, ";")) {
+            k = next(k);
+          }
+          if (is(k, "{")) {
+            const close = Math.min(match[k], to);
+            nodes.push(
+              createNode({
+                name,
+                kind,
+                start: at(start).start,
+                declStart: at(declStart).start,
+                end: at(close).end,
+                bodyStart: at(k).start,
+                bodyEnd: at(close).start,
+                children: kind === "enum" ? [] : parseBlock(k + 1, close, true),
+              })
+            );
+            i = close + 1;
+          } else {
+            nodes.push(
+              createNode({
+                name,
+                kind,
+                start: at(start).start,
+                declStart: at(declStart).start,
+                end: at(Math.min(k, to - 1)).end,
+              })
+            );
+            i = k + 1;
+          }
+          continue;
+        }
+      }
+
+      if (is(i, "delegate")) {
+        const end = findSemicolon(i, to);
+        const paren = tokens.findIndex(
+          (t, k) => k > i && k < end && t.value === "("
+        );
+        const name = paren > 0 ? nameBeforeParen(paren) : null;
+        if (name) {
+          nodes.push(
+            createNode({
+              name,
+              kind: "delegate",
+              start: at(start).start,
+              declStart: at(declStart).start,
+              end: at(end).end,
+            })
+          );
+        }
+        i = end + 1;
+        continue;
+      }
+
+      if (!inType) {
+        // Top-level statements and stray tokens
+        i = next(i);
+        continue;
+      }
+
+      // Member: method, constructor, property, indexer, field or event
+      let j = i;
+      let member = null;
+      while (j < to) {
+        if (is(j, "(")) {
+          const name = nameBeforeParen(j);
+          let k = match[j] + 1;
+          while (k < to && !is(k, "{") && !is(k, "=>") && !is(k, ";")) {
+            k = next(k);
+          }
+          let body = null;
+          let end;
+          if (is(k, "{")) {
+            body = k;
+            end = Math.min(match[k], to - 1);
+          } else {
+            end = is(k, "=>") ? findSemicolon(k, to) : k;
+          }
+          member = { name, kind: "method", body, end };
+          break;
+        }
+        if (is(j, "{") || is(j, "=>")) {
+          const indexer = is(j - 1, "]") && is(match[j - 1] - 1, "this");
+          const name = indexer
+            ? "this[]"
+            : isIdent(j - 1)
+              ? at(j - 1).value
+              : null;
+          let end = is(j, "{")
+            ? Math.min(match[j], to - 1)
+            : findSemicolon(j, to);
+          if (is(j, "{") && is(end + 1, "=")) {
+            end = findSemicolon(end + 1, to);
+          }
+          member = { name, kind: "property", body: is(j, "{") ? j : null, end };
+          break;
+        }
+        if (is(j, "=") || is(j, ";")) {
+          const end = is(j, ";") ? j : findSemicolon(j, to);
+          member = {
+            name: isIdent(j - 1) ? at(j - 1).value : null,
+            kind: "field",
+            body: null,
+            end,
+          };
+          break;
+        }
+        j = next(j);
+      }
+
+      if (!member) {
+        break;
+      }
+      if (member.name) {
+        nodes.push(
+          createNode({
+            name: member.name,
+            kind: member.kind,
+            start: at(start).start,
+            declStart: at(declStart).start,
+            end: at(member.end).end,
+            bodyStart: member.body === null ? null : at(member.body).start,
+            bodyEnd: member.body === null ? null : at(match[member.body]).start,
+          })
+        );
+      }
+      i = member.end + 1;
+    }
+
+    return nodes;
+  }
+
+  const nodes = parseBlock(0, tokens.length, false);
+
+  // Constructors share the enclosing type's name
+  const markConstructors = (list, typeName) => {
+    for (const node of list) {
+      if (node.kind === "method" && node.name === typeName) {
+        node.kind = "constructor";
+      }
+      markConstructors(node.children, node.name);
+    }
+  };
+  markConstructors(nodes, null);
+
+  return { nodes, comments };
+}
+
+// ============================================================================
+// Python Scanner
+// ============================================================================
+
+/**
+ * Find the "#" comments of Python source, skipping strings (triple-quoted
+ * strings span lines, so docstrings are never mistaken for code)
+ * @param {string} source - Source text
+ * @returns {{start: number, end: number}[]} Comment spans
+ */
+function scanPythonComments(source) {
+  const comments = [];
+  let i = 0;
+  while (i < source.length) {
+    const c = source[i];
+    if (c === '"' || c === "'") {
+      const quote = source.startsWith(c.repeat(3), i) ? c.repeat(3) : c;
+      let j = i + quote.length;
+      while (j < source.length && !source.startsWith(quote, j)) {
+        if (quote.length === 1 && source[j] === "\n") {
+          break;
+        }
+        j += source[j] === "\\" ? 2 : 1;
+      }
+      i = j + quote.length;
+    } else if (c === "#") {
+      const end = source.indexOf("\n", i);
+      const commentEnd = end < 0 ? source.length : end;
+      comments.push({ start: i, end: commentEnd });
+      i = commentEnd;
+    } else {
+      i++;
+    }
+  }
+  return comments;
+}
+
+/**
+ * Parse Python classes and functions by indentation
+ * @param {string} source - Source text
+ * @returns {object[]} Line-based symbols
+ */
+function parsePythonSymbols(source) {
+  const lines = source.split("\n");
+  const logical = [];
+  let inString = null;
+  let depth = 0;
+
+  // Classify physical lines: start of a logical line, continuation, or blank
+  for (const [index, line] of lines.entries()) {
+    const startsLogical = inString === null && depth === 0;
+    let i = 0;
+    while (i < line.length) {
+      const c = line[i];
+      if (inString) {
+        if (c === "\\") {
+          i += 2;
+          continue;
+        }
+        if (line.startsWith(inString, i)) {
+          i += inString.length;
+          inString = null;
+          continue;
+        }
+        i++;
+        continue;
+      }
+      if (c === "#") {
+        break;
+      }
+      if (c === '"' || c === "'") {
+        const triple = line.startsWith(c.repeat(3), i) ? c.repeat(3) : null;
+        if (triple) {
+          inString = triple;
+          i += 3;
+        } else {
+          let j = i + 1;
+          while (j < line.length && line[j] !== c) {
+            j += line[j] === "\\" ? 2 : 1;
+          }
+          i = j + 1;
+        }
+        continue;
+      }
+      if ("([{".includes(c)) {
+        depth++;
+      } else if (")]}".includes(c)) {
+        depth = Math.max(0, depth - 1);
+      }
+      i++;
+    }
+
+    const trimmed = line.trim();
+    if (startsLogical && trimmed !== "" && !trimmed.startsWith("#")) {
+      logical.push({
+        line: index + 1,
+        indent: line.length - line.trimStart().length,
+        text: trimmed,
+      });
+    }
+  }
+
+  const lastCodeLineBefore = (lineNumber) => {
+    let n = lineNumber - 1;
+    while (n > 0 && lines[n - 1].trim() === "") {
+      n--;
+    }
+    return n;
+  };
+
+  const roots = [];
+  const stack = [];
+
+  for (const [index, entry] of logical.entries()) {
+    const declMatch = /^(?:async\s+)?(def|class)\s+([A-Za-z_]\w*)/.exec(
+      entry.text
+    );
+    if (!declMatch) {
+      continue;
+    }
+
+    // Block ends before the next logical line at the same or lower indent
+    let endLine = lines.length;
+    for (let k = index + 1; k < logical.length; k++) {
+      if (logical[k].indent <= entry.indent) {
+        endLine = lastCodeLineBefore(logical[k].line);
+        break;
+      }
+    }
+    if (endLine === lines.length) {
+      endLine = lastCodeLineBefore(lines.length + 1);
+    }
+
+    // Decorators and comments directly above
+    let startLine = entry.line;
+    for (let k = index - 1; k >= 0; k--) {
+      if (
+        logical[k].indent === entry.indent &&
+        logical[k].text.startsWith("@") &&
+        logical[k].line === startLine - 1
+      ) {
+        startLine = logical[k].line;
+      } else {
+        break;
+      }
+    }
+    const declLine = startLine;
+    while (startLine > 1 && lines[startLine - 2].trim().startsWith("#")) {
+      startLine--;
+    }
+
+    const headerEnd = logical[index + 1]
+      ? Math.max(entry.line, logical[index + 1].line - 1)
+      : entry.line;
+    const symbol = {
+      name: declMatch[2],
+      kind: declMatch[1] === "class" ? "class" : "function",
+      startLine,
+      declLine,
+      endLine,
+      bodyStartLine: Math.min(lastCodeLineBefore(headerEnd + 1), endLine),
+      bodyEndLine: endLine,
+      indent: entry.indent,
+      children: [],
+    };
+
+    while (stack.length > 0 && stack[stack.length - 1].indent >= entry.indent) {
+      stack.pop();
+    }
+    if (stack.length > 0) {
+      const parent = stack[stack.length - 1];
+      if (parent.kind === "class" && symbol.kind === "function") {
+        symbol.kind = "method";
+      }
+      parent.children.push(symbol);
+    } else {
+      roots.push(symbol);
+    }
+    stack.push(symbol);
+  }
+
+  const strip = (list) =>
+    list.map(({ indent, children, ...rest }) => ({
+      ...rest,
+      children: strip(children),
+    }));
+  return strip(roots);
+}
+
+// ============================================================================
+// Outline Helpers
+// ============================================================================
+
+/**
+ * Get the first line of text of a doc comment or docstring
+ * @param {string[]} commentLines - Comment lines, markers included
+ * @returns {string|null} Summary, or null if the comment has no text
+ */
+function summarizeDocComment(commentLines) {
+  for (const line of commentLines) {
+    const text = line
+      .trim()
+      .replace(/^(?:\/\*\*?|\/\/\/?|\*|#|[rRuU]?(?:"""|'''))\s?/, "")
+      .replace(/\s*(?:\*\/|"""|''')$/, "")
+      .trim();
+    if (DOC_DETAIL_TAG_PATTERN.test(text)) {
+      continue;
+    }
+    const summary = text
+      .replace(/<see\s+cref="([^"]+)"\s*\/>/g, "$1")
+      .replace(/<\/?\w+[^>]*>/g, "")
+      .trim();
+    if (/\w/.test(summary) && !summary.startsWith("@")) {
+      return summary;
+    }
+  }
+  return null;
+}
+
+/**
+ * Split the lines above a declaration into its comment and its decorators
+ * @param {string[]} lines - File lines
+ * @param {number} from - First line above the declaration
+ * @param {number} to - Last line above the declaration
+ * @param {string} language - Parser language from getSymbolLanguage
+ * @returns {{comment: string[], decorators: number[]}} Comment lines, and the line numbers of decorators and attributes
+ */
+function splitLeadingLines(lines, from, to, language) {
+  const comment = [];
+  const decorators = [];
+  let inBlock = false;
+  for (let number = from; number <= to; number++) {
+    const trimmed = lines[number - 1].trim();
+    if (inBlock) {
+      comment.push(trimmed);
+      inBlock = !trimmed.includes("*/");
+    } else if (trimmed.startsWith("/*")) {
+      comment.push(trimmed);
+      inBlock = !trimmed.slice(2).includes("*/");
+    } else if (
+      trimmed.startsWith("//") ||
+      (language === "python" && trimmed.startsWith("#"))
+    ) {
+      comment.push(trimmed);
+    } else if (trimmed && !(language === "csharp" && trimmed.startsWith("#"))) {
+      // C# preprocessor lines (#region) are neither
+      decorators.push(number);
+    }
+  }
+  return { comment, decorators };
+}
+
+/**
+ * Find the docstring opening a Python body
+ * @param {string[]} lines - File lines
+ * @param {number} headerEnd - Last line of the def or class header
+ * @param {number} endLine - Last line of the body
+ * @returns {{lines: string[], end: number}|null} Docstring lines and its last line number, or null without one
+ */
+function findDocstring(lines, headerEnd, endLine) {
+  let number = headerEnd + 1;
+  while (number <= endLine && lines[number - 1].trim() === "") {
+    number++;
+  }
+  if (number > endLine) {
+    return null;
+  }
+  const first = lines[number - 1].trim();
+  const quote = /^[rRuU]?("""|''')/.exec(first)?.[1];
+  if (!quote) {
+    return null;
+  }
+  const docstring = [first];
+  let closed = first.indexOf(quote, first.indexOf(quote) + 3) >= 0;
+  while (!closed && number < endLine) {
+    number++;
+    docstring.push(lines[number - 1].trim());
+    closed = lines[number - 1].includes(quote);
+  }
+  return { lines: docstring, end: number };
+}
+
+/**
+ * Check that a line closes every bracket it opens
+ * @param {string} line - Source line
+ * @returns {boolean} True if brackets balance
+ */
+function isBalancedLine(line) {
+  const opens = (line.match(/[([{]/g) || []).length;
+  const closes = (line.match(/[)\]}]/g) || []).length;
+  return opens === closes;
+}
+
+/**
+ * Format a doc summary as a one-line comment in the file's language
+ * @param {string} summary - Summary text
+ * @param {string} language - Parser language from getSymbolLanguage
+ * @returns {string} Comment (e.g., "/// Refreshes the token")
+ */
+function formatDocSummary(summary, language) {
+  if (language === "python") {
+    return `# ${summary}`;
+  }
+  return language === "csharp" ? `/// ${summary}` : `/** ${summary} */`;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Get the parser language for a file, or null if symbols are unsupported
+ * @param {string} filePath - Path to file
+ * @returns {string|null} Parser language ("js", "ts", "csharp", ...)
+ */
+export function getSymbolLanguage(filePath) {
+  return SYMBOL_LANGUAGES[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Parse all declarations in a source file
+ * @param {string} content - File content
+ * @param {string} filePath - Path to file (used to pick the parser)
+ * @returns {{name: string, kind: string, startLine: number, declLine: number, endLine: number, bodyStartLine: number|null, bodyEndLine: number|null, children: object[]}[]} Symbol tree
+ * @throws {Error} If the file type is not supported
+ */
+export function parseSymbols(content, filePath) {
+  const language = getSymbolLanguage(filePath);
+  const source = content.replace(/\r\n?/g, "\n");
+
+  switch (language) {
+    case "js":
+    case "jsx":
+    case "tsx": {
+      const { nodes, comments } = parseJsDeclarations(source, { jsx: true });
+      return toLineSymbols(nodes, source, comments);
+    }
+    case "ts": {
+      const { nodes, comments } = parseJsDeclarations(source, { jsx: false });
+      return toLineSymbols(nodes, source, comments);
+    }
+    case "csharp": {
+      const { nodes, comments } = parseCSharpDeclarations(source);
+      return toLineSymbols(nodes, source, comments);
+    }
+    case "python":
+      return parsePythonSymbols(source);
+    case "vue": {
+      const symbols = [];
+      const scriptPattern = /<script\b([^>]*)>([\s\S]*?)<\/script>/g;
+      let scriptMatch;
+      while ((scriptMatch = scriptPattern.exec(source)) !== null) {
+        const attrs = scriptMatch[1];
+        const body = scriptMatch[2];
+        const bodyOffset = scriptMatch.index + scriptMatch[0].indexOf(">") + 1;
+        const lineOffset = source.slice(0, bodyOffset).split("\n").length - 1;
+        const lang = /\blang=["']?(\w+)/.exec(attrs)?.[1] || "js";
+        const { nodes, comments } = parseJsDeclarations(body, {
+          jsx: lang !== "ts",
+        });
+        symbols.push(...toLineSymbols(nodes, body, comments, lineOffset));
+      }
+      return symbols;
+    }
+    default:
+      throw new Error(
+        `Symbol extraction not supported for ${path.extname(filePath) || "files without extension"} (supported: ${Object.keys(SYMBOL_LANGUAGES).join(", ")})`
+      );
+  }
+}
+
+/**
+ * Find the comments of a source file with the language's own scanner
+ * Markers inside strings, template literals and regexes are never reported.
+ * C# preprocessor directives (#if, #region) are code here, not comments.
+ *
+ * @param {string} content - File content (LF line endings)
+ * @param {string} filePath - Path to file (used to pick the scanner)
+ * @returns {{start: number, end: number}[]|null} Comment spans as offsets into the content, or null if the language is unsupported
+ */
+export function findComments(content, filePath) {
+  switch (getSymbolLanguage(filePath)) {
+    case "js":
+    case "jsx":
+    case "tsx":
+      return tokenizeJs(content, { jsx: true }).comments;
+    case "ts":
+      return tokenizeJs(content, { jsx: false }).comments;
+    case "csharp":
+      return tokenizeCSharp(content).comments.filter(
+        (comment) => content[comment.start] !== "#"
+      );
+    case "python":
+      return scanPythonComments(content);
+    case "vue": {
+      const comments = [];
+      for (const match of content.matchAll(
+        /<script\b([^>]*)>([\s\S]*?)<\/script>/g
+      )) {
+        const offset = match.index + match[0].indexOf(">") + 1;
+        const lang = /\blang=["']?(\w+)/.exec(match[1])?.[1] || "js";
+        for (const comment of tokenizeJs(match[2], { jsx: lang !== "ts" })
+          .comments) {
+          comments.push({
+            start: comment.start + offset,
+            end: comment.end + offset,
+          });
+        }
+      }
+      return comments;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Render a file as declaration signatures with bodies elided
+ * Used to shrink a file when it does not fit the size budget. Leading doc
+ * comments and top-level statements are dropped; nested members are kept.
+ *
+ * @param {string} content - File content
+ * @param {string} filePath - Path to file (used to pick the parser)
+ * @returns {string} Signature-only view of the file
+ * @throws {Error} If the file type is not supported
+ */
+export function buildSignatureView(content, filePath) {
+  const symbols = parseSymbols(content, filePath);
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+  const isPython = getSymbolLanguage(filePath) === "python";
+  const output = [];
+
+  const render = (symbol) => {
+    // File-scoped namespaces have children but no braces
+    if (symbol.bodyStartLine === null && symbol.children.length > 0) {
+      output.push(lines[symbol.declLine - 1]);
+      symbol.children.forEach(render);
+      return;
+    }
+
+    const headerEnd = symbol.bodyStartLine ?? symbol.endLine;
+    output.push(...lines.slice(symbol.declLine - 1, headerEnd));
+    if (symbol.bodyStartLine === null || symbol.endLine <= headerEnd) {
+      return;
+    }
+
+    if (symbol.children.length > 0) {
+      symbol.children.forEach(render);
+    } else {
+      const indent = /^\s*/.exec(lines[symbol.declLine - 1])[0];
+      const bodyIndent = /^\s*/.exec(lines[headerEnd] || "")[0];
+      const placeholderIndent =
+        bodyIndent.length > indent.length ? bodyIndent : `${indent}    `;
+      output.push(`${placeholderIndent}${isPython ? "..." : "…"}`);
+    }
+
+    // Closing brace line ("}", "});") for brace languages
+    if (!isPython && symbol.bodyEndLine > headerEnd) {
+      output.push(lines[symbol.bodyEndLine - 1]);
+    }
+  };
+
+  symbols.forEach(render);
+  return output.join("\n");
+}
+
+/**
+ * Render a file as an outline: declarations with their signatures and doc
+ * summaries, bodies collapsed to "{ … }" with the lines they span
+ * Named symbols are shown in full, so an outline can carry the methods a
+ * question is about. Lines copied from the file keep their line number;
+ * lines the outline writes (summaries, placeholders) have none.
+ *
+ * @param {string} content - File content
+ * @param {string} filePath - Path to file (used to pick the parser)
+ * @param {object} [options] - Options
+ * @param {string[]} [options.expand] - Symbols to show in full (e.g., ["AuthService.refresh"])
+ * @returns {{line: number|null, text: string}[]} Outline lines
+ * @throws {Error} If the file type is unsupported or a symbol is not found
+ */
+export function buildOutline(content, filePath, { expand = [] } = {}) {
+  const language = getSymbolLanguage(filePath);
+  if (!language) {
+    throw new Error(
+      `Outlines not supported for ${path.extname(filePath) || "files without extension"} (supported: ${Object.keys(SYMBOL_LANGUAGES).join(", ")})`
+    );
+  }
+  const symbols = parseSymbols(content, filePath);
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+  const full = new Set(
+    expand.flatMap((name) =>
+      resolveSymbol(symbols, name).map(({ symbol }) => symbol)
+    )
+  );
+  const isPython = language === "python";
+  const output = [];
+  const copy = (number, text = lines[number - 1]) =>
+    output.push({ line: number, text });
+  const write = (text) => output.push({ line: null, text });
+  const describeSpan = (from, to) =>
+    `${isPython ? "#" : "//"} ${from === to ? `line ${from}` : `lines ${from}-${to}`}`;
+  const copyRange = (from, to) => {
+    for (let number = from; number <= to; number++) {
+      copy(number);
+    }
+  };
+
+  // "{ … }" on the header line when it ends with the opening bracket,
+  // otherwise a placeholder line between header and closing line
+  const collapse = (headerEnd, closeLine, indent) => {
+    const header = lines[headerEnd - 1].trimEnd();
+    const closing = lines[closeLine - 1].trim();
+    const span = describeSpan(headerEnd, closeLine);
+    if (/[{[(]$/.test(header)) {
+      const close = /^[)\]}][)\]};,]*$/.test(closing) ? closing : "}";
+      copy(headerEnd, `${header} … ${close} ${span}`);
+    } else {
+      copy(headerEnd);
+      write(`${indent}    … ${span}`);
+      copy(closeLine);
+    }
+  };
+
+  const renderAll = (list) =>
+    list.forEach((symbol, index) => render(symbol, index === 0));
+
+  const renderPython = (symbol) => {
+    copyRange(symbol.declLine, symbol.bodyStartLine);
+    const docstring = findDocstring(
+      lines,
+      symbol.bodyStartLine,
+      symbol.endLine
+    );
+    const firstBodyLine = lines
+      .slice(symbol.bodyStartLine, symbol.endLine)
+      .find((line) => line.trim() !== "");
+    const indent = /^\s*/.exec(lines[symbol.declLine - 1])[0];
+    const bodyIndent = firstBodyLine
+      ? /^\s*/.exec(firstBodyLine)[0]
+      : `${indent}    `;
+    const summary = docstring && summarizeDocComment(docstring.lines);
+    if (summary) {
+      write(`${bodyIndent}"""${summary}"""`);
+    }
+    const rest = (docstring?.end ?? symbol.bodyStartLine) + 1;
+
+    // Classes list their attributes and methods; functions hide nested defs
+    if (symbol.kind === "class") {
+      const fields = [];
+      for (let number = rest; number <= symbol.endLine; number++) {
+        const line = lines[number - 1];
+        if (
+          /^\s*/.exec(line)[0] === bodyIndent &&
+          PYTHON_FIELD_PATTERN.test(line.trim()) &&
+          isBalancedLine(line) &&
+          !symbol.children.some(
+            (child) => number >= child.startLine && number <= child.endLine
+          )
+        ) {
+          fields.push(number);
+        }
+      }
+      const members = [
+        ...fields.map((number) => ({ line: number, symbol: null })),
+        ...symbol.children.map((child) => ({
+          line: child.startLine,
+          symbol: child,
+        })),
+      ].sort((a, b) => a.line - b.line);
+      if (members.length > 0) {
+        members.forEach((member, index) =>
+          member.symbol ? render(member.symbol, index === 0) : copy(member.line)
+        );
+        return;
+      }
+    }
+    if (rest <= symbol.endLine) {
+      write(`${bodyIndent}...  ${describeSpan(rest, symbol.endLine)}`);
+    }
+  };
+
+  const render = (symbol, first) => {
+    if (!first && lines[symbol.startLine - 2]?.trim() === "") {
+      write("");
+    }
+    if (full.has(symbol)) {
+      copyRange(symbol.startLine, symbol.endLine);
+      return;
+    }
+
+    const indent = /^\s*/.exec(lines[symbol.declLine - 1])[0];
+    const { comment, decorators } = splitLeadingLines(
+      lines,
+      symbol.startLine,
+      symbol.declLine - 1,
+      language
+    );
+    const summary = summarizeDocComment(comment);
+    if (summary) {
+      write(`${indent}${formatDocSummary(summary, language)}`);
+    }
+    decorators.forEach((number) => copy(number));
+
+    const short = symbol.endLine - symbol.declLine < OUTLINE_SHORT_LINES;
+    if (
+      OUTLINE_FULL_KINDS.has(symbol.kind) ||
+      (short && symbol.children.length === 0)
+    ) {
+      copyRange(symbol.declLine, symbol.endLine);
+    } else if (isPython) {
+      renderPython(symbol);
+    } else if (symbol.bodyStartLine === null) {
+      if (symbol.children.length > 0) {
+        // File-scoped namespaces have children but no braces
+        copy(symbol.declLine);
+        renderAll(symbol.children);
+      } else {
+        // Long declaration without a body (e.g., a table of constants)
+        collapse(symbol.declLine, symbol.endLine, indent);
+      }
+    } else if (symbol.bodyEndLine <= symbol.bodyStartLine) {
+      copyRange(symbol.declLine, symbol.endLine);
+    } else if (symbol.children.length > 0) {
+      copyRange(symbol.declLine, symbol.bodyStartLine);
+      renderAll(symbol.children);
+      copyRange(symbol.bodyEndLine, symbol.endLine);
+    } else {
+      copyRange(symbol.declLine, symbol.bodyStartLine - 1);
+      collapse(symbol.bodyStartLine, symbol.bodyEndLine, indent);
+      copyRange(symbol.bodyEndLine + 1, symbol.endLine);
+    }
+  };
+
+  renderAll(symbols);
+  return output;
+}
+
+/**
+ * Flatten a symbol tree into qualified names
+ * @param {object[]} symbols - Symbol tree from parseSymbols
+ * @param {string} prefix - Qualified name of the parent
+ * @returns {{qualifiedName: string, parentName: string, symbol: object}[]} Flattened symbols
+ */
+export function flattenSymbols(symbols, prefix = "") {
+  const result = [];
+  for (const symbol of symbols) {
+    const qualifiedName = prefix ? `${prefix}.${symbol.name}` : symbol.name;
+    result.push({ qualifiedName, parentName: prefix, symbol });
+    result.push(...flattenSymbols(symbol.children, qualifiedName));
+  }
+  return result;
+}
+
+/**
+ * Resolve a symbol name ("AuthService.refresh") to its declarations
+ * Names match on qualified-name suffix, so "refresh" finds "AuthService.refresh"
+ * when unique and namespaces can be omitted. Overloads resolve to every
+ * declaration sharing the name.
+ *
+ * @param {object[]} symbols - Symbol tree from parseSymbols
+ * @param {string} name - Symbol name to find
+ * @returns {{qualifiedName: string, symbol: object}[]} Matching declarations (in file order)
+ * @throws {Error} If the name is missing or ambiguous
+ */
+export function resolveSymbol(symbols, name) {
+  const flat = flattenSymbols(symbols);
+  const matches = flat.filter(
+    ({ qualifiedName }) =>
+      qualifiedName === name || qualifiedName.endsWith(`.${name}`)
+  );
+
+  if (matches.length === 0) {
+    const available = flat
+      .filter(({ parentName }) => !parentName)
+      .map(({ qualifiedName }) => qualifiedName);
+    const hint =
+      available.length > 0
+        ? `\n  Available: ${available.slice(0, 15).join(", ")}${available.length > 15 ? ", ..." : ""}`
+        : "\n  No declarations found in file";
+    throw new Error(`Symbol not found: ${name}${hint}`);
+  }
+
+  const qualifiedNames = [...new Set(matches.map((m) => m.qualifiedName))];
+  if (qualifiedNames.length > 1) {
+    throw new Error(
+      `Symbol "${name}" is ambiguous. Use a qualified name: ${qualifiedNames.join(", ")}`
+    );
+  }
+
+  return matches.sort((a, b) => a.symbol.startLine - b.symbol.startLine);
+}
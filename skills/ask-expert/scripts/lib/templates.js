@@ -0,0 +1,262 @@
+/**
+ * Consultation Templates for `extract-code init`
+ *
+ * Built-in skeletons for the ten-part consultation document (bug
+ * investigation, architecture review, performance, security review) and
+ * the extraction plan sections that go with them.
+ *
+ * Documents are markdown with ${name} variables, filled in by the init
+ * command from the repository (branch, base ref, changed files, commits).
+ * ${code} marks where the plan's sections are written, between Part 1 and
+ * Part 3. Each Part carries its recommended size as a guidance comment.
+ *
+ * Plan sections may use `changed` instead of `files`, which init resolves
+ * against the files changed versus the base ref:
+ *
+ * - "diff": a changedSince section (every changed file as a diff)
+ * - "source": changed files that are not tests, in full
+ * - "tests": changed test files, in full
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Recommended size of each Part of a consultation document */
+export const PART_TARGETS = {
+  context: "~15-25 KB",
+  architecture: "~60-90 KB",
+  request: "~5-10 KB",
+};
+
+/** Values of a template section's `changed` selector */
+export const CHANGED_SELECTORS = ["diff", "source", "tests"];
+
+/** Built-in templates, in the order `init --list` shows them */
+const BUILT_IN_TEMPLATES = [
+  {
+    name: "bug",
+    title: "Bug investigation",
+    description: "Symptoms, reproduction and the fix under review",
+    prompts: {
+      problem:
+        "[What goes wrong: symptoms, error messages, failing tests, how to reproduce, since when]",
+      solution: "[The fix and the root cause it addresses]",
+      concerns: [
+        "[Does the fix treat the cause or a symptom?]",
+        "[Side effects on other callers]",
+      ],
+      alternatives: "[Other fixes considered and why they were rejected]",
+      questions: [
+        "[Is the root cause analysis right?]",
+        "[Does the fix introduce regressions or race conditions?]",
+        "[How should we test that this can't happen again?]",
+      ],
+      criteria: [
+        "[Bug no longer reproduces]",
+        "[No behavior change for unaffected paths]",
+      ],
+    },
+    sections: [
+      { header: "What Changed", changed: "diff" },
+      { header: "Implementation", changed: "source" },
+      { header: "Tests", changed: "tests", priority: "preferred" },
+    ],
+  },
+  {
+    name: "architecture",
+    title: "Architecture review",
+    description: "Design, boundaries and trade-offs of a feature or module",
+    prompts: {
+      problem: "[What the system needs to do and what makes it hard]",
+      solution:
+        "[The design: components, responsibilities, data flow, key decisions]",
+      concerns: [
+        "[Coupling and boundaries between components]",
+        "[Where the design will strain as requirements grow]",
+      ],
+      alternatives: "[Other designs considered, with their trade-offs]",
+      questions: [
+        "[Are the component boundaries in the right places?]",
+        "[Which decisions will be expensive to reverse?]",
+        "[What would you simplify?]",
+      ],
+      criteria: [
+        "[Constraints the design must keep: compatibility, deployment, team size]",
+        "[Priorities: simplicity, performance, extensibility]",
+      ],
+    },
+    sections: [
+      { header: "Components", changed: "source" },
+      { header: "What Changed", changed: "diff", priority: "preferred" },
+      { header: "Tests", changed: "tests", priority: "optional" },
+    ],
+  },
+  {
+    name: "performance",
+    title: "Performance investigation",
+    description: "Measurements, hot paths and optimizations under review",
+    prompts: {
+      problem:
+        "[What is slow: measurements, profiles, load, the target to reach]",
+      solution: "[The optimization and the measured effect]",
+      concerns: [
+        "[Correctness risks of the optimization]",
+        "[Memory, caching and concurrency trade-offs]",
+      ],
+      alternatives:
+        "[Other optimizations considered: algorithmic, caching, infrastructure]",
+      questions: [
+        "[Is the bottleneck where the measurements say it is?]",
+        "[Is there a bigger win we are missing?]",
+        "[How should we guard against regressions?]",
+      ],
+      criteria: [
+        "[Target latency, throughput or memory]",
+        "[Behavior that must not change]",
+      ],
+    },
+    sections: [
+      { header: "What Changed", changed: "diff" },
+      { header: "Hot Path", changed: "source" },
+      {
+        header: "Benchmarks and Tests",
+        changed: "tests",
+        priority: "preferred",
+      },
+    ],
+  },
+  {
+    name: "security",
+    title: "Security review",
+    description: "Threat model and security-sensitive code under review",
+    prompts: {
+      problem:
+        "[What needs protecting, from whom, and the entry points an attacker can reach]",
+      solution:
+        "[The change and the controls it relies on: authentication, authorization, validation, secrets]",
+      concerns: [
+        "[Trust boundaries crossed by untrusted input]",
+        "[Secrets, tokens and key handling]",
+      ],
+      alternatives: "[Other controls considered and why they were rejected]",
+      questions: [
+        "[Which attacks does this change enable or fail to prevent?]",
+        "[Is input validated and output encoded at every boundary?]",
+        "[What should we test or monitor?]",
+      ],
+      criteria: [
+        "[Security requirements and compliance constraints]",
+        "[Acceptable risk and compatibility limits]",
+      ],
+    },
+    sections: [
+      { header: "What Changed", changed: "diff" },
+      { header: "Security-Sensitive Code", changed: "source" },
+      { header: "Security Tests", changed: "tests", priority: "preferred" },
+    ],
+  },
+];
+
+// ============================================================================
+// Documents
+// ============================================================================
+
+/**
+ * Compose the ten-part consultation skeleton of a built-in template
+ * @param {object} template - Built-in template
+ * @returns {string} Markdown with ${name} variables
+ */
+function composeDocument({ title: templateTitle, prompts }) {
+  const list = (items, marker) =>
+    items.map((item, index) =>
+      marker === "1." ? `${index + 1}. ${item}` : `${marker} ${item}`
+    );
+
+  return [
+    "# Expert Consultation: ${title}",
+    "",
+    `<!-- ${templateTitle} scaffolded on \${date} from \${branch}. Replace the [bracketed] prompts, then run the plan: extract-code --config=\${plan} -->`,
+    "",
+    `<!-- Part 1: Problem Context (${PART_TARGETS.context}) -->`,
+    "",
+    "## 1. Problem",
+    prompts.problem,
+    "",
+    "## 2. Our Solution",
+    prompts.solution,
+    "",
+    "Commits on `${branch}` since `${base}`:",
+    "",
+    "${commits}",
+    "",
+    "## 3. Concerns",
+    ...list(prompts.concerns, "-"),
+    "",
+    "## 4. Alternatives",
+    prompts.alternatives,
+    "",
+    `<!-- Part 2: Complete Architecture (${PART_TARGETS.architecture}) - the plan fills the sections below; add components, services and models to \${plan} -->`,
+    "",
+    "## 5. Architecture Overview",
+    "[ASCII diagram, data flow, patterns]",
+    "",
+    "${changedFiles}",
+    "",
+    "---",
+    "# Complete Architecture Context",
+    "",
+    "${code}",
+    "",
+    `<!-- Part 3: Expert Request (${PART_TARGETS.request}) -->`,
+    "",
+    "---",
+    "# Expert Guidance Request",
+    "",
+    "## Questions",
+    ...list(prompts.questions, "1."),
+    "",
+    "## Success Criteria",
+    ...list(prompts.criteria, "-"),
+    "",
+    "**Please answer in English**",
+    "",
+  ].join("\n");
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * List the built-in templates
+ * @returns {{name: string, title: string, description: string}[]} Templates
+ */
+export function listBuiltInTemplates() {
+  return BUILT_IN_TEMPLATES.map(({ name, title, description }) => ({
+    name,
+    title,
+    description,
+  }));
+}
+
+/**
+ * Get a built-in template
+ * @param {string} name - Template name (e.g., "bug")
+ * @returns {{name: string, title: string, document: string, plan: {sections: object[]}}|null} Template, or null if there is none by that name
+ */
+export function getBuiltInTemplate(name) {
+  const template = BUILT_IN_TEMPLATES.find((t) => t.name === name);
+  if (!template) {
+    return null;
+  }
+  return {
+    name: template.name,
+    title: template.title,
+    document: composeDocument(template),
+    plan: { sections: template.sections.map((section) => ({ ...section })) },
+  };
+}
@@ -0,0 +1,230 @@
+/**
+ * Test Mapping for Code Extraction
+ *
+ * Maps source files to their tests by naming conventions, so a plan can
+ * include the tests of the code it extracts without listing them by hand.
+ *
+ * - JS/TS/Vue: Foo.test.ts and Foo.spec.ts next to the file, in __tests__,
+ *   or in a test/tests/spec tree mirroring the path below src/ or lib/
+ * - Python: test_foo.py and foo_test.py next to the file or in a tests/
+ *   directory, mirrored or flat
+ * - C#: FooTests.cs, FooTest.cs, FooShould.cs and FooSpecs.cs in test
+ *   projects (directories such as Acme.Tests, Acme.UnitTests or tests) or
+ *   next to the file
+ *
+ * Candidates are looked up in an index of the project's files, so this
+ * module never touches the file system itself. Paths are relative to the
+ * project root, with "/" separators.
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import path from "path";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Extensions of JS-family sources */
+const JS_SOURCE_EXTENSIONS = [
+  ".ts",
+  ".tsx",
+  ".mts",
+  ".cts",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+  ".vue",
+];
+
+/** Extensions JS-family tests are written in (Vue components are tested from TS/JS) */
+const JS_TEST_EXTENSIONS = JS_SOURCE_EXTENSIONS.filter((ext) => ext !== ".vue");
+
+/** Directories that hold JS tests */
+const JS_TEST_DIRS = ["__tests__", "test", "tests", "spec"];
+
+/** Directories that hold Python tests */
+const PYTHON_TEST_DIRS = ["tests", "test"];
+
+/** Suffixes of C# test classes (FooTests.cs) */
+const CSHARP_TEST_SUFFIXES = ["Tests", "Test", "Should", "Specs"];
+
+/** Regex pattern for test project directories (Acme.Tests, Acme.UnitTests, tests) */
+const TEST_PROJECT_PATTERN =
+  /(?:^|[._-])(?:unit|integration|functional)?(?:tests?|specs?)(?:[._-]|$)/i;
+
+/** Directory segments that usually hold the sources a test tree mirrors */
+const SOURCE_ROOTS = ["src", "lib"];
+
+/** Regex pattern for test files (test directories and *.test.*, *_test.*, *Tests.* names) */
+const TEST_PATH_PATTERN =
+  /(?:^|\/)(?:__tests__|tests?|specs?)\/|[._-](?:test|spec)s?\.[^/.]+$|(?:^|\/)test_[^/]+$|(?:Tests?|Should|Specs?)\.[^/.]+$/;
+
+// ============================================================================
+// Conventions
+// ============================================================================
+
+/**
+ * Split a source directory at its source root, for test trees that mirror it
+ * "packages/api/src/auth" → { prefix: "packages/api", rest: "auth" }; without
+ * a source root the whole directory is mirrored.
+ *
+ * @param {string} dir - Source directory ("" for the project root)
+ * @returns {{prefix: string, rest: string}} Part above the source root and part below it
+ */
+function splitAtSourceRoot(dir) {
+  const segments = dir ? dir.split("/") : [];
+  let index = -1;
+  for (let i = segments.length - 1; i >= 0; i--) {
+    if (SOURCE_ROOTS.includes(segments[i])) {
+      index = i;
+      break;
+    }
+  }
+  return index === -1
+    ? { prefix: "", rest: segments.join("/") }
+    : {
+        prefix: segments.slice(0, index).join("/"),
+        rest: segments.slice(index + 1).join("/"),
+      };
+}
+
+/**
+ * Join path segments, skipping empty ones
+ * @param {...string} parts - Segments
+ * @returns {string} Joined path with "/" separators
+ */
+function joinPath(...parts) {
+  return parts.filter((part) => part).join("/");
+}
+
+/**
+ * List candidate test paths of a JS/TS/Vue source
+ * @param {string} dir - Source directory
+ * @param {string} name - File name without extension
+ * @returns {string[]} Candidate paths, closest first
+ */
+function getJsCandidates(dir, name) {
+  const { prefix, rest } = splitAtSourceRoot(dir);
+  const testNames = JS_TEST_EXTENSIONS.flatMap((ext) => [
+    `${name}.test${ext}`,
+    `${name}.spec${ext}`,
+  ]);
+  const plainNames = JS_TEST_EXTENSIONS.map((ext) => `${name}${ext}`);
+
+  return [
+    ...testNames.map((file) => joinPath(dir, file)),
+    ...JS_TEST_DIRS.flatMap((testDir) =>
+      [...testNames, ...(testDir === "__tests__" ? plainNames : [])].map(
+        (file) => joinPath(dir, testDir, file)
+      )
+    ),
+    ...JS_TEST_DIRS.flatMap((testDir) =>
+      [...testNames, ...plainNames].map((file) =>
+        joinPath(prefix, testDir, rest, file)
+      )
+    ),
+  ];
+}
+
+/**
+ * List candidate test paths of a Python source
+ * @param {string} dir - Source directory
+ * @param {string} name - Module name
+ * @returns {string[]} Candidate paths, closest first
+ */
+function getPythonCandidates(dir, name) {
+  const { prefix, rest } = splitAtSourceRoot(dir);
+  const testNames = [`test_${name}.py`, `${name}_test.py`];
+
+  return [
+    ...testNames.map((file) => joinPath(dir, file)),
+    ...PYTHON_TEST_DIRS.flatMap((testDir) => [
+      ...testNames.map((file) => joinPath(dir, testDir, file)),
+      ...testNames.map((file) => joinPath(prefix, testDir, rest, file)),
+      ...testNames.map((file) => joinPath(prefix, testDir, file)),
+    ]),
+  ];
+}
+
+/**
+ * Find the test classes of a C# source in test projects or next to it
+ * @param {string} dir - Source directory
+ * @param {string} name - Class name (file name without extension)
+ * @param {{byName: Map<string, string[]>}} index - Project file index
+ * @returns {string[]} Test paths, sorted
+ */
+function findCSharpTests(dir, name, index) {
+  return CSHARP_TEST_SUFFIXES.flatMap((suffix) =>
+    (index.byName.get(`${name}${suffix}.cs`) || []).filter(
+      (candidate) =>
+        path.posix.dirname(candidate) === (dir || ".") ||
+        path.posix
+          .dirname(candidate)
+          .split("/")
+          .some((segment) => TEST_PROJECT_PATTERN.test(segment))
+    )
+  ).sort();
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Check whether a path looks like a test file
+ * @param {string} filePath - Path with "/" separators
+ * @returns {boolean} True for test files and files in test directories
+ */
+export function isTestFile(filePath) {
+  return TEST_PATH_PATTERN.test(filePath);
+}
+
+/**
+ * Index a project's files for test lookups
+ * @param {string[]} filePaths - Paths relative to the project root ("/" separators)
+ * @returns {{paths: Set<string>, byName: Map<string, string[]>}} File index
+ */
+export function createFileIndex(filePaths) {
+  const byName = new Map();
+  for (const filePath of filePaths) {
+    const name = path.posix.basename(filePath);
+    if (!byName.has(name)) {
+      byName.set(name, []);
+    }
+    byName.get(name).push(filePath);
+  }
+  return { paths: new Set(filePaths), byName };
+}
+
+/**
+ * Find the tests of a source file by naming conventions
+ * @param {string} sourcePath - Source path relative to the project root ("/" separators)
+ * @param {{paths: Set<string>, byName: Map<string, string[]>}} index - Index from createFileIndex
+ * @returns {string[]} Test paths in the index, closest first (empty for test files and unsupported languages)
+ */
+export function findConventionalTests(sourcePath, index) {
+  if (isTestFile(sourcePath)) {
+    return [];
+  }
+
+  const ext = path.posix.extname(sourcePath);
+  const dir = path.posix.dirname(sourcePath).replace(/^\.$/, "");
+  const name = path.posix.basename(sourcePath, ext);
+
+  let candidates;
+  if (JS_SOURCE_EXTENSIONS.includes(ext)) {
+    candidates = getJsCandidates(dir, name);
+  } else if (ext === ".py") {
+    candidates = getPythonCandidates(dir, name);
+  } else if (ext === ".cs") {
+    return findCSharpTests(dir, name, index);
+  } else {
+    return [];
+  }
+  return [...new Set(candidates)].filter((candidate) =>
+    index.paths.has(candidate)
+  );
+}
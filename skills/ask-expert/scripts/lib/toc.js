@@ -0,0 +1,230 @@
+/**
+ * Table of Contents for Consultation Documents
+ *
+ * Keeps an index of sections and extracted files at the top of an output
+ * document, with anchor links to each `# File:` and `# Command:` heading.
+ *
+ * - The index sits between marker comments, so every run replaces it in
+ *   place instead of adding another copy when files are appended later
+ * - Headings are read from the whole document (earlier runs included);
+ *   headings inside fenced code blocks are ignored
+ * - Anchors follow GitHub's heading slugs, including "-1" suffixes for
+ *   repeated headings
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Marker comment opening the managed table of contents */
+export const TOC_START = "<!-- extract-code:toc -->";
+
+/** Marker comment closing the managed table of contents */
+export const TOC_END = "<!-- /extract-code:toc -->";
+
+/** Markdown heading (levels 1-3) */
+const HEADING_PATTERN = /^(#{1,3})\s+(.+?)\s*#*\s*$/;
+
+/** Opening or closing code fence */
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+/** Extracted file heading: path, then an optional "@ ref (sha)" and "(spec)" */
+const FILE_HEADING_PATTERN =
+  /^File: (.+?)((?: @ \S+ \([0-9a-f]+\))?(?: \(.*\))?)$/;
+
+/** Command output heading: command line, then its "(exit status)" */
+const COMMAND_HEADING_PATTERN = /^Command: (.+?)((?: \([^()]*\))?)$/;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Convert heading text to its GitHub anchor slug
+ * @param {string} text - Heading text
+ * @returns {string} Slug without the "#" (e.g., "file-srcauthts-lines-10-50")
+ */
+function slugify(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, "")
+    .replace(/ /g, "-");
+}
+
+/**
+ * Find the managed table of contents in a document
+ * @param {string} document - Document text
+ * @returns {{start: number, end: number}|null} Character span including a trailing blank line, or null
+ */
+function findTableOfContents(document) {
+  const start = document.indexOf(TOC_START);
+  if (start === -1) {
+    return null;
+  }
+  const endMarker = document.indexOf(TOC_END, start);
+  if (endMarker === -1) {
+    return null;
+  }
+
+  let end = endMarker + TOC_END.length;
+  while (end < document.length && document[end] === "\n") {
+    end++;
+  }
+  return { start, end };
+}
+
+/**
+ * Read sections and file blocks from a document
+ * Each file block runs from its heading to the next heading, so its size
+ * covers the heading, the fenced content and the blank lines after it.
+ *
+ * @param {string} document - Document text without a table of contents
+ * @returns {{type: "section"|"file", text: string, anchor: string, bytes: number}[]} Headings in document order
+ */
+function parseHeadings(document) {
+  const headings = [];
+  const slugCounts = new Map();
+  let fence = null;
+  let current = null;
+
+  for (const line of document.split("\n")) {
+    const lineBytes = Buffer.byteLength(line, "utf8") + 1;
+
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) {
+        fence = marker;
+      } else if (marker[0] === fence[0] && marker.length >= fence.length) {
+        fence = null;
+      }
+    }
+
+    const headingMatch = !fence && !fenceMatch && line.match(HEADING_PATTERN);
+    if (headingMatch) {
+      const text = headingMatch[2];
+      const slug = slugify(text);
+      const count = slugCounts.get(slug) || 0;
+      slugCounts.set(slug, count + 1);
+
+      const isEntry =
+        headingMatch[1] === "#" &&
+        (text.startsWith("File: ") || text.startsWith("Command: "));
+      current = {
+        type: isEntry ? "file" : "section",
+        text,
+        anchor: count === 0 ? slug : `${slug}-${count}`,
+        bytes: 0,
+      };
+      headings.push(current);
+    }
+
+    if (current) {
+      current.bytes += lineBytes;
+    }
+  }
+
+  return headings;
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Render the table of contents for a document
+ * @param {string} document - Document text without a table of contents
+ * @param {object} options - Rendering options
+ * @param {(bytes: number) => string} options.formatSize - Size formatter (e.g., "4.2 KB")
+ * @param {(filePath: string) => string} [options.displayPath] - Shortens heading paths for display
+ * @returns {string|null} Table of contents with markers, or null if the document has no files
+ */
+export function renderTableOfContents(document, { formatSize, displayPath }) {
+  const headings = parseHeadings(document);
+  const files = headings.filter((h) => h.type === "file");
+  if (files.length === 0) {
+    return null;
+  }
+
+  const totalBytes = files.reduce((sum, f) => sum + f.bytes, 0);
+  const lines = [
+    TOC_START,
+    `**Contents** - ${files.length} ${files.length === 1 ? "file" : "files"}, ${formatSize(totalBytes)}`,
+    "",
+  ];
+
+  let inSection = false;
+  for (const heading of headings) {
+    if (heading.type === "section") {
+      lines.push(`- [${heading.text}](#${heading.anchor})`);
+      inSection = true;
+      continue;
+    }
+
+    const commandMatch = heading.text.match(COMMAND_HEADING_PATTERN);
+    const [, filePath, spec] = commandMatch ||
+      heading.text.match(FILE_HEADING_PATTERN) || [
+        null,
+        heading.text.slice("File: ".length),
+        "",
+      ];
+    const name = commandMatch
+      ? `$ ${filePath}`
+      : displayPath
+        ? displayPath(filePath)
+        : filePath;
+    const indent = inSection ? "  " : "";
+    lines.push(
+      `${indent}- [${name}](#${heading.anchor})${spec} - ${formatSize(heading.bytes)}`
+    );
+  }
+
+  lines.push(TOC_END);
+  return lines.join("\n");
+}
+
+/**
+ * Remove the managed table of contents from a document
+ * @param {string} document - Document text
+ * @returns {string} Document without the table of contents
+ */
+export function stripTableOfContents(document) {
+  const span = findTableOfContents(document);
+  return span
+    ? document.slice(0, span.start) + document.slice(span.end)
+    : document;
+}
+
+/**
+ * Check whether a document holds a managed table of contents
+ * @param {string} document - Document text
+ * @returns {boolean} True if both markers are present
+ */
+export function hasTableOfContents(document) {
+  return findTableOfContents(document) !== null;
+}
+
+/**
+ * Add or refresh the table of contents of a document
+ * An existing table is replaced where it is (so it can be moved below a
+ * title by hand); otherwise the table is inserted at the top.
+ *
+ * @param {string} document - Document text
+ * @param {object} options - Rendering options (see renderTableOfContents)
+ * @returns {string} Document with an up-to-date table of contents
+ */
+export function updateTableOfContents(document, options) {
+  const span = findTableOfContents(document);
+  const body = stripTableOfContents(document);
+  const toc = renderTableOfContents(body, options);
+  if (!toc) {
+    return body;
+  }
+
+  const position = span ? span.start : 0;
+  return `${body.slice(0, position)}${toc}\n\n${body.slice(position)}`;
+}
@@ -0,0 +1,109 @@
+/**
+ * File Watching for Watch Mode
+ *
+ * Watches a set of files and reports changes in debounced batches, so a
+ * burst of writes (an editor saving twice, a checkout touching dozens of
+ * files) triggers one rebuild.
+ *
+ * - Directories are watched instead of files: editors that save by
+ *   renaming a temporary file over the original replace the watched file,
+ *   and a watcher on the file itself would go quiet
+ * - The watched set can be replaced at any time, as the plan it comes
+ *   from changes
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import fs from "fs";
+import path from "path";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Quiet time after the last change before a batch is reported */
+export const WATCH_DELAY_MS = 300;
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Create a watcher reporting changed files in debounced batches
+ * @param {(changed: string[]) => void} onChange - Called with the absolute paths changed since the last batch
+ * @param {object} [options] - Options
+ * @param {number} [options.delay] - Quiet time in milliseconds before a batch is reported
+ * @returns {{watch: (files: string[]) => void, close: () => void}} Watcher; watch() replaces the watched files
+ */
+export function createFileWatcher(onChange, { delay = WATCH_DELAY_MS } = {}) {
+  const watchers = new Map();
+  let files = new Set();
+  let pending = new Set();
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const changed = [...pending];
+    pending = new Set();
+    onChange(changed);
+  };
+
+  const record = (directory, name) => {
+    if (name) {
+      const file = path.join(directory, name.toString());
+      if (!files.has(file)) {
+        return;
+      }
+      pending.add(file);
+    } else {
+      // The platform did not say which file: any watched one may have changed
+      for (const file of files) {
+        if (path.dirname(file) === directory) {
+          pending.add(file);
+        }
+      }
+    }
+    clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  };
+
+  return {
+    watch(paths) {
+      files = new Set(paths.map((file) => path.resolve(file)));
+      const directories = new Set([...files].map((file) => path.dirname(file)));
+      for (const [directory, watcher] of watchers) {
+        if (!directories.has(directory)) {
+          watcher.close();
+          watchers.delete(directory);
+        }
+      }
+      for (const directory of directories) {
+        if (watchers.has(directory)) {
+          continue;
+        }
+        try {
+          const watcher = fs.watch(directory, (event, name) =>
+            record(directory, name)
+          );
+          // A deleted directory ends its watcher; the next watch() retries
+          watcher.on("error", () => {
+            watcher.close();
+            watchers.delete(directory);
+          });
+          watchers.set(directory, watcher);
+        } catch {
+          // Directory is missing: files in it can't change until it exists
+        }
+      }
+    },
+
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+      watchers.clear();
+    },
+  };
+}
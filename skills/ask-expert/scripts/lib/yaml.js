@@ -0,0 +1,615 @@
+/**
+ * YAML Parser for Extraction Plans
+ *
+ * Parses the YAML subset that configuration files use:
+ *
+ * - Block mappings and sequences, nested by indentation
+ * - Plain, single-quoted and double-quoted scalars; null, booleans and
+ *   numbers are resolved as in YAML 1.2 (core schema)
+ * - Literal (|) and folded (>) block scalars with chomping indicators
+ * - Flow collections ([a, b] and {a: 1}), also across lines
+ * - Comments and a leading "---" document marker
+ *
+ * Anchors, aliases, tags and multiple documents are rejected with an error
+ * instead of being misread. Errors name the line they occur on.
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Mapping key followed by ":" (plain or quoted) */
+const KEY_PATTERN =
+  /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[\]{},&*!|>%@`-][^#]*?|-[^\s#][^#]*?)\s*:(?=\s|$)/;
+
+/** Block scalar header: | or > with chomping and indentation indicators */
+const BLOCK_SCALAR_PATTERN = /^([|>])([+-]?)([1-9]?)([+-]?)\s*(?:#.*)?$/;
+
+/** Escapes in double-quoted scalars */
+const ESCAPES = {
+  0: "\0",
+  a: "\x07",
+  b: "\b",
+  t: "\t",
+  n: "\n",
+  v: "\v",
+  f: "\f",
+  r: "\r",
+  e: "\x1b",
+  " ": " ",
+  '"': '"',
+  "/": "/",
+  "\\": "\\",
+};
+
+// ============================================================================
+// Scalars
+// ============================================================================
+
+/**
+ * Create a parse error that names the line
+ * @param {number} lineIndex - 0-based line index
+ * @param {string} message - What went wrong
+ * @returns {Error} Error
+ */
+function parseError(lineIndex, message) {
+  return new Error(`line ${lineIndex + 1}: ${message}`);
+}
+
+/**
+ * Resolve a plain scalar to null, a boolean, a number or a string
+ * @param {string} text - Scalar text
+ * @returns {*} Value
+ */
+function resolvePlain(text) {
+  if (/^(?:~|null|Null|NULL)?$/.test(text)) {
+    return null;
+  }
+  if (/^(?:true|True|TRUE)$/.test(text)) {
+    return true;
+  }
+  if (/^(?:false|False|FALSE)$/.test(text)) {
+    return false;
+  }
+  if (/^[-+]?\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+  if (/^0x[0-9a-fA-F]+$/.test(text)) {
+    return parseInt(text, 16);
+  }
+  if (/^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/.test(text)) {
+    return parseFloat(text);
+  }
+  return text;
+}
+
+/**
+ * Unquote a double-quoted scalar body
+ * @param {string} body - Text between the quotes
+ * @param {number} lineIndex - Line for errors
+ * @returns {string} Value
+ */
+function unquoteDouble(body, lineIndex) {
+  return body.replace(
+    /\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g,
+    (match, escape) => {
+      if (/^[xuU]/.test(escape)) {
+        return String.fromCodePoint(parseInt(escape.slice(1), 16));
+      }
+      if (!(escape in ESCAPES)) {
+        throw parseError(lineIndex, `unknown escape "${match}"`);
+      }
+      return ESCAPES[escape];
+    }
+  );
+}
+
+/**
+ * Unquote a quoted key or scalar
+ * @param {string} text - Quoted text, quotes included
+ * @param {number} lineIndex - Line for errors
+ * @returns {string} Value
+ */
+function unquote(text, lineIndex) {
+  const body = text.slice(1, -1);
+  return text[0] === '"'
+    ? unquoteDouble(body, lineIndex)
+    : body.replace(/''/g, "'");
+}
+
+/**
+ * Remove a trailing comment from plain text
+ * @param {string} text - Line content after a key or "- "
+ * @returns {string} Text without the comment
+ */
+function stripComment(text) {
+  const index = text.search(/(?:^|\s)#/);
+  return (index === -1 ? text : text.slice(0, index)).trim();
+}
+
+// ============================================================================
+// Flow Collections
+// ============================================================================
+
+/**
+ * Parse a flow collection or scalar from text
+ * @param {string} text - Flow text (may span joined lines)
+ * @param {number} lineIndex - First line, for errors
+ * @returns {*} Value
+ */
+function parseFlow(text, lineIndex) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      pos++;
+    }
+  };
+
+  const parseScalar = (terminators) => {
+    skipSpace();
+    const quote = text[pos];
+    if (quote === '"' || quote === "'") {
+      const pattern = quote === '"' ? /"(?:[^"\\]|\\.)*"/y : /'(?:[^']|'')*'/y;
+      pattern.lastIndex = pos;
+      const match = pattern.exec(text);
+      if (!match) {
+        throw parseError(lineIndex, "unterminated quoted string");
+      }
+      pos += match[0].length;
+      return unquote(match[0], lineIndex);
+    }
+    const start = pos;
+    while (
+      pos < text.length &&
+      !terminators.includes(text[pos]) &&
+      !(text[pos] === ":" && /^[\s,\]}]?$/.test(text[pos + 1] || ""))
+    ) {
+      pos++;
+    }
+    return resolvePlain(text.slice(start, pos).trim());
+  };
+
+  const parseValue = () => {
+    skipSpace();
+    if (text[pos] === "[") {
+      pos++;
+      const items = [];
+      skipSpace();
+      while (text[pos] !== "]") {
+        items.push(parseValue());
+        skipSpace();
+        if (text[pos] === ",") {
+          pos++;
+          skipSpace();
+        } else if (text[pos] !== "]") {
+          throw parseError(lineIndex, 'expected "," or "]" in flow sequence');
+        }
+      }
+      pos++;
+      return items;
+    }
+    if (text[pos] === "{") {
+      pos++;
+      const map = {};
+      skipSpace();
+      while (text[pos] !== "}") {
+        const key = parseScalar(",}");
+        skipSpace();
+        if (text[pos] !== ":") {
+          throw parseError(lineIndex, 'expected ":" in flow mapping');
+        }
+        pos++;
+        map[String(key)] = parseValue();
+        skipSpace();
+        if (text[pos] === ",") {
+          pos++;
+          skipSpace();
+        } else if (text[pos] !== "}") {
+          throw parseError(lineIndex, 'expected "," or "}" in flow mapping');
+        }
+      }
+      pos++;
+      return map;
+    }
+    if (pos >= text.length) {
+      throw parseError(lineIndex, "unterminated flow collection");
+    }
+    return parseScalar(",]}");
+  };
+
+  const value = parseValue();
+  skipSpace();
+  if (pos < text.length && text[pos] !== "#") {
+    throw parseError(lineIndex, `unexpected "${text.slice(pos)}"`);
+  }
+  return value;
+}
+
+// ============================================================================
+// Block Structure
+// ============================================================================
+
+/**
+ * Create a parser over the lines of a document
+ * @param {string} text - YAML text
+ * @returns {object} Parser
+ */
+function createParser(text) {
+  const lines = text.replace(/^﻿/, "").split(/\r?\n/);
+  const parser = {
+    lines,
+    index: 0,
+
+    /**
+     * Find the next line with content, skipping blanks and comments
+     * @returns {{indent: number, content: string}|null} Line, or null at the end
+     */
+    peek() {
+      while (parser.index < lines.length) {
+        const line = lines[parser.index];
+        const content = line.trim();
+        if (content !== "" && !content.startsWith("#")) {
+          const indent = line.search(/\S/);
+          if (/^ *\t/.test(line)) {
+            throw parseError(
+              parser.index,
+              "tabs are not allowed in indentation"
+            );
+          }
+          return { indent, content: line.slice(indent) };
+        }
+        parser.index++;
+      }
+      return null;
+    },
+  };
+  return parser;
+}
+
+/**
+ * Parse the node starting at the next content line, if it is indented at
+ * least `minIndent`
+ * @param {object} parser - Parser from createParser
+ * @param {number} minIndent - Minimum indentation
+ * @returns {*} Value (null if there is no such node)
+ */
+function parseNode(parser, minIndent) {
+  const line = parser.peek();
+  if (!line || line.indent < minIndent) {
+    return null;
+  }
+  if (isSequenceItem(line.content)) {
+    return parseSequence(parser, line.indent);
+  }
+  if (KEY_PATTERN.test(line.content)) {
+    return parseMapping(parser, line.indent);
+  }
+  parser.index++;
+  return parseInlineValue(parser, line.content, line.indent - 1);
+}
+
+/**
+ * Check whether a line opens a block sequence item
+ * @param {string} content - Line content without indentation
+ * @returns {boolean} True for "-" and "- ..."
+ */
+function isSequenceItem(content) {
+  return content === "-" || content.startsWith("- ");
+}
+
+/**
+ * Parse a block sequence
+ * An item that starts on the "- " line is re-read as if the dash were a
+ * space, so "- key: value" opens a mapping at the item's column.
+ *
+ * @param {object} parser - Parser
+ * @param {number} indent - Indentation of the dashes
+ * @returns {any[]} Items
+ */
+function parseSequence(parser, indent) {
+  const items = [];
+  for (
+    let line = parser.peek();
+    line && line.indent === indent && isSequenceItem(line.content);
+    line = parser.peek()
+  ) {
+    const raw = parser.lines[parser.index];
+    if (line.content === "-") {
+      parser.index++;
+      items.push(parseNode(parser, indent + 1));
+    } else {
+      parser.lines[parser.index] =
+        `${raw.slice(0, indent)} ${raw.slice(indent + 1)}`;
+      items.push(parseNode(parser, indent + 1));
+    }
+  }
+  return items;
+}
+
+/**
+ * Check whether a line is a "---" or "..." document marker
+ * @param {{indent: number, content: string}} line - Line from peek
+ * @returns {boolean} True for a marker at the start of the line
+ */
+function isDocumentMarker(line) {
+  return line.indent === 0 && /^(?:---|\.\.\.)(?:\s|$)/.test(line.content);
+}
+
+/**
+ * Parse a block mapping
+ * A document marker ends the mapping, so parseYaml can report it.
+ *
+ * @param {object} parser - Parser
+ * @param {number} indent - Indentation of the keys
+ * @returns {object} Mapping
+ */
+function parseMapping(parser, indent) {
+  const map = {};
+  for (
+    let line = parser.peek();
+    line && line.indent === indent && !isDocumentMarker(line);
+    line = parser.peek()
+  ) {
+    const match = line.content.match(KEY_PATTERN);
+    if (!match) {
+      throw parseError(parser.index, "expected a mapping key");
+    }
+    const key = /^["']/.test(match[1])
+      ? unquote(match[1], parser.index)
+      : match[1].trim();
+    if (Object.prototype.hasOwnProperty.call(map, key)) {
+      throw parseError(parser.index, `duplicate key "${key}"`);
+    }
+
+    const rest = line.content.slice(match[0].length).trim();
+    parser.index++;
+    if (rest === "" || rest.startsWith("#")) {
+      // Nested block; sequences may sit at the key's own indentation
+      const next = parser.peek();
+      map[key] =
+        next && next.indent === indent && isSequenceItem(next.content)
+          ? parseSequence(parser, indent)
+          : parseNode(parser, indent + 1);
+    } else {
+      map[key] = parseInlineValue(parser, rest, indent);
+    }
+  }
+  const line = parser.peek();
+  if (line && line.indent > indent) {
+    throw parseError(parser.index, "unexpected indentation");
+  }
+  return map;
+}
+
+/**
+ * Parse a value that starts on the current line: a block scalar, a flow
+ * collection (possibly continued on later lines), a quoted scalar, or a
+ * plain scalar (possibly folded across more-indented lines)
+ * @param {object} parser - Parser (positioned after the value's line)
+ * @param {string} text - Value text on its line
+ * @param {number} parentIndent - Indentation of the owning key or dash
+ * @returns {*} Value
+ */
+function parseInlineValue(parser, text, parentIndent) {
+  const lineIndex = parser.index - 1;
+
+  if (/^[&*!]/.test(text)) {
+    throw parseError(lineIndex, "anchors, aliases and tags are not supported");
+  }
+
+  const blockMatch = text.match(BLOCK_SCALAR_PATTERN);
+  if (blockMatch) {
+    const chomping = blockMatch[2] || blockMatch[4];
+    const explicitIndent = blockMatch[3]
+      ? parentIndent + Number(blockMatch[3])
+      : null;
+    return parseBlockScalar(
+      parser,
+      blockMatch[1],
+      chomping,
+      parentIndent,
+      explicitIndent
+    );
+  }
+
+  if (text.startsWith("[") || text.startsWith("{")) {
+    // Join continuation lines until the brackets balance
+    let flow = text;
+    while (!isBalanced(flow)) {
+      if (parser.index >= parser.lines.length) {
+        throw parseError(lineIndex, "unterminated flow collection");
+      }
+      flow += " " + parser.lines[parser.index].trim();
+      parser.index++;
+    }
+    return parseFlow(flow, lineIndex);
+  }
+
+  if (text.startsWith('"') || text.startsWith("'")) {
+    const pattern = text[0] === '"' ? /^"(?:[^"\\]|\\.)*"/ : /^'(?:[^']|'')*'/;
+    const match = text.match(pattern);
+    if (!match) {
+      throw parseError(
+        lineIndex,
+        "unterminated quoted string (quoted scalars must fit on one line)"
+      );
+    }
+    const after = text.slice(match[0].length).trim();
+    if (after !== "" && !after.startsWith("#")) {
+      throw parseError(lineIndex, `unexpected "${after}" after quoted string`);
+    }
+    return unquote(match[0], lineIndex);
+  }
+
+  // Plain scalar, folded with more-indented continuation lines
+  let value = stripComment(text);
+  for (
+    let line = parser.peek();
+    line && line.indent > parentIndent;
+    line = parser.peek()
+  ) {
+    if (KEY_PATTERN.test(line.content) || isSequenceItem(line.content)) {
+      throw parseError(
+        parser.index,
+        "unexpected mapping or sequence inside a scalar"
+      );
+    }
+    value += " " + stripComment(line.content);
+    parser.index++;
+  }
+  if (/^[@`%]/.test(value)) {
+    throw parseError(
+      lineIndex,
+      `plain scalars can't start with "${value[0]}"; quote the value`
+    );
+  }
+  return resolvePlain(value);
+}
+
+/**
+ * Check whether flow text has balanced brackets (outside quotes)
+ * @param {string} text - Flow text
+ * @returns {boolean} True if every bracket is closed
+ */
+function isBalanced(text) {
+  let depth = 0;
+  const unquoted = text.replace(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'/g, "");
+  for (const char of unquoted) {
+    if (char === "[" || char === "{") {
+      depth++;
+    } else if (char === "]" || char === "}") {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+/**
+ * Parse a literal (|) or folded (>) block scalar
+ * @param {object} parser - Parser (positioned after the header line)
+ * @param {"|"|">"} style - Literal or folded
+ * @param {""|"+"|"-"} chomping - Clip, keep or strip trailing newlines
+ * @param {number} parentIndent - Indentation of the owning key or dash
+ * @param {number|null} explicitIndent - Content indentation from the header
+ * @returns {string} Value
+ */
+function parseBlockScalar(
+  parser,
+  style,
+  chomping,
+  parentIndent,
+  explicitIndent
+) {
+  const { lines } = parser;
+  let contentIndent = explicitIndent;
+  const body = [];
+
+  while (parser.index < lines.length) {
+    const line = lines[parser.index];
+    if (line.trim() === "") {
+      body.push("");
+      parser.index++;
+      continue;
+    }
+    const indent = line.search(/\S/);
+    if (contentIndent === null) {
+      contentIndent = indent;
+    }
+    if (indent < contentIndent || indent <= parentIndent) {
+      break;
+    }
+    body.push(line.slice(contentIndent));
+    parser.index++;
+  }
+
+  // Trailing blank lines belong to chomping, not content
+  let trailing = 0;
+  while (body.length > 0 && body[body.length - 1] === "") {
+    body.pop();
+    trailing++;
+  }
+
+  let value;
+  if (style === "|") {
+    value = body.join("\n");
+  } else {
+    // Fold: lines join with spaces, blank lines become newlines, and
+    // more-indented lines keep their line breaks
+    value = "";
+    let previous = null;
+    let blanks = 0;
+    for (const line of body) {
+      if (line === "") {
+        blanks++;
+        continue;
+      }
+      if (previous === null) {
+        value = "\n".repeat(blanks) + line;
+      } else {
+        const keepBreak = /^\s/.test(previous) || /^\s/.test(line);
+        const separator = blanks > 0 ? "\n".repeat(blanks) : " ";
+        value +=
+          (keepBreak ? "\n" : "") +
+          (keepBreak && blanks === 0 ? "" : separator) +
+          line;
+      }
+      previous = line;
+      blanks = 0;
+    }
+  }
+
+  if (body.length === 0) {
+    return "";
+  }
+  if (chomping === "-") {
+    return value;
+  }
+  if (chomping === "+") {
+    return value + "\n".repeat(trailing + 1);
+  }
+  return value + "\n";
+}
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+/**
+ * Parse a YAML document
+ * @param {string} text - YAML text
+ * @returns {*} Parsed value (null for an empty document)
+ * @throws {Error} If the text is not valid YAML or uses unsupported features
+ */
+export function parseYaml(text) {
+  const parser = createParser(text);
+
+  const first = parser.peek();
+  if (first && first.indent === 0 && /^---(?:\s|$)/.test(first.content)) {
+    const rest = first.content.slice(3).trim();
+    if (rest !== "" && !rest.startsWith("#")) {
+      throw parseError(
+        parser.index,
+        "content after the --- document marker is not supported"
+      );
+    }
+    parser.index++;
+  }
+
+  const value = parseNode(parser, 0);
+
+  const line = parser.peek();
+  if (line) {
+    if (isDocumentMarker(line)) {
+      if (line.content.startsWith("---")) {
+        throw parseError(parser.index, "multiple documents are not supported");
+      }
+    } else {
+      throw parseError(parser.index, "unexpected content");
+    }
+  }
+  return value;
+}
@@ -0,0 +1,100 @@
+/**
+ * Tests for command output capture
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { cleanOutput, runCommand, truncateOutput } from "../lib/command.js";
+
+// ============================================================================
+// Fixtures
+// ============================================================================
+
+/** Twenty 7-byte lines: "line 01" to "line 20" */
+const NUMBERED_LINES = Array.from(
+  { length: 20 },
+  (_, i) => `line ${String(i + 1).padStart(2, "0")}`
+).join("\n");
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe("cleanOutput", () => {
+  it("strips colours, cursor sequences and terminal titles", () => {
+    assert.equal(
+      cleanOutput("\x1b[31mred\x1b[0m \x1b]0;title\x07plain\x1b[2K"),
+      "red plain"
+    );
+  });
+
+  it("keeps the last drawing of carriage-return progress lines", () => {
+    assert.equal(
+      cleanOutput("Progress 10%\rProgress 100%\r\nDone\r\n"),
+      "Progress 100%\nDone\n"
+    );
+  });
+});
+
+describe("truncateOutput", () => {
+  it("returns output within the limit unchanged", () => {
+    assert.deepEqual(truncateOutput(NUMBERED_LINES, 1000), {
+      text: NUMBERED_LINES,
+      omittedLines: 0,
+      omittedBytes: 0,
+    });
+  });
+
+  it("keeps whole lines from the head and tail around a marker", () => {
+    assert.deepEqual(truncateOutput(NUMBERED_LINES, 100), {
+      text: [
+        "line 01",
+        "line 02",
+        "line 03",
+        "line 04",
+        "… 13 lines omitted …",
+        "line 18",
+        "line 19",
+        "line 20",
+      ].join("\n"),
+      omittedLines: 13,
+      omittedBytes: 103,
+    });
+  });
+
+  it("marks a single omitted line", () => {
+    const text = ["first", "x".repeat(60), "last"].join("\n");
+    assert.equal(
+      truncateOutput(text, 50).text,
+      "first\n… 1 line omitted …\nlast"
+    );
+  });
+});
+
+describe("runCommand", { skip: process.platform === "win32" }, () => {
+  it("reports a failing exit code as a result", () => {
+    const run = runCommand("echo out; echo err >&2; exit 3", { timeout: 10 });
+    assert.equal(run.output, "out\nerr");
+    assert.equal(run.exitCode, 3);
+    assert.equal(run.timedOut, false);
+  });
+
+  it("stops a timed-out command with SIGTERM", () => {
+    const run = runCommand("echo started; sleep 30", { timeout: 1 });
+    assert.equal(run.output, "started");
+    assert.equal(run.timedOut, true);
+    assert.equal(run.signal, "SIGTERM");
+  });
+
+  it("kills a timed-out command that ignores SIGTERM", () => {
+    const run = runCommand("trap '' TERM; echo started; sleep 30", {
+      timeout: 1,
+    });
+    assert.equal(run.output, "started");
+    assert.equal(run.timedOut, true);
+    assert.equal(run.signal, "SIGKILL");
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for glob, directory and negation expansion of file arguments
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { buildPlan } from "../extract-code.js";
+
+// ============================================================================
+// Fixtures
+// ============================================================================
+
+/** Files of the fixture project, relative to its root */
+const FILES = [
+  "src/auth/session.ts",
+  "src/auth/session.spec.ts",
+  "src/auth/legacy/old.ts",
+  "src/util.js",
+  "node_modules/dep/index.js",
+  "app/[id]/page.tsx",
+  "app/i/page.tsx",
+  "build.log",
+];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Create a fixture project in a temporary directory
+ * @param {boolean} git - Make it a git repository that ignores *.log
+ * @returns {string} Project root
+ */
+function createProject(git) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "extract-code-globs-"));
+  for (const file of FILES) {
+    fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), "export {};\n");
+  }
+  if (git) {
+    fs.writeFileSync(path.join(root, ".gitignore"), "*.log\n");
+    execFileSync("git", ["init", "-q"], { cwd: root, stdio: "pipe" });
+  }
+  return root;
+}
+
+/**
+ * Expand file arguments through buildPlan
+ * @param {string[]} files - File arguments
+ * @returns {Promise<{fileArgs: string[], errors: string[]}>} Expanded file arguments and error messages
+ */
+async function expand(files) {
+  const plan = await buildPlan({ files });
+  return {
+    fileArgs: plan.sections.flatMap((section) =>
+      section.entries.map((entry) => entry.fileArg)
+    ),
+    errors: plan.errors.map((error) => error.message),
+  };
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe("file argument expansion", () => {
+  const cwd = process.cwd();
+  let root;
+
+  before(() => {
+    root = createProject(false);
+    process.chdir(root);
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("expands directories recursively, skipping dependencies", async () => {
+    assert.deepEqual((await expand(["src"])).fileArgs, [
+      "src/auth/legacy/old.ts",
+      "src/auth/session.spec.ts",
+      "src/auth/session.ts",
+      "src/util.js",
+    ]);
+    assert.deepEqual((await expand(["**/*.js"])).fileArgs, ["src/util.js"]);
+  });
+
+  it("expands globs into sorted matches", async () => {
+    assert.deepEqual((await expand(["src/**/*.ts"])).fileArgs, [
+      "src/auth/legacy/old.ts",
+      "src/auth/session.spec.ts",
+      "src/auth/session.ts",
+    ]);
+    assert.deepEqual((await expand(["src/auth/session.{ts,js}"])).fileArgs, [
+      "src/auth/session.ts",
+    ]);
+  });
+
+  it("applies range suffixes to every match", async () => {
+    assert.deepEqual((await expand(["src/auth/*.ts:1-5"])).fileArgs, [
+      "src/auth/session.spec.ts:1-5",
+      "src/auth/session.ts:1-5",
+    ]);
+  });
+
+  it("removes earlier matches with negated globs and directories", async () => {
+    assert.deepEqual(
+      (await expand(["src/**/*.ts", "!**/*.spec.ts"])).fileArgs,
+      ["src/auth/legacy/old.ts", "src/auth/session.ts"]
+    );
+    assert.deepEqual((await expand(["src", "!src/auth/legacy"])).fileArgs, [
+      "src/auth/session.spec.ts",
+      "src/auth/session.ts",
+      "src/util.js",
+    ]);
+  });
+
+  it("only removes matches listed before the negation", async () => {
+    assert.deepEqual(
+      (await expand(["!**/*.spec.ts", "src/auth/*.ts"])).fileArgs,
+      ["src/auth/session.spec.ts", "src/auth/session.ts"]
+    );
+  });
+
+  it("takes existing paths with glob characters literally", async () => {
+    assert.deepEqual((await expand(["app/[id]/page.tsx"])).fileArgs, [
+      "app/[id]/page.tsx",
+    ]);
+    assert.deepEqual((await expand(["app", "!app/[id]"])).fileArgs, [
+      "app/i/page.tsx",
+    ]);
+  });
+
+  it("reports patterns that match nothing", async () => {
+    const { fileArgs, errors } = await expand(["lib/*.ts"]);
+    assert.deepEqual(fileArgs, []);
+    assert.match(errors[0], /^Pattern matched no files: lib\/\*\.ts/);
+  });
+});
+
+describe("file argument expansion in a git repository", () => {
+  const cwd = process.cwd();
+  let root;
+
+  before(() => {
+    root = createProject(true);
+    process.chdir(root);
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("honors .gitignore", async () => {
+    assert.deepEqual((await expand(["*"])).fileArgs, [".gitignore"]);
+    assert.deepEqual((await expand(["."])).fileArgs, [
+      ".gitignore",
+      "app/[id]/page.tsx",
+      "app/i/page.tsx",
+      "src/auth/legacy/old.ts",
+      "src/auth/session.spec.ts",
+      "src/auth/session.ts",
+      "src/util.js",
+    ]);
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Tests for managed regions in rebuildable documents
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyRegions,
+  hasRegions,
+  renderSectionRegion,
+} from "../lib/regions.js";
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Build the lines of a file region
+ * @param {string} section - Section key
+ * @param {string} file - File key
+ * @param {string} content - Region content
+ * @returns {string[]} Region lines
+ */
+function fileRegion(section, file, content) {
+  return [
+    `<!-- extract-code:begin section="${section}" file="${file}" -->`,
+    content,
+    "<!-- extract-code:end -->",
+  ];
+}
+
+/**
+ * Build the lines of a "Core" section region holding file regions
+ * @param {string[][]} files - Regions from fileRegion
+ * @returns {string[]} Region lines
+ */
+function coreRegion(...files) {
+  return [
+    '<!-- extract-code:begin section="Core" -->',
+    "### Core",
+    "",
+    ...files.flatMap((file) => [...file, ""]),
+    "<!-- extract-code:end -->",
+  ];
+}
+
+/**
+ * Build a one-section plan for the "Core" section
+ * @param {{file: string, content: string|null, remove?: boolean}[]} files - File regions
+ * @returns {object[]} Plan for applyRegions
+ */
+function corePlan(...files) {
+  return [{ section: "Core", header: "Core", files }];
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe("applyRegions", () => {
+  const first = applyRegions(
+    "# Notes\n\nIntro\n",
+    corePlan({ file: "a.ts", content: "A1" }, { file: "b.ts", content: "B1" })
+  );
+
+  it("appends new sections after hand-written text", () => {
+    assert.equal(
+      first.document,
+      [
+        "# Notes",
+        "",
+        "Intro",
+        "",
+        ...coreRegion(
+          fileRegion("Core", "a.ts", "A1"),
+          fileRegion("Core", "b.ts", "B1")
+        ),
+        "",
+      ].join("\n")
+    );
+    assert.deepEqual([first.replaced, first.added, first.removed], [0, 2, 0]);
+  });
+
+  it("replaces regions in place and appends new files to their section", () => {
+    const second = applyRegions(
+      first.document + "Outro\n",
+      corePlan(
+        { file: "a.ts", content: "A2" },
+        { file: "b.ts", content: null },
+        { file: "c.ts", content: "C" }
+      )
+    );
+    assert.equal(
+      second.document,
+      [
+        "# Notes",
+        "",
+        "Intro",
+        "",
+        ...coreRegion(
+          fileRegion("Core", "a.ts", "A2"),
+          fileRegion("Core", "b.ts", "B1"),
+          fileRegion("Core", "c.ts", "C")
+        ),
+        "Outro",
+        "",
+      ].join("\n")
+    );
+    assert.deepEqual(
+      [second.replaced, second.added, second.removed],
+      [1, 1, 0]
+    );
+  });
+
+  it("is stable when rerun with the same content", () => {
+    const rerun = applyRegions(
+      first.document,
+      corePlan({ file: "a.ts", content: "A1" }, { file: "b.ts", content: "B1" })
+    );
+    assert.equal(rerun.document, first.document);
+    assert.equal(rerun.replaced, 2);
+  });
+
+  it("removes regions of dropped files", () => {
+    const result = applyRegions(
+      first.document,
+      corePlan(
+        { file: "a.ts", content: "A1" },
+        { file: "b.ts", content: "B1", remove: true }
+      )
+    );
+    assert.equal(
+      result.document,
+      [
+        "# Notes",
+        "",
+        "Intro",
+        "",
+        ...coreRegion(fileRegion("Core", "a.ts", "A1")),
+        "",
+      ].join("\n")
+    );
+    assert.equal(result.removed, 1);
+  });
+
+  it("prunes file and section regions that are not in the plan", () => {
+    const withOther = applyRegions(first.document, [
+      {
+        section: "Other",
+        header: null,
+        files: [{ file: "o.ts", content: "O" }],
+      },
+    ]).document;
+    const pruned = applyRegions(
+      withOther,
+      corePlan({ file: "a.ts", content: "A1" }),
+      { prune: true }
+    );
+    assert.equal(
+      pruned.document,
+      [
+        "# Notes",
+        "",
+        "Intro",
+        "",
+        ...coreRegion(fileRegion("Core", "a.ts", "A1")),
+        "",
+      ].join("\n")
+    );
+    assert.equal(pruned.removed, 2);
+  });
+
+  it("fills an empty section region where it stands", () => {
+    const skeleton = `${renderSectionRegion("Core", "Core")}\n\nAfter\n`;
+    const result = applyRegions(
+      skeleton,
+      corePlan({ file: "a.ts", content: "A1" })
+    );
+    assert.equal(
+      result.document,
+      [...coreRegion(fileRegion("Core", "a.ts", "A1")), "", "After", ""].join(
+        "\n"
+      )
+    );
+  });
+
+  it("encodes keys that could end the comment or the attribute", () => {
+    const result = applyRegions("", [
+      {
+        section: 'a "b" --> c',
+        header: null,
+        files: [{ file: "x.ts:1-2", content: "X" }],
+      },
+    ]);
+    const section = "a %22b%22 %2D-%3E c";
+    assert.equal(
+      result.document,
+      [
+        `<!-- extract-code:begin section="${section}" -->`,
+        ...fileRegion(section, "x.ts:1-2", "X"),
+        "",
+        "<!-- extract-code:end -->",
+        "",
+      ].join("\n")
+    );
+    assert.equal(
+      applyRegions(result.document, [
+        {
+          section: 'a "b" --> c',
+          header: null,
+          files: [{ file: "x.ts:1-2", content: "Y" }],
+        },
+      ]).replaced,
+      1
+    );
+  });
+
+  it("keeps unclosed markers as text", () => {
+    const damaged = '<!-- extract-code:begin section="Core" -->\nno end\n';
+    const result = applyRegions(
+      damaged,
+      corePlan({ file: "a.ts", content: "A1" })
+    );
+    assert.ok(result.document.startsWith(damaged));
+    assert.equal(result.added, 1);
+  });
+});
+
+describe("hasRegions", () => {
+  it("finds balanced regions outside code fences", () => {
+    const region = renderSectionRegion("Core", null);
+    assert.equal(hasRegions(`# Notes\n\n${region}\n`), true);
+    assert.equal(hasRegions("```md\n" + region + "\n```\n"), false);
+    assert.equal(
+      hasRegions('<!-- extract-code:begin section="Core" -->\nno end\n'),
+      false
+    );
+  });
+});
@@ -0,0 +1,421 @@
+/**
+ * Tests for the symbol parser
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildOutline,
+  buildSignatureView,
+  findComments,
+  flattenSymbols,
+  getSymbolLanguage,
+  parseSymbols,
+  resolveSymbol,
+} from "../lib/symbols.js";
+
+// ============================================================================
+// Fixtures
+// ============================================================================
+
+const TS_SOURCE = `import { x } from "./x";
+
+/** Caches tokens. */
+export class TokenStore<T extends { id: string }> {
+  private cache = new Map<string, T>();
+
+  /** Get a token. */
+  async get(id: string): Promise<T> {
+    const url = \`/api/\${id}/{raw}\`;
+    const re = /\\{not a brace/;
+    return this.cache.get(id)!; // } not a brace
+  }
+
+  set(id: string, value: T): void {
+    this.cache.set(id, value);
+  }
+}
+
+export interface Token {
+  id: string;
+}
+
+export const refresh = async (id: string) => {
+  return id;
+};
+
+export function login(user: string): void;
+export function login(user: string, pass?: string): void {
+  console.log("{");
+}
+`;
+
+const CS_SOURCE = `using System;
+
+namespace Acme.Auth;
+
+/// <summary>Issues tokens.</summary>
+[Service]
+public class TokenService : ITokenService
+{
+    private const string Template = @"{""a"": ""}""}";
+
+    #region Refresh
+    public async Task<Token> RefreshAsync(string id)
+    {
+        var s = $"{{{id}}}";
+        var raw = """
+            { "not": "a brace" }
+            """;
+        return await Load(id); // }
+    }
+    #endregion
+
+    public Token Refresh(string id) => Load(id).Result;
+}
+
+public interface ITokenService
+{
+    Task<Token> RefreshAsync(string id);
+}
+`;
+
+const PY_SOURCE = `import os
+
+# helper
+def top(a, b="#not"):
+    """Doc with # hash
+    and } brace."""
+    return a
+
+
+@dataclass
+class Foo(Base):
+    name: str = "x"
+
+    @property
+    def value(self):
+        def inner():
+            return 1
+        return inner()
+
+    async def load(
+        self, id
+    ):
+        return '''
+def fake():
+'''
+`;
+
+const VUE_SOURCE = `<template>
+  <div>{{ x }}</div>
+</template>
+
+<script setup lang="ts">
+// note
+function open(id: string) {
+  return id;
+}
+</script>
+`;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Summarize a symbol tree as [qualified name, kind, start, end] rows
+ * @param {object[]} symbols - Symbol tree from parseSymbols
+ * @returns {Array<[string, string, number, number]>} Rows in file order
+ */
+function summarize(symbols) {
+  return flattenSymbols(symbols).map(({ qualifiedName, symbol }) => [
+    qualifiedName,
+    symbol.kind,
+    symbol.startLine,
+    symbol.endLine,
+  ]);
+}
+
+/**
+ * Render outline lines as "number | text", blank numbers for written lines
+ * @param {{line: number|null, text: string}[]} outline - Outline lines
+ * @returns {string[]} Rendered lines
+ */
+function renderOutline(outline) {
+  return outline.map(({ line, text }) => `${line ?? ""} | ${text}`);
+}
+
+/**
+ * Get the text of every comment a scanner reports
+ * @param {string} content - File content
+ * @param {string} filePath - Path to file
+ * @returns {string[]} Comment texts
+ */
+function commentTexts(content, filePath) {
+  return findComments(content, filePath).map(({ start, end }) =>
+    content.slice(start, end)
+  );
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe("getSymbolLanguage", () => {
+  it("maps extensions case-insensitively", () => {
+    assert.equal(getSymbolLanguage("src/a.MJS"), "js");
+    assert.equal(getSymbolLanguage("src/a.tsx"), "tsx");
+    assert.equal(getSymbolLanguage("Svc.cs"), "csharp");
+    assert.equal(getSymbolLanguage("notes.txt"), null);
+  });
+});
+
+describe("parseSymbols", () => {
+  it("finds TypeScript declarations around braces in strings and regexes", () => {
+    assert.deepEqual(summarize(parseSymbols(TS_SOURCE, "store.ts")), [
+      ["TokenStore", "class", 3, 17],
+      ["TokenStore.cache", "property", 5, 5],
+      ["TokenStore.get", "method", 7, 12],
+      ["TokenStore.set", "method", 14, 16],
+      ["Token", "interface", 19, 21],
+      ["Token.id", "property", 20, 20],
+      ["refresh", "function", 23, 25],
+      ["login", "function", 27, 27],
+      ["login", "function", 28, 30],
+    ]);
+  });
+
+  it("starts symbols at their doc comment and declarations after it", () => {
+    const [store] = parseSymbols(TS_SOURCE, "store.ts");
+    assert.equal(store.startLine, 3);
+    assert.equal(store.declLine, 4);
+    assert.equal(store.bodyStartLine, 4);
+    assert.equal(store.bodyEndLine, 17);
+  });
+
+  it("finds C# declarations around verbatim, interpolated and raw strings", () => {
+    assert.deepEqual(summarize(parseSymbols(CS_SOURCE, "Svc.cs")), [
+      ["Acme.Auth", "namespace", 3, 28],
+      ["Acme.Auth.TokenService", "class", 5, 23],
+      ["Acme.Auth.TokenService.Template", "field", 9, 9],
+      ["Acme.Auth.TokenService.RefreshAsync", "method", 11, 19],
+      ["Acme.Auth.TokenService.Refresh", "method", 22, 22],
+      ["Acme.Auth.ITokenService", "interface", 25, 28],
+      ["Acme.Auth.ITokenService.RefreshAsync", "method", 27, 27],
+    ]);
+  });
+
+  it("finds Python declarations by indentation, skipping string contents", () => {
+    assert.deepEqual(summarize(parseSymbols(PY_SOURCE, "mod.py")), [
+      ["top", "function", 3, 7],
+      ["Foo", "class", 10, 25],
+      ["Foo.value", "method", 14, 18],
+      ["Foo.value.inner", "function", 16, 17],
+      ["Foo.load", "method", 20, 25],
+    ]);
+  });
+
+  it("parses Vue script blocks with their line offset", () => {
+    assert.deepEqual(summarize(parseSymbols(VUE_SOURCE, "Comp.vue")), [
+      ["open", "function", 6, 9],
+    ]);
+  });
+
+  it("parses JSX, where braces in text are not blocks", () => {
+    const jsx = [
+      "export function App({ items }) {",
+      '  return <ul>{items.map((i) => <li key={i}>{"}"} // text</li>)}</ul>;',
+      "}",
+      "",
+      "export default function Other() {",
+      "  return null;",
+      "}",
+    ].join("\n");
+    assert.deepEqual(summarize(parseSymbols(jsx, "App.jsx")), [
+      ["App", "function", 1, 3],
+      ["Other", "function", 5, 7],
+    ]);
+  });
+
+  it("handles CRLF line endings", () => {
+    const crlf = TS_SOURCE.replace(/\n/g, "\r\n");
+    assert.deepEqual(
+      summarize(parseSymbols(crlf, "store.ts")),
+      summarize(parseSymbols(TS_SOURCE, "store.ts"))
+    );
+  });
+
+  it("rejects unsupported files", () => {
+    assert.throws(
+      () => parseSymbols("x", "notes.txt"),
+      /Symbol extraction not supported for \.txt/
+    );
+  });
+});
+
+describe("resolveSymbol", () => {
+  const tsSymbols = parseSymbols(TS_SOURCE, "store.ts");
+  const csSymbols = parseSymbols(CS_SOURCE, "Svc.cs");
+
+  it("matches qualified names and unique suffixes", () => {
+    const names = (name) =>
+      resolveSymbol(tsSymbols, name).map((m) => m.qualifiedName);
+    assert.deepEqual(names("TokenStore.get"), ["TokenStore.get"]);
+    assert.deepEqual(names("get"), ["TokenStore.get"]);
+  });
+
+  it("lets namespaces be omitted", () => {
+    const [match] = resolveSymbol(csSymbols, "TokenService.RefreshAsync");
+    assert.equal(match.qualifiedName, "Acme.Auth.TokenService.RefreshAsync");
+    assert.equal(match.symbol.declLine, 12);
+  });
+
+  it("returns every overload in file order", () => {
+    assert.deepEqual(
+      resolveSymbol(tsSymbols, "login").map((m) => m.symbol.startLine),
+      [27, 28]
+    );
+  });
+
+  it("reports ambiguous names with their qualified names", () => {
+    assert.throws(
+      () => resolveSymbol(csSymbols, "RefreshAsync"),
+      /ambiguous\. Use a qualified name: Acme\.Auth\.TokenService\.RefreshAsync, Acme\.Auth\.ITokenService\.RefreshAsync/
+    );
+  });
+
+  it("lists the top-level symbols when a name is not found", () => {
+    assert.throws(
+      () => resolveSymbol(tsSymbols, "logout"),
+      /Symbol not found: logout\n {2}Available: TokenStore, Token, refresh, login/
+    );
+  });
+});
+
+describe("buildOutline", () => {
+  it("collapses long bodies and keeps short declarations whole", () => {
+    assert.deepEqual(renderOutline(buildOutline(TS_SOURCE, "store.ts")), [
+      " | /** Caches tokens. */",
+      "4 | export class TokenStore<T extends { id: string }> {",
+      "5 |   private cache = new Map<string, T>();",
+      " | ",
+      " |   /** Get a token. */",
+      "8 |   async get(id: string): Promise<T> { … } // lines 8-12",
+      " | ",
+      "14 |   set(id: string, value: T): void {",
+      "15 |     this.cache.set(id, value);",
+      "16 |   }",
+      "17 | }",
+      " | ",
+      "19 | export interface Token {",
+      "20 |   id: string;",
+      "21 | }",
+      " | ",
+      "23 | export const refresh = async (id: string) => {",
+      "24 |   return id;",
+      "25 | };",
+      " | ",
+      "27 | export function login(user: string): void;",
+      "28 | export function login(user: string, pass?: string): void {",
+      '29 |   console.log("{");',
+      "30 | }",
+    ]);
+  });
+
+  it("shows expanded symbols in full", () => {
+    const outline = buildOutline(TS_SOURCE, "store.ts", {
+      expand: ["TokenStore.get"],
+    });
+    const lines = outline.map((line) => line.line).filter((line) => line);
+    assert.deepEqual(lines.slice(0, 8), [4, 5, 7, 8, 9, 10, 11, 12]);
+    assert.ok(!outline.some((line) => line.text.includes("// lines 8-12")));
+  });
+
+  it("collapses Python bodies to ... with their line span", () => {
+    assert.deepEqual(renderOutline(buildOutline(PY_SOURCE, "mod.py")), [
+      " | # helper",
+      '4 | def top(a, b="#not"):',
+      ' |     """Doc with # hash"""',
+      " |     ...  # line 7",
+      " | ",
+      "10 | @dataclass",
+      "11 | class Foo(Base):",
+      '12 |     name: str = "x"',
+      " | ",
+      "14 |     @property",
+      "15 |     def value(self):",
+      " |         ...  # lines 16-18",
+      " | ",
+      "20 |     async def load(",
+      "21 |         self, id",
+      "22 |     ):",
+      " |         ...  # lines 23-25",
+    ]);
+  });
+
+  it("rejects unsupported files and unknown symbols", () => {
+    assert.throws(
+      () => buildOutline("x", "notes.txt"),
+      /Outlines not supported/
+    );
+    assert.throws(
+      () => buildOutline(TS_SOURCE, "store.ts", { expand: ["logout"] }),
+      /Symbol not found: logout/
+    );
+  });
+});
+
+describe("buildSignatureView", () => {
+  it("keeps signatures and elides bodies", () => {
+    const view = buildSignatureView(TS_SOURCE, "store.ts").split("\n");
+    assert.deepEqual(view.slice(0, 9), [
+      "export class TokenStore<T extends { id: string }> {",
+      "  private cache = new Map<string, T>();",
+      "  async get(id: string): Promise<T> {",
+      "    …",
+      "  }",
+      "  set(id: string, value: T): void {",
+      "    …",
+      "  }",
+      "}",
+    ]);
+  });
+});
+
+describe("findComments", () => {
+  it("finds JS/TS comments but not markers in strings, templates or regexes", () => {
+    assert.deepEqual(commentTexts(TS_SOURCE, "store.ts"), [
+      "/** Caches tokens. */",
+      "/** Get a token. */",
+      "// } not a brace",
+    ]);
+  });
+
+  it("does not read JSX text as comments", () => {
+    const jsx = "const a = <p>// text /* too */</p>; // real";
+    assert.deepEqual(commentTexts(jsx, "a.jsx"), ["// real"]);
+  });
+
+  it("treats C# preprocessor directives as code", () => {
+    assert.deepEqual(commentTexts(CS_SOURCE, "Svc.cs"), [
+      "/// <summary>Issues tokens.</summary>",
+      "// }",
+    ]);
+  });
+
+  it("finds Python comments outside strings and docstrings", () => {
+    assert.deepEqual(commentTexts(PY_SOURCE, "mod.py"), ["# helper"]);
+  });
+
+  it("offsets comments of Vue script blocks into the file", () => {
+    assert.deepEqual(commentTexts(VUE_SOURCE, "Comp.vue"), ["// note"]);
+  });
+
+  it("returns null for unsupported files", () => {
+    assert.equal(findComments("# x", "notes.txt"), null);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for the YAML parser of extraction plans
+ *
+ * @author Propstreet
+ * @license MIT
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseYaml } from "../lib/yaml.js";
+
+describe("parseYaml", () => {
+  describe("block collections", () => {
+    it("parses nested mappings and sequences", () => {
+      const yaml = [
+        "output: consultation.md",
+        "budget: 60000tok",
+        "sections:",
+        "  - header: Core",
+        "    files:",
+        "      - src/auth.ts",
+        "      - path: src/store.ts",
+        "        priority: optional",
+        "  - changedSince: main",
+      ].join("\n");
+
+      assert.deepEqual(parseYaml(yaml), {
+        output: "consultation.md",
+        budget: "60000tok",
+        sections: [
+          {
+            header: "Core",
+            files: [
+              "src/auth.ts",
+              { path: "src/store.ts", priority: "optional" },
+            ],
+          },
+          { changedSince: "main" },
+        ],
+      });
+    });
+
+    it("accepts sequences at the indentation of their key", () => {
+      assert.deepEqual(parseYaml("files:\n- a.ts\n- b.ts\ntoc: true"), {
+        files: ["a.ts", "b.ts"],
+        toc: true,
+      });
+    });
+
+    it("skips comments, blank lines and a leading document marker", () => {
+      const yaml = "---\n# Plan\n\noutput: doc.md # inline\n\n# end\n";
+      assert.deepEqual(parseYaml(yaml), { output: "doc.md" });
+    });
+
+    it("returns null for an empty document", () => {
+      assert.equal(parseYaml(""), null);
+      assert.equal(parseYaml("# only a comment\n"), null);
+    });
+  });
+
+  describe("scalars", () => {
+    it("resolves the core schema", () => {
+      assert.deepEqual(
+        parseYaml(
+          "a: true\nb: false\nc: null\nd: ~\ne: 42\nf: -1.5\ng: 0x1F\nh:\n"
+        ),
+        { a: true, b: false, c: null, d: null, e: 42, f: -1.5, g: 31, h: null }
+      );
+    });
+
+    it("keeps strings that only look like other types", () => {
+      assert.deepEqual(parseYaml("a: yes\nb: 1.2.3\nc: 'true'\nd: \"42\""), {
+        a: "yes",
+        b: "1.2.3",
+        c: "true",
+        d: "42",
+      });
+    });
+
+    it("reads quoted scalars with escapes", () => {
+      assert.deepEqual(
+        parseYaml(`a: 'it''s # not a comment'\nb: "tab\\tline\\n\\u00e9"`),
+        { a: "it's # not a comment", b: "tab\tline\né" }
+      );
+    });
+
+    it("keeps colons and hashes inside plain scalars", () => {
+      assert.deepEqual(parseYaml("url: http://x.io/a#b\nglob: src/**/*.ts"), {
+        url: "http://x.io/a#b",
+        glob: "src/**/*.ts",
+      });
+    });
+  });
+
+  describe("block scalars", () => {
+    it("keeps the lines of literal scalars", () => {
+      const yaml = "markdown: |\n  # Problem\n\n  Tokens expire.\nnext: 1";
+      assert.deepEqual(parseYaml(yaml), {
+        markdown: "# Problem\n\nTokens expire.\n",
+        next: 1,
+      });
+    });
+
+    it("folds lines of folded scalars", () => {
+      assert.deepEqual(parseYaml("text: >\n  one\n  two\n\n  three\n"), {
+        text: "one two\nthree\n",
+      });
+    });
+
+    it("applies chomping indicators", () => {
+      const yaml = "strip: |-\n  a\n\nkeep: |+\n  b\n\nclip: |\n  c\n\n";
+      assert.deepEqual(parseYaml(yaml), {
+        strip: "a",
+        keep: "b\n\n",
+        clip: "c\n",
+      });
+    });
+  });
+
+  describe("flow collections", () => {
+    it("parses flow sequences and mappings", () => {
+      assert.deepEqual(parseYaml("warnAt: [80, 92]\nvars: {a: 1, b: 'x, y'}"), {
+        warnAt: [80, 92],
+        vars: { a: 1, b: "x, y" },
+      });
+    });
+
+    it("parses nested flow collections across lines", () => {
+      const yaml = [
+        "files: [",
+        "  src/a.ts,",
+        "  { path: src/b.ts, priority: preferred },",
+        "  [nested, list],",
+        "]",
+      ].join("\n");
+      assert.deepEqual(parseYaml(yaml), {
+        files: [
+          "src/a.ts",
+          { path: "src/b.ts", priority: "preferred" },
+          ["nested", "list"],
+        ],
+      });
+    });
+
+    it("parses empty flow collections", () => {
+      assert.deepEqual(parseYaml("a: []\nb: {}"), { a: [], b: {} });
+    });
+
+    it("reports an unclosed flow collection", () => {
+      assert.throws(() => parseYaml("files: [a, b\ntoc: true"), /line \d+/);
+    });
+  });
+
+  describe("errors", () => {
+    it("rejects anchors, aliases and tags", () => {
+      assert.throws(() => parseYaml("a: &base 1"), /anchor/i);
+      assert.throws(() => parseYaml("a: *base"), /alias/i);
+      assert.throws(() => parseYaml("a: !!str 1"), /tag/i);
+    });
+
+    it("rejects multiple documents", () => {
+      assert.throws(
+        () => parseYaml("a: 1\n---\nb: 2"),
+        /multiple documents are not supported/
+      );
+    });
+
+    it("rejects duplicate keys", () => {
+      assert.throws(() => parseYaml("a: 1\na: 2"), /line 2/);
+    });
+
+    it("names the line of bad indentation", () => {
+      assert.throws(() => parseYaml("a:\n  b: 1\n c: 2"), /line 3/);
+    });
+  });
+});